@@ -94,6 +94,30 @@ export async function fetchParties() {
   // return fallbackData;
 }
 
+/**
+ * Fetch party upserts/deletions since a cursor from a previous call.
+ * Without a cursor the server answers with a full snapshot (full: true).
+ * Throws if no endpoint answers - callers fall back to fetchParties().
+ */
+export async function fetchPartyChanges(cursor) {
+  for (const baseUrl of API_ENDPOINTS) {
+    try {
+      let url = `${baseUrl}/parties/changes?conference=${encodeURIComponent(CONF)}`;
+      if (cursor) url += `&since=${encodeURIComponent(cursor)}`;
+      const delta = await getJSON(url, { timeout: 5000, useCache: false });
+      
+      if (delta && Array.isArray(delta.upserts) && Array.isArray(delta.deletions) && delta.cursor) {
+        return delta;
+      }
+    } catch (error) {
+      console.warn(`[API] Failed to fetch party changes from ${baseUrl}:`, error.message);
+      continue;
+    }
+  }
+  
+  throw new Error('Party changes unavailable from all endpoints');
+}
+
 function getFallbackParties() {
   return [
     {
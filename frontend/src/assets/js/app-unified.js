@@ -1881,7 +1881,7 @@ class UnifiedConferenceApp {
           
           // OAuth successful, now sync the events
           const events = await this.fetchEventsByIds(savedEvents);
-          await this.sendEventsToGoogleCalendar(events);
+          await this.sendEventsToGoogleCalendar(events, savedEvents);
           
           this.showToast('✅ Events synced to Google Calendar!');
           this.currentUser.googleConnected = true;
@@ -1925,16 +1925,26 @@ class UnifiedConferenceApp {
       }
       
       const events = await this.fetchEventsByIds(savedEvents);
-      await this.sendEventsToGoogleCalendar(events);
-      this.showToast(`✅ ${events.length} events synced to Google Calendar!`);
+      const result = await this.sendEventsToGoogleCalendar(events, savedEvents);
+      const fromGoogle = (result.changes?.length || 0) + (result.cancelled?.length || 0);
+      this.showToast(`✅ ${events.length} events synced to Google Calendar!` +
+        (fromGoogle > 0 ? ` ${fromGoogle} changed in Google.` : ''));
     } catch (error) {
       console.error('Failed to sync events:', error);
       this.showToast('Failed to sync events to calendar');
     }
   }
 
-  async sendEventsToGoogleCalendar(events) {
+  // `savedIds` are all saved event ids, including any that failed to load.
+  // Only events this device synced before and the user has since unsaved are
+  // sent as removed, so a failed lookup or another device's saved set never
+  // deletes anything from Google.
+  async sendEventsToGoogleCalendar(events, savedIds) {
     try {
+      const saved = new Set(savedIds);
+      const previouslySynced = this.currentUser.calendarSyncedIds || [];
+      const removed = previouslySynced.filter(id => !saved.has(id));
+
       // Send events to backend to add to Google Calendar
       const response = await fetch('/api/googleCalendar/events/sync', {
         method: 'POST',
@@ -1942,7 +1952,7 @@ class UnifiedConferenceApp {
           'Content-Type': 'application/json',
         },
         credentials: 'include',
-        body: JSON.stringify({ events })
+        body: JSON.stringify({ events, removed })
       });
       
       if (!response.ok) {
@@ -1950,6 +1960,22 @@ class UnifiedConferenceApp {
       }
       
       const result = await response.json();
+      
+      // Events deleted in Google Calendar are unsaved here too
+      const cancelled = new Set(result.cancelled || []);
+      cancelled.forEach(id => this.currentUser.savedEvents.delete(id));
+
+      // Remember what this device has in Google: still saved or not removed
+      // yet (failed), plus what was just pushed
+      const failed = new Set((result.errors || []).map(error => error.id));
+      const synced = new Set(previouslySynced.filter(id => saved.has(id) || failed.has(id)));
+      (result.results || []).forEach(entry => {
+        if (saved.has(entry.id)) synced.add(entry.id);
+        else synced.delete(entry.id); // Removed from Google now or earlier
+      });
+      cancelled.forEach(id => synced.delete(id));
+      this.currentUser.calendarSyncedIds = Array.from(synced);
+      this.saveUserData();
       return result;
     } catch (error) {
       console.error('Error syncing events:', error);
@@ -2729,6 +2755,11 @@ class UnifiedConferenceApp {
       savedEvents: [...this.currentUser.savedEvents]
     };
     localStorage.setItem('conference_user', JSON.stringify(userData));
+
+    // Flags are evaluated per user; a new or reset user gets their own
+    if (window.FlagClient && window.FlagClient.context.userId !== this.currentUser.id) {
+      window.FlagClient.identify({ userId: this.currentUser.id });
+    }
   }
 
   formatTime(timeString) {
@@ -72,6 +72,11 @@ class FeatureFlags {
     const override = this.getOverride(feature);
     if (override !== null) return override;
     
+    // Server-evaluated flags win over the local defaults below
+    if (window.FlagClient?.has(feature)) {
+      return window.FlagClient.isEnabled(feature);
+    }
+    
     // Check if it's a rollout feature
     if (this.flags.rollout[feature] !== undefined) {
       return this.checkRollout(feature);
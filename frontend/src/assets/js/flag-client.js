@@ -0,0 +1,385 @@
+/**
+ * Flag Client - Server-evaluated feature flags with live updates
+ * Bootstraps from the feature-flags service for the current user, caches the
+ * evaluations for offline use and applies changes (including kills) as they stream in
+ */
+
+class FlagClient {
+  constructor(config = window.__FLAGS_CONFIG__ || {}) {
+    this.baseUrl = config.baseUrl || 'https://us-central1-conference-party-app.cloudfunctions.net/featureFlagsService';
+    this.storageKey = config.storageKey || 'flagClient:evaluations';
+    this.pollInterval = config.pollInterval || 60 * 1000; // Only when streaming is unavailable
+    this.refreshDelay = 250; // Batch bursts of changes into one /evaluate call
+
+    this.context = {
+      userId: this.getAppUserId() || this.getAnonymousId(),
+      groups: [],
+      attributes: {}
+    };
+    this.evaluations = {};
+    this.listeners = new Set();
+    this.source = null;
+    this.pollTimer = null;
+    this.pendingRefresh = new Set();
+    this.refreshTimer = null;
+    this.ready = false;
+    this.origin = 'none'; // server | cache | fallback
+
+    this.loadCache();
+
+    if (config.autoStart !== false) {
+      this.start();
+    }
+  }
+
+  /**
+   * Bootstrap, then keep evaluations live
+   */
+  async start() {
+    await this.bootstrap();
+    this.connect();
+    window.addEventListener('online', () => this.refresh());
+  }
+
+  /**
+   * Is the flag on for the current user?
+   */
+  isEnabled(flagId, fallback = false) {
+    const evaluation = this.evaluations[flagId];
+    return evaluation ? evaluation.enabled : fallback;
+  }
+
+  /**
+   * Variant key served to the current user
+   */
+  getVariant(flagId, fallback = null) {
+    const evaluation = this.evaluations[flagId];
+    return evaluation && evaluation.variant !== undefined ? evaluation.variant : fallback;
+  }
+
+  /**
+   * Variant value (string or JSON) served to the current user
+   */
+  getValue(flagId, fallback = null) {
+    const evaluation = this.evaluations[flagId];
+    return evaluation && evaluation.value !== undefined ? evaluation.value : fallback;
+  }
+
+  /**
+   * Does the server know this flag?
+   */
+  has(flagId) {
+    return this.evaluations[flagId] !== undefined;
+  }
+
+  /**
+   * Listen for changes: onChange(listener) for every flag, or onChange(flagId, listener)
+   * Listeners get (flagId, evaluation, previous); evaluation is undefined once a flag is deleted.
+   * Returns an unsubscribe function.
+   */
+  onChange(flagIdOrListener, listener) {
+    const entry = typeof flagIdOrListener === 'function'
+      ? { flagId: null, listener: flagIdOrListener }
+      : { flagId: flagIdOrListener, listener };
+
+    this.listeners.add(entry);
+    return () => this.listeners.delete(entry);
+  }
+
+  /**
+   * Switch user (sign in / sign out) and re-evaluate everything
+   */
+  async identify(context = {}) {
+    const userId = context.userId || this.getAnonymousId();
+    if (userId !== this.context.userId) {
+      // Never serve one user's cached evaluations to another
+      this.evaluations = {};
+      this.origin = 'none';
+    }
+
+    this.context = {
+      ...this.context,
+      ...context,
+      userId
+    };
+    this.loadCache();
+    await this.bootstrap();
+  }
+
+  /**
+   * Load every evaluation from the server, falling back to the cache, then to /api/flags
+   */
+  async bootstrap() {
+    try {
+      const evaluations = await this.evaluate();
+      this.origin = 'server';
+      this.apply(evaluations, true);
+      this.saveCache();
+    } catch (e) {
+      if (this.origin === 'cache') {
+        console.debug('[FlagClient] Server unavailable, using cached flags:', e);
+      } else {
+        await this.loadFallback();
+      }
+    }
+
+    if (!this.ready) {
+      this.ready = true;
+      document.dispatchEvent(new CustomEvent('flags:ready', {
+        detail: { origin: this.origin, flags: Object.keys(this.evaluations).length }
+      }));
+    }
+  }
+
+  /**
+   * Re-evaluate some flags (or all of them) against fresh server state
+   */
+  async refresh(flagIds) {
+    try {
+      const evaluations = await this.evaluate(flagIds);
+      this.origin = 'server';
+      this.apply(evaluations, !flagIds);
+      this.saveCache();
+    } catch (e) {
+      console.debug('[FlagClient] Refresh failed, keeping current flags:', e);
+    }
+  }
+
+  /**
+   * POST /evaluate for the current context
+   */
+  async evaluate(flagIds) {
+    const response = await fetch(`${this.baseUrl}/evaluate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...this.context, ...(flagIds && { flagIds }) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Evaluate failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.evaluations || {};
+  }
+
+  /**
+   * Subscribe to the change stream; poll if EventSource is missing or gives up
+   */
+  connect() {
+    if (this.source || this.pollTimer) return;
+
+    if (typeof EventSource === 'undefined') {
+      this.startPolling();
+      return;
+    }
+
+    let connectedOnce = false;
+    this.source = new EventSource(`${this.baseUrl}/stream`);
+
+    this.source.addEventListener('ready', () => {
+      // After a reconnect we may have missed changes
+      if (connectedOnce) this.refresh();
+      connectedOnce = true;
+    });
+
+    this.source.addEventListener('flag', (event) => {
+      try {
+        this.handleChange(JSON.parse(event.data));
+      } catch (e) {
+        console.warn('[FlagClient] Bad stream message:', e);
+      }
+    });
+
+    this.source.onerror = () => {
+      // EventSource retries by itself unless the connection was refused outright
+      if (this.source.readyState === EventSource.CLOSED) {
+        this.source = null;
+        this.startPolling();
+      }
+    };
+  }
+
+  /**
+   * Stop streaming and polling
+   */
+  disconnect() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  startPolling() {
+    console.debug('[FlagClient] Streaming unavailable, polling every', this.pollInterval, 'ms');
+    this.pollTimer = setInterval(() => this.refresh(), this.pollInterval);
+  }
+
+  /**
+   * Apply one streamed change: kills take effect immediately, everything else is re-evaluated
+   */
+  handleChange(change) {
+    if (change.removed) {
+      this.apply({ [change.id]: undefined });
+      this.saveCache();
+      return;
+    }
+
+    if (!change.enabled && this.has(change.id)) {
+      this.apply({
+        [change.id]: {
+          flagId: change.id,
+          enabled: false,
+          reason: 'Flag is globally disabled',
+          ...(change.offVariant && { variant: change.offVariant })
+        }
+      });
+      this.saveCache();
+    }
+
+    this.pendingRefresh.add(change.id);
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      const flagIds = Array.from(this.pendingRefresh);
+      this.pendingRefresh.clear();
+      this.refresh(flagIds);
+    }, this.refreshDelay);
+  }
+
+  /**
+   * Merge evaluations and notify listeners of what actually changed
+   */
+  apply(next, replace = false) {
+    const previous = this.evaluations;
+    const merged = replace ? {} : { ...previous };
+
+    Object.entries(next).forEach(([flagId, evaluation]) => {
+      if (evaluation === undefined) delete merged[flagId];
+      else merged[flagId] = evaluation;
+    });
+
+    this.evaluations = merged;
+
+    const flagIds = new Set([...Object.keys(previous), ...Object.keys(merged)]);
+    flagIds.forEach(flagId => {
+      if (!this.differs(previous[flagId], merged[flagId])) return;
+      this.notify(flagId, merged[flagId], previous[flagId]);
+    });
+  }
+
+  differs(a, b) {
+    if (!a || !b) return a !== b;
+    return a.enabled !== b.enabled ||
+      a.variant !== b.variant ||
+      JSON.stringify(a.value) !== JSON.stringify(b.value);
+  }
+
+  notify(flagId, evaluation, previous) {
+    this.listeners.forEach(({ flagId: wanted, listener }) => {
+      if (wanted && wanted !== flagId) return;
+      try {
+        listener(flagId, evaluation, previous);
+      } catch (e) {
+        console.error('[FlagClient] Listener failed:', e);
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent('flags:change', {
+      detail: { flagId, evaluation, previous }
+    }));
+  }
+
+  /**
+   * Cached evaluations belong to one user; ignore another user's cache
+   */
+  loadCache() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (cached && cached.userId === this.context.userId && cached.evaluations) {
+        this.evaluations = cached.evaluations;
+        this.origin = 'cache';
+      }
+    } catch (e) {
+      console.warn('[FlagClient] Failed to read cache:', e);
+    }
+  }
+
+  saveCache() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        userId: this.context.userId,
+        savedAt: new Date().toISOString(),
+        evaluations: this.evaluations
+      }));
+    } catch (e) {
+      // Storage full or disabled - flags still work for this session
+    }
+  }
+
+  /**
+   * Last resort: the fail-open nav defaults from /api/flags
+   */
+  async loadFallback() {
+    try {
+      const response = await fetch('/api/flags');
+      if (!response.ok) return;
+
+      const { nav = {} } = await response.json();
+      const evaluations = {};
+      Object.entries(nav).forEach(([key, enabled]) => {
+        evaluations[`nav-${key}`] = { flagId: `nav-${key}`, enabled: !!enabled, reason: 'Fallback defaults' };
+      });
+
+      this.origin = 'fallback';
+      this.apply(evaluations, true);
+    } catch (e) {
+      console.debug('[FlagClient] No flags available, callers use their defaults:', e);
+    }
+  }
+
+  /**
+   * The app's own user id (app-unified.js keeps it in 'conference_user'), once there is one
+   */
+  getAppUserId() {
+    try {
+      const user = JSON.parse(localStorage.getItem('conference_user') || 'null');
+      return user && user.id ? user.id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getAnonymousId() {
+    // Shared with FeatureFlags so local rollouts and server rollouts bucket the same visitor
+    let userId = localStorage.getItem('ff_userId');
+    if (!userId) {
+      userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+      localStorage.setItem('ff_userId', userId);
+    }
+    return userId;
+  }
+
+  /**
+   * Current state, for debugging from the console
+   */
+  getStatus() {
+    return {
+      ready: this.ready,
+      origin: this.origin,
+      streaming: !!this.source,
+      polling: !!this.pollTimer,
+      context: this.context,
+      evaluations: this.evaluations
+    };
+  }
+}
+
+// Create singleton instance
+window.FlagClient = new FlagClient();
+
+// Export for module usage (only if loaded as module)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = window.FlagClient;
+}
@@ -17,6 +17,13 @@ class InviteDeeplink {
     const inviteCode = urlParams.get('invite') || urlParams.get('i');
     const referrer = urlParams.get('ref') || urlParams.get('r');
     
+    // Group invites arrive from /i/:code with how many spots are left
+    this.capacity = urlParams.has('capacity') ? {
+      capacity: parseInt(urlParams.get('capacity'), 10) || 0,
+      remaining: parseInt(urlParams.get('remaining'), 10) || 0,
+      waitlisted: parseInt(urlParams.get('waitlist'), 10) || 0
+    } : null;
+    
     // Check for invite in path
     const pathInvite = this.extractInviteFromPath();
     
@@ -55,7 +62,7 @@ class InviteDeeplink {
       const inviteData = await this.validateInvite(inviteCode);
       
       if (inviteData.valid) {
-        await this.processValidInvite(inviteData, referrer);
+        await this.processValidInvite({ capacity: this.capacity, ...inviteData }, referrer);
       } else {
         this.showInvalidInvite(inviteCode);
       }
@@ -134,10 +141,11 @@ class InviteDeeplink {
 
   showInviteWelcome(inviteData) {
     const { eventName, inviterName } = inviteData;
+    const spots = this.describeCapacity(inviteData.capacity);
     
     Events.emit('ui:toast', {
       title: 'You\'re Invited!',
-      message: `${inviterName} invited you to ${eventName}`,
+      message: `${inviterName} invited you to ${eventName}${spots ? ` · ${spots}` : ''}`,
       type: 'info',
       duration: 8000,
       actions: [
@@ -150,6 +158,16 @@ class InviteDeeplink {
     });
   }
 
+  describeCapacity(capacity) {
+    if (!capacity) return '';
+    if (capacity.remaining > 0) {
+      return `${capacity.remaining} of ${capacity.capacity} spots left`;
+    }
+    return capacity.waitlisted > 0
+      ? `Full · ${capacity.waitlisted} on the waitlist`
+      : 'Full · join the waitlist';
+  }
+
   showInvalidInvite(code) {
     Events.emit('ui:toast', {
       title: 'Invalid Invite',
@@ -196,6 +214,9 @@ class InviteDeeplink {
     url.searchParams.delete('i');
     url.searchParams.delete('ref');
     url.searchParams.delete('r');
+    url.searchParams.delete('capacity');
+    url.searchParams.delete('remaining');
+    url.searchParams.delete('waitlist');
     
     // Only update if URL actually changed
     if (url.href !== window.location.href) {
@@ -335,6 +335,7 @@ class PartyCacheManager {
         parties = await this.fetchPartiesFromNetwork();
         if (parties && parties.length > 0) {
           await this.setParties(parties);
+          await this.resetPartyCursor();
           this.metrics.hits.network++;
         }
       } catch (error) {
@@ -416,9 +417,96 @@ class PartyCacheManager {
     return party;
   }
 
+  // Full list from /api/parties, keyed like the delta feed: by the party's
+  // Firestore doc id, which ingested rows carry as _docId
   async fetchPartiesFromNetwork() {
     const { fetchParties } = await import('./api-lite.js');
-    return await fetchParties();
+    const parties = await fetchParties();
+    return parties
+      .map(party => (party.id ? party : { ...party, id: party._docId }))
+      .filter(party => party.id);
+  }
+
+  // Delta sync - only download what changed since the last server cursor
+  async syncPartyDeltas() {
+    const { fetchPartyChanges } = await import('./api-lite.js');
+    
+    const stored = await this.getPersistentCache('parties_cursor');
+    const delta = await fetchPartyChanges(stored?.data);
+    
+    if (delta.full) {
+      // No usable cursor - the server sent every party
+      await this.setParties(delta.upserts);
+    } else if (delta.upserts.length > 0 || delta.deletions.length > 0) {
+      await this.applyPartyDeltas(delta.upserts, delta.deletions);
+    }
+    
+    await this.setPersistentCache('parties_cursor', {
+      key: 'parties_cursor',
+      data: delta.cursor,
+      timestamp: Date.now()
+    });
+    
+    return {
+      changed: delta.full || delta.upserts.length > 0 || delta.deletions.length > 0,
+      upserts: delta.upserts.length,
+      deletions: delta.deletions.length
+    };
+  }
+
+  // The store was replaced outside the delta feed; the next sync asks for a
+  // full snapshot instead of applying changes to a list it never saw
+  async resetPartyCursor() {
+    await this.setPersistentCache('parties_cursor', {
+      key: 'parties_cursor',
+      data: null,
+      timestamp: Date.now()
+    });
+  }
+
+  async applyPartyDeltas(upserts, deletions) {
+    if (!this.idb) {
+      throw new Error('IndexedDB unavailable for delta sync');
+    }
+    
+    const timestamp = Date.now();
+    const transaction = this.idb.transaction(['parties'], 'readwrite');
+    const store = transaction.objectStore('parties');
+    
+    for (const party of upserts) {
+      store.put({ ...party, cached_at: timestamp });
+      this.memoryCache.delete(`party_${party.id}`);
+      this.sessionCache.delete(`party_${party.id}`);
+    }
+    
+    for (const partyId of deletions) {
+      store.delete(partyId);
+      this.memoryCache.delete(`party_${partyId}`);
+      this.sessionCache.delete(`party_${partyId}`);
+    }
+    
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    // Rebuild the list from the patched store
+    const parties = await this.readAllParties();
+    await this.set('parties_list', parties, { priority: 'high' });
+    
+    console.log(`[Cache] Applied ${upserts.length} upserts and ${deletions.length} deletions`);
+  }
+
+  async readAllParties() {
+    const transaction = this.idb.transaction(['parties'], 'readonly');
+    const request = transaction.objectStore('parties').getAll();
+    
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(
+        (request.result || []).map(({ cached_at, ...party }) => party)
+      );
+      request.onerror = () => reject(request.error);
+    });
   }
 
   // Background sync methods
@@ -433,21 +521,33 @@ class PartyCacheManager {
     try {
       console.log('[Cache] Starting background sync...');
       
-      // Fetch fresh party data
-      const freshParties = await this.fetchPartiesFromNetwork();
+      // Prefer the delta feed; fall back to a full download if it fails
+      let freshParties = null;
+      try {
+        const result = await this.syncPartyDeltas();
+        this.lastSync = Date.now();
+        if (result.changed) {
+          freshParties = await this.readAllParties();
+        }
+      } catch (deltaError) {
+        console.warn('[Cache] Delta sync failed, fetching full list:', deltaError);
+        freshParties = await this.fetchPartiesFromNetwork();
+        if (freshParties && freshParties.length > 0) {
+          await this.setParties(freshParties);
+          await this.resetPartyCursor();
+          this.lastSync = Date.now();
+        }
+      }
       
       if (freshParties && freshParties.length > 0) {
-        await this.setParties(freshParties);
-        this.lastSync = Date.now();
-        
         // Dispatch sync event for UI updates
         window.dispatchEvent(new CustomEvent('party-cache-updated', {
           detail: { parties: freshParties, timestamp: this.lastSync }
         }));
-        
-        console.log('[Cache] Background sync completed successfully');
       }
       
+      console.log('[Cache] Background sync completed successfully');
+      
     } catch (error) {
       console.error('[Cache] Background sync failed:', error);
       this.metrics.syncFailures++;
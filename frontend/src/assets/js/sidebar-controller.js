@@ -15,6 +15,7 @@ class SidebarController {
   init() {
     this.createSidebarStructure();
     this.attachEventListeners();
+    this.applyNavFlags();
     this.setActiveNavItem(this.activeSection);
     
     // Apply saved collapsed state
@@ -181,6 +182,32 @@ class SidebarController {
     });
   }
 
+  // Hide sections whose nav-<section> flag is off; follow live flag changes
+  applyNavFlags() {
+    const flags = window.FlagClient;
+    if (!flags) return;
+
+    const update = () => {
+      document.querySelectorAll('.nav__link').forEach(link => {
+        const flagId = `nav-${link.dataset.section}`;
+        const item = link.closest('.nav__item');
+        if (item) item.hidden = flags.has(flagId) && !flags.isEnabled(flagId);
+      });
+
+      // Move off a section that was just switched off
+      const active = document.querySelector(`.nav__link[data-section="${this.activeSection}"]`);
+      if (active && active.closest('.nav__item')?.hidden) {
+        const next = document.querySelector('.nav__item:not([hidden]) .nav__link');
+        if (next) this.navigateToSection(next.dataset.section);
+      }
+    };
+
+    update();
+    flags.onChange((flagId) => {
+      if (flagId.startsWith('nav-')) update();
+    });
+  }
+
   toggleSidebar() {
     if (window.innerWidth <= 768) return; // Don't toggle on mobile
     
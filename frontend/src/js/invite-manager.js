@@ -1,12 +1,15 @@
 /**
  * 🎯 OPTIMIZED EXCLUSIVE INVITE SYSTEM
  * Uses centralized storage, event management, and caching
- * Each user gets 10 invite codes maximum - creating exclusivity
+ * Each user starts with 10 invite codes - creating exclusivity
+ * The limit comes from the server's quota ledger, so invites earned or
+ * granted by an admin show up here too
  */
 
 class InviteManager {
     constructor() {
-        this.MAX_INVITES = 10;
+        this.MAX_INVITES = 10; // Default until the quota ledger answers
+        this.quota = null;
         this.inviteData = null;
         this.currentInviteModal = null;
         this.eventKeys = []; // Track event listeners
@@ -18,6 +21,9 @@ class InviteManager {
             // Load invite data with caching
             this.inviteData = await this.loadInviteData();
             
+            // Load the invite limit shared with the backends
+            await this.loadQuota();
+            
             // Check for invite code in URL on page load
             this.handleInviteDeepLink();
             
@@ -59,6 +65,42 @@ class InviteManager {
         }
     }
     
+    /**
+     * Load the user's invite quota from the server's ledger
+     */
+    async loadQuota() {
+        try {
+            const apiBase = window.CONFIG?.apiBase || '';
+            const userId = encodeURIComponent(this.getUserId());
+            const response = await fetch(`${apiBase}/api/invites/quota?userId=${userId}`);
+            if (!response.ok) return;
+            
+            this.applyQuota(await response.json());
+            
+            // Celebrate invites earned since the last visit
+            if (window.syncInviteRewards) {
+                window.syncInviteRewards(this.getUserId());
+            }
+            
+            // Being back after joining with an invite earns the inviter one
+            if (this.inviteData?.invitedBy && window.reportInviteActivity) {
+                window.reportInviteActivity(this.getUserId());
+            }
+        } catch (error) {
+            console.warn('Invite quota unavailable, using default limit:', error);
+        }
+    }
+    
+    /**
+     * Apply a balance from GET /api/invites/quota
+     */
+    applyQuota(quota) {
+        if (!quota || typeof quota.limit !== 'number') return;
+        this.quota = quota;
+        this.MAX_INVITES = quota.limit;
+        this.updateModalStats();
+    }
+    
     getDefaultInviteData() {
         
         // Initialize with default data
@@ -255,7 +297,7 @@ class InviteManager {
                             <span class="info-icon">🔒</span>
                             <div class="info-text">
                                 <strong>Quality Network</strong>
-                                <p>Each member gets only 10 invites, ensuring a curated professional community</p>
+                                <p>Each member gets only ${this.MAX_INVITES} invites, ensuring a curated professional community</p>
                             </div>
                         </div>
                         <div class="info-card">
@@ -621,7 +663,7 @@ This invitation-only platform connects serious industry professionals for:
 • Strategic meetings
 • Career opportunities
 
-Each member gets only 10 invites, ensuring a quality network.
+Each member gets only ${this.MAX_INVITES} invites, ensuring a quality network.
 
 Join the elite gaming industry community at Gamescom 2025!`;
     }
@@ -762,7 +804,7 @@ Join the elite gaming industry community at Gamescom 2025!`;
                 
                 <p class="welcome-message">
                     You now have access to curated networking events, VIP parties, and strategic meetings.
-                    Plus, you can invite up to 10 trusted colleagues to grow your professional network.
+                    Plus, you can invite up to ${this.MAX_INVITES} trusted colleagues to grow your professional network.
                 </p>
                 
                 <button class="btn btn-primary btn-lg" id="continueToOnboarding">
@@ -1,6 +1,8 @@
 // js/invite-rewards.js
 // Modal-based reward system for invite bonuses
 // Complements the golden toast notifications with detailed modal celebrations
+// Earned invites are recorded server-side in the quota ledger
+// (/api/invites/quota); syncInviteRewards() celebrates the ones not seen yet
 
 function checkInviteRewards(invitesRedeemed, connectionsMade) {
   if (invitesRedeemed === 10 || connectionsMade === 10) {
@@ -208,9 +210,82 @@ function showMilestoneReward(amount, title, message) {
   }
 }
 
+// Ledger entries newer than this were not celebrated yet (per user)
+function rewardsSeenKey(userId) {
+  return `invite_rewards_seen_${userId}`;
+}
+
+// Fetch earned invites from the quota ledger and celebrate new ones
+async function syncInviteRewards(userId) {
+  if (!userId) return [];
+
+  const seen = parseInt(localStorage.getItem(rewardsSeenKey(userId)), 10) || 0;
+  const apiBase = window.CONFIG?.apiBase || '';
+
+  try {
+    const query = `userId=${encodeURIComponent(userId)}${seen ? `&since=${seen}` : ''}`;
+    const response = await fetch(`${apiBase}/api/invites/quota?${query}`);
+    if (!response.ok) return [];
+
+    const quota = await response.json();
+    const entries = Array.isArray(quota.entries) ? quota.entries : [];
+    const latest = entries.reduce((max, entry) => Math.max(max, entry.createdAt || 0), seen);
+    localStorage.setItem(rewardsSeenKey(userId), String(latest || Date.now()));
+
+    // Keep the invite manager's limit in step with the ledger
+    if (window.inviteManager?.applyQuota) {
+      window.inviteManager.applyQuota(quota);
+    }
+
+    // The first sync only records where we are; older rewards were never promised here
+    if (!seen) return [];
+
+    const earned = entries.filter(entry => entry.delta > 0);
+    const milestone = earned.find(entry => entry.reason === 'earned_milestone');
+    const total = earned.reduce((sum, entry) => sum + entry.delta, 0);
+
+    if (milestone) {
+      showMilestoneReward(total, `🏆 ${milestone.note || 'Milestone reached'}`, `Your networking is paying off! Here are ${total} bonus invites.`);
+    } else if (total > 0) {
+      showInviteReward(total);
+    }
+
+    return earned;
+  } catch (error) {
+    console.warn('Failed to sync invite rewards:', error);
+    return [];
+  }
+}
+
+// Tell the server this invitee is active, so whoever invited them earns an invite.
+// The server only takes it from a signed-in user.
+async function reportInviteActivity(userId) {
+  const reportedKey = `invite_activity_reported_${userId}`;
+  if (!userId || localStorage.getItem(reportedKey)) return;
+
+  const user = window.firebase?.auth?.().currentUser;
+  if (!user) return;
+
+  const apiBase = window.CONFIG?.apiBase || '';
+
+  try {
+    const response = await fetch(`${apiBase}/api/invites/quota/active`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${await user.getIdToken()}` }
+    });
+    if (response.ok) {
+      localStorage.setItem(reportedKey, new Date().toISOString());
+    }
+  } catch (error) {
+    console.warn('Failed to report invite activity:', error);
+  }
+}
+
 // Export functions for global access
 window.checkInviteRewards = checkInviteRewards;
 window.showInviteReward = showInviteReward;
 window.updateInviteTotal = updateInviteTotal;
 window.handleServerSurprise = handleServerSurprise;
-window.checkMilestoneRewards = checkMilestoneRewards;
\ No newline at end of file
+window.checkMilestoneRewards = checkMilestoneRewards;
+window.syncInviteRewards = syncInviteRewards;
+window.reportInviteActivity = reportInviteActivity;
\ No newline at end of file
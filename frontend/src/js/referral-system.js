@@ -8,7 +8,8 @@ class ReferralSystem {
         this.baseUrl = window.location.origin;
         this.apiBase = window.CONFIG?.apiBase || '';
         this.currentUser = null;
-        this.referralStats = {
+        this.referralStats = null; // Last stats from the referral graph
+        this.shareStats = {
             totalShares: 0,
             clicks: 0,
             conversions: 0,
@@ -354,25 +355,54 @@ class ReferralSystem {
     
     /**
      * 📈 Referral Analytics and Stats
+     * Reach, signups and channel attribution come from the referral graph
+     * the server builds over redeemed invites; it only serves them to the
+     * signed-in user they belong to (or an admin)
      */
     async getUserReferralStats(userId = null) {
-        userId = userId || this.getCurrentUserId();
+        userId = userId || this.getSignedInUser()?.uid || this.getCurrentUserId();
         
         try {
-            const response = await fetch(`${this.apiBase}/api/referral/stats/${userId}`);
-            const stats = await response.json();
+            const response = await this.fetchReport(`/api/referral/stats/${encodeURIComponent(userId)}`);
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Failed to load stats');
             
-            this.referralStats = stats;
-            return stats;
+            this.referralStats = data.stats;
+            return data.stats;
         } catch (error) {
             console.error('Failed to fetch referral stats:', error);
-            return this.getLocalReferralStats();
+            return this.referralStats; // Last stats the server returned, if any
         }
     }
     
+    async getReferralTree(userId = null, depth = 3) {
+        userId = userId || this.getSignedInUser()?.uid || this.getCurrentUserId();
+        
+        try {
+            const response = await this.fetchReport(`/api/referral/tree/${encodeURIComponent(userId)}?depth=${depth}`);
+            const data = await response.json();
+            return data.success ? data.tree : null;
+        } catch (error) {
+            console.error('Failed to fetch referral tree:', error);
+            return null;
+        }
+    }
+    
+    async getReferralOverview(days = 14) {
+        try {
+            const response = await this.fetchReport(`/api/referral/overview?days=${days}`);
+            const data = await response.json();
+            return data.success ? data : null;
+        } catch (error) {
+            console.error('Failed to fetch referral overview:', error);
+            return null;
+        }
+    }
+    
+    // Share and click counters for event links stay on this device
     getLocalReferralStats() {
         const localStats = localStorage.getItem('gamescom_referral_stats');
-        return localStats ? JSON.parse(localStats) : this.referralStats;
+        return localStats ? JSON.parse(localStats) : this.shareStats;
     }
     
     updateLocalStats(action, platform = null) {
@@ -402,7 +432,7 @@ class ReferralSystem {
         stats.conversionRate = stats.clicks > 0 ? ((stats.conversions / stats.clicks) * 100).toFixed(1) + '%' : '0%';
         
         localStorage.setItem('gamescom_referral_stats', JSON.stringify(stats));
-        this.referralStats = stats;
+        this.shareStats = stats;
     }
     
     /**
@@ -418,6 +448,16 @@ class ReferralSystem {
         return userId;
     }
     
+    getSignedInUser() {
+        return typeof firebase !== 'undefined' && firebase.auth ? firebase.auth().currentUser : null;
+    }
+    
+    async fetchReport(path) {
+        const user = this.getSignedInUser();
+        const headers = user ? { Authorization: `Bearer ${await user.getIdToken()}` } : {};
+        return fetch(this.apiBase + path, { headers });
+    }
+    
     hashUserId(userId) {
         // Simple hash for privacy (first 6 chars of user ID)
         return userId.replace('user_', '').substring(0, 6);
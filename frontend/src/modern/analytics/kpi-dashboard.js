@@ -8,6 +8,7 @@
  * - Real-time chart updates
  * - Alert notifications
  * - Trend analysis
+ * - Cohort retention and path analysis (analytics service)
  * - Export capabilities
  */
 
@@ -19,6 +20,16 @@ class KPIDashboard {
         this.refreshInterval = null;
         this.currentView = 'overview';
         
+        // Cohort view settings; data comes from the analytics service, proxied
+        // by the API (ANALYTICS_SERVICE_URL) unless __ANALYTICS_URL__ is set
+        this.analyticsUrl = window.__ANALYTICS_URL__ || '/api/analytics/api/v1';
+        this.cohortOptions = {
+            tenantId: 'default',
+            cohortId: 'signup_day',
+            days: 7,
+            conversionEvent: 'invite_accepted'
+        };
+        
         this.init();
     }
     
@@ -89,6 +100,10 @@ class KPIDashboard {
                         <span class="nav-icon">✨</span>
                         Features
                     </button>
+                    <button class="kpi-nav-item" data-view="cohorts">
+                        <span class="nav-icon">👥</span>
+                        Cohorts
+                    </button>
                 </div>
                 
                 <!-- Content -->
@@ -418,6 +433,120 @@ class KPIDashboard {
         `;
     }
     
+    /**
+     * Render cohorts section: retention matrix plus paths to conversion
+     */
+    async renderCohorts() {
+        const { tenantId, cohortId, days, conversionEvent } = this.cohortOptions;
+        
+        try {
+            const [cohorts, matrix, paths] = await Promise.all([
+                this.fetchAnalytics('/cohorts'),
+                this.fetchAnalytics(`/cohorts/${encodeURIComponent(cohortId)}/retention?tenantId=${encodeURIComponent(tenantId)}&days=${days}`),
+                this.fetchAnalytics(`/paths/to?tenantId=${encodeURIComponent(tenantId)}&event=${encodeURIComponent(conversionEvent)}&steps=3`)
+            ]);
+            
+            return `
+                <div class="kpi-cohorts">
+                    <div class="cohort-picker">
+                        ${cohorts.cohorts.map(cohort => `
+                            <button class="btn btn--sm ${cohort.id === cohortId ? 'btn--primary' : 'btn--ghost'}"
+                                    onclick="kpiDashboard.selectCohort('${this.escapeHtml(cohort.id)}')">
+                                ${this.escapeHtml(cohort.name)}
+                            </button>
+                        `).join('')}
+                    </div>
+                    
+                    <h2 class="section-title">Retention by ${this.escapeHtml(matrix.cohortName)}</h2>
+                    ${this.renderRetentionMatrix(matrix)}
+                    
+                    <h2 class="section-title">Paths to ${this.escapeHtml(paths.event)}</h2>
+                    ${this.renderPaths(paths)}
+                </div>
+            `;
+        } catch (error) {
+            console.error('[KPIDashboard] Failed to load cohorts:', error);
+            return '<div class="kpi-empty">Cohort data is unavailable right now.</div>';
+        }
+    }
+    
+    /**
+     * Render retention matrix as a heat-mapped table
+     */
+    renderRetentionMatrix(matrix) {
+        if (matrix.rows.length === 0) {
+            return '<div class="kpi-empty">No users in this period yet.</div>';
+        }
+        
+        const cell = (rate) => rate === null
+            ? '<td class="retention-cell retention-cell--pending">–</td>'
+            : `<td class="retention-cell" style="background: rgba(99, 102, 241, ${(rate / 100).toFixed(2)})">${rate}%</td>`;
+        
+        return `
+            <table class="retention-matrix">
+                <thead>
+                    <tr>
+                        <th>Cohort</th>
+                        <th>Users</th>
+                        ${matrix.columns.map(column => `<th>${column}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${matrix.rows.map(row => `
+                        <tr>
+                            <th>${this.escapeHtml(row.cohort)}</th>
+                            <td>${this.formatNumber(row.size)}</td>
+                            ${row.rates.map(cell).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th>Average</th>
+                        <td>${this.formatNumber(matrix.users)}</td>
+                        ${matrix.average.map(cell).join('')}
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+    
+    /**
+     * Render top paths with share bars
+     */
+    renderPaths(result) {
+        if (result.paths.length === 0) {
+            return '<div class="kpi-empty">No conversions in this period yet.</div>';
+        }
+        
+        return `
+            <div class="path-summary">
+                ${this.formatNumber(result.conversions)} of ${this.formatNumber(result.sessions)} sessions converted (${result.conversionRate}%)
+            </div>
+            <div class="path-list">
+                ${result.paths.map(path => `
+                    <div class="path-row">
+                        <span class="path-label">${this.escapeHtml(path.label)}</span>
+                        <span class="path-bar" style="width: ${path.share}%"></span>
+                        <span class="path-count">${this.formatNumber(path.count)} (${path.share}%)</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    async selectCohort(cohortId) {
+        this.cohortOptions.cohortId = cohortId;
+        const content = document.querySelector('.kpi-content');
+        if (content) content.innerHTML = await this.renderCohorts();
+    }
+    
+    async fetchAnalytics(path) {
+        const response = await fetch(`${this.analyticsUrl}${path}`);
+        if (!response.ok) throw new Error(`Analytics request failed: ${response.status}`);
+        return response.json();
+    }
+    
     /**
      * Initialize charts
      */
@@ -498,6 +627,12 @@ class KPIDashboard {
         return Math.min(100, (parseFloat(metric.value) / parseFloat(metric.target)) * 100);
     }
     
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+    
     formatNumber(num) {
         if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
         if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
@@ -544,6 +679,9 @@ class KPIDashboard {
                 case 'features':
                     content.innerHTML = this.renderFeatures(dashboard.featureSuccess);
                     break;
+                case 'cohorts':
+                    content.innerHTML = await this.renderCohorts();
+                    break;
             }
             
             // Fade in
@@ -13,7 +13,7 @@ class ModuleLoader {
     this.supportsComponents = 'customElements' in window;
     this.supportsProxy = typeof Proxy !== 'undefined';
     
-    // Compatibility flags controlled by feature flags
+    // Compatibility flags controlled by the modern_* feature flags (off until they load)
     this.features = {
       auth: false,
       data: false,
@@ -22,8 +22,11 @@ class ModuleLoader {
       realtime: false
     };
     
-    // Initialize based on feature flags
+    // Initialize based on feature flags, and follow them while the page is open
     this.initializeFeatures();
+    window.FlagClient?.onChange((flagId) => {
+      if (flagId.startsWith('modern_')) this.initializeFeatures();
+    });
   }
   
   initializeFeatures() {
@@ -31,6 +34,10 @@ class ModuleLoader {
       Object.keys(this.features).forEach(feature => {
         this.features[feature] = window.FeatureFlags.isEnabled(`modern_${feature}`);
       });
+    } else if (window.FlagClient) {
+      Object.keys(this.features).forEach(feature => {
+        this.features[feature] = window.FlagClient.isEnabled(`modern_${feature}`);
+      });
     }
     
     console.log('[ModernCore] Features enabled:', this.features);
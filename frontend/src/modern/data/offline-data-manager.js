@@ -10,13 +10,24 @@ export class OfflineDataManager {
     this.currentUserId = null;
     this.listeners = new Map();
     this.isInitialized = false;
+    
+    // Stores kept current through a server delta feed instead of full downloads
+    // (without a conference the server serves its default one)
+    this.deltaEndpoints = {
+      parties: '/api/parties/changes'
+    };
   }
   
   /**
    * Initialize IndexedDB and setup listeners
+   * @param {string} userId
+   * @param {{ conference?: string }} options - conference id to keep parties for
    */
-  async initialize(userId = 'anonymous') {
+  async initialize(userId = 'anonymous', options = {}) {
     this.currentUserId = userId;
+    if (options.conference) {
+      this.deltaEndpoints.parties = `/api/parties/changes?conference=${encodeURIComponent(options.conference)}`;
+    }
     
     // Open IndexedDB
     await this.openDatabase();
@@ -41,7 +52,7 @@ export class OfflineDataManager {
    */
   async openDatabase() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open('conference-intelligence', 2);
+      const request = indexedDB.open('conference-intelligence', 3);
       
       request.onerror = () => {
         console.error('Failed to open IndexedDB:', request.error);
@@ -64,7 +75,8 @@ export class OfflineDataManager {
           'conversations',
           'gatherings',
           'events',
-          'messages'
+          'messages',
+          'parties'
         ];
         
         for (const storeName of stores) {
@@ -85,6 +97,9 @@ export class OfflineDataManager {
             if (storeName === 'gatherings') {
               store.createIndex('startTime', 'startTime', { unique: false });
             }
+            if (storeName === 'parties') {
+              store.createIndex('date', 'date', { unique: false });
+            }
           }
         }
         
@@ -132,6 +147,9 @@ export class OfflineDataManager {
     // Sync gatherings/events
     this.setupDataSync('gatherings', '/api/gatherings', 120000); // 2 minutes
     
+    // Sync parties (delta feed)
+    this.setupDataSync('parties', this.deltaEndpoints.parties, 120000); // 2 minutes
+    
     // Sync user profile
     this.setupDataSync('userProfile', '/api/profile', 300000); // 5 minutes
   }
@@ -162,6 +180,10 @@ export class OfflineDataManager {
    * Sync data from network
    */
   async syncFromNetwork(storeName, endpoint) {
+    if (this.deltaEndpoints[storeName]) {
+      return this.syncDeltasFromNetwork(storeName, endpoint);
+    }
+    
     try {
       const response = await fetch(endpoint, {
         headers: {
@@ -185,6 +207,87 @@ export class OfflineDataManager {
     }
   }
   
+  /**
+   * Sync a store from a delta feed ({ full, upserts, deletions, cursor })
+   * Only changes since the stored cursor are downloaded and applied
+   */
+  async syncDeltasFromNetwork(storeName, endpoint) {
+    try {
+      const cursor = await this.getMetadata(`${storeName}_cursor`);
+      const separator = endpoint.includes('?') ? '&' : '?';
+      const url = cursor ? `${endpoint}${separator}since=${encodeURIComponent(cursor)}` : endpoint;
+      
+      const response = await fetch(url, {
+        headers: {
+          'X-User-ID': this.currentUserId
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${storeName} changes: ${response.status}`);
+      }
+      
+      const delta = await response.json();
+      
+      if (delta.full) {
+        // No usable cursor - the server sent the complete set
+        await this.replaceOfflineData(storeName, delta.upserts);
+      } else {
+        await this.applyDeltas(storeName, delta.upserts, delta.deletions);
+      }
+      
+      await this.updateMetadata(`${storeName}_cursor`, delta.cursor);
+      await this.updateMetadata(`${storeName}_lastSync`, new Date().toISOString());
+      
+      console.log(`Synced ${storeName} deltas: ${delta.upserts.length} upserts, ${delta.deletions.length} deletions`);
+    } catch (error) {
+      console.error(`Failed to sync ${storeName} deltas:`, error);
+    }
+  }
+  
+  /**
+   * Apply upserts and deletions to a store in one transaction
+   */
+  async applyDeltas(storeName, upserts, deletions) {
+    if (!this.db) await this.openDatabase();
+    if (upserts.length === 0 && deletions.length === 0) return;
+    
+    const tx = this.db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    
+    for (const item of upserts) {
+      store.put({ ...item, timestamp: item.timestamp || Date.now() });
+    }
+    for (const id of deletions) {
+      store.delete(id);
+    }
+    
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+  
+  /**
+   * Replace a store's contents with a full snapshot
+   */
+  async replaceOfflineData(storeName, items) {
+    if (!this.db) await this.openDatabase();
+    
+    const tx = this.db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    
+    store.clear();
+    for (const item of items) {
+      store.put({ ...item, timestamp: item.timestamp || Date.now() });
+    }
+    
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+  
   /**
    * Get data (offline-first)
    */
@@ -482,6 +585,7 @@ export class OfflineDataManager {
       gatherings: '/api/gatherings',
       events: '/api/events',
       messages: '/api/messages',
+      parties: this.deltaEndpoints.parties,
       userProfile: '/api/profile'
     };
     
@@ -536,7 +640,7 @@ export class OfflineDataManager {
     
     const stores = [
       'matches', 'connections', 'conversations', 
-      'gatherings', 'events', 'messages', 
+      'gatherings', 'events', 'messages', 'parties',
       'userProfile', 'syncQueue', 'metadata'
     ];
     
@@ -564,7 +668,7 @@ export class OfflineDataManager {
     
     const stores = [
       'matches', 'connections', 'conversations',
-      'gatherings', 'events', 'messages'
+      'gatherings', 'events', 'messages', 'parties'
     ];
     
     for (const storeName of stores) {
@@ -2,6 +2,17 @@ import { Router } from 'express';
 import { google } from 'googleapis';
 import { ensureSession, saveTokens, loadTokens, clearTokens } from '../lib/session';
 import { createState, consumeState } from '../lib/oauthState';
+import { sha256 } from '../lib/crypto';
+import {
+  ConflictRule,
+  getSyncState,
+  googleIdFor,
+  LocalEvent,
+  partyToLocalEvent,
+  runCalendarSync,
+  SYNC_PROPERTY,
+  SyncInProgressError
+} from './sync';
 
 // eslint-disable-next-line new-cap
 const router = Router();
@@ -43,6 +54,20 @@ async function getAuthenticatedClient(sid: string) {
   return client;
 }
 
+// Sync state follows the Google account, so it survives new sessions. Tokens
+// saved without the account's email get it looked up once; a session has no
+// stable key, so without an email the user has to reconnect.
+async function syncKey(sid: string, client: InstanceType<typeof google.auth.OAuth2>): Promise<string | null> {
+  const tokens = await loadTokens(sid);
+  let email = tokens?.['email'];
+  if (!email) {
+    const { data: userInfo } = await google.oauth2({ version: 'v2', auth: client }).userinfo.get();
+    email = userInfo.email;
+    if (email) await saveTokens(sid, { email });
+  }
+  return email ? sha256(String(email).toLowerCase()).slice(0, 40) : null;
+}
+
 // ---- status
 router.get('/googleCalendar/status', async (req: any, res: any) => {
   try {
@@ -314,7 +339,7 @@ router.post('/googleCalendar/create', async (req: any, res: any) => {
     }
 
     const calendar = google.calendar({ version: 'v3', auth: client });
-    const { summary, description, location, start, end, attendees, timeZone } = req.body;
+    const { id, summary, description, location, start, end, attendees, timeZone } = req.body;
 
     if (!summary || !start || !end) {
       return res.status(400).json({ error: 'Missing required fields: summary, start, end' });
@@ -338,6 +363,12 @@ router.post('/googleCalendar/create', async (req: any, res: any) => {
       event.attendees = attendees.map((email: string) => ({ email }));
     }
 
+    // Events of ours get the same id as /events/sync gives them, so a later sync updates them
+    if (id) {
+      event.id = googleIdFor(String(id));
+      event.extendedProperties = { private: { [SYNC_PROPERTY]: String(id) } };
+    }
+
     const response = await calendar.events.insert({
       calendarId: 'primary',
       requestBody: event,
@@ -371,7 +402,10 @@ router.post('/googleCalendar/disconnect', async (req: any, res: any) => {
   }
 });
 
-// ---- sync multiple events
+// ---- two-way sync of saved events
+// Body: { events, removed?, conflict? }. `removed` lists ids the user unsaved;
+// only those are deleted in Google, never events that are just missing.
+// Edits and deletions made in Google come back as `changes` and `cancelled`.
 router.post('/googleCalendar/events/sync', async (req: any, res: any) => {
   try {
     const sid = req.cookies?.sid;
@@ -385,72 +419,91 @@ router.post('/googleCalendar/events/sync', async (req: any, res: any) => {
       return res.status(401).json({ error: 'Not authenticated with Google Calendar' });
     }
 
-    const { events } = req.body;
+    const { events, removed, conflict } = req.body;
     if (!events || !Array.isArray(events)) {
       return res.status(400).json({ error: 'Events array required' });
     }
+    if (removed !== undefined && (!Array.isArray(removed) || removed.some((id: unknown) => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'removed must be an array of event ids' });
+    }
 
-    const calendar = google.calendar({ version: 'v3', auth: client });
-    const results = [];
-    const errors = [];
+    const rules: ConflictRule[] = ['latest', 'local', 'remote'];
+    if (conflict !== undefined && !rules.includes(conflict)) {
+      return res.status(400).json({ error: 'Invalid conflict rule', allowed: rules });
+    }
 
-    // Add each event to Google Calendar
-    for (const event of events) {
-      try {
-        // Convert event to Google Calendar format
-        const gcalEvent = {
-          summary: event['Event Name'] || event.title || 'Gamescom 2025 Event',
-          description: `${event['Organizer'] || ''}\n${event['Description'] || ''}\n\nVenue: ${event['Venue'] || event['Address'] || 'TBD'}`,
-          location: event['Address'] || event['Venue'] || 'Cologne, Germany',
-          start: {
-            dateTime: new Date(`${event['Date']} ${event['Start Time'] || '09:00'}`).toISOString(),
-            timeZone: 'Europe/Berlin',
-          },
-          end: {
-            dateTime: new Date(`${event['Date']} ${event['End Time'] || '23:00'}`).toISOString(),
-            timeZone: 'Europe/Berlin',
-          },
-          reminders: {
-            useDefault: false,
-            overrides: [
-              { method: 'email', minutes: 24 * 60 }, // 1 day before
-              { method: 'popup', minutes: 60 },      // 1 hour before
-            ],
-          },
-        };
-
-        const response = await calendar.events.insert({
-          calendarId: 'primary',
-          requestBody: gcalEvent,
-        });
-
-        results.push({
-          id: event.id,
-          success: true,
-          htmlLink: response.data.htmlLink
-        });
-      } catch (err: any) {
-        console.error('[gcal] Failed to sync event:', event.id, err);
-        errors.push({
-          id: event.id,
-          error: err?.message || 'Unknown error'
-        });
-      }
+    const local: LocalEvent[] = [];
+    const invalid: Array<{ id: null; error: string }> = [];
+    events.forEach((event: any) => {
+      const converted = partyToLocalEvent(event || {});
+      if (converted) local.push(converted);
+      else invalid.push({ id: null, error: 'Event id required' });
+    });
+
+    const key = await syncKey(sid, client);
+    if (!key) {
+      return res.status(401).json({ error: 'Google account email unavailable, reconnect Google Calendar' });
     }
 
+    const calendar = google.calendar({ version: 'v3', auth: client });
+    const result = await runCalendarSync(key, calendar, {
+      events: local,
+      removed,
+      rule: conflict
+    });
+
+    const errors = [...invalid, ...result.errors];
+
     res.json({
       success: true,
-      synced: results.length,
+      synced: result.results.length,
       failed: errors.length,
-      results,
+      ...result,
       errors
     });
   } catch (err) {
+    if (err instanceof SyncInProgressError) {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[gcal] Sync events error:', err);
     res.status(500).json({ error: 'Failed to sync events' });
   }
 });
 
+// ---- sync state
+router.get('/googleCalendar/sync/status', async (req: any, res: any) => {
+  try {
+    const sid = req.cookies?.sid;
+    if (!sid) {
+      return res.status(401).json({ error: 'No session' });
+    }
+
+    const client = await getAuthenticatedClient(sid);
+    if (!client) {
+      return res.status(401).json({ error: 'Not authenticated with Google Calendar' });
+    }
+
+    const key = await syncKey(sid, client);
+    if (!key) {
+      return res.status(401).json({ error: 'Google account email unavailable, reconnect Google Calendar' });
+    }
+
+    const state = await getSyncState(key);
+    res.json({
+      status: state.status,
+      lastSyncAt: state.lastSyncAt,
+      lastError: state.lastError,
+      failures: state.failures,
+      events: state.events,
+      incremental: state.syncToken !== null,
+      resuming: state.pageToken !== null
+    });
+  } catch (err) {
+    console.error('[gcal] Sync status error:', err);
+    res.status(500).json({ error: 'Failed to get sync status' });
+  }
+});
+
 // ---- user info
 router.get('/googleCalendar/user', async (req: any, res: any) => {
   try {
@@ -0,0 +1,574 @@
+import { randomUUID } from 'crypto';
+import * as admin from 'firebase-admin';
+import { calendar_v3 } from 'googleapis';
+import { sha256 } from '../lib/crypto';
+
+/**
+ * Two-way Google Calendar sync
+ *
+ * Every event we push carries a private extended property with our event id
+ * and a Google id derived from it, so pushing the same event twice updates it
+ * instead of inserting a duplicate. Pulls use Google's incremental sync
+ * tokens; edits and deletions made in Google come back to the caller.
+ *
+ * Each synced event keeps the fields both sides agreed on last time (`base`),
+ * so a run can tell who changed what:
+ *  - changed on one side only: that side wins
+ *  - the same field changed on both sides: the conflict rule decides
+ *    ('latest' by default: the most recent edit, ours when we have no timestamp)
+ *  - cancelled on either side: the cancellation wins over any edit
+ *
+ * State lives in calendar_sync/{key} with one document per event under
+ * events/. Records are written as each event completes and pull progress is
+ * saved per page, so a run that fails part way resumes where it stopped.
+ *
+ * One run at a time holds a lease on the state document. It is renewed with
+ * every pulled page and every page of pushed events, and a run that finds
+ * another one holding it stops without touching the state.
+ */
+
+const SYNC_COLLECTION = 'calendar_sync';
+const LEASE_MS = 5 * 60 * 1000; // A run that stops renewing, e.g. because it crashed, stops blocking after this
+const PAGE_SIZE = 250;
+const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+
+// Private extended property on every event we push
+export const SYNC_PROPERTY = 'cpaEventId';
+
+export const SYNCED_FIELDS = ['summary', 'description', 'location', 'start', 'end'] as const;
+export type SyncedField = typeof SYNCED_FIELDS[number];
+export type EventFields = Record<SyncedField, string>; // start/end are ISO date-times (or dates)
+
+export type ConflictRule = 'latest' | 'local' | 'remote';
+
+export interface LocalEvent {
+  id: string;
+  fields: EventFields;
+  updatedAt: number | null; // Last edit on our side, when known
+  cancelled: boolean;
+}
+
+export interface EventRecord {
+  localId: string;
+  googleId: string;
+  base: EventFields;                 // What both sides had after the last sync
+  remote: EventFields | null;        // Edited in Google since then
+  remoteUpdatedAt: number | null;
+  cancelled: 'local' | 'remote' | null;
+  htmlLink: string | null;
+  syncedAt: number;
+}
+
+export interface SyncState {
+  calendarId: string;
+  syncToken: string | null;
+  pageToken: string | null; // A pull interrupted part way resumes from here
+  status: 'idle' | 'running' | 'error';
+  startedAt: number | null;
+  runId: string | null;     // The run holding the lease
+  leaseExpiresAt: number | null;
+  lastSyncAt: number | null;
+  lastError: string | null;
+  failures: number;         // Consecutive failed runs
+}
+
+export type SyncAction = 'create' | 'update' | 'delete' | 'none';
+
+export interface SyncConflict {
+  id: string;
+  field: SyncedField;
+  winner: 'local' | 'remote';
+}
+
+export interface EventPlan {
+  action: SyncAction;
+  fields: EventFields;                  // The event as it should be on both sides
+  localChanges: Partial<EventFields>;   // Edits from Google our side should take
+  conflicts: SyncConflict[];
+  cancelled: 'local' | 'remote' | null;
+}
+
+export interface SyncResult {
+  created: number;
+  updated: number;
+  deleted: number;
+  unchanged: number;
+  conflicts: SyncConflict[];
+  changes: Array<{ id: string; fields: Partial<EventFields> }>; // Edited in Google
+  cancelled: string[];                                          // Deleted in Google
+  results: Array<{ id: string; action: SyncAction; googleId: string; htmlLink: string | null }>;
+  errors: Array<{ id: string; error: string }>;
+}
+
+export class SyncInProgressError extends Error {
+  constructor(message: string = 'A calendar sync is already running') {
+    super(message);
+    this.name = 'SyncInProgressError';
+  }
+}
+
+// A run that stopped renewing its lease found a newer run holding it
+export class SyncLeaseLostError extends SyncInProgressError {
+  constructor() {
+    super('Another calendar sync took over this run');
+    this.name = 'SyncLeaseLostError';
+  }
+}
+
+type Firestore = admin.firestore.Firestore;
+
+function getDb(): Firestore {
+  return admin.firestore();
+}
+
+/**
+ * Google event id for one of our events: stable, so retries cannot duplicate
+ * it (Google ids use base32hex, which hex digits are a subset of)
+ */
+export function googleIdFor(localId: string): string {
+  return `cpa${sha256(localId).slice(0, 40)}`;
+}
+
+/**
+ * A saved party in the shape the app sends, as a sync event
+ */
+export function partyToLocalEvent(party: Record<string, any>): LocalEvent | null {
+  if (!party['id']) return null;
+
+  const date = party['Date'] || party['date'];
+  const updatedAt = typeof party['updatedAt'] === 'number' ? party['updatedAt'] : Date.parse(party['updatedAt'] || '');
+
+  return {
+    id: String(party['id']),
+    fields: {
+      summary: party['Event Name'] || party['title'] || 'Gamescom 2025 Event',
+      description: `${party['Organizer'] || ''}\n${party['Description'] || ''}\n\nVenue: ${party['Venue'] || party['Address'] || 'TBD'}`,
+      location: party['Address'] || party['Venue'] || 'Cologne, Germany',
+      start: toIso(`${date} ${party['Start Time'] || '09:00'}`),
+      end: toIso(`${date} ${party['End Time'] || '23:00'}`)
+    },
+    updatedAt: isNaN(updatedAt) ? null : updatedAt,
+    cancelled: party['cancelled'] === true || party['status'] === 'cancelled'
+  };
+}
+
+/**
+ * The synced fields of a Google event
+ */
+export function fieldsFromGoogle(event: calendar_v3.Schema$Event): EventFields {
+  const time = (value: calendar_v3.Schema$EventDateTime | undefined) =>
+    value?.dateTime ? toIso(value.dateTime) : value?.date || '';
+
+  return {
+    summary: event.summary || '',
+    description: event.description || '',
+    location: event.location || '',
+    start: time(event.start),
+    end: time(event.end)
+  };
+}
+
+export function sameFields(a: EventFields, b: EventFields): boolean {
+  return SYNCED_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * Fold one pulled Google event into its record (null when it is not one of ours)
+ */
+export function applyRemoteChange(record: EventRecord | undefined, event: calendar_v3.Schema$Event): EventRecord | null {
+  const localId = event.extendedProperties?.private?.[SYNC_PROPERTY];
+  if (!record || !localId || record.localId !== localId) return null;
+
+  if (event.status === 'cancelled') {
+    return { ...record, cancelled: record.cancelled ?? 'remote' };
+  }
+
+  const fields = fieldsFromGoogle(event);
+  const updatedAt = Date.parse(event.updated || '');
+  return {
+    ...record,
+    // Our own pushes come back in the next pull; they match base and change nothing
+    remote: sameFields(fields, record.base) ? null : fields,
+    remoteUpdatedAt: isNaN(updatedAt) ? record.remoteUpdatedAt : updatedAt,
+    cancelled: record.cancelled === 'remote' ? null : record.cancelled, // Restored in Google
+    htmlLink: event.htmlLink ?? record.htmlLink
+  };
+}
+
+/**
+ * Decide what one event needs: `local` is null when our side no longer has it
+ */
+export function planEvent(record: EventRecord | undefined, local: LocalEvent | null, rule: ConflictRule = 'latest'): EventPlan {
+  const none = (fields: EventFields, cancelled: EventPlan['cancelled'] = null): EventPlan =>
+    ({ action: 'none', fields, localChanges: {}, conflicts: [], cancelled });
+
+  if (!record) {
+    if (!local || local.cancelled) return none(local?.fields ?? emptyFields(), 'local');
+    return { ...none(local.fields), action: 'create' };
+  }
+
+  // Deleted in Google: never recreate it, our side drops it too
+  if (record.cancelled === 'remote') return none(record.base, 'remote');
+
+  if (!local || local.cancelled) {
+    return record.cancelled === 'local' ? none(record.base, 'local') : { ...none(record.base, 'local'), action: 'delete' };
+  }
+
+  // Removed on our side earlier and now back: restore it
+  if (record.cancelled === 'local') return { ...none(local.fields), action: 'create' };
+
+  const base = record.base;
+  const remote = record.remote ?? base;
+  const fields = { ...base };
+  const localChanges: Partial<EventFields> = {};
+  const conflicts: SyncConflict[] = [];
+
+  for (const field of SYNCED_FIELDS) {
+    const ours = local.fields[field];
+    const theirs = remote[field];
+    let winner: 'local' | 'remote';
+    if (ours === theirs || theirs === base[field]) {
+      winner = 'local';
+    } else if (ours === base[field]) {
+      winner = 'remote';
+    } else {
+      winner = conflictWinner(rule, local.updatedAt, record.remoteUpdatedAt);
+      conflicts.push({ id: local.id, field, winner });
+    }
+    fields[field] = winner === 'local' ? ours : theirs;
+    if (fields[field] !== ours) localChanges[field] = fields[field];
+  }
+
+  return {
+    action: sameFields(fields, remote) ? 'none' : 'update',
+    fields,
+    localChanges,
+    conflicts,
+    cancelled: null
+  };
+}
+
+/**
+ * Whether a run holds an unexpired lease on the state, so no other may start.
+ * States saved before leases had an expiry count from when their run started.
+ */
+export function holdsLease(state: SyncState, now: number = Date.now()): boolean {
+  if (state.status !== 'running') return false;
+  const expiresAt = state.leaseExpiresAt ?? (state.startedAt !== null ? state.startedAt + LEASE_MS : null);
+  return expiresAt !== null && now < expiresAt;
+}
+
+/**
+ * Sync state for a user, without the per-event records
+ */
+export async function getSyncState(key: string, db: Firestore = getDb()): Promise<SyncState & { events: number }> {
+  const ref = db.collection(SYNC_COLLECTION).doc(key);
+  const [snap, count] = await Promise.all([ref.get(), ref.collection('events').count().get()]);
+  return { ...readState(snap.data()), events: count.data().count };
+}
+
+/**
+ * Pull Google's changes, then push ours. Synced events are only deleted in
+ * Google when their id is in `removed`; one missing from `events` is not
+ * taken as removed, since the caller may just have failed to load it.
+ */
+export async function runCalendarSync(
+  key: string,
+  calendar: calendar_v3.Calendar,
+  input: { events: LocalEvent[]; removed?: string[] | undefined; rule?: ConflictRule | undefined },
+  db: Firestore = getDb()
+): Promise<SyncResult> {
+  const ref = db.collection(SYNC_COLLECTION).doc(key);
+  const state = await claimRun(ref, db);
+  const runId = state.runId!;
+
+  try {
+    const records = new Map<string, EventRecord>();
+    (await ref.collection('events').get()).docs.forEach(doc => records.set(doc.id, doc.data() as EventRecord));
+
+    await pullChanges(ref, calendar, state, records);
+    const result = await pushChanges(ref, calendar, state, records, input);
+
+    await releaseRun(ref, runId, {
+      status: 'idle',
+      lastSyncAt: Date.now(),
+      lastError: null,
+      failures: 0
+    });
+    return result;
+
+  } catch (error) {
+    if (!(error instanceof SyncLeaseLostError)) {
+      await releaseRun(ref, runId, {
+        status: 'error',
+        lastError: error instanceof Error ? error.message : String(error),
+        failures: admin.firestore.FieldValue.increment(1)
+      });
+    }
+    throw error;
+  }
+}
+
+// Helper: Take the run lease, unless another run holds it
+async function claimRun(ref: admin.firestore.DocumentReference, db: Firestore): Promise<SyncState> {
+  return db.runTransaction(async (tx) => {
+    const state = readState((await tx.get(ref)).data());
+    const now = Date.now();
+    if (holdsLease(state, now)) {
+      throw new SyncInProgressError();
+    }
+    const running = { ...state, status: 'running' as const, startedAt: now, runId: randomUUID(), leaseExpiresAt: now + LEASE_MS };
+    tx.set(ref, running, { merge: true });
+    return running;
+  });
+}
+
+// Helper: Inside a transaction, check the run still holds the lease and extend it.
+// Reads, so it must come before the transaction's writes.
+async function renewLease(
+  tx: admin.firestore.Transaction,
+  ref: admin.firestore.DocumentReference,
+  runId: string
+): Promise<{ leaseExpiresAt: number }> {
+  const state = readState((await tx.get(ref)).data());
+  if (state.status !== 'running' || state.runId !== runId) {
+    throw new SyncLeaseLostError();
+  }
+  return { leaseExpiresAt: Date.now() + LEASE_MS };
+}
+
+// Helper: End the run with its outcome, unless another run has taken over by now
+async function releaseRun(
+  ref: admin.firestore.DocumentReference,
+  runId: string,
+  outcome: Record<string, unknown>
+): Promise<void> {
+  const released = await ref.firestore.runTransaction(async (tx) => {
+    const state = readState((await tx.get(ref)).data());
+    if (state.runId !== runId) return false;
+    tx.set(ref, { ...outcome, startedAt: null, runId: null, leaseExpiresAt: null }, { merge: true });
+    return true;
+  });
+  if (!released) {
+    console.warn('[gcal] Lost the sync lease before finishing; leaving the state to the newer run');
+  }
+}
+
+// Helper: Incremental pull; a full one when there is no token or Google expired it
+async function pullChanges(
+  ref: admin.firestore.DocumentReference,
+  calendar: calendar_v3.Calendar,
+  state: SyncState,
+  records: Map<string, EventRecord>
+): Promise<void> {
+  let { syncToken, pageToken } = state;
+
+  for (;;) {
+    let page: calendar_v3.Schema$Events;
+    try {
+      page = (await calendar.events.list({
+        calendarId: state.calendarId,
+        maxResults: PAGE_SIZE,
+        showDeleted: true,
+        ...(syncToken && { syncToken }),
+        ...(pageToken && { pageToken })
+      })).data;
+    } catch (error) {
+      if (statusOf(error) !== 410 || (!syncToken && !pageToken)) throw error;
+      // Token expired: start over with a full pull
+      console.warn('[gcal] Sync token expired, running a full pull');
+      syncToken = null;
+      pageToken = null;
+      await ref.set({ syncToken: null, pageToken: null }, { merge: true });
+      continue;
+    }
+
+    const updates = new Map<string, EventRecord>();
+    for (const event of page.items ?? []) {
+      const localId = event.extendedProperties?.private?.[SYNC_PROPERTY];
+      const updated = localId ? applyRemoteChange(records.get(localId), event) : null;
+      if (!updated || !localId) continue;
+      updates.set(localId, updated);
+    }
+
+    // Progress is saved per page, with the lease, so a failed pull resumes here
+    pageToken = page.nextPageToken ?? null;
+    const progress = pageToken
+      ? { pageToken }
+      : { pageToken: null, syncToken: page.nextSyncToken ?? syncToken };
+    await ref.firestore.runTransaction(async (tx) => {
+      const lease = await renewLease(tx, ref, state.runId!);
+      updates.forEach((record, localId) => tx.set(ref.collection('events').doc(localId), record));
+      tx.set(ref, { ...progress, ...lease }, { merge: true });
+    });
+    updates.forEach((record, localId) => records.set(localId, record));
+
+    if (!pageToken) return;
+  }
+}
+
+// Helper: Apply each event's plan to Google and record it
+async function pushChanges(
+  ref: admin.firestore.DocumentReference,
+  calendar: calendar_v3.Calendar,
+  state: SyncState,
+  records: Map<string, EventRecord>,
+  input: { events: LocalEvent[]; removed?: string[] | undefined; rule?: ConflictRule | undefined }
+): Promise<SyncResult> {
+  const result: SyncResult = {
+    created: 0, updated: 0, deleted: 0, unchanged: 0,
+    conflicts: [], changes: [], cancelled: [], results: [], errors: []
+  };
+
+  const { calendarId } = state;
+  const locals = new Map(input.events.map(event => [event.id, event]));
+  const ids = new Set(locals.keys());
+  (input.removed || []).forEach(id => {
+    if (records.has(id)) ids.add(id);
+  });
+
+  let pushed = 0;
+  for (const id of ids) {
+    if (pushed++ % PAGE_SIZE === 0) {
+      await ref.firestore.runTransaction(async (tx) => {
+        tx.set(ref, await renewLease(tx, ref, state.runId!), { merge: true });
+      });
+    }
+
+    const record = records.get(id);
+    const plan = planEvent(record, locals.get(id) ?? null, input.rule);
+    const googleId = record?.googleId ?? googleIdFor(id);
+
+    try {
+      let htmlLink = record?.htmlLink ?? null;
+      if (plan.action === 'create' || plan.action === 'update') {
+        htmlLink = await writeEvent(calendar, calendarId, googleId, id, plan.fields, plan.action === 'create');
+      } else if (plan.action === 'delete') {
+        await calendar.events.delete({ calendarId, eventId: googleId }).catch((error) => {
+          if (statusOf(error) !== 404 && statusOf(error) !== 410) throw error; // Already gone
+        });
+      }
+
+      if (plan.cancelled === 'local' && !record) continue; // Never synced, nothing to do
+
+      const next: EventRecord = {
+        localId: id,
+        googleId,
+        base: plan.fields,
+        remote: null,
+        remoteUpdatedAt: record?.remoteUpdatedAt ?? null,
+        cancelled: plan.cancelled,
+        htmlLink,
+        syncedAt: Date.now()
+      };
+      await ref.collection('events').doc(id).set(next);
+      records.set(id, next);
+
+      if (plan.action === 'create') result.created++;
+      else if (plan.action === 'update') result.updated++;
+      else if (plan.action === 'delete') result.deleted++;
+      else result.unchanged++;
+      result.conflicts.push(...plan.conflicts);
+      if (Object.keys(plan.localChanges).length > 0) result.changes.push({ id, fields: plan.localChanges });
+      if (plan.cancelled === 'remote' && locals.has(id)) result.cancelled.push(id);
+      result.results.push({ id, action: plan.action, googleId, htmlLink });
+
+    } catch (error) {
+      console.error('[gcal] Failed to sync event:', id, error);
+      result.errors.push({ id, error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  return result;
+}
+
+// Helper: Insert with the stable id, or update (and undelete) what is already there
+async function writeEvent(
+  calendar: calendar_v3.Calendar,
+  calendarId: string,
+  googleId: string,
+  localId: string,
+  fields: EventFields,
+  create: boolean
+): Promise<string | null> {
+  const requestBody: calendar_v3.Schema$Event = {
+    summary: fields.summary,
+    description: fields.description,
+    location: fields.location,
+    start: toGoogleTime(fields.start),
+    end: toGoogleTime(fields.end),
+    status: 'confirmed',
+    extendedProperties: { private: { [SYNC_PROPERTY]: localId } }
+  };
+
+  if (create) {
+    try {
+      const response = await calendar.events.insert({
+        calendarId,
+        requestBody: {
+          ...requestBody,
+          id: googleId,
+          reminders: {
+            useDefault: false,
+            overrides: [
+              { method: 'email', minutes: 24 * 60 }, // 1 day before
+              { method: 'popup', minutes: 60 }       // 1 hour before
+            ]
+          }
+        }
+      });
+      return response.data.htmlLink ?? null;
+    } catch (error) {
+      // An earlier run inserted it before failing, or it was deleted in Google
+      if (statusOf(error) !== 409) throw error;
+    }
+  }
+
+  const response = await calendar.events.patch({ calendarId, eventId: googleId, requestBody });
+  return response.data.htmlLink ?? null;
+}
+
+// Helper: Winner of a field both sides changed
+function conflictWinner(rule: ConflictRule, localUpdatedAt: number | null, remoteUpdatedAt: number | null): 'local' | 'remote' {
+  if (rule !== 'latest') return rule;
+  if (localUpdatedAt === null || remoteUpdatedAt === null) return 'local';
+  return remoteUpdatedAt > localUpdatedAt ? 'remote' : 'local';
+}
+
+// Helper: State document with defaults for a user who never synced
+function readState(data: admin.firestore.DocumentData | undefined): SyncState {
+  return {
+    calendarId: data?.['calendarId'] || 'primary',
+    syncToken: data?.['syncToken'] ?? null,
+    pageToken: data?.['pageToken'] ?? null,
+    status: data?.['status'] ?? 'idle',
+    startedAt: data?.['startedAt'] ?? null,
+    runId: data?.['runId'] ?? null,
+    leaseExpiresAt: data?.['leaseExpiresAt'] ?? null,
+    lastSyncAt: data?.['lastSyncAt'] ?? null,
+    lastError: data?.['lastError'] ?? null,
+    failures: data?.['failures'] ?? 0
+  };
+}
+
+// Helper: HTTP status of a Google API error
+function statusOf(error: unknown): number | undefined {
+  const err = error as { code?: unknown; response?: { status?: number } };
+  return err?.response?.status ?? (typeof err?.code === 'number' ? err.code : undefined);
+}
+
+function emptyFields(): EventFields {
+  return { summary: '', description: '', location: '', start: '', end: '' };
+}
+
+function toIso(value: string): string {
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? value : time.toISOString();
+}
+
+// Helper: All-day events have a date, the rest a date-time
+function toGoogleTime(value: string): calendar_v3.Schema$EventDateTime {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? { date: value }
+    : { dateTime: value, timeZone: DEFAULT_TIME_ZONE };
+}
@@ -14,9 +14,15 @@ import linkedinAuthRouter from "./linkedinAuth/router";
 import m2mRouter from "./routes/m2m-enhanced";
 import mtmRoutes from "./integrations/mtm/routes";
 import partiesRouter from "./routes/parties";
+import conferencesRouter from "./routes/conferences";
+import {getConference, getConferenceDays} from "./services/conferences";
 import invitesRouter from "./routes/invites";
 import invitesEnhancedRouter from "./routes/invites-enhanced";
+import inviteQuotaRouter from "./routes/invite-quota";
+import referralsRouter from "./routes/referrals";
 import adminRouter from "./routes/admin";
+import analyticsRouter from "./routes/analytics";
+import {guestCounts, isGroupInvite, resolveInvite} from "./services/invites";
 // import { runIngest } from "./jobs/ingest-parties"; // Temporarily disabled with scheduled function
 
 // EventData interface - kept for reference
@@ -104,14 +110,19 @@ app.use(async (req: any, _res, next) => {
   next();
 });
 
+// Quota routes are mounted first, so /quota/* is not read as an invite id
+app.use("/api/invites/quota", inviteQuotaRouter);
 // Use enhanced invites router for new functionality
 app.use("/api/invites", invitesEnhancedRouter);
 // Keep old invites router as fallback at different path if needed
 app.use("/api/invites-legacy", invitesRouter);
+app.use("/api/referral", referralsRouter);
 app.use("/api/admin", adminRouter);
 app.use("/api", googleCalendarRouter);
 app.use("/api", linkedinAuthRouter);
 app.use("/api/parties", partiesRouter);
+app.use("/api/conferences", conferencesRouter);
+app.use("/api/analytics", analyticsRouter);
 
 // Party days endpoint - returns available days with events
 app.get("/api/party-days", async (req, res) => {
@@ -121,14 +132,18 @@ app.get("/api/party-days", async (req, res) => {
       return res.status(400).json({ error: "conference parameter required" });
     }
     
-    // For now, return static days for Gamescom 2025
-    const days = [
-      { date: "2025-08-20", label: "Wed, Aug 20" },
-      { date: "2025-08-21", label: "Thu, Aug 21" },
-      { date: "2025-08-22", label: "Fri, Aug 22" },
-      { date: "2025-08-23", label: "Sat, Aug 23" },
-      { date: "2025-08-24", label: "Sun, Aug 24" }
-    ];
+    const conferenceInfo = getConference(conference);
+    if (!conferenceInfo) {
+      return res.status(404).json({ error: "unknown_conference" });
+    }
+    
+    // Conference days from the registry, labelled like "Wed, Aug 20"
+    const days = getConferenceDays(conferenceInfo).map(date => ({
+      date,
+      label: new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+        weekday: "short", month: "short", day: "numeric", timeZone: "UTC"
+      })
+    }));
     
     return res.json(days);
   } catch (error) {
@@ -261,16 +276,20 @@ app.get("/i/:code", async (req, res) => {
   try {
     const { code } = req.params;
     
-    // Try to resolve the code to a token
-    const resolveUrl = `https://${req.headers.host}/api/invites/public/resolve/${code}`;
-    const resolveResponse = await fetch(resolveUrl);
+    // Resolve the code to a token, whichever invite API issued it
+    const { invite, state } = await resolveInvite(code);
+    const token = invite?.token;
     
-    if (!resolveResponse.ok) {
+    if (!token || state === 'not_found' || state === 'revoked' || state === 'expired') {
       // If code not found or expired, redirect to home with error
       return res.redirect('/?error=invalid_invite');
     }
     
-    const { token } = await resolveResponse.json() as { token: string };
+    // Group invites show how many spots are left (a full one still takes a waitlist)
+    if (isGroupInvite(invite)) {
+      const { capacity, remaining, waitlisted } = guestCounts(invite);
+      return res.redirect(`/invite/${token}?capacity=${capacity}&remaining=${remaining}&waitlist=${waitlisted}`);
+    }
     
     // Redirect to the invite page with the token
     return res.redirect(`/invite/${token}`);
@@ -366,7 +385,7 @@ export const api = onRequest({
 //   console.log("[ingestParties] Scheduled ingestion started");
 //   
 //   try {
-//     const result = await runIngest();
+//     const result = await runIngest({ trigger: "scheduled" });
 //     console.log("[ingestParties] Scheduled ingestion completed:", result);
 //     // Don't return value, just log
 //   } catch (error) {
@@ -377,3 +396,6 @@ export const api = onRequest({
 
 // Export MTM scheduler (if Cloud Scheduler is enabled)
 export { ingestMeetToMatch } from './schedulers/mtm';
+
+// Works through queued invite migrations (POST /api/invites/migrate)
+export { migrateInvites } from './jobs/migrate-invites';
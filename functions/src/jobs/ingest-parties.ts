@@ -1,152 +1,418 @@
 import * as admin from "firebase-admin";
-import { fetchLive, isValidParty } from "../services/parties-live";
+import { Response } from "express";
+import { AuthenticatedRequest, requireAuth, requireRole, UserRole } from "../middleware/admin-auth";
+import { changeLogId, isValidParty } from "../services/parties-live";
+import { Conference, getConference, listConferences } from "../services/conferences";
+import {
+  fetchFromSources,
+  getPartySources,
+  resolveConflicts,
+  SourceFetchResult
+} from "../services/party-sources";
+import {
+  diffParties,
+  PartyChange,
+  PartyChangeType,
+  partyContentHash,
+  StoredParty,
+  summarizeChanges,
+  withoutUnsafeRemovals
+} from "../services/party-diff";
 
 // Initialize Firestore lazily
 function getDb() {
   return admin.firestore();
 }
 
-/**
- * Ingests party data from live source into Firestore
- * Uses composite key: {conference}:{externalId} for document IDs
- */
-export async function runIngest(): Promise<{ 
-  success: boolean; 
-  ingested: number; 
+// One ingestion at a time; a crashed run's lock expires after this long
+const LOCK_LEASE_MS = 10 * 60 * 1000;
+
+export interface ConferenceIngestResult {
+  conference: string;
+  ingested: number;
+  errors: number;
+  invalid: number;       // rows skipped by date/time validation, see sources[].validationErrors
+  sources: SourceFetchResult[];
+  changes: Record<PartyChangeType, number>;
+  diff?: Array<{ type: PartyChangeType; docId: string; title: string; changedFields?: string[] }>;
+}
+
+export interface IngestOptions {
+  conference?: string;   // single conference; all conferences with sources when omitted
+  dryRun?: boolean;      // compute and return the diff without writing anything
+  trigger?: "manual" | "scheduled";
+  triggeredBy?: { uid: string; email?: string; role?: string };
+}
+
+export interface IngestResult {
+  success: boolean;
+  runId: string;
+  dryRun: boolean;
+  locked?: boolean;      // another ingestion was already running
+  ingested: number;
   errors: number;
+  conferences: ConferenceIngestResult[];
   message: string;
-}> {
-  const startTime = Date.now();
-  let ingested = 0;
+}
+
+function getLockRef() {
+  return getDb().collection('metadata').doc('parties_ingestion_lock');
+}
+
+/**
+ * Takes the ingestion lock unless another run holds an unexpired one
+ */
+async function acquireLock(runId: string): Promise<boolean> {
+  return getDb().runTransaction(async tx => {
+    const lock = await tx.get(getLockRef());
+    const expiresAt = lock.data()?.['expiresAt'];
+    if (lock.exists && expiresAt && Date.parse(expiresAt) > Date.now()) {
+      return false;
+    }
+    tx.set(getLockRef(), {
+      runId,
+      acquiredAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + LOCK_LEASE_MS).toISOString()
+    });
+    return true;
+  });
+}
+
+async function releaseLock(runId: string): Promise<void> {
+  try {
+    await getDb().runTransaction(async tx => {
+      const lock = await tx.get(getLockRef());
+      if (lock.data()?.['runId'] === runId) {
+        tx.delete(getLockRef());
+      }
+    });
+  } catch (error) {
+    console.error("[ingest-parties] Failed to release lock:", error);
+  }
+}
+
+/**
+ * Records a run in ingestion_history: who triggered it, how long it took and
+ * what each source returned
+ */
+async function recordHistory(result: IngestResult, options: IngestOptions, startedAt: number): Promise<void> {
+  try {
+    await getDb().collection('ingestion_history').doc(result.runId).set({
+      runId: result.runId,
+      trigger: options.trigger || "manual",
+      triggeredBy: options.triggeredBy || null,
+      conference: options.conference || null,
+      dryRun: result.dryRun,
+      locked: result.locked || false,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      success: result.success,
+      ingested: result.ingested,
+      errors: result.errors,
+      message: result.message,
+      conferences: result.conferences.map(({ diff: _diff, ...rest }) => rest)
+    });
+  } catch (error) {
+    console.error("[ingest-parties] Failed to record history:", error);
+  }
+}
+
+/**
+ * Loads every stored party for a conference, tombstones included
+ */
+async function loadStoredParties(conferenceId: string): Promise<StoredParty[]> {
+  const snapshot = await getDb().collection('parties')
+    .where('conference', '==', conferenceId)
+    .get();
+  return snapshot.docs.map(doc => ({ ...doc.data(), _docId: doc.id } as StoredParty));
+}
+
+/**
+ * Writes the diff: upserts added/changed parties, tombstones removed ones and
+ * appends one change-log entry per non-unchanged party
+ */
+async function applyChanges(changes: PartyChange[], runAt: string): Promise<void> {
+  const db = getDb();
+  const changeLog = db.collection('metadata').doc('parties_ingestion').collection('changes');
+
+  // Each change takes two writes; stay under the 500-write batch limit
+  const batchSize = 200;
+  let batch = db.batch();
+  let batchCount = 0;
+  let seq = 0;
+
+  for (const change of changes) {
+    if (change.type === "unchanged") continue;
+
+    const docRef = db.collection('parties').doc(change.docId);
+    if (change.type === "removed") {
+      batch.set(docRef, { deleted: true, deletedAt: runAt, lastUpdated: runAt }, { merge: true });
+    } else {
+      batch.set(docRef, {
+        ...change.party,
+        fingerprint: change.fingerprint,
+        contentHash: partyContentHash(change.party),
+        deleted: false,
+        lastUpdated: runAt,
+        _docId: change.docId // Store the doc ID for reference
+      });
+    }
+
+    batch.set(changeLog.doc(changeLogId(change.party.conference, runAt, seq++)), {
+      conference: change.party.conference,
+      docId: change.docId,
+      fingerprint: change.fingerprint,
+      change: change.type,
+      ...(change.changedFields && { changedFields: change.changedFields }),
+      changedAt: runAt
+    });
+
+    batchCount++;
+    // Commit batch if we hit the limit; a committed batch can't be reused
+    if (batchCount >= batchSize) {
+      await batch.commit();
+      console.log(`[ingest-parties] Committed batch of ${batchCount} changes`);
+      batch = db.batch();
+      batchCount = 0;
+    }
+  }
+
+  // Commit remaining batch
+  if (batchCount > 0) {
+    await batch.commit();
+    console.log(`[ingest-parties] Committed final batch of ${batchCount} changes`);
+  }
+}
+
+/**
+ * Ingests one conference from all of its sources into Firestore
+ */
+async function ingestConference(conference: Conference, dryRun: boolean): Promise<ConferenceIngestResult> {
   let errors = 0;
-  
+
+  // Fetch from every source, then keep the highest-priority copy of each party
+  const { parties: fetched, results: sources } = await fetchFromSources(conference, getPartySources(conference));
+  const resolved = resolveConflicts(fetched);
+  errors += sources.filter(s => s.error).length;
+  const invalid = sources.reduce((sum, s) => sum + s.invalid, 0);
+  console.log(`[ingest-parties] Fetched ${fetched.length} ${conference.id} parties from ${sources.length} source(s), ` +
+    `${resolved.length} after resolving conflicts`);
+
+  // Validate party data
+  const parties = resolved.filter(party => {
+    if (isValidParty(party)) return true;
+    console.warn("[ingest-parties] Skipping invalid party:", party);
+    errors++;
+    return false;
+  });
+
+  // Never tombstone on partial data
+  const {changes, skipped} = withoutUnsafeRemovals(
+    diffParties(parties, await loadStoredParties(conference.id)),
+    {errors, invalid, parties: parties.length}
+  );
+  if (skipped > 0) {
+    console.warn(`[ingest-parties] Incomplete fetch for ${conference.id} (${errors} errors, ${invalid} invalid rows), ` +
+      `not tombstoning ${skipped} parties`);
+  }
+
+  const summary = summarizeChanges(changes);
+  console.log(`[ingest-parties] ${conference.id}${dryRun ? " (dry run)" : ""}: ${summary.added} added, ` +
+    `${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.removed} removed`);
+
+  if (dryRun) {
+    const diff = changes
+      .filter(c => c.type !== "unchanged")
+      .map(c => ({
+        type: c.type,
+        docId: c.docId,
+        title: c.party.title,
+        ...(c.changedFields && { changedFields: c.changedFields })
+      }));
+    return { conference: conference.id, ingested: parties.length, errors, invalid, sources, changes: summary, diff };
+  }
+
+  await applyChanges(changes, new Date().toISOString());
+
+  return { conference: conference.id, ingested: parties.length, errors, invalid, sources, changes: summary };
+}
+
+/**
+ * Ingests party data from live sources into Firestore
+ * Uses composite key: {conference}:{fingerprint} for document IDs
+ * Ingests a single conference when one is given, otherwise every registered
+ * conference that has sources. Holds the ingestion lock for the whole run
+ * (dry runs don't write, so they skip it) and records every run in
+ * ingestion_history.
+ */
+export async function runIngest(options: IngestOptions = {}): Promise<IngestResult> {
+  const startTime = Date.now();
+  const runId = `${new Date(startTime).toISOString()}_${Math.random().toString(36).substring(2, 8)}`;
+  const dryRun = options.dryRun === true;
+  const results: ConferenceIngestResult[] = [];
+  const ingested = () => results.reduce((sum, r) => sum + r.ingested, 0);
+  const errors = () => results.reduce((sum, r) => sum + r.errors, 0);
+
+  if (!dryRun && !(await acquireLock(runId))) {
+    console.warn("[ingest-parties] Another ingestion is running, skipping");
+    const result: IngestResult = {
+      success: false,
+      runId,
+      dryRun,
+      locked: true,
+      ingested: 0,
+      errors: 0,
+      conferences: [],
+      message: "Another ingestion is already running"
+    };
+    await recordHistory(result, options, startTime);
+    return result;
+  }
+
+  const finish = async (result: IngestResult): Promise<IngestResult> => {
+    if (!dryRun) await releaseLock(runId);
+    await recordHistory(result, options, startTime);
+    return result;
+  };
+
   try {
-    console.log("[ingest-parties] Starting ingestion job");
-    
-    // Fetch live data
-    const parties = await fetchLive();
-    console.log(`[ingest-parties] Fetched ${parties.length} parties to ingest`);
-    
-    if (parties.length === 0) {
-      return {
+    console.log(`[ingest-parties] Starting ingestion job ${runId}${dryRun ? " (dry run)" : ""}`);
+
+    let targets: Conference[];
+    if (options.conference) {
+      const conference = getConference(options.conference);
+      if (!conference) {
+        throw new Error(`Unknown conference: ${options.conference}`);
+      }
+      targets = [conference];
+    } else {
+      targets = listConferences().filter(c => c.sheet || c.sources);
+    }
+
+    for (const conference of targets) {
+      results.push(await ingestConference(conference, dryRun));
+    }
+
+    const changed = results.reduce((sum, r) => sum + r.changes.added + r.changes.changed + r.changes.removed, 0);
+    const duration = Date.now() - startTime;
+
+    if (dryRun) {
+      return finish({
+        success: true,
+        runId,
+        dryRun,
+        ingested: ingested(),
+        errors: errors(),
+        conferences: results,
+        message: `Dry run: ${changed} changes across ${results.length} conference(s) in ${duration}ms`
+      });
+    }
+
+    if (ingested() === 0 && errors() === 0) {
+      return finish({
         success: true,
+        runId,
+        dryRun,
         ingested: 0,
         errors: 0,
+        conferences: results,
         message: "No parties to ingest"
-      };
-    }
-    
-    // Batch write for better performance
-    const batch = getDb().batch();
-    const batchSize = 500; // Firestore batch limit
-    let batchCount = 0;
-    
-    for (const party of parties) {
-      try {
-        // Validate party data
-        if (!isValidParty(party)) {
-          console.warn("[ingest-parties] Skipping invalid party:", party);
-          errors++;
-          continue;
-        }
-        
-        // Create document ID from conference and external ID
-        const docId = `${party.conference}:${party.externalId}`;
-        const docRef = getDb().collection('parties').doc(docId);
-        
-        // Upsert party data
-        batch.set(docRef, {
-          ...party,
-          lastUpdated: new Date().toISOString(),
-          _docId: docId // Store the doc ID for reference
-        }, { merge: true });
-        
-        ingested++;
-        batchCount++;
-        
-        // Commit batch if we hit the limit
-        if (batchCount >= batchSize) {
-          await batch.commit();
-          console.log(`[ingest-parties] Committed batch of ${batchCount} parties`);
-          batchCount = 0;
-        }
-        
-      } catch (error) {
-        console.error("[ingest-parties] Error processing party:", error, party);
-        errors++;
-      }
-    }
-    
-    // Commit remaining batch
-    if (batchCount > 0) {
-      await batch.commit();
-      console.log(`[ingest-parties] Committed final batch of ${batchCount} parties`);
+      });
     }
-    
-    // Update ingestion metadata
+
+    // Update ingestion metadata, keeping per-conference results side by side
+    const lastRun = new Date().toISOString();
     await getDb().collection('metadata').doc('parties_ingestion').set({
-      lastRun: new Date().toISOString(),
+      lastRun,
+      ...(changed > 0 && { lastChangeAt: lastRun }),
+      lastRunId: runId,
       lastRunDuration: Date.now() - startTime,
-      partiesIngested: ingested,
-      errors: errors,
-      success: true
-    });
-    
-    const duration = Date.now() - startTime;
-    const message = `Ingested ${ingested} parties in ${duration}ms (${errors} errors)`;
+      partiesIngested: ingested(),
+      errors: errors(),
+      success: true,
+      lastError: null,
+      conferences: Object.fromEntries(results.map(r => [r.conference, { ...r, lastRun }]))
+    }, { merge: true });
+
+    const message = `Ingested ${ingested()} parties across ${results.length} conference(s) ` +
+      `in ${duration}ms (${changed} changes, ${errors()} errors)`;
     console.log(`[ingest-parties] ${message}`);
-    
-    return {
+
+    return finish({
       success: true,
-      ingested,
-      errors,
+      runId,
+      dryRun,
+      ingested: ingested(),
+      errors: errors(),
+      conferences: results,
       message
-    };
-    
+    });
+
   } catch (error) {
     const errorMsg = error instanceof Error ? error.message : String(error);
     console.error("[ingest-parties] Job failed:", errorMsg);
-    
+
     // Log failure to metadata
-    try {
-      await getDb().collection('metadata').doc('parties_ingestion').set({
-        lastRun: new Date().toISOString(),
-        lastRunDuration: Date.now() - startTime,
-        partiesIngested: ingested,
-        errors: errors,
-        success: false,
-        lastError: errorMsg
-      });
-    } catch (metaError) {
-      console.error("[ingest-parties] Failed to update metadata:", metaError);
+    if (!dryRun) {
+      try {
+        await getDb().collection('metadata').doc('parties_ingestion').set({
+          lastRun: new Date().toISOString(),
+          lastRunId: runId,
+          lastRunDuration: Date.now() - startTime,
+          partiesIngested: ingested(),
+          errors: errors(),
+          success: false,
+          lastError: errorMsg
+        }, { merge: true });
+      } catch (metaError) {
+        console.error("[ingest-parties] Failed to update metadata:", metaError);
+      }
     }
-    
-    return {
+
+    return finish({
       success: false,
-      ingested,
-      errors: errors + 1,
+      runId,
+      dryRun,
+      ingested: ingested(),
+      errors: errors() + 1,
+      conferences: results,
       message: `Job failed: ${errorMsg}`
-    };
+    });
   }
 }
 
 /**
- * Manual trigger endpoint for testing
+ * Lists the most recent ingestion runs, newest first
  */
-export async function triggerIngest(_req: any, res: any): Promise<void> {
-  try {
-    // Optional: Add auth check here
-    // if (!req.headers.authorization?.includes('secret-key')) {
-    //   return res.status(401).json({ error: 'Unauthorized' });
-    // }
-    
-    const result = await runIngest();
-    res.json(result);
-  } catch (error) {
-    console.error("[ingest-parties] Trigger error:", error);
-    res.status(500).json({ 
-      error: 'Ingestion failed', 
-      details: error instanceof Error ? error.message : String(error)
-    });
-  }
-}
\ No newline at end of file
+export async function getIngestHistory(limit = 20): Promise<Record<string, any>[]> {
+  const snapshot = await getDb().collection('ingestion_history')
+    .orderBy('startedAt', 'desc')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Manual trigger endpoint (plain HTTP function), admin-only
+ * Accepts ?conference= and ?dryRun=true
+ */
+export async function triggerIngest(req: AuthenticatedRequest, res: Response): Promise<void> {
+  requireAuth(req, res, () => requireRole(UserRole.ADMIN)(req, res, async () => {
+    try {
+      const result = await runIngest({
+        ...(typeof req.query['conference'] === 'string' && { conference: req.query['conference'] }),
+        dryRun: req.query['dryRun'] === 'true',
+        trigger: "manual",
+        ...(req.user && { triggeredBy: { uid: req.user.uid, email: req.user.email, role: req.user.role } })
+      });
+      res.status(result.locked ? 409 : 200).json(result);
+    } catch (error) {
+      console.error("[ingest-parties] Trigger error:", error);
+      res.status(500).json({
+        error: 'Ingestion failed',
+        details: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }));
+}
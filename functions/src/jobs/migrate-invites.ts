@@ -0,0 +1,282 @@
+import * as admin from "firebase-admin";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {
+  detectSource,
+  INVITE_SCHEMA_VERSION,
+  INVITES_COLLECTION,
+  InviteSource,
+  migrateInviteData,
+} from "../services/invites";
+
+// Initialize Firestore lazily
+function getDb() {
+  return admin.firestore();
+}
+
+export const INVITE_MIGRATIONS_COLLECTION = "invite_migrations";
+
+const PAGE_SIZE = 300;
+const SLICE_BUDGET_MS = 7 * 60 * 1000; // Of the trigger's 9 minutes; the rest is for saving progress
+const MAX_ERRORS = 100; // Kept on the run document
+// Longer than the trigger's timeout, so a slice that is still running always
+// holds its lease; one that crashed or timed out lets it lapse
+const LEASE_MS = 10 * 60 * 1000;
+
+export type InviteMigrationStatus = "queued" | "running" | "completed" | "failed";
+
+export interface InviteMigrationOptions {
+  dryRun?: boolean;      // count what would change without writing anything
+  limit?: number;        // stop after this many documents were migrated
+  triggeredBy?: { uid: string; email?: string | undefined; role?: string | undefined };
+}
+
+export interface InviteMigrationResult {
+  success: boolean;
+  runId: string;
+  status: InviteMigrationStatus;
+  dryRun: boolean;
+  limit: number | null;
+  cursor: string | null;  // Last invite id scanned; the next slice starts after it
+  scanned: number;
+  migrated: number;      // rewritten (or, in a dry run, would be)
+  current: number;       // already on the current schema
+  failed: number;
+  bySource: Record<InviteSource, number>;
+  errors: Array<{ id: string; error: string }>;
+  message: string;
+  createdAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+  leaseExpiresAt: string | null; // While a slice is running
+  triggeredBy?: InviteMigrationOptions["triggeredBy"];
+}
+
+/**
+ * Queue a migration run; the migrateInvites trigger works through it in
+ * slices, recording progress on `invite_migrations/{runId}`
+ */
+export async function queueInviteMigration(options: InviteMigrationOptions = {}): Promise<InviteMigrationResult> {
+  const now = new Date().toISOString();
+  const run: InviteMigrationResult = {
+    success: true,
+    runId: `invites_${Date.now()}`,
+    status: "queued",
+    dryRun: options.dryRun === true,
+    limit: options.limit ?? null,
+    cursor: null,
+    scanned: 0,
+    migrated: 0,
+    current: 0,
+    failed: 0,
+    bySource: {enhanced: 0, legacy: 0, service: 0},
+    errors: [],
+    message: "Queued",
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    leaseExpiresAt: null,
+    ...(options.triggeredBy && {triggeredBy: options.triggeredBy}),
+  };
+
+  await getDb().collection(INVITE_MIGRATIONS_COLLECTION).doc(run.runId).set(run);
+  console.log(`[migrate-invites] Queued ${run.runId}${run.dryRun ? " (dry run)" : ""}`);
+  return run;
+}
+
+export async function getInviteMigration(runId: string): Promise<InviteMigrationResult | null> {
+  const doc = await getDb().collection(INVITE_MIGRATIONS_COLLECTION).doc(runId).get();
+  return doc.exists ? doc.data() as InviteMigrationResult : null;
+}
+
+/**
+ * A running run whose slice crashed or timed out: its lease lapsed without
+ * the slice saving progress. Runs from before leases count once they are idle
+ * for as long as a lease.
+ */
+export function isStaleInviteMigration(run: InviteMigrationResult, now: number = Date.now()): boolean {
+  if (run.status !== "running") return false;
+  const expiresAt = run.leaseExpiresAt ? Date.parse(run.leaseExpiresAt) : Date.parse(run.updatedAt) + LEASE_MS;
+  return expiresAt <= now;
+}
+
+/**
+ * Queue a stale run again, so the next slice picks up from its last saved
+ * cursor. Resolves to null when the run doesn't exist, and leaves runs that
+ * aren't stale alone.
+ */
+export async function resumeInviteMigration(
+  runId: string
+): Promise<{ run: InviteMigrationResult; resumed: boolean } | null> {
+  const db = getDb();
+  const runRef = db.collection(INVITE_MIGRATIONS_COLLECTION).doc(runId);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(runRef);
+    const run = doc.data() as InviteMigrationResult | undefined;
+    if (!run) return null;
+    if (!isStaleInviteMigration(run)) return {run, resumed: false};
+
+    const resumed: InviteMigrationResult = {
+      ...run,
+      status: "queued",
+      leaseExpiresAt: null,
+      message: `Resumed after ${run.scanned} invites`,
+      updatedAt: new Date().toISOString(),
+    };
+    tx.set(runRef, resumed);
+    console.log(`[migrate-invites] Resumed stale ${runId}`);
+    return {run: resumed, resumed: true};
+  });
+}
+
+/**
+ * Run one slice of a queued migration: rewrite invites that are not on the
+ * current schema from where the last slice stopped, until the budget runs
+ * out, then queue the rest (which triggers the next slice) or complete.
+ * Idempotent: documents are re-checked inside a transaction before writing,
+ * so re-runs and invites upgraded concurrently by a route are skipped.
+ */
+export async function runInviteMigrationSlice(runId: string, budgetMs: number = SLICE_BUDGET_MS): Promise<void> {
+  const db = getDb();
+  const runRef = db.collection(INVITE_MIGRATIONS_COLLECTION).doc(runId);
+
+  // Claim the run under a lease, so a redelivered trigger doesn't start a
+  // second slice while this one runs, but a stale run can be taken over
+  const run = await db.runTransaction(async tx => {
+    const doc = await tx.get(runRef);
+    const data = doc.data() as InviteMigrationResult | undefined;
+    if (!data || !(data.status === "queued" || isStaleInviteMigration(data))) return null;
+    tx.update(runRef, {
+      status: "running",
+      leaseExpiresAt: new Date(Date.now() + LEASE_MS).toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    return data;
+  });
+  if (!run) return;
+
+  const deadline = Date.now() + budgetMs;
+  const limitReached = () => run.limit !== null && run.migrated >= run.limit;
+  let done = false;
+
+  try {
+    while (!limitReached() && Date.now() < deadline) {
+      let query = db.collection(INVITES_COLLECTION)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(PAGE_SIZE);
+      if (run.cursor) query = query.startAfter(run.cursor);
+
+      const page = await query.get();
+      if (page.empty) {
+        done = true;
+        break;
+      }
+
+      for (const doc of page.docs) {
+        if (limitReached()) break;
+        run.scanned++;
+        run.cursor = doc.id;
+
+        const data = doc.data();
+        if (Number(data["schemaVersion"]) >= INVITE_SCHEMA_VERSION) {
+          run.current++;
+          continue;
+        }
+
+        try {
+          const migrated = run.dryRun || await migrateOne(doc.ref);
+          if (migrated) {
+            run.migrated++;
+            run.bySource[detectSource(data)]++;
+          } else {
+            run.current++;
+          }
+        } catch (error) {
+          run.failed++;
+          if (run.errors.length < MAX_ERRORS) {
+            run.errors.push({id: doc.id, error: error instanceof Error ? error.message : String(error)});
+          }
+        }
+      }
+    }
+    done = done || limitReached();
+  } catch (error) {
+    console.error(`[migrate-invites] ${runId} failed:`, error);
+    await runRef.update({
+      ...progressOf(run),
+      success: false,
+      status: "failed",
+      message: `Failed after ${run.scanned} invites: ${error instanceof Error ? error.message : String(error)}`,
+      completedAt: new Date().toISOString(),
+    });
+    return;
+  }
+
+  if (!done) {
+    await runRef.update({
+      ...progressOf(run),
+      status: "queued",
+      message: `${run.dryRun ? "Would migrate" : "Migrated"} ${run.migrated} of ${run.scanned} invites so far`,
+    });
+    return;
+  }
+
+  const completedAt = new Date().toISOString();
+  const message = `${run.dryRun ? "Would migrate" : "Migrated"} ${run.migrated} of ${run.scanned} invites` +
+    ` (${run.current} already current, ${run.failed} failed)`;
+  console.log(`[migrate-invites] ${runId}: ${message}`);
+  await runRef.update({...progressOf(run), success: run.failed === 0, status: "completed", message, completedAt});
+
+  if (!run.dryRun) {
+    await db.collection("metadata").doc("invites_migration").set({
+      runId,
+      schemaVersion: INVITE_SCHEMA_VERSION,
+      completedAt,
+      scanned: run.scanned,
+      migrated: run.migrated,
+      failed: run.failed,
+      bySource: run.bySource,
+      ...(run.triggeredBy && {triggeredBy: run.triggeredBy}),
+    });
+  }
+}
+
+/**
+ * Runs a slice whenever a migration is queued, including by the previous slice
+ */
+export const migrateInvites = onDocumentWritten({
+  document: `${INVITE_MIGRATIONS_COLLECTION}/{runId}`,
+  timeoutSeconds: 540,
+}, async event => {
+  if (event.data?.after.data()?.["status"] !== "queued") return;
+  await runInviteMigrationSlice(event.params.runId);
+});
+
+// Helper: The counters and cursor a slice saves when it stops, giving up its lease
+function progressOf(run: InviteMigrationResult): Partial<InviteMigrationResult> {
+  return {
+    cursor: run.cursor,
+    leaseExpiresAt: null,
+    scanned: run.scanned,
+    migrated: run.migrated,
+    current: run.current,
+    failed: run.failed,
+    bySource: run.bySource,
+    errors: run.errors,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Returns false when the invite was already upgraded by the time we got to it
+async function migrateOne(ref: admin.firestore.DocumentReference): Promise<boolean> {
+  return getDb().runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return false;
+
+    const migrated = migrateInviteData(doc.id, doc.data() ?? {});
+    if (!migrated) return false;
+
+    tx.set(ref, migrated);
+    return true;
+  });
+}
@@ -18,6 +18,7 @@ import {
 } from './attendee-types';
 import { Timestamp, FieldValue } from 'firebase-admin/firestore';
 import { db, storage } from '../services/firebase-init';
+import { experimentManager } from './experiments';
 
 // Zod schema for attendee validation
 const AttendeeSchema = z.object({
@@ -178,6 +179,11 @@ export class AttendeeIngestService {
       // Trigger light recompute for this pair
       await this.enqueuePairRecompute(fromActorId, toActorId);
 
+      // A scan between matched actors counts as the match being acted on
+      await experimentManager.recordOutcome('badge_scan', fromActorId, toActorId, 'badge-scan').catch(error => {
+        console.warn('[AttendeeIngest] Failed to record scan outcome:', error);
+      });
+
       console.log(`[AttendeeIngest] Scan processed: ${fromActorId} -> ${toActorId}`);
       return scan;
 
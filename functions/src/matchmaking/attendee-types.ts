@@ -35,6 +35,7 @@ export interface Attendee {
     meetingDurations: number[]; // [15, 30] minutes
     availability: AvailabilitySlot[];
     meetingLocations: string[]; // Expo, Cabanas, Quiet
+    maxMeetingsPerDay?: number;
   };
   scanStats: {
     scansGiven: number;
@@ -101,7 +102,9 @@ export interface Meeting {
   fromActorId: string;
   toActorId: string;
   requestedSlots: string[]; // ["2025-09-15T10:00/30m"]
+  requestedDays?: string[]; // ["2025-09-15"], derived from requestedSlots for day queries
   chosenSlot?: string;
+  location?: string; // One of MEETING_LOCATIONS, set when scheduled
   status: 'requested' | 'accepted' | 'declined' | 'scheduled' | 'completed' | 'cancelled';
   notes?: string;
   createdAt: Timestamp;
@@ -159,6 +162,47 @@ export interface ScanIngestRequest {
   timestamp?: string;
 }
 
+// A meeting placed by MeetingScheduler.autoPackMeetings
+export interface PackedMeeting {
+  meetingId: string;
+  slot: string;
+  start: string; // HH:MM
+  end: string; // HH:MM
+  location: string;
+  score: number;
+}
+
+export type UnscheduledReason =
+  | 'no_slot_on_day'
+  | 'invalid_slot'
+  | 'outside_availability'
+  | 'max_meetings'
+  | 'conflict'
+  | 'search_limit';
+
+// Why a request was left out of the packed schedule
+export interface UnscheduledRequest {
+  meetingId: string;
+  score: number;
+  reason: UnscheduledReason;
+  message: string;
+  actors?: string[]; // Who the reason applies to
+  blockedBy?: Array<{ slot: string; meetingId: string; actorId: string; kind: 'overlap' | 'travel' | 'capacity' }>;
+}
+
+// Result of MeetingScheduler.autoPackMeetings
+export interface AutoPackReport {
+  day: string;
+  dryRun: boolean;
+  totalRequests: number;
+  scheduled: number;
+  conflicts: number; // Requests left unscheduled
+  totalScore: number;
+  optimal: boolean; // false if any group of requests hit the search limit
+  assignments: PackedMeeting[];
+  unscheduled: UnscheduledRequest[];
+}
+
 // Meeting request parameters
 export interface MeetingRequest {
   fromActorId: string;
@@ -224,6 +268,23 @@ export const MEETING_LOCATIONS = [
   'Virtual'
 ];
 
+// Walking time between meeting locations (minutes), one direction listed per pair
+export const MEETING_LOCATION_WALK_MINUTES: Record<string, Record<string, number>> = {
+  'Expo Floor': { 'Cabanas': 10, 'Quiet Zone': 10, 'Meeting Rooms': 10, 'Lounge': 5, 'Coffee Area': 5 },
+  'Cabanas': { 'Quiet Zone': 15, 'Meeting Rooms': 15, 'Lounge': 10, 'Coffee Area': 10 },
+  'Quiet Zone': { 'Meeting Rooms': 5, 'Lounge': 10, 'Coffee Area': 10 },
+  'Meeting Rooms': { 'Lounge': 10, 'Coffee Area': 10 },
+  'Lounge': { 'Coffee Area': 5 }
+};
+
+// Time to find somewhere to take a call, to or from any physical location
+export const VIRTUAL_MEETING_BUFFER_MINUTES = 5;
+
+// Used when neither party has location preferences
+export const DEFAULT_MEETING_LOCATION = 'Meeting Rooms';
+
+export const DEFAULT_MAX_MEETINGS_PER_DAY = 8;
+
 // Default meeting durations (minutes)
 export const DEFAULT_MEETING_DURATIONS = [15, 30, 45, 60];
 
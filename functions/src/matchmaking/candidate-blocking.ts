@@ -0,0 +1,125 @@
+/**
+ * Candidate Blocking - Pre-filters which pairs are worth scoring
+ * Companies are indexed by the dimensions that drive most of the score
+ * (platforms, markets, categories, capability→need). Only companies that
+ * share at least one block are compared, instead of every pair.
+ */
+
+import { Company } from './types';
+
+export const DEFAULT_MAX_CANDIDATES = 1000;
+
+export type BlockingIndex = Map<string, Set<string>>;
+
+function normalize(value: string): string {
+  return String(value).trim().toLowerCase();
+}
+
+// Keys a company is filed under. Capabilities and needs share a namespace so
+// one company's capability lands in the same block as another's need.
+function blockingKeys(company: Company): { own: string[]; lookup: string[] } {
+  const own: string[] = [];
+  const lookup: string[] = [];
+
+  const shared = (prefix: string, values?: string[]) => {
+    (values || []).forEach(value => {
+      const key = `${prefix}:${normalize(value)}`;
+      own.push(key);
+      lookup.push(key);
+    });
+  };
+
+  shared('platform', company.platforms);
+  shared('market', company.markets);
+  shared('category', company.categories);
+
+  (company.capabilities || []).forEach(value => {
+    own.push(`cap:${normalize(value)}`);
+    lookup.push(`need:${normalize(value)}`);
+  });
+  (company.needs || []).forEach(value => {
+    own.push(`need:${normalize(value)}`);
+    lookup.push(`cap:${normalize(value)}`);
+  });
+
+  return { own, lookup };
+}
+
+/**
+ * Builds the inverted index from blocking key to company ids
+ */
+export function buildBlockingIndex(companies: Company[]): BlockingIndex {
+  const index: BlockingIndex = new Map();
+
+  companies.forEach(company => {
+    blockingKeys(company).own.forEach(key => {
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key)!.add(company.id);
+    });
+  });
+
+  return index;
+}
+
+// Ids of companies sharing at least one block with `company`, most shared
+// blocks first. Capabilities match needs in both directions, so a pair
+// shares as many blocks from either side.
+function rankCandidates(company: Company, index: BlockingIndex): string[] {
+  const overlap = new Map<string, number>();
+
+  new Set(blockingKeys(company).lookup).forEach(key => {
+    index.get(key)?.forEach(id => {
+      if (id !== company.id) {
+        overlap.set(id, (overlap.get(id) || 0) + 1);
+      }
+    });
+  });
+
+  return Array.from(overlap.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([id]) => id);
+}
+
+/**
+ * Returns the ids of companies sharing at least one block with `company`,
+ * most shared blocks first, capped at `maxCandidates`
+ */
+export function getCandidates(
+  company: Company,
+  index: BlockingIndex,
+  maxCandidates: number = DEFAULT_MAX_CANDIDATES
+): string[] {
+  return rankCandidates(company, index).slice(0, maxCandidates);
+}
+
+/**
+ * Returns the companies to pair `company` with: its own top `maxCandidates`
+ * plus every company that has it in theirs, so whether a pair is scored does
+ * not depend on which side is the source. `topCandidates` caches the capped
+ * lists across calls.
+ */
+export function getPairCandidates(
+  company: Company,
+  index: BlockingIndex,
+  companies: Map<string, Company>,
+  maxCandidates: number = DEFAULT_MAX_CANDIDATES,
+  topCandidates: Map<string, Set<string>> = new Map()
+): string[] {
+  const ranked = rankCandidates(company, index);
+  if (ranked.length <= maxCandidates) return ranked;
+
+  const hasInTop = (other: Company) => {
+    let top = topCandidates.get(other.id);
+    if (!top) {
+      top = new Set(getCandidates(other, index, maxCandidates));
+      topCandidates.set(other.id, top);
+    }
+    return top.has(company.id);
+  };
+
+  return ranked.filter((id, rank) => {
+    if (rank < maxCandidates) return true;
+    const other = companies.get(id);
+    return other !== undefined && hasInTop(other);
+  });
+}
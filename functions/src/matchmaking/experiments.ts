@@ -0,0 +1,380 @@
+/**
+ * Experiments - A/B tests of weight profiles
+ * Subjects (companies or attendees) are hashed into a variant, every match
+ * served under a variant is logged as an exposure, and exposures are joined to
+ * what happened next (swipes, accepted meetings, badge scans) for reporting.
+ *
+ * Exposures and outcomes are keyed on the same unit ids (see unitId), so the
+ * join on the pair matches whichever service recorded each side.
+ */
+
+import * as admin from 'firebase-admin';
+import { Timestamp } from 'firebase-admin/firestore';
+import { sha256 } from '../lib/crypto';
+import {
+  Experiment,
+  ExperimentAssignment,
+  ExperimentReport,
+  ExperimentUnit,
+  ExperimentVariant,
+  Match,
+  MatchExposure,
+  MatchOutcome,
+  MatchOutcomeType,
+  RateEstimate,
+  VariantReport
+} from './types';
+
+export const OUTCOME_TYPES: MatchOutcomeType[] =
+  ['swipe_like', 'swipe_pass', 'meeting_accepted', 'meeting_declined', 'badge_scan'];
+
+// Outcomes that count as the match being accepted
+export const POSITIVE_OUTCOMES: MatchOutcomeType[] = ['swipe_like', 'meeting_accepted', 'badge_scan'];
+
+const BUCKETS = 10000;
+const RUNNING_CACHE_MS = 60 * 1000;
+
+function toMillis(value: any): number {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime();
+}
+
+export function pairId(x: string, y: string): string {
+  return [x, y].sort().join('__');
+}
+
+/**
+ * The id experiments know a party by. Companies are keyed on their actor id
+ * (`c-` prefixed), which is what meetings and badge scans record; attendees
+ * and users already are actor ids or uids and are used as they are.
+ */
+export function unitId(unit: ExperimentUnit, id: string): string {
+  if (unit === 'attendee' || /^[acs]-/.test(id)) return id;
+  return `c-${id}`;
+}
+
+/**
+ * An exposure of `counterpartId` to `subjectId` (both raw ids of `unit`)
+ */
+export function buildExposure(
+  assignment: ExperimentAssignment,
+  unit: ExperimentUnit,
+  subjectId: string,
+  served: { counterpartId: string; score: number },
+  rank: number,
+  servedAt: Timestamp
+): MatchExposure {
+  const subject = unitId(unit, subjectId);
+  const counterpart = unitId(unit, served.counterpartId);
+  return {
+    ...assignment,
+    subjectId: subject,
+    edgeId: pairId(subject, counterpart),
+    counterpartId: counterpart,
+    score: served.score,
+    rank,
+    servedAt
+  };
+}
+
+/**
+ * An outcome between two parties, by actor id (or uid)
+ */
+export function buildOutcome(
+  type: MatchOutcomeType,
+  actorId: string,
+  counterpartId: string,
+  source: string,
+  at: Timestamp
+): MatchOutcome {
+  return { type, actorId, counterpartId, edgeId: pairId(actorId, counterpartId), source, at };
+}
+
+/**
+ * Deterministically picks a variant for a subject. The experiment id salts
+ * the hash, so the same subject lands independently in different experiments.
+ */
+export function assignVariant(experiment: Pick<Experiment, 'id' | 'variants'>, subjectId: string): ExperimentVariant {
+  const total = experiment.variants.reduce((sum, variant) => sum + Math.max(variant.allocation, 0), 0);
+  const bucket = parseInt(sha256(`${experiment.id}:${subjectId}`).substring(0, 8), 16) % BUCKETS;
+  const point = (bucket / BUCKETS) * total;
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += Math.max(variant.allocation, 0);
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1]!;
+}
+
+/**
+ * Wilson score interval for a proportion (95% by default)
+ */
+export function wilsonInterval(successes: number, trials: number, z: number = 1.96): [number, number] {
+  if (trials === 0) return [0, 0];
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = p + z2 / (2 * trials);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials);
+
+  return [
+    Math.max(0, (centre - margin) / denominator),
+    Math.min(1, (centre + margin) / denominator)
+  ];
+}
+
+function estimate(count: number, trials: number): RateEstimate {
+  return { count, rate: trials > 0 ? count / trials : 0, ci95: wilsonInterval(count, trials) };
+}
+
+/**
+ * Joins exposures to outcomes on the pair. An outcome counts for an exposure
+ * when it happened after the match was served and within the attribution
+ * window, whichever side of the pair acted.
+ */
+export function summarizeExperiment(
+  experiment: Experiment,
+  exposures: MatchExposure[],
+  outcomes: MatchOutcome[]
+): ExperimentReport {
+  const windowMs = experiment.attributionWindowHours * 60 * 60 * 1000;
+
+  const outcomesByPair = new Map<string, MatchOutcome[]>();
+  outcomes.forEach(outcome => {
+    const list = outcomesByPair.get(outcome.edgeId) || [];
+    list.push(outcome);
+    outcomesByPair.set(outcome.edgeId, list);
+  });
+
+  const variants: VariantReport[] = experiment.variants.map(variant => {
+    const served = exposures.filter(exposure => exposure.variantId === variant.id);
+    const counts = Object.fromEntries(OUTCOME_TYPES.map(type => [type, 0])) as Record<MatchOutcomeType, number>;
+    let accepted = 0;
+
+    served.forEach(exposure => {
+      const servedAt = toMillis(exposure.servedAt);
+      const seen = new Set<MatchOutcomeType>();
+
+      (outcomesByPair.get(exposure.edgeId) || []).forEach(outcome => {
+        const at = toMillis(outcome.at);
+        if (at >= servedAt && at - servedAt <= windowMs) seen.add(outcome.type);
+      });
+
+      seen.forEach(type => counts[type]++);
+      if (POSITIVE_OUTCOMES.some(type => seen.has(type))) accepted++;
+    });
+
+    return {
+      variantId: variant.id,
+      profileId: variant.profileId,
+      subjects: new Set(served.map(exposure => exposure.subjectId)).size,
+      exposures: served.length,
+      accepted: estimate(accepted, served.length),
+      outcomes: Object.fromEntries(OUTCOME_TYPES.map(type => [type, estimate(counts[type], served.length)])) as
+        Record<MatchOutcomeType, RateEstimate>
+    };
+  });
+
+  return {
+    experimentId: experiment.id,
+    name: experiment.name,
+    status: experiment.status,
+    generatedAt: new Date().toISOString(),
+    variants
+  };
+}
+
+export class ExperimentManager {
+  private runningCache = new Map<ExperimentUnit, { experiment: Experiment | null; timestamp: number }>();
+
+  private get db(): FirebaseFirestore.Firestore {
+    return admin.firestore();
+  }
+
+  /**
+   * Create an experiment over existing weight profiles, e.g. the ones
+   * WeightsManager.generateTestVariants returns. It starts as a draft.
+   */
+  async createExperiment(data: {
+    name: string;
+    unit: ExperimentUnit;
+    variants: ExperimentVariant[];
+    attributionWindowHours?: number;
+  }, createdBy?: string): Promise<Experiment> {
+    if (!data.name || !['company', 'attendee'].includes(data.unit)) {
+      throw new Error('name and unit (company or attendee) are required');
+    }
+    if (!Array.isArray(data.variants) || data.variants.length < 2) {
+      throw new Error('At least two variants are required');
+    }
+
+    const ids = new Set<string>();
+    data.variants.forEach(variant => {
+      if (!variant.id || !variant.profileId || !(variant.allocation > 0)) {
+        throw new Error('Each variant needs an id, a profileId and a positive allocation');
+      }
+      if (ids.has(variant.id)) {
+        throw new Error(`Duplicate variant id: ${variant.id}`);
+      }
+      ids.add(variant.id);
+    });
+
+    const ref = this.db.collection('experiments').doc();
+    const experiment: Experiment = {
+      id: ref.id,
+      name: data.name,
+      unit: data.unit,
+      status: 'draft',
+      variants: data.variants.map(({ id, profileId, allocation }) => ({ id, profileId, allocation })),
+      attributionWindowHours: data.attributionWindowHours || 72,
+      createdAt: Timestamp.now(),
+      ...(createdBy && { createdBy })
+    };
+
+    await ref.set(experiment);
+    console.log(`[Experiments] Created ${experiment.id} (${experiment.name})`);
+    return experiment;
+  }
+
+  async getExperiment(id: string): Promise<Experiment | null> {
+    const doc = await this.db.collection('experiments').doc(id).get();
+    return doc.exists ? ({ id: doc.id, ...doc.data() } as Experiment) : null;
+  }
+
+  async listExperiments(): Promise<Experiment[]> {
+    const snapshot = await this.db.collection('experiments').orderBy('createdAt', 'desc').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() } as Experiment));
+  }
+
+  /**
+   * Start or stop an experiment. Only one experiment per unit may run, so a
+   * subject is never served by two at once. Variants can't change once
+   * started, or assignments would move.
+   */
+  async setStatus(id: string, status: 'running' | 'stopped'): Promise<Experiment> {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) {
+      throw new Error('Experiment not found');
+    }
+
+    if (status === 'running') {
+      if (experiment.status === 'stopped') {
+        throw new Error('Stopped experiments cannot be restarted; create a new one');
+      }
+      const running = await this.getRunningExperiment(experiment.unit, true);
+      if (running && running.id !== id) {
+        throw new Error(`Experiment ${running.id} is already running for ${experiment.unit}s`);
+      }
+    }
+
+    const update = status === 'running'
+      ? { status, startedAt: experiment.startedAt || Timestamp.now() }
+      : { status, stoppedAt: Timestamp.now() };
+
+    await this.db.collection('experiments').doc(id).update(update);
+    this.runningCache.delete(experiment.unit);
+
+    console.log(`[Experiments] ${id} is now ${status}`);
+    return { ...experiment, ...update };
+  }
+
+  async getRunningExperiment(unit: ExperimentUnit, fresh: boolean = false): Promise<Experiment | null> {
+    const cached = this.runningCache.get(unit);
+    if (!fresh && cached && Date.now() - cached.timestamp < RUNNING_CACHE_MS) {
+      return cached.experiment;
+    }
+
+    const snapshot = await this.db.collection('experiments')
+      .where('unit', '==', unit)
+      .where('status', '==', 'running')
+      .limit(1)
+      .get();
+
+    const doc = snapshot.docs[0];
+    const experiment = doc ? ({ id: doc.id, ...doc.data() } as Experiment) : null;
+    this.runningCache.set(unit, { experiment, timestamp: Date.now() });
+    return experiment;
+  }
+
+  /**
+   * Which weight profile to serve a subject, if an experiment covers it
+   */
+  async assign(unit: ExperimentUnit, subjectId: string): Promise<ExperimentAssignment | null> {
+    const experiment = await this.getRunningExperiment(unit);
+    if (!experiment) return null;
+
+    const variant = assignVariant(experiment, subjectId);
+    return { experimentId: experiment.id, variantId: variant.id, profileId: variant.profileId };
+  }
+
+  /**
+   * Log the matches served to a subject under an assignment. The first time a
+   * pair is served counts; later servings of the same pair are ignored.
+   */
+  async recordExposures(
+    assignment: ExperimentAssignment,
+    unit: ExperimentUnit,
+    subjectId: string,
+    matches: Array<Pick<Match, 'a' | 'b' | 'score'>>
+  ): Promise<void> {
+    if (matches.length === 0) return;
+
+    const servedAt = Timestamp.now();
+    await Promise.all(matches.map((match, rank) => {
+      const counterpartId = match.a === subjectId ? match.b : match.a;
+      const exposure = buildExposure(assignment, unit, subjectId, { counterpartId, score: match.score }, rank, servedAt);
+
+      return this.db.collection('experimentExposures')
+        .doc(`${assignment.experimentId}__${exposure.subjectId}__${exposure.edgeId}`)
+        .create(exposure)
+        .catch((error: any) => {
+          if (error?.code !== 6) throw error; // ALREADY_EXISTS
+        });
+    }));
+  }
+
+  /**
+   * Record something that happened between two parties. Outcomes are kept
+   * whether or not an experiment is running; the report does the join.
+   */
+  async recordOutcome(type: MatchOutcomeType, actorId: string, counterpartId: string, source: string): Promise<void> {
+    const outcome = buildOutcome(type, actorId, counterpartId, source, Timestamp.now());
+    await this.db.collection('experimentOutcomes').add(outcome);
+  }
+
+  /**
+   * Per-variant acceptance rates with 95% confidence intervals
+   */
+  async getReport(id: string): Promise<ExperimentReport | null> {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) return null;
+
+    const exposuresSnapshot = await this.db.collection('experimentExposures')
+      .where('experimentId', '==', id)
+      .get();
+    const exposures = exposuresSnapshot.docs.map(doc => doc.data() as MatchExposure);
+
+    let outcomes: MatchOutcome[] = [];
+    if (experiment.startedAt && exposures.length > 0) {
+      const windowMs = experiment.attributionWindowHours * 60 * 60 * 1000;
+      let query = this.db.collection('experimentOutcomes')
+        .where('at', '>=', experiment.startedAt);
+      if (experiment.stoppedAt) {
+        query = query.where('at', '<=', Timestamp.fromMillis(experiment.stoppedAt.toMillis() + windowMs));
+      }
+
+      const served = new Set(exposures.map(exposure => exposure.edgeId));
+      const outcomesSnapshot = await query.get();
+      outcomes = outcomesSnapshot.docs
+        .map(doc => doc.data() as MatchOutcome)
+        .filter(outcome => served.has(outcome.edgeId));
+    }
+
+    return summarizeExperiment(experiment, exposures, outcomes);
+  }
+}
+
+export const experimentManager = new ExperimentManager();
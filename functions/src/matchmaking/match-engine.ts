@@ -9,16 +9,26 @@ import {
   WeightProfile,
   Contribution,
   MatchRequest,
-  BatchResult
+  ComputeMatchesOptions,
+  ComputeMatchesResult,
+  MatchRunState,
+  MatchExplanation,
+  ExperimentAssignment
 } from './types';
 import { SignalEngine } from './signal-engine';
-import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { buildBlockingIndex, getPairCandidates, DEFAULT_MAX_CANDIDATES } from './candidate-blocking';
+import { changedCompanyIds, chooseRun, deletedCompanyIds, ownsPair, pendingSources } from './match-run';
+import { explainMatch, metricWeight, weightedScore, METRIC_DISPLAY_NAMES } from './match-explainer';
+import { experimentManager } from './experiments';
+import { FieldValue, Timestamp, WriteBatch } from 'firebase-admin/firestore';
 import { db } from '../services/firebase-init';
+import { sha256 } from '../lib/crypto';
 
 export class MatchEngine {
   private signalEngine: SignalEngine;
   private cache: Map<string, { data: any; timestamp: number }> = new Map();
   private cacheTimeout = 5 * 60 * 1000; // 5 minutes
+  private initializedAt = 0;
 
   constructor() {
     this.signalEngine = new SignalEngine();
@@ -33,6 +43,7 @@ export class MatchEngine {
     }
 
     this.signalEngine.initialize(companies);
+    this.initializedAt = Date.now();
     console.log(`[MatchEngine] Initialized with ${companies.length} companies`);
   }
 
@@ -96,27 +107,21 @@ export class MatchEngine {
 
     // Calculate contributions
     const contributions: Contribution[] = [];
-    let totalWeight = 0;
-    let weightedSum = 0;
 
     Object.entries(metrics).forEach(([key, value]) => {
-      const weight = profile.weights[key] || 1;
-      const contribution = value * weight;
+      const weight = metricWeight(profile.weights, key);
 
       contributions.push({
         key,
         value,
         weight,
-        contribution,
+        contribution: value * weight,
         displayName: this.getMetricDisplayName(key)
       });
-
-      totalWeight += weight;
-      weightedSum += contribution;
     });
 
-    // Calculate final score
-    const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    // Calculate final score (see SCORE_FORMULA)
+    const score = weightedScore(metrics, profile.weights);
 
     // Sort contributions by impact
     contributions.sort((a, b) => b.contribution - a.contribution);
@@ -145,12 +150,38 @@ export class MatchEngine {
     };
   }
 
+  // Explain the score between two companies, metric by metric
+  async explainPair(
+    companyAId: string,
+    companyBId: string,
+    profileId: string = 'default'
+  ): Promise<MatchExplanation | null> {
+    const [docA, docB] = await Promise.all([
+      db.collection('companies').doc(companyAId).get(),
+      db.collection('companies').doc(companyBId).get()
+    ]);
+    if (!docA.exists || !docB.exists) return null;
+
+    const companyA = { id: docA.id, ...docA.data() } as Company;
+    const companyB = { id: docB.id, ...docB.data() } as Company;
+
+    // Text and numeric signals depend on corpus statistics
+    if (Date.now() - this.initializedAt > this.cacheTimeout) {
+      await this.initialize();
+    }
+
+    const profile = await this.getWeightProfile(profileId);
+    const match = await this.calculateMatch(companyA, companyB, profile);
+
+    return explainMatch(match, companyA, companyB, profile,
+      (a, b) => this.signalEngine.calculateMetrics(a, b));
+  }
+
   // Find best matches for a company
   async findMatches(request: MatchRequest): Promise<Match[]> {
     const {
       companyId,
       companies = [],
-      profileId = 'default',
       limit = 10,
       threshold = 0.3,
       includeMetrics = true,
@@ -158,6 +189,17 @@ export class MatchEngine {
       filters = {}
     } = request;
 
+    // An explicit profile wins; otherwise a running experiment may pick one
+    let profileId = request.profileId || 'default';
+    let assignment: ExperimentAssignment | null = null;
+    if (!request.profileId && companyId) {
+      assignment = await experimentManager.assign('company', companyId).catch(error => {
+        console.warn('[MatchEngine] Experiment assignment failed:', error);
+        return null;
+      });
+      if (assignment) profileId = assignment.profileId;
+    }
+
     // Get weight profile
     const profile = await this.getWeightProfile(profileId);
 
@@ -231,6 +273,13 @@ export class MatchEngine {
     matches.sort((a, b) => b.score - a.score);
     const topMatches = matches.slice(0, limit);
 
+    // Log what this variant served so outcomes can be attributed to it
+    if (assignment && sourceCompany) {
+      await experimentManager.recordExposures(assignment, 'company', sourceCompany.id, topMatches).catch(error => {
+        console.warn('[MatchEngine] Failed to record experiment exposures:', error);
+      });
+    }
+
     // Clean up based on options
     if (!includeMetrics) {
       topMatches.forEach(m => delete m.metrics);
@@ -242,75 +291,190 @@ export class MatchEngine {
     return topMatches;
   }
 
-  // Batch compute matches for all companies
-  async computeAllMatches(profileId: string = 'default'): Promise<BatchResult> {
+  // Batch compute matches for all companies.
+  // Incremental by default: only pairs touching companies updated since the
+  // last completed run are rescored, and only against candidates that share a
+  // block (see candidate-blocking.ts); pairs of deleted companies are dropped.
+  // A run stopped by the time budget saves a cursor and the next call picks
+  // up from it (see match-run.ts).
+  async computeAllMatches(
+    profileId: string = 'default',
+    options: ComputeMatchesOptions = {}
+  ): Promise<ComputeMatchesResult> {
     const startTime = Date.now();
-    const result: BatchResult = {
+    const { timeBudgetMs, maxCandidates = DEFAULT_MAX_CANDIDATES } = options;
+    const result: ComputeMatchesResult = {
       success: 0,
       failed: 0,
       skipped: 0,
       errors: [],
-      duration: 0
+      duration: 0,
+      mode: 'full',
+      complete: false,
+      changedCompanies: 0,
+      pairsScored: 0,
+      removed: 0
     };
 
     try {
-      // Get all companies
+      // Get all companies, in a stable order so the cursor means the same thing next time
       const snapshot = await db.collection('companies').get();
-      const companies = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() } as Company));
+      const companies: Company[] = snapshot.docs
+        .map((doc: FirebaseFirestore.QueryDocumentSnapshot) => ({ id: doc.id, ...doc.data() } as Company))
+        .sort((a: Company, b: Company) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
 
       // Initialize signal engine
       await this.initialize(companies);
 
       // Get weight profile
       const profile = await this.getWeightProfile(profileId);
+      const profileHash = this.hashProfile(profile);
+
+      const stateRef = db.collection('matchRuns').doc(profileId);
+      const pairsRef = db.collection('matches').doc(profileId).collection('pairs');
+      const state = (await stateRef.get()).data() as MatchRunState | undefined;
+
+      const { run: current, resumed } = chooseRun(state, profileHash, Boolean(options.full), Timestamp.now());
+      if (!resumed) {
+        await stateRef.set({ profileId, current }, { merge: true });
+      }
+      result.mode = current.mode;
 
-      // Batch writes
-      const batch = db.batch();
+      const changed = changedCompanyIds(companies, current);
+      result.changedCompanies = changed.size;
+
+      const byId = new Map(companies.map(company => [company.id, company]));
+      const index = buildBlockingIndex(companies);
+      const topCandidates = new Map<string, Set<string>>();
+      const deleted = deletedCompanyIds(companies, state?.companyIds || []);
+      const sources = pendingSources(companies, changed, current.cursor);
+
+      // Batches are single-use, so a fresh one starts after each commit. The
+      // cursor written with a commit only names companies whose pairs are all
+      // in that commit or an earlier one.
+      let batch = db.batch();
       let batchCount = 0;
+      let lastDone: string | undefined;
       const maxBatchSize = 400;
 
-      // Compute all pairs
-      for (let i = 0; i < companies.length; i++) {
-        for (let j = i + 1; j < companies.length; j++) {
+      const flush = async (force = false) => {
+        if (batchCount === 0 && !force) return;
+        if (lastDone) {
+          batch.set(stateRef, { current: { cursor: lastDone } }, { merge: true });
+        }
+        await batch.commit();
+        batch = db.batch();
+        batchCount = 0;
+      };
+
+      const stage = async (write: (b: WriteBatch) => void) => {
+        write(batch);
+        batchCount++;
+        if (batchCount >= maxBatchSize) {
+          await flush();
+        }
+      };
+
+      // Deletes staged this invocation; a pair can turn up from both sides
+      // before its batch is committed
+      const removedEdges = new Set<string>();
+      const remove = async (edgeId: string) => {
+        if (removedEdges.has(edgeId)) return;
+        removedEdges.add(edgeId);
+        await stage(b => b.delete(pairsRef.doc(edgeId)));
+        result.removed++;
+      };
+
+      const outOfTime = () => timeBudgetMs !== undefined && Date.now() - startTime >= timeBudgetMs;
+      let stopped = false;
+
+      // Deleted companies go first: no other source reaches their pairs with
+      // unchanged companies
+      const cleaned = new Set<string>();
+      for (const deletedId of deleted) {
+        if (outOfTime()) {
+          stopped = true;
+          break;
+        }
+        const stored = await this.getStoredPairs(pairsRef, deletedId);
+        for (const edgeId of stored.keys()) {
+          await remove(edgeId);
+        }
+        cleaned.add(deletedId);
+      }
+
+      for (const source of stopped ? [] : sources) {
+        if (outOfTime()) {
+          stopped = true;
+          break;
+        }
+
+        const owns = (otherId: string) => ownsPair(source.id, otherId, changed);
+        const keep = new Set<string>();
+
+        for (const candidateId of getPairCandidates(source, index, byId, maxCandidates, topCandidates)) {
+          const candidate = byId.get(candidateId);
+          if (!candidate || !owns(candidateId)) continue;
+
           try {
-            const match = await this.calculateMatch(companies[i], companies[j], profile);
+            const match = await this.calculateMatch(source, candidate, profile);
+            result.pairsScored++;
 
             if (match.score >= profile.threshold) {
-              const matchRef = db
-                .collection('matches')
-                .doc(profileId)
-                .collection('pairs')
-                .doc(match.edgeId);
-
-              batch.set(matchRef, match, { merge: true });
-              batchCount++;
+              keep.add(match.edgeId);
+              await stage(b => b.set(pairsRef.doc(match.edgeId), match, { merge: true }));
               result.success++;
-
-              // Commit batch if needed
-              if (batchCount >= maxBatchSize) {
-                await batch.commit();
-                batchCount = 0;
-              }
             } else {
               result.skipped++;
             }
           } catch (error: any) {
+            // Leave whatever was stored for this pair alone
+            keep.add([source.id, candidateId].sort().join('__'));
             result.failed++;
             result.errors.push({
-              id: `${companies[i].id}__${companies[j].id}`,
+              id: `${source.id}__${candidateId}`,
               error: error.message
             });
           }
         }
+
+        // Drop stored pairs that fell under the threshold, lost their
+        // candidate status, or point at a company that no longer exists
+        const stored = await this.getStoredPairs(pairsRef, source.id);
+        for (const [edgeId, otherId] of stored) {
+          if (!keep.has(edgeId) && owns(otherId)) {
+            await remove(edgeId);
+          }
+        }
+
+        lastDone = source.id;
       }
 
-      // Commit remaining
-      if (batchCount > 0) {
-        await batch.commit();
+      // Companies that may have stored pairs: the ones that exist, and the
+      // deleted ones not cleaned up yet
+      const companyIds = companies.map(company => company.id)
+        .concat(deleted.filter(id => !cleaned.has(id)));
+
+      if (stopped) {
+        batch.set(stateRef, { companyIds }, { merge: true });
+        await flush(true);
+      } else {
+        await flush();
+        await stateRef.set({
+          profileId,
+          profileHash,
+          companyIds,
+          lastCompletedAt: Timestamp.now(),
+          lastCompletedStartedAt: current.startedAt,
+          current: null
+        }, { merge: true });
+        result.complete = true;
       }
 
       result.duration = Date.now() - startTime;
-      console.log(`[MatchEngine] Computed ${result.success} matches in ${result.duration}ms`);
+      console.log(`[MatchEngine] ${current.mode} run ${result.complete ? 'completed' : 'paused'}: ` +
+        `${changed.size} changed companies, ${result.pairsScored} pairs scored, ` +
+        `${result.success} written, ${result.removed} removed in ${result.duration}ms`);
 
     } catch (error: any) {
       console.error('[MatchEngine] Batch computation failed:', error);
@@ -320,6 +484,28 @@ export class MatchEngine {
     return result;
   }
 
+  // Stored pairs involving a company, as edgeId -> other company id
+  private async getStoredPairs(
+    pairsRef: FirebaseFirestore.CollectionReference,
+    companyId: string
+  ): Promise<Map<string, string>> {
+    const [asA, asB] = await Promise.all([
+      pairsRef.where('a', '==', companyId).select('a', 'b').get(),
+      pairsRef.where('b', '==', companyId).select('a', 'b').get()
+    ]);
+
+    const pairs = new Map<string, string>();
+    asA.docs.forEach(doc => pairs.set(doc.id, doc.get('b')));
+    asB.docs.forEach(doc => pairs.set(doc.id, doc.get('a')));
+    return pairs;
+  }
+
+  // Fingerprint of everything in a profile that affects stored pairs
+  private hashProfile(profile: WeightProfile): string {
+    const weights = Object.keys(profile.weights).sort().map(key => [key, profile.weights[key]]);
+    return sha256(JSON.stringify({ weights, threshold: profile.threshold }));
+  }
+
   // Calculate confidence score based on data completeness
   private calculateConfidence(companyA: Company, companyB: Company, metrics: Record<string, number>): number {
     let dataPoints = 0;
@@ -365,25 +551,7 @@ export class MatchEngine {
 
   // Get display name for metric
   private getMetricDisplayName(key: string): string {
-    const names: Record<string, string> = {
-      'date:created.prox': 'Founded Timeline',
-      'date:released.prox': 'Release Timeline',
-      'list:platforms.jaccard': 'Platform Alignment',
-      'list:markets.jaccard': 'Market Overlap',
-      'list:categories.jaccard': 'Category Match',
-      'list:tags.jaccard': 'Tag Similarity',
-      'num:rating.zexp': 'Rating Alignment',
-      'num:team.zexp': 'Team Size Match',
-      'num:price.zexp': 'Price Range Match',
-      'str:name.lev': 'Name Similarity',
-      'text:content.tfidf': 'Content Similarity',
-      'bipartite:capabilities.match': 'Capability-Need Fit',
-      'ctx:platform.overlap': 'Platform Context',
-      'ctx:market.overlap': 'Market Context',
-      'ctx:stage.complement': 'Stage Synergy'
-    };
-
-    return names[key] || key;
+    return METRIC_DISPLAY_NAMES[key] || key;
   }
 
   // Cache management
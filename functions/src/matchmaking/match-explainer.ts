@@ -0,0 +1,245 @@
+/**
+ * Match Explainer - Per-metric breakdown and counterfactuals for a pair
+ * Shows how every metric fed the score, which profile fields it read, and
+ * which single profile edits would raise the score the most.
+ */
+
+import {
+  Company,
+  Match,
+  WeightProfile,
+  MetricExplanation,
+  Counterfactual,
+  MatchExplanation
+} from './types';
+
+type MetricsFn = (companyA: Company, companyB: Company) => Record<string, number>;
+
+export const METRIC_DISPLAY_NAMES: Record<string, string> = {
+  'date:created.prox': 'Founded Timeline',
+  'date:released.prox': 'Release Timeline',
+  'list:platforms.jaccard': 'Platform Alignment',
+  'list:markets.jaccard': 'Market Overlap',
+  'list:categories.jaccard': 'Category Match',
+  'list:tags.jaccard': 'Tag Similarity',
+  'num:rating.zexp': 'Rating Alignment',
+  'num:team.zexp': 'Team Size Match',
+  'num:price.zexp': 'Price Range Match',
+  'str:name.lev': 'Name Similarity',
+  'text:content.tfidf': 'Content Similarity',
+  'bipartite:capabilities.match': 'Capability-Need Fit',
+  'ctx:platform.overlap': 'Platform Context',
+  'ctx:market.overlap': 'Market Context',
+  'ctx:stage.complement': 'Stage Synergy'
+};
+
+// Profile fields each metric reads (see SignalEngine.calculateMetrics)
+export const METRIC_FIELDS: Record<string, string[]> = {
+  'date:created.prox': ['dates.created'],
+  'date:released.prox': ['dates.released'],
+  'list:platforms.jaccard': ['platforms'],
+  'list:markets.jaccard': ['markets'],
+  'list:categories.jaccard': ['categories'],
+  'list:tags.jaccard': ['tags'],
+  'num:rating.zexp': ['numeric.rating'],
+  'num:team.zexp': ['numeric.team'],
+  'num:price.zexp': ['numeric.price'],
+  'str:name.lev': ['name'],
+  'text:content.tfidf': ['text.title', 'text.description', 'text.abstract', 'tags'],
+  'bipartite:capabilities.match': ['capabilities', 'needs'],
+  'ctx:platform.overlap': ['platforms'],
+  'ctx:market.overlap': ['markets'],
+  'ctx:stage.complement': ['stage']
+};
+
+// List edits tried for counterfactuals: add to `field` a value the other
+// company has in `from`
+const LIST_EDITS: Array<{ field: 'platforms' | 'markets' | 'categories' | 'tags' | 'capabilities' | 'needs';
+  from: 'platforms' | 'markets' | 'categories' | 'tags' | 'capabilities' | 'needs'; }> = [
+  { field: 'platforms', from: 'platforms' },
+  { field: 'markets', from: 'markets' },
+  { field: 'categories', from: 'categories' },
+  { field: 'tags', from: 'tags' },
+  { field: 'capabilities', from: 'needs' },
+  { field: 'needs', from: 'capabilities' }
+];
+
+export const SCORE_FORMULA = 'score = sum(signal × weight) / sum(weight), over metrics with a non-zero signal; ' +
+  'a metric the profile gives no weight counts with weight 1';
+
+// Weight a metric counts with: the profile's, or 1 when it has none
+export function metricWeight(weights: Record<string, number>, key: string): number {
+  return weights[key] || 1;
+}
+
+// The score of SCORE_FORMULA, used by MatchEngine.calculateMatch. Zero and
+// invalid signals are skipped here, not only by SignalEngine.calculateMetrics,
+// so they never weigh the score down.
+export function weightedScore(metrics: Record<string, number>, weights: Record<string, number>): number {
+  let totalWeight = 0;
+  let weightedSum = 0;
+
+  Object.entries(metrics).forEach(([key, value]) => {
+    if (!value) return; // 0 or NaN
+    const weight = metricWeight(weights, key);
+    totalWeight += weight;
+    weightedSum += value * weight;
+  });
+
+  return totalWeight > 0 ? weightedSum / totalWeight : 0;
+}
+
+function readField(company: Company, path: string): any {
+  return path.split('.').reduce((value: any, key) => (value == null ? undefined : value[key]), company);
+}
+
+function isEmpty(value: any): boolean {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function lower(values: any): string[] {
+  return Array.isArray(values) ? values.map(v => String(v).toLowerCase()) : [];
+}
+
+function describeMetric(
+  key: string,
+  match: Match,
+  companyA: Company,
+  companyB: Company,
+  profile: WeightProfile,
+  totalWeight: number
+): MetricExplanation {
+  const counted = key in match.metrics;
+  const signal = match.metrics[key] || 0;
+  const weight = metricWeight(profile.weights, key);
+  const contribution = counted ? signal * weight : 0;
+  const fields = METRIC_FIELDS[key] || [];
+
+  const values = { a: {} as Record<string, any>, b: {} as Record<string, any> };
+  fields.forEach(field => {
+    values.a[field] = readField(companyA, field) ?? null;
+    values.b[field] = readField(companyB, field) ?? null;
+  });
+
+  const row: MetricExplanation = {
+    key,
+    displayName: METRIC_DISPLAY_NAMES[key] || key,
+    signal,
+    weight,
+    contribution,
+    scoreShare: counted && totalWeight > 0 ? contribution / totalWeight : 0,
+    counted,
+    fields,
+    values
+  };
+
+  // Overlap for list metrics; capabilities are matched against the other side's needs
+  if (key === 'bipartite:capabilities.match') {
+    const needsB = lower(companyB.needs);
+    const needsA = lower(companyA.needs);
+    row.shared = [
+      ...lower(companyA.capabilities).filter(cap => needsB.includes(cap)),
+      ...lower(companyB.capabilities).filter(cap => needsA.includes(cap))
+    ];
+  } else if (fields.length === 1 && Array.isArray(values.a[fields[0]!])) {
+    const other = lower(values.b[fields[0]!]);
+    row.shared = lower(values.a[fields[0]!]).filter(value => other.includes(value));
+  }
+
+  return row;
+}
+
+/**
+ * Tries adding each value the other company lists (its platforms, markets,
+ * needs, ...) to one side's profile, and keeps the edits that raise the score
+ */
+function findCounterfactuals(
+  match: Match,
+  companyA: Company,
+  companyB: Company,
+  profile: WeightProfile,
+  metricsFor: MetricsFn,
+  limit: number
+): Counterfactual[] {
+  const results: Counterfactual[] = [];
+  const sides: Array<{ side: 'a' | 'b'; self: Company; other: Company }> = [
+    { side: 'a', self: companyA, other: companyB },
+    { side: 'b', self: companyB, other: companyA }
+  ];
+
+  sides.forEach(({ side, self, other }) => {
+    LIST_EDITS.forEach(({ field, from }) => {
+      const existing = lower(self[field]);
+      const tried = new Set<string>();
+
+      (other[from] || []).forEach(value => {
+        const normalized = String(value).toLowerCase();
+        if (existing.includes(normalized) || tried.has(normalized)) return;
+        tried.add(normalized);
+
+        const edited = { ...self, [field]: [...(self[field] || []), value] } as Company;
+        const metrics = side === 'a' ? metricsFor(edited, companyB) : metricsFor(companyA, edited);
+        const score = weightedScore(metrics, profile.weights);
+        const delta = score - match.score;
+        if (delta <= 1e-9) return;
+
+        results.push({
+          company: side,
+          field,
+          value: String(value),
+          change: `Add "${value}" to ${self.name || self.id}'s ${field}`,
+          score,
+          delta,
+          crossesThreshold: match.score < profile.threshold && score >= profile.threshold
+        });
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.delta - a.delta).slice(0, limit);
+}
+
+/**
+ * Builds the full explanation for a computed match. `metricsFor` must be the
+ * same metric function that produced `match` so counterfactual scores are
+ * comparable.
+ */
+export function explainMatch(
+  match: Match,
+  companyA: Company,
+  companyB: Company,
+  profile: WeightProfile,
+  metricsFor: MetricsFn,
+  maxCounterfactuals: number = 5
+): MatchExplanation {
+  const totalWeight = Object.keys(match.metrics).reduce((sum, key) => sum + metricWeight(profile.weights, key), 0);
+  const keys = Array.from(new Set([...Object.keys(profile.weights), ...Object.keys(match.metrics)]));
+
+  const metrics = keys
+    .map(key => describeMetric(key, match, companyA, companyB, profile, totalWeight))
+    .sort((a, b) => b.scoreShare - a.scoreShare || b.weight - a.weight);
+
+  // Weighted metrics that scored nothing because one side left the field blank
+  const missingData: MatchExplanation['missingData'] = [];
+  metrics.filter(row => !row.counted).forEach(row => {
+    row.fields.forEach(field => {
+      if (isEmpty(row.values.a[field])) missingData.push({ company: 'a', field, metric: row.key });
+      if (isEmpty(row.values.b[field])) missingData.push({ company: 'b', field, metric: row.key });
+    });
+  });
+
+  return {
+    edgeId: match.edgeId,
+    a: { id: companyA.id, name: companyA.name },
+    b: { id: companyB.id, name: companyB.name },
+    profileId: profile.profileId,
+    score: match.score,
+    threshold: profile.threshold,
+    confidence: match.confidence,
+    reasons: match.reasons,
+    formula: SCORE_FORMULA,
+    metrics,
+    counterfactuals: findCounterfactuals(match, companyA, companyB, profile, metricsFor, maxCounterfactuals),
+    missingData
+  };
+}
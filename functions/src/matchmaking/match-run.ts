@@ -0,0 +1,92 @@
+/**
+ * Match Run - Plans a batch match computation
+ * Decides whether to resume the interrupted run or start a new one, which
+ * companies changed or were deleted since the last completed run, where a
+ * resumed run picks up, and which side of a pair scores it. Kept free of
+ * Firestore reads and writes; MatchEngine.computeAllMatches applies the plan.
+ */
+
+import { Timestamp } from 'firebase-admin/firestore';
+import { Company, MatchRunState } from './types';
+
+export type MatchRun = NonNullable<MatchRunState['current']>;
+
+// Company timestamps arrive as Firestore Timestamps, Dates or ISO strings
+function toMillis(value: any): number | null {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Resumes an interrupted run made with the same weights, otherwise starts one.
+ * New weights invalidate every stored pair, so they force a full run, and so
+ * does a missing company list: deletions are found against it.
+ */
+export function chooseRun(
+  state: MatchRunState | undefined,
+  profileHash: string,
+  full: boolean,
+  now: Timestamp
+): { run: MatchRun; resumed: boolean } {
+  const current = state?.current;
+  if (current && current.profileHash === profileHash && !(full && current.mode !== 'full')) {
+    return { run: current, resumed: true };
+  }
+
+  const since = !full && state?.profileHash === profileHash && state.companyIds
+    ? state.lastCompletedStartedAt
+    : undefined;
+  return {
+    run: since
+      ? { mode: 'incremental', startedAt: now, since, profileHash }
+      : { mode: 'full', startedAt: now, profileHash },
+    resumed: false
+  };
+}
+
+/**
+ * Companies whose pairs the run rescores: all of them in a full run, else
+ * those updated since the last completed run started. Companies edited after
+ * this run started wait for the next one, so the set stays the same across
+ * resumed invocations.
+ */
+export function changedCompanyIds(companies: Company[], run: MatchRun): Set<string> {
+  const sinceMs = run.since ? run.since.toMillis() : null;
+  const startedMs = run.startedAt.toMillis();
+
+  return new Set(companies
+    .filter(company => {
+      if (sinceMs === null) return true;
+      const updated = toMillis(company.updatedAt);
+      return updated === null || (updated > sinceMs && updated <= startedMs);
+    })
+    .map(company => company.id));
+}
+
+/**
+ * Companies that may still have stored pairs but no longer exist, sorted
+ */
+export function deletedCompanyIds(companies: Company[], knownIds: string[] = []): string[] {
+  const existing = new Set(companies.map(company => company.id));
+  return Array.from(new Set(knownIds.filter(id => !existing.has(id)))).sort();
+}
+
+/**
+ * Changed companies still to score as sources: those after the cursor, which
+ * names the last company whose pairs are all written. `companies` must be
+ * sorted by id.
+ */
+export function pendingSources(companies: Company[], changed: Set<string>, cursor?: string): Company[] {
+  return companies.filter(company => changed.has(company.id) && (!cursor || company.id > cursor));
+}
+
+/**
+ * Whether scoring `sourceId` covers its pair with `otherId`. A pair with
+ * another changed company that sorts earlier was scored when that company
+ * was the source.
+ */
+export function ownsPair(sourceId: string, otherId: string, changed: Set<string>): boolean {
+  return !(changed.has(otherId) && otherId < sourceId);
+}
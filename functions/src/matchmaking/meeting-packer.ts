@@ -0,0 +1,445 @@
+/**
+ * Meeting Packer - Chooses the best set of meeting requests for one day
+ * Slots are real intervals, both parties' availability and daily limits are
+ * respected, and back-to-back meetings leave time to walk between locations.
+ * Requests are split into groups that share attendees, and each group is
+ * solved exactly (branch and bound) to maximise total match score.
+ */
+
+import {
+  AvailabilitySlot,
+  PackedMeeting,
+  UnscheduledRequest,
+  MEETING_LOCATION_WALK_MINUTES,
+  VIRTUAL_MEETING_BUFFER_MINUTES,
+  DEFAULT_MEETING_LOCATION,
+  DEFAULT_MAX_MEETINGS_PER_DAY
+} from './attendee-types';
+
+const DEFAULT_DURATION_MINUTES = 30;
+const UNKNOWN_WALK_MINUTES = 10;
+const LOCATIONS_PER_SLOT = 2;
+const DEFAULT_NODE_LIMIT = 200000;
+
+// Added to every score so that, between schedules of equal score, the one
+// with more meetings wins
+const TIE_BREAK = 1e-3;
+
+export interface PackActor {
+  availability: AvailabilitySlot[]; // Empty means available all day
+  meetingLocations: string[];
+  maxMeetingsPerDay?: number | undefined;
+}
+
+export interface PackRequest {
+  meetingId: string;
+  fromActorId: string;
+  toActorId: string;
+  requestedSlots: string[];
+  score: number;
+}
+
+// Meetings already scheduled that day; they block time but are never moved
+export interface FixedMeeting {
+  meetingId: string;
+  actorIds: string[];
+  slot: string;
+  location?: string | undefined;
+}
+
+export interface PackInput {
+  day: string;
+  requests: PackRequest[];
+  actors: Record<string, PackActor>;
+  fixed?: FixedMeeting[];
+  defaultMaxMeetings?: number;
+  nodeLimit?: number; // Per group; past it the best schedule found so far is used
+}
+
+export interface PackResult {
+  assignments: PackedMeeting[];
+  unscheduled: UnscheduledRequest[];
+  totalScore: number;
+  optimal: boolean;
+}
+
+interface Option {
+  slot: string;
+  start: number; // Minutes from midnight
+  end: number;
+  location: string;
+}
+
+interface Busy {
+  meetingId: string;
+  start: number;
+  end: number;
+  location?: string | undefined;
+}
+
+interface Candidate {
+  request: PackRequest;
+  value: number;
+  options: Option[];
+}
+
+type Blocker = NonNullable<UnscheduledRequest['blockedBy']>[number];
+
+/**
+ * Parses "2025-09-15T10:00/30m" (or "/1h"; no suffix means 30 minutes)
+ */
+export function parseSlot(slot: string): { day: string; start: number; end: number } | null {
+  const match = String(slot).match(/^(\d{4}-\d{2}-\d{2})T(\d{1,2}):(\d{2})(?:\/(\d+)(m|h)?)?$/);
+  if (!match) return null;
+
+  const hours = Number(match[2]);
+  const minutes = Number(match[3]);
+  if (hours > 23 || minutes > 59) return null;
+
+  const amount = match[4] ? Number(match[4]) : DEFAULT_DURATION_MINUTES;
+  const duration = match[5] === 'h' ? amount * 60 : amount;
+  if (duration <= 0) return null;
+
+  const start = hours * 60 + minutes;
+  return { day: match[1]!, start, end: start + duration };
+}
+
+function formatTime(minutes: number): string {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseClock(value: string): number | null {
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function walkingMinutes(from?: string, to?: string): number {
+  // Unknown locations (older meetings) don't add a buffer
+  if (!from || !to || from === to) return 0;
+  if (from === 'Virtual' || to === 'Virtual') return VIRTUAL_MEETING_BUFFER_MINUTES;
+  return MEETING_LOCATION_WALK_MINUTES[from]?.[to] ??
+    MEETING_LOCATION_WALK_MINUTES[to]?.[from] ??
+    UNKNOWN_WALK_MINUTES;
+}
+
+/**
+ * Availability windows for a day, with adjacent windows ("10:00-10:30",
+ * "10:30-11:00") merged. null means no restriction.
+ */
+export function availabilityWindows(
+  availability: AvailabilitySlot[] | undefined,
+  day: string
+): Array<{ start: number; end: number }> | null {
+  if (!availability || availability.length === 0) return null;
+
+  const windows = (availability.find(a => a.day === day)?.slots || [])
+    .map(range => {
+      const [from, to] = range.split('-');
+      const start = from ? parseClock(from) : null;
+      const end = to ? parseClock(to) : null;
+      return start !== null && end !== null && end > start ? { start, end } : null;
+    })
+    .filter((w): w is { start: number; end: number } => w !== null)
+    .sort((a, b) => a.start - b.start);
+
+  const merged: Array<{ start: number; end: number }> = [];
+  windows.forEach(window => {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  });
+  return merged;
+}
+
+function locationsFor(request: PackRequest, actors: Record<string, PackActor>): string[] {
+  const from = actors[request.fromActorId]?.meetingLocations || [];
+  const to = actors[request.toActorId]?.meetingLocations || [];
+  const shared = to.filter(location => from.includes(location));
+
+  // Prefer places both like, then the invitee's choice, then the requester's
+  const choices = shared.length > 0 ? shared : to.length > 0 ? to : from.length > 0 ? from : [DEFAULT_MEETING_LOCATION];
+  return choices.slice(0, LOCATIONS_PER_SLOT);
+}
+
+/**
+ * Expands a request into (slot, location) options, or says why it has none
+ */
+function buildOptions(
+  request: PackRequest,
+  day: string,
+  actors: Record<string, PackActor>
+): { options: Option[] } | { unscheduled: UnscheduledRequest } {
+  const parsed = request.requestedSlots.map(slot => ({ slot, interval: parseSlot(slot) }));
+  const onDay = parsed.filter(p => p.interval?.day === day);
+  const base = { meetingId: request.meetingId, score: request.score };
+
+  if (onDay.length === 0) {
+    const invalid = parsed.filter(p => !p.interval && p.slot.startsWith(day));
+    return {
+      unscheduled: invalid.length > 0
+        ? { ...base, reason: 'invalid_slot', message: `Unreadable slot(s): ${invalid.map(p => p.slot).join(', ')}` }
+        : { ...base, reason: 'no_slot_on_day', message: `No requested slot falls on ${day}` }
+    };
+  }
+
+  const participants = [request.fromActorId, request.toActorId];
+  const windows = participants.map(id => availabilityWindows(actors[id]?.availability, day));
+  const unavailable = new Set<string>();
+
+  const fitting = onDay.filter(({ interval }) => {
+    let fits = true;
+    windows.forEach((actorWindows, i) => {
+      if (actorWindows && !actorWindows.some(w => w.start <= interval!.start && interval!.end <= w.end)) {
+        unavailable.add(participants[i]!);
+        fits = false;
+      }
+    });
+    return fits;
+  });
+
+  if (fitting.length === 0) {
+    return {
+      unscheduled: {
+        ...base,
+        reason: 'outside_availability',
+        message: `No requested slot is inside the availability of ${Array.from(unavailable).join(' and ')}`,
+        actors: Array.from(unavailable)
+      }
+    };
+  }
+
+  const locations = locationsFor(request, actors);
+  const options: Option[] = [];
+  fitting.forEach(({ slot, interval }) => {
+    locations.forEach(location => options.push({ slot, start: interval!.start, end: interval!.end, location }));
+  });
+  return { options };
+}
+
+class Calendar {
+  private busy = new Map<string, Busy[]>();
+
+  constructor(private maxFor: (actorId: string) => number) {}
+
+  add(actorId: string, entry: Busy) {
+    if (!this.busy.has(actorId)) this.busy.set(actorId, []);
+    this.busy.get(actorId)!.push(entry);
+  }
+
+  remove(actorId: string) {
+    this.busy.get(actorId)!.pop();
+  }
+
+  // What stops `option` being added for `actorId`, empty if nothing
+  blockers(actorId: string, option: Option, firstOnly: boolean): Blocker[] {
+    const entries = this.busy.get(actorId) || [];
+    const found: Blocker[] = [];
+
+    if (entries.length >= this.maxFor(actorId)) {
+      found.push({ slot: option.slot, meetingId: '', actorId, kind: 'capacity' });
+      if (firstOnly) return found;
+    }
+
+    for (const entry of entries) {
+      if (option.start < entry.end && entry.start < option.end) {
+        found.push({ slot: option.slot, meetingId: entry.meetingId, actorId, kind: 'overlap' });
+      } else if (option.start < entry.end + walkingMinutes(entry.location, option.location) &&
+        entry.start < option.end + walkingMinutes(option.location, entry.location)) {
+        found.push({ slot: option.slot, meetingId: entry.meetingId, actorId, kind: 'travel' });
+      } else {
+        continue;
+      }
+      if (firstOnly) return found;
+    }
+    return found;
+  }
+}
+
+/**
+ * Exact search over one group of requests sharing actors. Requests are tried
+ * highest value first; a branch is cut once even taking every remaining
+ * request couldn't beat the best schedule found so far.
+ */
+function solveGroup(
+  candidates: Candidate[],
+  calendar: Calendar,
+  nodeLimit: number
+): { chosen: Map<number, Option>; optimal: boolean } {
+  const order = candidates.map((_, i) => i).sort((a, b) => candidates[b]!.value - candidates[a]!.value);
+  const remaining: number[] = new Array(order.length + 1).fill(0);
+  for (let i = order.length - 1; i >= 0; i--) {
+    remaining[i] = remaining[i + 1]! + candidates[order[i]!]!.value;
+  }
+
+  let best = -1;
+  let bestChosen = new Map<number, Option>();
+  const current = new Map<number, Option>();
+  let nodes = 0;
+  let exhausted = false;
+
+  const search = (depth: number, value: number) => {
+    if (++nodes > nodeLimit) {
+      exhausted = true;
+      return;
+    }
+    if (value > best) {
+      best = value;
+      bestChosen = new Map(current);
+    }
+    if (depth === order.length || value + remaining[depth]! <= best) return;
+
+    const index = order[depth]!;
+    const { request, options, value: requestValue } = candidates[index]!;
+    const actorIds = [request.fromActorId, request.toActorId];
+
+    for (const option of options) {
+      if (actorIds.some(id => calendar.blockers(id, option, true).length > 0)) continue;
+
+      const entry = { meetingId: request.meetingId, start: option.start, end: option.end, location: option.location };
+      actorIds.forEach(id => calendar.add(id, entry));
+      current.set(index, option);
+
+      search(depth + 1, value + requestValue);
+
+      current.delete(index);
+      actorIds.forEach(id => calendar.remove(id));
+      if (exhausted) return;
+    }
+
+    search(depth + 1, value);
+  };
+
+  search(0, 0);
+  return { chosen: bestChosen, optimal: !exhausted };
+}
+
+function explainUnscheduled(candidate: Candidate, calendar: Calendar): UnscheduledRequest {
+  const { request, options } = candidate;
+  const base = { meetingId: request.meetingId, score: request.score };
+  const actorIds = [request.fromActorId, request.toActorId];
+
+  const perOption = options.map(option => actorIds.flatMap(id => calendar.blockers(id, option, false)));
+  const blockedBy = perOption.flat();
+
+  // Only possible when the search stopped early: an optimal schedule would have taken it
+  if (perOption.some(blockers => blockers.length === 0)) {
+    return {
+      ...base,
+      reason: 'search_limit',
+      message: 'Too many competing requests to search exhaustively; a requested slot is still free to book by hand'
+    };
+  }
+
+  const capacityActors = Array.from(new Set(blockedBy.filter(b => b.kind === 'capacity').map(b => b.actorId)));
+  if (perOption.every(blockers => blockers.some(b => b.kind === 'capacity'))) {
+    return {
+      ...base,
+      reason: 'max_meetings',
+      message: `Daily meeting limit reached for ${capacityActors.join(' and ')}`,
+      actors: capacityActors
+    };
+  }
+
+  const clashes = blockedBy.filter(b => b.kind !== 'capacity');
+  const onlyTravel = clashes.every(b => b.kind === 'travel');
+  return {
+    ...base,
+    reason: 'conflict',
+    message: onlyTravel
+      ? 'Every requested slot leaves too little walking time from or to a higher-value meeting'
+      : 'Every requested slot clashes with higher-value meetings',
+    actors: Array.from(new Set(clashes.map(b => b.actorId))),
+    blockedBy
+  };
+}
+
+/**
+ * Packs a day's meeting requests. Every request ends up either in
+ * `assignments` or in `unscheduled` with a reason.
+ */
+export function packMeetings(input: PackInput): PackResult {
+  const { day, requests, actors, fixed = [] } = input;
+  const defaultMax = input.defaultMaxMeetings ?? DEFAULT_MAX_MEETINGS_PER_DAY;
+  const nodeLimit = input.nodeLimit ?? DEFAULT_NODE_LIMIT;
+
+  const calendar = new Calendar(actorId => actors[actorId]?.maxMeetingsPerDay ?? defaultMax);
+  fixed.forEach(meeting => {
+    const interval = parseSlot(meeting.slot);
+    if (!interval || interval.day !== day) return;
+    meeting.actorIds.forEach(actorId => calendar.add(actorId, {
+      meetingId: meeting.meetingId, start: interval.start, end: interval.end, location: meeting.location
+    }));
+  });
+
+  const unscheduled: UnscheduledRequest[] = [];
+  const candidates: Candidate[] = [];
+  requests.forEach(request => {
+    const built = buildOptions(request, day, actors);
+    if ('unscheduled' in built) {
+      unscheduled.push(built.unscheduled);
+    } else {
+      candidates.push({ request, options: built.options, value: Math.max(request.score, 0) + TIE_BREAK });
+    }
+  });
+
+  // Group requests that share an actor; groups can't affect each other
+  const parent = new Map<string, string>();
+  const find = (id: string): string => {
+    const next = parent.get(id) || id;
+    if (next === id) return id;
+    const root = find(next);
+    parent.set(id, root);
+    return root;
+  };
+  candidates.forEach(({ request }) => {
+    const a = find(request.fromActorId);
+    const b = find(request.toActorId);
+    if (a !== b) parent.set(a, b);
+  });
+
+  const groups = new Map<string, Candidate[]>();
+  candidates.forEach(candidate => {
+    const root = find(candidate.request.fromActorId);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root)!.push(candidate);
+  });
+
+  const assignments: PackedMeeting[] = [];
+  let optimal = true;
+
+  groups.forEach(group => {
+    const result = solveGroup(group, calendar, nodeLimit);
+    optimal = optimal && result.optimal;
+
+    // Commit the group's schedule, then explain what didn't fit around it
+    result.chosen.forEach((option, index) => {
+      const { request } = group[index]!;
+      const entry = { meetingId: request.meetingId, start: option.start, end: option.end, location: option.location };
+      calendar.add(request.fromActorId, entry);
+      calendar.add(request.toActorId, entry);
+      assignments.push({
+        meetingId: request.meetingId,
+        slot: option.slot,
+        start: formatTime(option.start),
+        end: formatTime(option.end),
+        location: option.location,
+        score: request.score
+      });
+    });
+
+    group.forEach((candidate, index) => {
+      if (!result.chosen.has(index)) {
+        unscheduled.push(explainUnscheduled(candidate, calendar));
+      }
+    });
+  });
+
+  assignments.sort((a, b) => a.start.localeCompare(b.start) || a.meetingId.localeCompare(b.meetingId));
+  const totalScore = assignments.reduce((sum, a) => sum + a.score, 0);
+
+  return { assignments, unscheduled, totalScore, optimal };
+}
@@ -8,12 +8,23 @@ import {
   MeetingRequest,
   Attendee,
   Actor,
-  AvailabilitySlot
+  AvailabilitySlot,
+  AutoPackReport,
+  DEFAULT_MAX_MEETINGS_PER_DAY
 } from './attendee-types';
+import { packMeetings, parseSlot, availabilityWindows, PackActor } from './meeting-packer';
 import { Company } from './types';
-import { Timestamp } from 'firebase-admin/firestore';
+import { FieldPath, Timestamp } from 'firebase-admin/firestore';
 import { db } from '../services/firebase-init';
 import { v4 as uuidv4 } from 'uuid';
+import { experimentManager } from './experiments';
+
+const BACKFILL_PAGE_SIZE = 300;
+
+// Days a meeting could happen on, for the requestedDays day queries
+function requestedDaysOf(slots: string[] = []): string[] {
+  return Array.from(new Set(slots.map(slot => slot.split('T')[0]!)));
+}
 
 export class MeetingScheduler {
   // Request a meeting between two actors
@@ -49,6 +60,7 @@ export class MeetingScheduler {
       fromActorId,
       toActorId,
       requestedSlots: overlappingSlots,
+      requestedDays: requestedDaysOf(overlappingSlots),
       status: 'requested',
       notes: message,
       createdAt: Timestamp.now(),
@@ -66,7 +78,7 @@ export class MeetingScheduler {
   }
 
   // Accept a meeting request
-  async acceptMeeting(meetingId: string, chosenSlot: string): Promise<Meeting> {
+  async acceptMeeting(meetingId: string, chosenSlot: string, location?: string): Promise<Meeting> {
     const doc = await db.collection('meetings').doc(meetingId).get();
     if (!doc.exists) {
       throw new Error('Meeting not found');
@@ -86,17 +98,21 @@ export class MeetingScheduler {
     meeting.chosenSlot = chosenSlot;
     meeting.status = 'scheduled';
     meeting.updatedAt = Timestamp.now();
+    if (location) meeting.location = location;
 
     await db.collection('meetings').doc(meetingId).update({
       chosenSlot,
       status: 'scheduled',
-      updatedAt: meeting.updatedAt
+      updatedAt: meeting.updatedAt,
+      ...(location && { location })
     });
 
     // Block the slot for both parties
     await this.blockSlot(meeting.fromActorId, chosenSlot);
     await this.blockSlot(meeting.toActorId, chosenSlot);
 
+    await this.recordOutcome('meeting_accepted', meeting);
+
     console.log(`[MeetingScheduler] Meeting accepted: ${meetingId} at ${chosenSlot}`);
     return meeting;
   }
@@ -125,96 +141,136 @@ export class MeetingScheduler {
       updatedAt: meeting.updatedAt
     });
 
+    await this.recordOutcome('meeting_declined', meeting);
+
     console.log(`[MeetingScheduler] Meeting declined: ${meetingId}`);
     return meeting;
   }
 
-  // Auto-pack meetings based on scores
+  // Auto-pack a day's meeting requests, maximising total match score.
+  // See meeting-packer.ts for the model; every request that doesn't make it
+  // comes back in `unscheduled` with the reason.
   async autoPackMeetings(
     day: string,
-    profileId: string = 'default'
-  ): Promise<{
-    scheduled: number;
-    conflicts: number;
-    totalRequests: number;
-  }> {
-    const result = {
-      scheduled: 0,
-      conflicts: 0,
-      totalRequests: 0
-    };
+    profileId: string = 'default',
+    options: { dryRun?: boolean; maxMeetingsPerDay?: number } = {}
+  ): Promise<AutoPackReport> {
+    const { dryRun = false, maxMeetingsPerDay = DEFAULT_MAX_MEETINGS_PER_DAY } = options;
 
     try {
-      // Get all pending meetings for the day
-      const snapshot = await db.collection('meetings')
-        .where('status', '==', 'requested')
-        .get();
-
-      const meetings: Meeting[] = [];
-      snapshot.forEach(doc => {
-        const meeting = { id: doc.id, ...doc.data() } as Meeting;
-        // Filter by day
-        if (meeting.requestedSlots.some(slot => slot.startsWith(day))) {
-          meetings.push(meeting);
-        }
-      });
-
-      result.totalRequests = meetings.length;
+      // Even in a dry run: it only adds the field the queries below need
+      await this.backfillRequestedDays();
+
+      // Only meetings with a slot on this day
+      const [requestedSnapshot, scheduledSnapshot] = await Promise.all([
+        db.collection('meetings')
+          .where('status', '==', 'requested')
+          .where('requestedDays', 'array-contains', day)
+          .get(),
+        db.collection('meetings')
+          .where('status', '==', 'scheduled')
+          .where('requestedDays', 'array-contains', day)
+          .get()
+      ]);
+
+      const meetings: Meeting[] = requestedSnapshot.docs.map((doc: FirebaseFirestore.QueryDocumentSnapshot) =>
+        ({ id: doc.id, ...doc.data() } as Meeting));
+      const scheduled: Meeting[] = scheduledSnapshot.docs
+        .map((doc: FirebaseFirestore.QueryDocumentSnapshot) => ({ id: doc.id, ...doc.data() } as Meeting))
+        .filter((meeting: Meeting) => meeting.chosenSlot?.startsWith(day));
 
       // Get match scores for prioritization
       const scoredMeetings = await this.scoreMeetings(meetings, profileId);
 
-      // Sort by score (highest first)
-      scoredMeetings.sort((a, b) => b.score - a.score);
-
-      // Track occupied slots
-      const occupiedSlots = new Map<string, Set<string>>(); // actorId -> Set of slots
-
-      // Greedy packing
-      for (const { meeting, score } of scoredMeetings) {
-        // Find first available slot
-        let scheduledSlot: string | null = null;
-
-        for (const slot of meeting.requestedSlots) {
-          if (!slot.startsWith(day)) continue;
-
-          const fromOccupied = occupiedSlots.get(meeting.fromActorId) || new Set();
-          const toOccupied = occupiedSlots.get(meeting.toActorId) || new Set();
-
-          if (!fromOccupied.has(slot) && !toOccupied.has(slot)) {
-            scheduledSlot = slot;
-            break;
-          }
-        }
+      const actorIds = new Set<string>();
+      [...meetings, ...scheduled].forEach(meeting => {
+        actorIds.add(meeting.fromActorId);
+        actorIds.add(meeting.toActorId);
+      });
+      const actors: Record<string, PackActor> = {};
+      await Promise.all(Array.from(actorIds).map(async actorId => {
+        actors[actorId] = await this.getSchedulingProfile(actorId);
+      }));
+
+      const plan = packMeetings({
+        day,
+        requests: scoredMeetings.map(({ meeting, score }) => ({
+          meetingId: meeting.id,
+          fromActorId: meeting.fromActorId,
+          toActorId: meeting.toActorId,
+          requestedSlots: meeting.requestedSlots,
+          score
+        })),
+        actors,
+        fixed: scheduled.map(meeting => ({
+          meetingId: meeting.id,
+          actorIds: [meeting.fromActorId, meeting.toActorId],
+          slot: meeting.chosenSlot!,
+          location: meeting.location
+        })),
+        defaultMaxMeetings: maxMeetingsPerDay
+      });
 
-        if (scheduledSlot) {
-          // Schedule the meeting
-          await this.acceptMeeting(meeting.id, scheduledSlot);
-
-          // Mark slots as occupied
-          if (!occupiedSlots.has(meeting.fromActorId)) {
-            occupiedSlots.set(meeting.fromActorId, new Set());
-          }
-          if (!occupiedSlots.has(meeting.toActorId)) {
-            occupiedSlots.set(meeting.toActorId, new Set());
-          }
-          occupiedSlots.get(meeting.fromActorId)!.add(scheduledSlot);
-          occupiedSlots.get(meeting.toActorId)!.add(scheduledSlot);
-
-          result.scheduled++;
-        } else {
-          result.conflicts++;
+      if (!dryRun) {
+        for (const assignment of plan.assignments) {
+          await this.acceptMeeting(assignment.meetingId, assignment.slot, assignment.location);
         }
       }
 
-      console.log(`[MeetingScheduler] Auto-pack complete: ${result.scheduled} scheduled, ${result.conflicts} conflicts`);
+      const report: AutoPackReport = {
+        day,
+        dryRun,
+        totalRequests: meetings.length,
+        scheduled: plan.assignments.length,
+        conflicts: plan.unscheduled.length,
+        totalScore: plan.totalScore,
+        optimal: plan.optimal,
+        assignments: plan.assignments,
+        unscheduled: plan.unscheduled
+      };
+
+      console.log(`[MeetingScheduler] Auto-pack ${dryRun ? 'planned' : 'complete'} for ${day}: ` +
+        `${report.scheduled} scheduled, ${report.conflicts} unscheduled${plan.optimal ? '' : ' (search limit hit)'}`);
+      return report;
 
     } catch (error: any) {
       console.error('[MeetingScheduler] Auto-pack failed:', error);
       throw error;
     }
+  }
+
+  // Add requestedDays to meetings requested before it existed, which the day
+  // queries in autoPackMeetings would never find. Runs once; the marker in
+  // metadata/meeting_days_backfill makes later calls a single read.
+  async backfillRequestedDays(): Promise<number> {
+    const marker = db.collection('metadata').doc('meeting_days_backfill');
+    if ((await marker.get()).exists) return 0;
+
+    let updated = 0;
+    let last: FirebaseFirestore.QueryDocumentSnapshot | undefined;
+    while (true) {
+      let query = db.collection('meetings').orderBy(FieldPath.documentId()).limit(BACKFILL_PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const page = await query.get();
+      if (page.empty) break;
+      last = page.docs[page.docs.length - 1];
+
+      const batch = db.batch();
+      let writes = 0;
+      page.docs.forEach((doc: FirebaseFirestore.QueryDocumentSnapshot) => {
+        const meeting = doc.data() as Meeting;
+        if (Array.isArray(meeting.requestedDays)) return;
+        batch.update(doc.ref, { requestedDays: requestedDaysOf(meeting.requestedSlots) });
+        writes++;
+      });
+      if (writes > 0) await batch.commit();
+      updated += writes;
+    }
 
-    return result;
+    await marker.set({ completedAt: new Date().toISOString(), updated });
+    console.log(`[MeetingScheduler] Backfilled requestedDays on ${updated} meetings`);
+    return updated;
   }
 
   // Get meetings for an actor
@@ -402,24 +458,36 @@ export class MeetingScheduler {
     return [];
   }
 
+  // Availability, locations and daily limit used by the packer
+  private async getSchedulingProfile(actorId: string): Promise<PackActor> {
+    if (actorId.startsWith('a-')) {
+      const doc = await db.collection('attendees').doc(actorId).get();
+      if (doc.exists) {
+        const { preferences } = doc.data() as Attendee;
+        return {
+          availability: preferences?.availability || [],
+          meetingLocations: preferences?.meetingLocations || [],
+          maxMeetingsPerDay: preferences?.maxMeetingsPerDay
+        };
+      }
+    }
+
+    // Companies/sponsors have no preferences yet: any time, any place
+    return { availability: [], meetingLocations: [] };
+  }
+
   private isSlotAvailable(slot: string, availability: AvailabilitySlot[]): boolean {
     if (availability.length === 0) {
       // No availability specified = all slots available
       return true;
     }
 
-    // Parse slot format: "2025-09-15T10:00/30m"
-    const [datetime] = slot.split('/');
-    const date = datetime.split('T')[0];
-    const time = datetime.split('T')[1];
-
-    // Find matching day
-    const dayAvail = availability.find(a => a.day === date);
-    if (!dayAvail) return false;
+    // Slot format: "2025-09-15T10:00/30m"; the whole meeting must fit one window
+    const interval = parseSlot(slot);
+    if (!interval) return false;
 
-    // Check if time slot is in availability
-    // This is simplified - in production would need more sophisticated time matching
-    return dayAvail.slots.some(s => s.includes(time));
+    const windows = availabilityWindows(availability, interval.day);
+    return !windows || windows.some(w => w.start <= interval.start && interval.end <= w.end);
   }
 
   private async blockSlot(actorId: string, slot: string): Promise<void> {
@@ -433,6 +501,15 @@ export class MeetingScheduler {
     console.log(`[MeetingScheduler] Notification sent for meeting ${meeting.id}`);
   }
 
+  // The invitee's response is the outcome for experiment reporting
+  private async recordOutcome(type: 'meeting_accepted' | 'meeting_declined', meeting: Meeting): Promise<void> {
+    try {
+      await experimentManager.recordOutcome(type, meeting.toActorId, meeting.fromActorId, 'meeting-scheduler');
+    } catch (error) {
+      console.warn(`[MeetingScheduler] Failed to record ${type} outcome:`, error);
+    }
+  }
+
   private async scoreMeetings(
     meetings: Meeting[],
     profileId: string
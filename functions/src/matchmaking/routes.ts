@@ -20,8 +20,12 @@ import {
   APIResponse,
   Company,
   WeightsProfile,
-  IngestLog
+  IngestLog,
+  MatchExplanation,
+  Experiment,
+  ExperimentReport
 } from './types';
+import { experimentManager } from './experiments';
 
 const router = Router();
 const matchEngine = new MatchEngine();
@@ -110,6 +114,52 @@ router.get('/matches/:companyId', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /matchmaking/matches/:a/:b/explain
+ * Per-metric score breakdown for a pair, with the profile edits that would raise it
+ */
+router.get('/matches/:a/:b/explain', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const a = req.params['a'] as string;
+    const b = req.params['b'] as string;
+    const profileId = (req.query['profileId'] as string) || 'default';
+
+    if (a === b) {
+      res.status(400).json({
+        success: false,
+        error: 'a and b must be different companies',
+        timestamp: new Date().toISOString()
+      } as APIResponse);
+      return;
+    }
+
+    const explanation = await matchEngine.explainPair(a, b, profileId);
+
+    if (!explanation) {
+      res.status(404).json({
+        success: false,
+        error: 'Company not found',
+        timestamp: new Date().toISOString()
+      } as APIResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: explanation,
+      timestamp: new Date().toISOString()
+    } as APIResponse<MatchExplanation>);
+
+  } catch (error) {
+    console.error('[matchmaking] Error explaining match:', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to explain match',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
 /**
  * POST /matchmaking/matches/batch
  * Find matches for multiple companies
@@ -557,6 +607,126 @@ router.put('/weights/:id', authMiddleware.requireAdmin, async (req: Request, res
   }
 });
 
+// ============= EXPERIMENT ENDPOINTS =============
+
+/**
+ * GET /matchmaking/admin/experiments
+ * List weight profile experiments (admin only)
+ */
+router.get('/admin/experiments', authMiddleware.requireAdmin, async (_req: Request, res: Response) => {
+  try {
+    const experiments = await experimentManager.listExperiments();
+
+    res.json({
+      success: true,
+      data: experiments,
+      timestamp: new Date().toISOString()
+    } as APIResponse<Experiment[]>);
+
+  } catch (error) {
+    console.error('[matchmaking] Error listing experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to list experiments',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
+/**
+ * POST /matchmaking/admin/experiments
+ * Create an experiment over existing weight profiles (admin only)
+ * Body: { name, unit: 'company' | 'attendee', variants: [{ id, profileId, allocation }], attributionWindowHours? }
+ */
+router.post('/admin/experiments', authMiddleware.requireAdmin, async (req: Request, res: Response) => {
+  try {
+    const experiment = await experimentManager.createExperiment(req.body || {}, (req as any).user?.uid);
+
+    res.status(201).json({
+      success: true,
+      data: experiment,
+      timestamp: new Date().toISOString()
+    } as APIResponse<Experiment>);
+
+  } catch (error) {
+    console.error('[matchmaking] Error creating experiment:', error);
+    res.status(400).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to create experiment',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
+/**
+ * POST /matchmaking/admin/experiments/:id/status
+ * Start or stop an experiment (admin only)
+ * Body: { status: 'running' | 'stopped' }
+ */
+router.post('/admin/experiments/:id/status', authMiddleware.requireAdmin, async (req: Request, res: Response) => {
+  try {
+    const { status } = req.body || {};
+
+    if (!['running', 'stopped'].includes(status)) {
+      res.status(400).json({
+        success: false,
+        error: "status must be 'running' or 'stopped'",
+        timestamp: new Date().toISOString()
+      } as APIResponse);
+      return;
+    }
+
+    const experiment = await experimentManager.setStatus(req.params['id'] as string, status);
+
+    res.json({
+      success: true,
+      data: experiment,
+      timestamp: new Date().toISOString()
+    } as APIResponse<Experiment>);
+
+  } catch (error) {
+    console.error('[matchmaking] Error updating experiment:', error);
+    res.status(409).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to update experiment',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
+/**
+ * GET /matchmaking/admin/experiments/:id/report
+ * Per-variant acceptance rates with 95% confidence intervals (admin only)
+ */
+router.get('/admin/experiments/:id/report', authMiddleware.requireAdmin, async (req: Request, res: Response) => {
+  try {
+    const report = await experimentManager.getReport(req.params['id'] as string);
+
+    if (!report) {
+      res.status(404).json({
+        success: false,
+        error: 'Experiment not found',
+        timestamp: new Date().toISOString()
+      } as APIResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    } as APIResponse<ExperimentReport>);
+
+  } catch (error) {
+    console.error('[matchmaking] Error building experiment report:', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to build experiment report',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
 // ============= TAXONOMY ENDPOINTS =============
 
 /**
@@ -632,6 +802,36 @@ router.get('/health', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * POST /matchmaking/admin/recompute
+ * Recompute stored pairs for a weight profile (admin only).
+ * Incremental unless `full` is set; call again while `complete` is false.
+ */
+router.post('/admin/recompute', authMiddleware.requireAdmin, async (req: Request, res: Response) => {
+  try {
+    const { profileId = 'default', full = false, timeBudgetMs = 8 * 60 * 1000 } = req.body || {};
+
+    const result = await matchEngine.computeAllMatches(profileId, {
+      full: Boolean(full),
+      timeBudgetMs: Number(timeBudgetMs)
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+
+  } catch (error) {
+    console.error('[matchmaking] Error recomputing matches:', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to recompute matches',
+      timestamp: new Date().toISOString()
+    } as APIResponse);
+  }
+});
+
 /**
  * POST /matchmaking/admin/clear-caches
  * Clear all system caches (admin only)
@@ -90,6 +90,120 @@ export interface Contribution {
   displayName?: string;
 }
 
+// One row of a match explanation
+export interface MetricExplanation {
+  key: string;
+  displayName: string;
+  signal: number; // Raw metric value, 0..1
+  weight: number;
+  contribution: number; // signal × weight
+  scoreShare: number; // Points this metric adds to the final score
+  counted: boolean; // Zero signals are left out of the score entirely
+  fields: string[]; // Profile fields the metric reads
+  values: { a: Record<string, any>; b: Record<string, any> };
+  shared?: string[]; // Values both companies list, for list metrics
+}
+
+// A single profile edit and what it would do to the score
+export interface Counterfactual {
+  company: 'a' | 'b';
+  field: string;
+  value: string;
+  change: string;
+  score: number;
+  delta: number;
+  crossesThreshold: boolean;
+}
+
+// Full breakdown returned by the explain endpoint
+export interface MatchExplanation {
+  edgeId: string;
+  a: { id: string; name: string };
+  b: { id: string; name: string };
+  profileId: string;
+  score: number;
+  threshold: number;
+  confidence: number;
+  reasons: string[];
+  formula: string;
+  metrics: MetricExplanation[];
+  counterfactuals: Counterfactual[];
+  missingData: Array<{ company: 'a' | 'b'; field: string; metric: string }>;
+}
+
+// Weight profile A/B experiment
+export type ExperimentUnit = 'company' | 'attendee';
+
+export interface ExperimentVariant {
+  id: string; // e.g. 'control', 'platform-heavy'
+  profileId: string; // Weight profile served to this arm
+  allocation: number; // Relative share of subjects
+}
+
+export interface Experiment {
+  id: string;
+  name: string;
+  unit: ExperimentUnit;
+  status: 'draft' | 'running' | 'stopped';
+  variants: ExperimentVariant[]; // First variant is the control
+  attributionWindowHours: number; // Outcomes later than this after serving don't count
+  createdBy?: string;
+  createdAt: Timestamp;
+  startedAt?: Timestamp;
+  stoppedAt?: Timestamp;
+}
+
+export interface ExperimentAssignment {
+  experimentId: string;
+  variantId: string;
+  profileId: string;
+}
+
+// One match served under an experiment, keyed by experiment, subject and pair
+export interface MatchExposure extends ExperimentAssignment {
+  subjectId: string;
+  edgeId: string; // Sorted pair id, same as Match.edgeId
+  counterpartId: string;
+  score: number;
+  rank: number;
+  servedAt: Timestamp;
+}
+
+export type MatchOutcomeType = 'swipe_like' | 'swipe_pass' | 'meeting_accepted' | 'meeting_declined' | 'badge_scan';
+
+// Something that happened between two parties after they were matched
+export interface MatchOutcome {
+  type: MatchOutcomeType;
+  actorId: string;
+  counterpartId: string;
+  edgeId: string;
+  source: string; // 'matchmaking-service', 'meeting-scheduler', 'badge-scan'
+  at: Timestamp;
+}
+
+export interface RateEstimate {
+  count: number;
+  rate: number;
+  ci95: [number, number];
+}
+
+export interface VariantReport {
+  variantId: string;
+  profileId: string;
+  subjects: number;
+  exposures: number;
+  accepted: RateEstimate; // Exposures followed by any positive outcome
+  outcomes: Record<MatchOutcomeType, RateEstimate>;
+}
+
+export interface ExperimentReport {
+  experimentId: string;
+  name: string;
+  status: Experiment['status'];
+  generatedAt: string;
+  variants: VariantReport[];
+}
+
 // Ingest log for uploads
 export interface IngestLog {
   uploadId: string;
@@ -168,6 +282,38 @@ export interface BatchResult {
   duration: number;
 }
 
+// Options for batch match computation
+export interface ComputeMatchesOptions {
+  full?: boolean; // Recompute every pair, not just those touching changed companies
+  timeBudgetMs?: number; // Stop and save progress after this long; the next call resumes
+  maxCandidates?: number; // Per company, after blocking; a pair is scored if either side has the other in its top
+}
+
+// Batch match computation result
+export interface ComputeMatchesResult extends BatchResult {
+  mode: 'full' | 'incremental';
+  complete: boolean; // false when the time budget ran out; call again to resume
+  changedCompanies: number;
+  pairsScored: number;
+  removed: number; // Stale pairs deleted
+}
+
+// Persisted progress of a batch run, one document per weight profile
+export interface MatchRunState {
+  profileId: string;
+  profileHash: string; // Weights + threshold the stored pairs were computed with
+  lastCompletedAt?: Timestamp;
+  lastCompletedStartedAt?: Timestamp; // Companies updated after this are "changed"
+  companyIds?: string[]; // Companies that may have stored pairs; any missing next run were deleted
+  current?: {
+    mode: 'full' | 'incremental';
+    startedAt: Timestamp;
+    since?: Timestamp; // Absent for full runs
+    cursor?: string; // Last company id whose pairs are fully written
+    profileHash: string;
+  } | null;
+}
+
 // Admin user with role
 export interface AdminUser {
   uid: string;
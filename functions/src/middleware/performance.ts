@@ -54,6 +54,14 @@ export function cacheMiddleware(req: Request, res: Response, next: NextFunction)
     return next();
   }
   
+  // Google Calendar answers per session cookie, and referral reports per
+  // signed-in user, neither of which the cache key can see; migration
+  // progress changes while it is polled
+  if (req.path.startsWith('/googleCalendar/') || req.path.startsWith('/referral/') ||
+    req.path.startsWith('/invites/migrate/')) {
+    return next();
+  }
+  
   const key = `${req.path}:${JSON.stringify(req.query)}`;
   const cached = cache.get(key);
   
@@ -0,0 +1,40 @@
+import {Router, Request, Response} from "express";
+
+// eslint-disable-next-line new-cap
+const router = Router();
+
+const PROXY_TIMEOUT_MS = 10000;
+
+// Only the service's open read queries; export, erasure and the archive need
+// an API key and stay server-to-server
+const READ_PATHS = /^\/api\/v1\/(stats|cohorts|paths|metrics)(\/.*)?$/;
+
+/**
+ * GET /api/analytics/api/v1/* - Same-origin access to the analytics service
+ * for the KPI dashboard; ANALYTICS_SERVICE_URL points at the service
+ */
+router.get(READ_PATHS, async (req: Request, res: Response): Promise<Response> => {
+  const serviceUrl = process.env["ANALYTICS_SERVICE_URL"];
+  if (!serviceUrl) {
+    return res.status(503).json({error: "Analytics service not configured"});
+  }
+
+  const queryStart = req.originalUrl.indexOf("?");
+  const query = queryStart >= 0 ? req.originalUrl.slice(queryStart) : "";
+
+  try {
+    const response = await fetch(`${serviceUrl.replace(/\/$/, "")}${req.path}${query}`, {
+      headers: {Accept: "application/json"},
+      signal: AbortSignal.timeout(PROXY_TIMEOUT_MS),
+    });
+    const body = await response.text();
+    return res.status(response.status)
+      .type(response.headers.get("content-type") || "application/json")
+      .send(body);
+  } catch (error) {
+    console.error("[analytics] Proxy error:", error);
+    return res.status(502).json({error: "Analytics service unavailable"});
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import {Router, Request, Response} from "express";
+import {Conference, getConference, getConferenceDays, listConferences} from "../services/conferences";
+
+// eslint-disable-next-line new-cap
+const router = Router();
+
+/**
+ * Public view of a conference - sheet IDs stay server-side
+ */
+function toPublicConference(conference: Conference) {
+  return {
+    id: conference.id,
+    name: conference.name,
+    city: conference.city,
+    country: conference.country,
+    timezone: conference.timezone,
+    startDate: conference.startDate,
+    endDate: conference.endDate,
+    coordinates: conference.coordinates,
+    days: getConferenceDays(conference),
+  };
+}
+
+/**
+ * GET /api/conferences - List every conference we serve parties for
+ */
+router.get("/", (_req: Request, res: Response): Response => {
+  return res.json({
+    data: listConferences().map(toPublicConference),
+  });
+});
+
+/**
+ * GET /api/conferences/:id - Get a single conference
+ */
+router.get("/:id", (req: Request, res: Response): Response => {
+  const conference = getConference(req.params["id"] as string);
+
+  if (!conference) {
+    return res.status(404).json({
+      error: "unknown_conference",
+      message: `Unknown conference: ${req.params["id"]}`,
+    });
+  }
+
+  return res.json({
+    data: toPublicConference(conference),
+  });
+});
+
+export default router;
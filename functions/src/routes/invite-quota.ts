@@ -0,0 +1,180 @@
+import express from 'express';
+import { AuthenticatedRequest, requireAuth, requireRole, UserRole } from '../middleware/admin-auth';
+import { authenticateUser } from '../middleware/auth';
+import {
+  awardInviteeActive,
+  getQuotaBalance,
+  grantQuota,
+  listQuotaLedger
+} from '../services/invites';
+
+const router = express.Router();
+
+const requireAdmin = [requireAuth, requireRole(UserRole.ADMIN)];
+
+const MAX_GRANT_USERS = 500; // Per cohort grant
+const MAX_GRANT_AMOUNT = 100;
+
+// Quota is read and written through the ledger in packages/invites (invite-quota)
+
+/**
+ * GET /api/invites/quota?userId=XXX&since=MS - Invite balance for a user,
+ * with the ledger entries recorded after `since`
+ * (userId belongs in the query: cached GET responses are keyed on it)
+ */
+router.get('/', async (req, res): Promise<any> => {
+  try {
+    const userId = (req.query['userId'] as string) || (req.headers['user-id'] as string);
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID required'
+      });
+    }
+
+    const since = parseInt(req.query['since'] as string);
+    const [balance, entries] = await Promise.all([
+      getQuotaBalance(userId),
+      listQuotaLedger(userId, { since: since > 0 ? since : undefined, limit: 20 })
+    ]);
+
+    return res.json({
+      ...balance,
+      entries
+    });
+
+  } catch (error) {
+    console.error('[invites] Quota error:', error);
+    return res.status(500).json({
+      error: 'Failed to get invite quota',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * POST /api/invites/quota/active - Report that the signed-in invitee is
+ * active; whoever invited them earns an invite, once per invitee
+ */
+router.post('/active', authenticateUser, async (req, res): Promise<any> => {
+  try {
+    const userId: string | undefined = (req as any).user?.uid;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized'
+      });
+    }
+
+    const entry = await awardInviteeActive(userId);
+
+    if (entry) {
+      console.log(`[invites] ${entry.uid} earned ${entry.delta} invite(s): ${userId} is active`);
+    }
+
+    return res.json({
+      success: true,
+      awarded: entry !== null
+    });
+
+  } catch (error) {
+    console.error('[invites] Activity error:', error);
+    return res.status(500).json({
+      error: 'Failed to record activity',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * POST /api/invites/quota/grant - Grant invites to a user or cohort (admin only)
+ * Body: { uid } or { uids, cohort }, amount, note?
+ */
+router.post('/grant', ...requireAdmin, (req: AuthenticatedRequest, res: express.Response) =>
+  changeQuota(req, res, 1));
+
+/**
+ * POST /api/invites/quota/revoke - Take invites away from a user or cohort (admin only)
+ * Body: as for /grant
+ */
+router.post('/revoke', ...requireAdmin, (req: AuthenticatedRequest, res: express.Response) =>
+  changeQuota(req, res, -1));
+
+/**
+ * GET /api/invites/quota/:uid/ledger?limit=N - A user's balance and full ledger (admin only)
+ */
+router.get('/:uid/ledger', ...requireAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const uid = req.params['uid'] as string;
+    const limit = parseInt(req.query['limit'] as string);
+    const [balance, entries] = await Promise.all([
+      getQuotaBalance(uid),
+      listQuotaLedger(uid, { limit: limit > 0 ? Math.min(limit, 500) : 100 })
+    ]);
+
+    return res.json({
+      balance,
+      entries
+    });
+
+  } catch (error) {
+    console.error('[invites] Ledger error:', error);
+    return res.status(500).json({
+      error: 'Failed to get quota ledger',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+// Helper: Shared by /grant and /revoke; `sign` turns the amount into a delta
+async function changeQuota(req: AuthenticatedRequest, res: express.Response, sign: 1 | -1): Promise<any> {
+  try {
+    const { uid, uids, cohort, amount, note } = req.body || {};
+    const targets: string[] = Array.isArray(uids) ? uids.filter((id: unknown) => typeof id === 'string' && id) : [];
+    if (typeof uid === 'string' && uid) targets.push(uid);
+    const count = Number(amount);
+
+    if (targets.length === 0 || !Number.isInteger(count) || count <= 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['uid or uids', 'amount (positive integer)']
+      });
+    }
+
+    if (targets.length > MAX_GRANT_USERS || count > MAX_GRANT_AMOUNT) {
+      return res.status(400).json({
+        error: 'Grant too large',
+        maxUsers: MAX_GRANT_USERS,
+        maxAmount: MAX_GRANT_AMOUNT
+      });
+    }
+
+    const { grantId, entries } = await grantQuota({
+      uids: targets,
+      amount: sign * count,
+      cohort: typeof cohort === 'string' && cohort ? cohort : null,
+      actor: req.user?.email || req.user?.uid || null,
+      note: typeof note === 'string' ? note : null
+    });
+
+    console.log(`[invites] ${sign > 0 ? 'Granted' : 'Revoked'} ${count} invite(s) for ${entries.length} user(s)` +
+      `${cohort ? ` in cohort ${cohort}` : ''} (${grantId})`);
+
+    return res.json({
+      success: true,
+      grantId,
+      delta: sign * count,
+      users: entries.length,
+      entries
+    });
+
+  } catch (error) {
+    console.error('[invites] Quota change error:', error);
+    return res.status(500).json({
+      error: 'Failed to change invite quota',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
+
+export default router;
@@ -1,45 +1,57 @@
 import express from 'express';
-import * as admin from 'firebase-admin';
-import { generateInvitePair, normalizeCode, isExpired } from '../utils/invite-codes';
+import { getInviteMigration, queueInviteMigration, resumeInviteMigration } from '../jobs/migrate-invites';
+import { AuthenticatedRequest, requireAuth, requireRole, UserRole } from '../middleware/admin-auth';
+import { authenticateUser } from '../middleware/auth';
+import {
+  awardInviteeActive,
+  awardInviteRedeemed,
+  CanonicalInvite,
+  createInviteWithinQuota,
+  generateInvitePair,
+  getInvite,
+  getQuotaBalance,
+  GuestOutcome,
+  guestCounts,
+  hostGuestList,
+  inviteState,
+  isGroupInvite,
+  listInvitesByOwner,
+  MAX_GROUP_CAPACITY,
+  normalizeCode,
+  resolveInvite,
+  respondAsGuest,
+  SHARE_METHODS,
+  summarizeInvites,
+  updateInvite,
+  waitlistPosition
+} from '../services/invites';
 
 const router = express.Router();
 
-// Get Firestore instance (Firebase Admin is initialized in index.ts)
-const getDb = () => admin.firestore();
+const requireAdmin = [requireAuth, requireRole(UserRole.ADMIN)];
 
-/**
- * Invite type definition matching the spec
- */
-interface Invite {
-  id: string;
-  ownerUid: string;
-  createdBy?: string; // alias for ownerUid
-  toEmail?: string;
-  token: string;
-  code: string;
-  title: string;
-  start?: string;
-  end?: string;
-  location?: string;
-  description?: string;
-  status: 'pending' | 'accepted' | 'declined' | 'maybe';
-  createdAt: number;
-  updatedAt: number;
-  revokedAt?: number;
-  expiresAt?: number | string | Date;
-  expiresIn?: number;
-  redeemedAt?: number | null;
-  redeemedBy?: string | null;
-  lastSharedAt?: number;
-  lastMethod?: 'email' | 'link' | 'code' | 'qr' | 'system';
-}
+// Firebase user set by authenticateUser, when the ID token verified
+const signedInUid = (req: express.Request): string | null => (req as any).user?.uid ?? null;
+
+// Invites, whichever implementation created them, are read and written
+// through the canonical model in services/invites
+
+// Quota rewards never fail the request that earned them
+const logAwardError = (error: unknown) => console.error('[invites] Quota award error:', error);
+
+// Closed invites can't be shared, renewed or answered
+const isClosed = (invite: CanonicalInvite) => {
+  const state = inviteState(invite);
+  return state === 'revoked' || state === 'expired';
+};
 
 /**
  * POST /api/invites - Create a new invite with token+code pair
+ * Pass `capacity` for a group invite: one code for that many guests, then a waitlist
  */
 router.post('/', async (req, res): Promise<any> => {
   try {
-    const { ownerUid, title, toEmail, start, end, location, description } = req.body;
+    const { ownerUid, title, toEmail, start, end, location, description, capacity } = req.body;
     
     if (!ownerUid || !title) {
       return res.status(400).json({
@@ -48,41 +60,52 @@ router.post('/', async (req, res): Promise<any> => {
       });
     }
     
-    const { token, code } = generateInvitePair();
-    const now = Date.now();
+    if (capacity !== undefined && capacity !== null &&
+        (!Number.isInteger(capacity) || capacity < 2 || capacity > MAX_GROUP_CAPACITY)) {
+      return res.status(400).json({
+        error: 'Invalid capacity',
+        allowed: `Whole number from 2 to ${MAX_GROUP_CAPACITY}`
+      });
+    }
     
-    const invite: Omit<Invite, 'id'> = {
+    // Create it only within the owner's invite quota (shared by every invite API)
+    const { invite, balance } = await createInviteWithinQuota({
+      source: 'enhanced',
       ownerUid,
       toEmail,
-      token,
-      code,
-      title,
-      start,
-      end,
-      location,
-      description,
-      status: 'pending',
-      createdAt: now,
-      updatedAt: now
-    };
-    
-    // Store in Firestore
-    const docRef = await getDb().collection('invites').add(invite);
-    const id = docRef.id;
-    
-    // Update with ID
-    await docRef.update({ id });
+      event: {
+        title,
+        start: start ?? null,
+        end: end ?? null,
+        location: location ?? null,
+        description: description ?? null
+      },
+      capacity: capacity ?? null
+    });
+    if (!invite) {
+      return res.status(400).json({
+        error: 'Invite limit reached',
+        limit: balance.limit,
+        used: balance.used
+      });
+    }
+    const { id, token, code } = invite;
     
     const host = req.headers.host || 'conference-party-app.web.app';
     const link = `https://${host}/i/${code}`;
     
-    console.log(`[invites] Created invite ${id} with code ${code} for ${ownerUid}`);
+    const kind = capacity ? `group invite (${capacity} guests)` : 'invite';
+    console.log(`[invites] Created ${kind} ${id} with code ${code} for ${ownerUid}`);
+    
+    // Inviting others counts as being active for whoever invited the owner
+    await awardInviteeActive(ownerUid).catch(logAwardError);
     
     return res.json({
       id,
       token,
       code,
-      link
+      link,
+      remaining: balance.remaining
     });
     
   } catch (error) {
@@ -95,7 +118,8 @@ router.post('/', async (req, res): Promise<any> => {
 });
 
 /**
- * GET /api/invites/:id/share - Get shareable links for an invite (auth required)
+ * GET /api/invites/:id/share?method=email|link|code|qr - Get shareable links
+ * for an invite (auth required); the method is what referrals attribute to
  */
 router.get('/:id/share', async (req, res): Promise<any> => {
   try {
@@ -107,34 +131,27 @@ router.get('/:id/share', async (req, res): Promise<any> => {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(id).get();
+    const method = SHARE_METHODS.find(known => known === req.query['method']) ?? 'link';
+    
+    let closed = false;
+    // Update lastSharedAt (this also gives older invites a token)
+    const invite = await updateInvite(id, current => {
+      closed = isClosed(current);
+      return closed ? null : { lastSharedAt: Date.now(), lastMethod: method };
+    });
     
-    if (!inviteDoc.exists) {
+    if (!invite) {
       return res.status(404).json({ error: 'Invite not found' });
     }
     
-    const invite = inviteDoc.data() as Invite;
-    
     // Check if revoked or expired
-    const inviteForExpiry = {
-      ...invite,
-      expiresAt: typeof invite.expiresAt === 'number' 
-        ? new Date(invite.expiresAt) 
-        : invite.expiresAt || undefined
-    };
-    if (invite.revokedAt || isExpired(inviteForExpiry as any)) {
+    if (closed) {
       return res.status(410).json({ error: 'Invite expired or revoked' });
     }
     
     const host = req.headers.host || 'conference-party-app.web.app';
     const link = `https://${host}/i/${invite.code}`;
     
-    // Update lastSharedAt
-    await inviteDoc.ref.update({
-      lastSharedAt: Date.now(),
-      lastMethod: 'link'
-    });
-    
     return res.json({
       token: invite.token,
       code: invite.code,
@@ -162,28 +179,24 @@ router.post('/:id/renew', async (req, res): Promise<any> => {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(id).get();
+    // Generate new pair
+    const { token, code } = generateInvitePair();
+    let revoked = false;
+    
+    // Update invite with new pair
+    const invite = await updateInvite(id, current => {
+      revoked = current.status === 'revoked';
+      return revoked ? null : { token, code, codeKey: normalizeCode(code) };
+    });
     
-    if (!inviteDoc.exists) {
+    if (!invite) {
       return res.status(404).json({ error: 'Invite not found' });
     }
     
-    const invite = inviteDoc.data() as Invite;
-    
-    if (invite.revokedAt) {
+    if (revoked) {
       return res.status(410).json({ error: 'Cannot renew revoked invite' });
     }
     
-    // Generate new pair
-    const { token, code } = generateInvitePair();
-    
-    // Update invite with new pair
-    await inviteDoc.ref.update({
-      token,
-      code,
-      updatedAt: Date.now()
-    });
-    
     const host = req.headers.host || 'conference-party-app.web.app';
     const link = `https://${host}/i/${code}`;
     
@@ -216,19 +229,18 @@ router.post('/:id/revoke', async (req, res): Promise<any> => {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(id).get();
-    
-    if (!inviteDoc.exists) {
-      return res.status(404).json({ error: 'Invite not found' });
-    }
-    
     // Revoke by setting revokedAt and clearing token/code
-    await inviteDoc.ref.update({
+    const invite = await updateInvite(id, () => ({
+      status: 'revoked',
       revokedAt: Date.now(),
       token: null,
       code: null,
-      updatedAt: Date.now()
-    });
+      codeKey: null
+    }));
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
     
     console.log(`[invites] Revoked invite ${id}`);
     
@@ -256,37 +268,23 @@ router.get('/public/resolve/:code', async (req, res): Promise<any> => {
       return res.status(400).json({ error: 'Code required' });
     }
     
-    // Normalize the code for lookup
-    const normalizedCode = normalizeCode(code);
-    
-    // Find invite by code
-    const snapshot = await getDb()
-      .collection('invites')
-      .where('code', '==', normalizedCode)
-      .limit(1)
-      .get();
+    // Find invite by code, in any schema
+    const { invite, state } = await resolveInvite(code);
     
-    if (snapshot.empty) {
+    if (!invite || state === 'not_found') {
       console.log(`[invites] Code not found: ${code}`);
       return res.status(404).json({ error: 'Invalid invite code' });
     }
     
-    const invite = snapshot.docs[0]!.data() as Invite;
-    
     // Check if revoked or expired
-    const inviteForExpiry = {
-      ...invite,
-      expiresAt: typeof invite.expiresAt === 'number' 
-        ? new Date(invite.expiresAt) 
-        : invite.expiresAt || undefined
-    };
-    if (invite.revokedAt || isExpired(inviteForExpiry as any)) {
+    if (state === 'revoked' || state === 'expired') {
       console.log(`[invites] Code expired/revoked: ${code}`);
       return res.status(410).json({ error: 'Invite expired or revoked' });
     }
     
     return res.json({
-      token: invite.token
+      token: invite.token,
+      ...(isGroupInvite(invite) && { capacity: guestCounts(invite) })
     });
     
   } catch (error) {
@@ -300,13 +298,19 @@ router.get('/public/resolve/:code', async (req, res): Promise<any> => {
 
 /**
  * POST /api/invites/:id/rsvp - Update RSVP status (public with token)
+ * Group invites record one answer per guest: a first answer returns a
+ * guestToken, which changes that answer later. Guests who joined by code
+ * change theirs with that guestToken or by signing in, no invite token needed.
+ * A new guest must be signed in or give an email no other guest has used.
+ * Declining frees the seat for the next guest on the waitlist.
  */
-router.post('/:id/rsvp', async (req, res): Promise<any> => {
+router.post('/:id/rsvp', authenticateUser, async (req, res): Promise<any> => {
   try {
-    const { id } = req.params;
-    const { status, token } = req.body;
+    const id = req.params['id'] as string;
+    const { status, token, guestToken, name, email } = req.body;
+    const verifiedUid = signedInUid(req);
     
-    if (!status || !token) {
+    if (!status || !(token || guestToken || verifiedUid)) {
       return res.status(400).json({
         error: 'Missing required fields',
         required: ['status', 'token']
@@ -320,38 +324,83 @@ router.post('/:id/rsvp', async (req, res): Promise<any> => {
       });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(id).get();
+    let rejection: 403 | 410 | null = null;
+    let outcome: GuestOutcome | null = null;
+    
+    // Update status; accepting redeems the invite, and changing an accepted
+    // RSVP later releases it again
+    const invite = await updateInvite(id, current => {
+      // Verify token, or that an existing guest is answering
+      const knownGuest = current.guests.some(guest =>
+        (guestToken && guest.token === guestToken) || (verifiedUid && guest.uid === verifiedUid));
+      if (!knownGuest && (!current.token || current.token !== token)) {
+        rejection = 403;
+        return null;
+      }
+      // Check if revoked or expired
+      if (isClosed(current)) {
+        rejection = 410;
+        return null;
+      }
+      if (isGroupInvite(current)) {
+        outcome = respondAsGuest(current, { rsvp: status, guestToken, verifiedUid, name, email });
+        return outcome.ok ? outcome.changes : null;
+      }
+      if (status === 'accepted') {
+        return { rsvp: status, status: 'redeemed', redeemedAt: current.redeemedAt ?? Date.now() };
+      }
+      return current.rsvp === 'accepted'
+        ? { rsvp: status, status: 'pending', redeemedAt: null }
+        : { rsvp: status };
+    });
     
-    if (!inviteDoc.exists) {
+    if (!invite) {
       return res.status(404).json({ error: 'Invite not found' });
     }
-    
-    const invite = inviteDoc.data() as Invite;
-    
-    // Verify token
-    if (invite.token !== token) {
+    if (rejection === 403) {
       return res.status(403).json({ error: 'Invalid token' });
     }
-    
-    // Check if revoked or expired
-    const inviteForExpiry = {
-      ...invite,
-      expiresAt: typeof invite.expiresAt === 'number' 
-        ? new Date(invite.expiresAt) 
-        : invite.expiresAt || undefined
-    };
-    if (invite.revokedAt || isExpired(inviteForExpiry as any)) {
+    if (rejection === 410) {
       return res.status(410).json({ error: 'Invite expired or revoked' });
     }
     
-    // Update status
-    await inviteDoc.ref.update({
-      status,
-      updatedAt: Date.now()
-    });
+    const answer = outcome as GuestOutcome | null;
+    if (answer) {
+      if (!answer.ok) {
+        const errors = {
+          unknown_guest: [403, 'Invalid guest token'],
+          already_responded: [409, 'Already responded; sign in or pass your guestToken to change your answer'],
+          identity_required: [401, 'Sign in or give your email to answer a group invite'],
+          waitlist_full: [409, 'The waitlist is full']
+        } as const;
+        const [code, error] = errors[answer.reason];
+        return res.status(code).json({ error });
+      }
+      
+      answer.promoted.forEach(guest => {
+        console.log(`[invites] Promoted ${guest.name || guest.id} off the waitlist for invite ${id}`);
+      });
+      console.log(`[invites] Guest RSVP ${status} (${answer.guest.status}) for group invite ${id}`);
+      
+      return res.json({
+        success: true,
+        status,
+        guest: {
+          id: answer.guest.id,
+          guestToken: answer.guest.token,
+          status: answer.guest.status,
+          position: waitlistPosition(invite, answer.guest.id)
+        },
+        capacity: guestCounts(invite)
+      });
+    }
     
     console.log(`[invites] RSVP ${status} for invite ${id}`);
     
+    if (status === 'accepted') {
+      await awardInviteRedeemed(invite).catch(logAwardError);
+    }
+    
     return res.json({
       success: true,
       status
@@ -366,6 +415,49 @@ router.post('/:id/rsvp', async (req, res): Promise<any> => {
   }
 });
 
+/**
+ * GET /api/invites/:id/guests - Guest list and waitlist of a group invite (host only)
+ */
+router.get('/:id/guests', authenticateUser, async (req, res): Promise<any> => {
+  try {
+    const id = req.params['id'] as string;
+    const uid = signedInUid(req);
+    
+    if (!uid) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const invite = await getInvite(id);
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    if (invite.ownerUid !== uid) {
+      return res.status(403).json({ error: 'Only the host can see the guest list' });
+    }
+    
+    if (!isGroupInvite(invite)) {
+      return res.status(400).json({ error: 'Not a group invite' });
+    }
+    
+    return res.json({
+      id: invite.id,
+      title: invite.event?.title ?? null,
+      state: inviteState(invite),
+      capacity: guestCounts(invite),
+      guests: hostGuestList(invite)
+    });
+    
+  } catch (error) {
+    console.error('[invites] Guest list error:', error);
+    return res.status(500).json({
+      error: 'Failed to get guest list',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
 /**
  * GET /api/invites/stats?userId=XXX - Get invite statistics for a user
  */
@@ -379,35 +471,29 @@ router.get('/stats', async (req, res): Promise<any> => {
       });
     }
     
-    // Count invites created by this user (check both fields for compatibility)
-    const createdInvites = await getDb().collection('invites')
-      .where('ownerUid', '==', userId)
-      .get();
-    
-    const usedInvites = createdInvites.docs.filter(doc => {
-      const data = doc.data() as Invite;
-      return data.redeemedAt !== null;
-    });
+    // Count invites created by this user, whichever implementation created them
+    const createdInvites = await listInvitesByOwner(userId);
+    const summary = summarizeInvites(createdInvites);
+    const balance = await getQuotaBalance(userId, createdInvites);
     
     const stats = {
-      totalGenerated: createdInvites.size,
-      totalRedeemed: usedInvites.length,
-      redemptionRate: createdInvites.size > 0 
-        ? (usedInvites.length / createdInvites.size * 100).toFixed(1) 
-        : '0.0',
-      remaining: Math.max(0, 10 - createdInvites.size), // Default 10 invites per user
-      invites: createdInvites.docs.map(doc => {
-        const data = doc.data() as Invite;
-        return {
-          id: doc.id,
-          code: data.code,
-          createdAt: data.createdAt,
-          expiresAt: data.expiresAt,
-          redeemedAt: data.redeemedAt,
-          redeemedBy: data.redeemedBy,
-          status: data.status
-        };
-      })
+      totalGenerated: summary.total,
+      totalRedeemed: summary.redeemed,
+      redemptionRate: summary.redemptionRate.toFixed(1),
+      limit: balance.limit,
+      remaining: balance.remaining,
+      invites: createdInvites.map(invite => ({
+        id: invite.id,
+        code: invite.code,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt,
+        redeemedAt: invite.redeemedAt,
+        redeemedBy: invite.redeemedBy,
+        status: invite.rsvp || 'pending',
+        state: inviteState(invite),
+        source: invite.source,
+        ...(isGroupInvite(invite) && { capacity: guestCounts(invite) })
+      }))
     };
     
     return res.json(stats);
@@ -437,26 +523,17 @@ router.get('/status', async (req, res): Promise<any> => {
       });
     }
     
-    // Get user's invite stats
-    const createdInvites = await getDb().collection('invites')
-      .where('ownerUid', '==', userId)
-      .get();
-    
-    const usedCount = createdInvites.docs.filter(doc => {
-      const data = doc.data() as Invite;
-      return data.redeemedAt !== null;
-    }).length;
-    
-    const maxInvites = 10; // Default limit
-    const available = Math.max(0, maxInvites - createdInvites.size);
+    // Get user's invite stats and quota
+    const createdInvites = await listInvitesByOwner(userId);
+    const summary = summarizeInvites(createdInvites);
+    const { limit, remaining: available } = await getQuotaBalance(userId, createdInvites);
     
     return res.json({
       available,
-      used: usedCount,
-      total: createdInvites.size,
-      redemptionRate: createdInvites.size > 0 
-        ? Math.round(usedCount / createdInvites.size * 100)
-        : 0,
+      limit,
+      used: summary.redeemed,
+      total: summary.total,
+      redemptionRate: Math.round(summary.redemptionRate),
       canGenerate: available > 0
     });
     
@@ -472,4 +549,79 @@ router.get('/status', async (req, res): Promise<any> => {
   }
 });
 
+/**
+ * POST /api/invites/migrate - Queue a run that rewrites older invites in the
+ * canonical schema (admin only); follow it with GET /api/invites/migrate/:runId
+ * Accepts ?dryRun=true and ?limit=N
+ */
+router.post('/migrate', ...requireAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const limit = parseInt(req.query['limit'] as string);
+    const run = await queueInviteMigration({
+      dryRun: req.query['dryRun'] === 'true',
+      ...(limit > 0 && { limit }),
+      ...(req.user && { triggeredBy: { uid: req.user.uid, email: req.user.email, role: req.user.role } })
+    });
+    
+    return res.status(202).json(run);
+  } catch (error) {
+    console.error('[invites] Migration error:', error);
+    return res.status(500).json({
+      error: 'Failed to queue invite migration',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * GET /api/invites/migrate/:runId - Progress of a migration run (admin only)
+ */
+router.get('/migrate/:runId', ...requireAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const run = await getInviteMigration(req.params['runId'] as string);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Migration run not found'
+      });
+    }
+
+    return res.json(run);
+  } catch (error) {
+    console.error('[invites] Migration status error:', error);
+    return res.status(500).json({
+      error: 'Failed to get invite migration',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * POST /api/invites/migrate/:runId/resume - Queue a run again whose slice
+ * crashed or timed out, from its last saved progress (admin only)
+ */
+router.post('/migrate/:runId/resume', ...requireAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const result = await resumeInviteMigration(req.params['runId'] as string);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Migration run not found'
+      });
+    }
+    if (!result.resumed) {
+      return res.status(409).json({
+        error: `Migration run is ${result.run.status}, not stalled`,
+        run: result.run
+      });
+    }
+
+    return res.status(202).json(result.run);
+  } catch (error) {
+    console.error('[invites] Migration resume error:', error);
+    return res.status(500).json({
+      error: 'Failed to resume invite migration',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,21 +1,55 @@
 import express from 'express';
 import * as admin from 'firebase-admin';
+import {
+  awardInviteeActive,
+  awardInviteRedeemed,
+  CanonicalInvite,
+  createInviteWithinQuota,
+  findInviteByCode,
+  getQuotaBalance,
+  GuestOutcome,
+  guestCounts,
+  inviteState,
+  INVITES_COLLECTION,
+  isGroupInvite,
+  listInvitesByOwner,
+  readInvite,
+  respondAsGuest,
+  summarizeInvites,
+  updateInvite,
+  waitlistPosition
+} from '../services/invites';
 
 const router = express.Router();
 
 // Get Firestore instance (Firebase Admin is initialized in index.ts)
 const getDb = () => admin.firestore();
 
+const INVITE_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const toDate = (time: number | null) => time !== null ? new Date(time) : null;
+
+// Quota rewards never fail the request that earned them
+const logAwardError = (error: unknown) => console.error('[invites] Quota award error:', error);
+
 /**
- * Generate a unique invite code
+ * Canonical invite in the shape this API has always returned
  */
-function generateInviteCode(): string {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
+function toLegacyInvite(invite: CanonicalInvite) {
+  return {
+    id: invite.id,
+    code: invite.code,
+    inviterId: invite.ownerUid,
+    inviterName: invite.ownerName,
+    used: invite.status === 'redeemed',
+    usedAt: toDate(invite.redeemedAt),
+    usedBy: invite.redeemedBy,
+    userName: invite.redeemerName,
+    state: inviteState(invite),
+    source: invite.source,
+    createdAt: toDate(invite.createdAt),
+    expiresAt: toDate(invite.expiresAt)
+  };
 }
 
 /**
@@ -32,28 +66,33 @@ router.post('/generate', async (req, res): Promise<any> => {
       });
     }
     
-    const code = generateInviteCode();
-    const inviteData = {
-      code,
-      inviterId,
-      inviterName,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      used: false,
-      usedAt: null,
-      usedBy: null,
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-    };
-    
-    // Store in Firestore
-    await getDb().collection('invites').doc(code).set(inviteData);
+    // Create it only within the inviter's quota (shared by every invite API)
+    const { invite, balance } = await createInviteWithinQuota({
+      source: 'legacy',
+      ownerUid: inviterId,
+      ownerName: inviterName,
+      expiresAt: Date.now() + INVITE_EXPIRY_MS
+    });
+    if (!invite) {
+      return res.status(400).json({
+        error: 'Invite limit reached',
+        limit: balance.limit,
+        used: balance.used
+      });
+    }
+    const code = invite.code;
     
     console.log(`[invites] Generated invite ${code} for ${inviterName} (${inviterId})`);
     
+    // Inviting others counts as being active for whoever invited the inviter
+    await awardInviteeActive(inviterId).catch(logAwardError);
+    
     res.json({
       success: true,
       code,
       link: `${req.headers.origin || 'https://conference-party-app.web.app'}/#/invite/${code}`,
-      expiresAt: inviteData.expiresAt
+      expiresAt: toDate(invite.expiresAt),
+      remaining: balance.remaining
     });
     
   } catch (error) {
@@ -80,9 +119,10 @@ router.get('/status', async (req, res) => {
       });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(code).get();
+    const invite = await findInviteByCode(code);
+    const state = invite ? inviteState(invite) : null;
     
-    if (!inviteDoc.exists) {
+    if (!invite || state === 'revoked') {
       console.log(`[invites] Invalid code: ${code}`);
       return res.json({
         valid: false,
@@ -91,40 +131,52 @@ router.get('/status', async (req, res) => {
       });
     }
     
-    const invite = inviteDoc.data();
-    const now = new Date();
-    
-    // Check if expired
-    if (invite?.['expiresAt'] && invite['expiresAt'].toDate() < now) {
-      console.log(`[invites] Expired code: ${code}`);
+    // A full group invite still takes answers, onto its waitlist
+    if (isGroupInvite(invite) && state !== 'expired') {
+      const capacity = guestCounts(invite);
       return res.json({
-        valid: false,
-        reason: 'Invite code has expired',
-        code
+        valid: true,
+        code,
+        inviterId: invite.ownerUid,
+        inviterName: invite.ownerName,
+        capacity,
+        waitlist: capacity.remaining === 0,
+        createdAt: toDate(invite.createdAt),
+        expiresAt: toDate(invite.expiresAt)
       });
     }
     
     // Check if already used
-    if (invite?.['used']) {
+    if (state === 'redeemed') {
       console.log(`[invites] Already used code: ${code}`);
       return res.json({
         valid: false,
         reason: 'Invite code already used',
         code,
-        usedAt: invite['usedAt'],
-        usedBy: invite['usedBy']
+        usedAt: toDate(invite.redeemedAt),
+        usedBy: invite.redeemedBy
+      });
+    }
+    
+    // Check if expired
+    if (state === 'expired') {
+      console.log(`[invites] Expired code: ${code}`);
+      return res.json({
+        valid: false,
+        reason: 'Invite code has expired',
+        code
       });
     }
     
-    console.log(`[invites] Valid code: ${code} from ${invite?.['inviterName']}`);
+    console.log(`[invites] Valid code: ${code} from ${invite.ownerName}`);
     
     return res.json({
       valid: true,
       code,
-      inviterId: invite?.['inviterId'],
-      inviterName: invite?.['inviterName'],
-      createdAt: invite?.['createdAt'],
-      expiresAt: invite?.['expiresAt']
+      inviterId: invite.ownerUid,
+      inviterName: invite.ownerName,
+      createdAt: toDate(invite.createdAt),
+      expiresAt: toDate(invite.expiresAt)
     });
     
   } catch (error) {
@@ -137,6 +189,59 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// Helper: Redeeming a group invite joins its guest list, or its waitlist when full.
+// Guests are identified by their sign-in, never by a userId in the body.
+async function redeemGroupInvite(
+  res: express.Response, id: string, code: string, userId: string | null, userName?: string
+) {
+  if (!userId) {
+    return res.status(401).json({
+      error: 'Sign in to join a group invite',
+      code
+    });
+  }
+  
+  let expired = false;
+  let outcome: GuestOutcome | null = null;
+  const invite = await updateInvite(id, current => {
+    const state = inviteState(current);
+    expired = state === 'expired' || state === 'revoked';
+    if (expired) return null;
+    outcome = respondAsGuest(current, { rsvp: 'accepted', verifiedUid: userId, name: userName || 'Anonymous' });
+    return outcome.ok ? outcome.changes : null;
+  });
+  
+  const answer = outcome as GuestOutcome | null;
+  if (answer && !answer.ok) {
+    return res.status(400).json({
+      error: answer.reason === 'waitlist_full' ? 'Invite is full' : 'Invite code already used',
+      code
+    });
+  }
+  
+  if (expired || !invite || !answer) {
+    return res.status(400).json({
+      error: 'Invite code has expired',
+      code
+    });
+  }
+  
+  const waitlisted = answer.guest.status === 'waitlisted';
+  console.log(`[invites] ${userName || userId} ${waitlisted ? 'joined the waitlist for' : 'redeemed'} group invite ${code}`);
+  
+  return res.json({
+    success: true,
+    code,
+    inviterName: invite.ownerName,
+    waitlisted,
+    inviteId: id,
+    guestToken: answer.guest.token, // Changes this answer later through /:id/rsvp
+    position: waitlistPosition(invite, answer.guest.id),
+    capacity: guestCounts(invite),
+    message: waitlisted ? 'Invite is full: you are on the waitlist' : 'Invite successfully redeemed'
+  });
+}
+
 /**
  * POST /api/invites/redeem - Redeem an invite code
  */
@@ -151,50 +256,57 @@ router.post('/redeem', async (req, res) => {
       });
     }
     
-    const inviteDoc = await getDb().collection('invites').doc(code).get();
+    const found = await findInviteByCode(code);
     
-    if (!inviteDoc.exists) {
+    if (!found || found.status === 'revoked') {
       return res.status(404).json({
         error: 'Invalid invite code',
         code
       });
     }
     
-    const invite = inviteDoc.data();
-    const now = new Date();
+    if (isGroupInvite(found)) {
+      return redeemGroupInvite(res, found.id, code, (req as any).user?.uid ?? null, userName);
+    }
+    
+    // Mark as used, unless it expired or was used in the meantime
+    let state = inviteState(found);
+    const invite = await updateInvite(found.id, current => {
+      state = inviteState(current);
+      return state !== 'pending' ? null : {
+        status: 'redeemed',
+        redeemedAt: Date.now(),
+        redeemedBy: userId,
+        redeemerName: userName || 'Anonymous'
+      };
+    });
     
     // Check if expired
-    if (invite?.['expiresAt'] && invite['expiresAt'].toDate() < now) {
+    if (state === 'expired') {
       return res.status(400).json({
         error: 'Invite code has expired',
         code
       });
     }
     
-    // Check if already used
-    if (invite?.['used']) {
+    // Check if already used (or revoked meanwhile)
+    if (state !== 'pending' || !invite) {
       return res.status(400).json({
         error: 'Invite code already used',
         code,
-        usedAt: invite['usedAt'],
-        usedBy: invite['usedBy']
+        usedAt: toDate(invite?.redeemedAt ?? null),
+        usedBy: invite?.redeemedBy ?? null
       });
     }
     
-    // Mark as used
-    await getDb().collection('invites').doc(code).update({
-      used: true,
-      usedAt: admin.firestore.FieldValue.serverTimestamp(),
-      usedBy: userId,
-      userName: userName || 'Anonymous'
-    });
-    
     console.log(`[invites] Redeemed ${code} by ${userName || userId}`);
     
+    await awardInviteRedeemed(invite).catch(logAwardError);
+    
     return res.json({
       success: true,
       code,
-      inviterName: invite?.['inviterName'],
+      inviterName: invite.ownerName,
       message: 'Invite successfully redeemed'
     });
     
@@ -220,28 +332,18 @@ router.get('/stats', async (req, res) => {
       });
     }
     
-    // Count invites created by this user
-    const createdInvites = await getDb().collection('invites')
-      .where('inviterId', '==', userId)
-      .get();
-    
-    const usedInvites = await getDb().collection('invites')
-      .where('inviterId', '==', userId)
-      .where('used', '==', true)
-      .get();
+    // Count invites created by this user, whichever implementation created them
+    const createdInvites = await listInvitesByOwner(userId);
+    const summary = summarizeInvites(createdInvites);
+    const balance = await getQuotaBalance(userId, createdInvites);
     
     const stats = {
-      totalGenerated: createdInvites.size,
-      totalRedeemed: usedInvites.size,
-      redemptionRate: createdInvites.size > 0 ? (usedInvites.size / createdInvites.size * 100).toFixed(1) : '0.0',
-      remaining: Math.max(0, 10 - createdInvites.size), // Default 10 invites per user
-      invites: createdInvites.docs.map(doc => ({
-        code: doc.id,
-        ...doc.data(),
-        createdAt: doc.data()['createdAt']?.toDate(),
-        expiresAt: doc.data()['expiresAt']?.toDate(),
-        usedAt: doc.data()['usedAt']?.toDate()
-      }))
+      totalGenerated: summary.total,
+      totalRedeemed: summary.redeemed,
+      redemptionRate: summary.redemptionRate.toFixed(1),
+      limit: balance.limit,
+      remaining: balance.remaining,
+      invites: createdInvites.map(toLegacyInvite)
     };
     
     return res.json(stats);
@@ -262,19 +364,15 @@ router.get('/', async (req, res) => {
   try {
     const { limit = '50', offset = '0' } = req.query as { limit?: string; offset?: string };
     
-    const invitesSnapshot = await getDb().collection('invites')
+    // Older invites store createdAt as Timestamps or ISO strings and sort
+    // apart from current ones until the migration has run
+    const invitesSnapshot = await getDb().collection(INVITES_COLLECTION)
       .orderBy('createdAt', 'desc')
       .limit(parseInt(limit))
       .offset(parseInt(offset))
       .get();
     
-    const invites = invitesSnapshot.docs.map(doc => ({
-      code: doc.id,
-      ...doc.data(),
-      createdAt: doc.data()['createdAt']?.toDate(),
-      expiresAt: doc.data()['expiresAt']?.toDate(),
-      usedAt: doc.data()['usedAt']?.toDate()
-    }));
+    const invites = invitesSnapshot.docs.map(doc => toLegacyInvite(readInvite(doc.id, doc.data())));
     
     return res.json({
       invites,
@@ -1,15 +1,22 @@
 import { Router, Request, Response } from "express";
 import { getPartiesFromFirestore, fetchLive } from "../services/parties-live";
-import { runIngest } from "../jobs/ingest-parties";
+import { getIngestHistory, runIngest } from "../jobs/ingest-parties";
+import { AuthenticatedRequest, requireAuth, requireRole, UserRole } from "../middleware/admin-auth";
 import { fetchFromGoogleSheets, mapSheetRowToParty } from "../services/sheets-client";
+import { RowValidationError } from "../services/party-datetime";
+import { DEFAULT_CONFERENCE, getConference } from "../services/conferences";
+import { getPartyDelta } from "../services/party-changes";
 
 const router = Router();
 
-// Cache settings
-let cachedParties: any[] | null = null;
-let cacheTimestamp = 0;
+// Cache settings - one entry per conference
+const partiesCache = new Map<string, { parties: any[]; timestamp: number }>();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes - good balance for stability
 
+function cacheParties(conference: string, parties: any[]): void {
+  partiesCache.set(conference, { parties, timestamp: Date.now() });
+}
+
 /**
  * GET /api/parties?conference=gamescom2025 - Get parties for a conference
  * First tries Firestore, falls back to legacy source if needed
@@ -18,28 +25,36 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
   try {
     // Extract conference parameter - default to gamescom2025 if not provided
     const { conference } = req.query as { conference?: string };
-    const targetConference = conference || 'gamescom2025';
+    const targetConference = conference || DEFAULT_CONFERENCE;
+    const conferenceInfo = getConference(targetConference);
+    
+    if (!conferenceInfo) {
+      return res.status(404).json({
+        error: "unknown_conference",
+        message: `Unknown conference: ${targetConference}`
+      });
+    }
     
     // Log the conference being requested
     console.log(`[parties] Fetching parties for conference: ${targetConference}`);
     
     // Check cache first
-    if (cachedParties && Date.now() - cacheTimestamp < CACHE_TTL) {
-      console.log("[parties] Serving from cache");
+    const cached = partiesCache.get(targetConference);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      console.log(`[parties] Serving ${targetConference} from cache`);
       return res.json({
-        data: cachedParties
+        data: cached.parties
       });
     }
     
     // Try to get from Firestore (ingested data)
-    const firestoreParties = await getPartiesFromFirestore();
+    const firestoreParties = await getPartiesFromFirestore(targetConference);
     
     if (firestoreParties.length > 0) {
       console.log(`[parties] Serving ${firestoreParties.length} parties from Firestore`);
       
       // Update cache
-      cachedParties = firestoreParties;
-      cacheTimestamp = Date.now();
+      cacheParties(targetConference, firestoreParties);
       
       return res.json({
         data: firestoreParties
@@ -50,20 +65,21 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
     console.log("[parties] No Firestore data, fetching from Google Sheets");
     
     try {
-      const sheetRows = await fetchFromGoogleSheets();
+      const sheetRows = conferenceInfo.sheet ? await fetchFromGoogleSheets(conferenceInfo.sheet) : [];
       
       if (sheetRows.length > 0) {
-        // Map rows to party objects
+        // Map rows to party objects; rows with unparseable dates are skipped
+        const rowErrors: RowValidationError[] = [];
         const parties = sheetRows
-          .map((row, index) => mapSheetRowToParty(row, index))
+          .map((row, index) => mapSheetRowToParty(row, index, conferenceInfo, rowErrors))
           .filter(party => party !== null);
         
-        console.log(`[parties] Mapped ${parties.length} valid parties from Google Sheets`);
+        console.log(`[parties] Mapped ${parties.length} valid parties from Google Sheets` +
+          ` (${rowErrors.length} rows failed validation)`);
         
         if (parties.length > 0) {
           // Update cache
-          cachedParties = parties;
-          cacheTimestamp = Date.now();
+          cacheParties(targetConference, parties);
           
           return res.json({
             data: parties
@@ -75,11 +91,10 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
       
       // Try the old fetchLive method as fallback
       try {
-        const liveParties = await fetchLive();
+        const liveParties = await fetchLive(targetConference);
         
         if (liveParties.length > 0) {
-          cachedParties = liveParties;
-          cacheTimestamp = Date.now();
+          cacheParties(targetConference, liveParties);
           
           return res.json({
             data: liveParties
@@ -90,21 +105,28 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
       }
     }
     
-    // Fallback to full Gamescom 2025 data (all 67 events)
-    const gamescomData = require('../data/gamescom-2025-all-67-events.json');
+    // Fallback to the conference's bundled data (e.g. all 67 Gamescom 2025 events)
+    if (!conferenceInfo.fallbackData) {
+      console.log(`[parties] No live or bundled data for ${targetConference}`);
+      return res.json({
+        data: []
+      });
+    }
+    
+    const bundledData = require(`../data/${conferenceInfo.fallbackData}`);
     
     // Add coordinates to match expected format
-    const fullParties = gamescomData.map((event: any) => ({
+    const fullParties = bundledData.map((event: any) => ({
       ...event,
+      conference: targetConference,
       coordinates: { lat: event.lat, lng: event.lng },
-      address: event.venue + ", Cologne, Germany"
+      address: `${event.venue}, ${conferenceInfo.city}, ${conferenceInfo.country}`
     }));
     
-    console.log(`[parties] Using Gamescom 2025 data - ${fullParties.length} events`);
+    console.log(`[parties] Using bundled ${conferenceInfo.name} data - ${fullParties.length} events`);
     
     // Update cache with full data
-    cachedParties = fullParties;
-    cacheTimestamp = Date.now();
+    cacheParties(targetConference, fullParties);
     
     return res.json({
       data: fullParties
@@ -114,9 +136,11 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
     console.error("[parties] Route error:", error);
     
     // Try to return cached data on error
-    if (cachedParties) {
+    const { conference } = req.query as { conference?: string };
+    const cached = partiesCache.get(conference || DEFAULT_CONFERENCE);
+    if (cached) {
       return res.json({
-        data: cachedParties
+        data: cached.parties
       });
     }
     
@@ -128,30 +152,73 @@ router.get("/", async (req: Request, res: Response): Promise<Response> => {
 });
 
 /**
- * POST /api/parties/ingest - Manually trigger ingestion
- * Useful for testing or forced updates
+ * GET /api/parties/changes?conference=gamescom2025&since=<cursor> - Delta feed
+ * Returns parties upserted or deleted since the cursor from a previous call.
+ * Omit `since` (or send an unusable one) to get a full snapshot with `full: true`.
  */
-router.post("/ingest", async (req: Request, res: Response): Promise<Response> => {
+router.get("/changes", async (req: Request, res: Response): Promise<Response> => {
   try {
-    // Optional: Add authentication check
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.includes("Bearer")) {
-      // For now, allow unauthenticated access for testing
-      // return res.status(401).json({ error: "Unauthorized" });
+    const { conference, since } = req.query as { conference?: string; since?: string };
+    const targetConference = conference || DEFAULT_CONFERENCE;
+    
+    if (!getConference(targetConference)) {
+      return res.status(404).json({
+        error: "unknown_conference",
+        message: `Unknown conference: ${targetConference}`
+      });
     }
     
-    console.log("[parties] Manual ingestion triggered");
-    const result = await runIngest();
+    const delta = await getPartyDelta(targetConference, since);
+    console.log(`[parties] Delta for ${targetConference}: ${delta.upserts.length} upserts, ` +
+      `${delta.deletions.length} deletions${delta.full ? " (full)" : ""}`);
     
-    // Clear cache after ingestion
-    cachedParties = null;
-    cacheTimestamp = 0;
+    return res.json(delta);
     
-    return res.json({
-      ...result,
-      message: "Ingestion completed"
+  } catch (error) {
+    console.error("[parties] Changes route error:", error);
+    return res.status(500).json({
+      error: "internal",
+      message: "Failed to fetch party changes"
+    });
+  }
+});
+
+/**
+ * POST /api/parties/ingest - Manually trigger ingestion (admin only)
+ * Body/query: conference (optional), dryRun (returns the diff without writing)
+ * Responds 409 while another ingestion holds the lock
+ */
+const requireAdmin = [requireAuth, requireRole(UserRole.ADMIN)];
+
+router.post("/ingest", ...requireAdmin, async (req: AuthenticatedRequest, res: Response): Promise<Response> => {
+  try {
+    const conference = (req.body?.conference || req.query['conference']) as string | undefined;
+    const dryRun = req.body?.dryRun === true || req.query['dryRun'] === 'true';
+    
+    console.log(`[parties] Manual ingestion triggered by ${req.user?.email}` +
+      `${conference ? ` for ${conference}` : ""}${dryRun ? " (dry run)" : ""}`);
+    const result = await runIngest({
+      ...(conference && { conference }),
+      dryRun,
+      trigger: "manual",
+      ...(req.user && { triggeredBy: { uid: req.user.uid, email: req.user.email, role: req.user.role } })
     });
     
+    if (result.locked) {
+      return res.status(409).json(result);
+    }
+    
+    // Clear cache after ingestion
+    if (!dryRun) {
+      if (conference) {
+        partiesCache.delete(conference);
+      } else {
+        partiesCache.clear();
+      }
+    }
+    
+    return res.json(result);
+    
   } catch (error) {
     console.error("[parties] Ingestion route error:", error);
     return res.status(500).json({
@@ -161,6 +228,27 @@ router.post("/ingest", async (req: Request, res: Response): Promise<Response> =>
   }
 });
 
+/**
+ * GET /api/parties/ingest/history?limit=20 - Recent ingestion runs (admin only)
+ */
+router.get("/ingest/history", ...requireAdmin, async (req: Request, res: Response): Promise<Response> => {
+  try {
+    const limit = Math.min(Math.max(parseInt(String(req.query['limit'] || '20'), 10) || 20, 1), 100);
+    const runs = await getIngestHistory(limit);
+    
+    return res.json({
+      data: runs
+    });
+    
+  } catch (error) {
+    console.error("[parties] Ingestion history route error:", error);
+    return res.status(500).json({
+      error: "Failed to get ingestion history",
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
 /**
  * GET /api/parties/status - Check ingestion status
  */
@@ -190,7 +278,11 @@ router.get("/status", async (_req: Request, res: Response): Promise<Response> =>
       partiesIngested: metadata?.['partiesIngested'] || 0,
       errors: metadata?.['errors'] || 0,
       lastError: metadata?.['lastError'],
-      cacheStatus: cachedParties ? `${cachedParties.length} parties cached` : "no cache"
+      lastChangeAt: metadata?.['lastChangeAt'] || null,
+      conferences: metadata?.['conferences'] || {},
+      cacheStatus: partiesCache.size > 0
+        ? Object.fromEntries([...partiesCache].map(([id, entry]) => [id, `${entry.parties.length} parties cached`]))
+        : "no cache"
     });
     
   } catch (error) {
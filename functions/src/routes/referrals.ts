@@ -0,0 +1,141 @@
+import express from 'express';
+import { AuthenticatedRequest, requireAuth, requireRole, UserRole } from '../middleware/admin-auth';
+import {
+  channelAttribution,
+  daysAgo,
+  downstreamReach,
+  getReferralReport,
+  referralTree,
+  topInviters,
+  viralCoefficientByDay
+} from '../services/referrals';
+
+const router = express.Router();
+
+const requireAdmin = [requireAuth, requireRole(UserRole.ADMIN)];
+
+// A user's stats and tree are for that user (signed in with Firebase) or an
+// admin; the overview is admin-only
+function requireSelfOrAdmin(req: AuthenticatedRequest, res: express.Response, next: express.NextFunction): void {
+  if (req.user?.uid && req.user.uid === req.params['userId']) return next();
+  requireAuth(req, res, () => requireRole(UserRole.ADMIN)(req, res, next));
+}
+
+// Reports come from a graph over every invite that is rebuilt at most every
+// few minutes (getReferralReport); responses depend on who asks, so /referral
+// is kept out of the /api cache middleware
+
+/**
+ * GET /api/referral/stats/:userId - A user's referral reach and attribution
+ */
+router.get('/stats/:userId', requireSelfOrAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const userId = req.params['userId'] as string;
+    const { graph, reach: reachByUser } = await getReferralReport();
+    const reachOf = (uid: string) => reachByUser.get(uid) ?? downstreamReach(graph, uid);
+
+    const sent = graph.invites.filter(invite => invite.ownerUid === userId);
+    const referred = graph.referredBy.get(userId) ?? [];
+    const reach = reachOf(userId);
+    const channels = channelAttribution(graph, sent);
+    const topChannel = channels.reduce((best, channel) => channel.signups > best.signups ? channel : best, channels[0]!);
+    const invitedBy = graph.referrerOf.get(userId);
+
+    return res.json({
+      success: true,
+      stats: {
+        userId,
+        invitesSent: sent.length,
+        signups: referred.length,
+        conversionRate: sent.length > 0 ? Math.round((referred.length / sent.length) * 1000) / 10 : 0,
+        reach,
+        channels,
+        topChannel: topChannel.signups > 0 ? topChannel.channel : null,
+        invitedBy: invitedBy ? {
+          uid: invitedBy.inviterUid,
+          name: invitedBy.inviterName,
+          channel: invitedBy.channel,
+          joinedAt: invitedBy.redeemedAt
+        } : null,
+        referrals: referred.slice().reverse().slice(0, 20).map(edge => ({
+          uid: edge.inviteeUid,
+          name: edge.inviteeName,
+          channel: edge.channel,
+          joinedAt: edge.redeemedAt,
+          reach: reachOf(edge.inviteeUid).total
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('[referral] Stats error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get referral stats',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * GET /api/referral/tree/:userId?depth=N - A user's referral tree (up to 5 levels)
+ */
+router.get('/tree/:userId', requireSelfOrAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const userId = req.params['userId'] as string;
+    const depth = parseInt(req.query['depth'] as string);
+    const { graph } = await getReferralReport();
+
+    return res.json({
+      success: true,
+      tree: referralTree(graph, userId, depth > 0 ? Math.min(depth, 5) : 3)
+    });
+
+  } catch (error) {
+    console.error('[referral] Tree error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get referral tree',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+/**
+ * GET /api/referral/overview?days=N&limit=N - Viral coefficient per day, top
+ * inviters and channel attribution across all users
+ */
+router.get('/overview', ...requireAdmin, async (req: AuthenticatedRequest, res: express.Response): Promise<any> => {
+  try {
+    const days = Math.min(parseInt(req.query['days'] as string) || 14, 90);
+    const limit = Math.min(parseInt(req.query['limit'] as string) || 10, 50);
+    const { graph, reach } = await getReferralReport();
+
+    const viral = viralCoefficientByDay(graph, daysAgo(days - 1));
+    const senders = new Set(graph.invites.map(invite => invite.ownerUid)).size;
+
+    return res.json({
+      success: true,
+      days,
+      viral,
+      topInviters: topInviters(graph, limit, reach),
+      channels: channelAttribution(graph),
+      totals: {
+        invites: graph.invites.length,
+        signups: graph.edges.length,
+        inviters: graph.referredBy.size,
+        viralCoefficient: senders > 0 ? Math.round((graph.edges.length / senders) * 100) / 100 : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('[referral] Overview error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get referral overview',
+      details: error instanceof Error ? error.message : String(error)
+    });
+  }
+});
+
+export default router;
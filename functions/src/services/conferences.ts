@@ -0,0 +1,116 @@
+/**
+ * Conference registry
+ * Single source of truth for the events we run parties for: where their
+ * party sheets live, which days they span and which timezone they are in.
+ */
+
+export interface ConferenceSheet {
+  spreadsheetId: string;
+  range: string;
+}
+
+export type PartySourceType = "sheet" | "url" | "ics" | "file";
+
+/**
+ * Where a conference's parties come from (see services/party-sources.ts)
+ */
+export interface PartySourceConfig {
+  type: PartySourceType;
+  priority: number; // higher wins when two sources report the same party
+  url?: string; // url, ics
+  format?: "csv" | "json"; // url
+  path?: string; // file - absolute, or relative to src/data
+}
+
+export interface Conference {
+  id: string; // e.g., "gamescom2025"
+  name: string;
+  city: string;
+  country: string;
+  timezone: string; // IANA zone, e.g., "Europe/Berlin"
+  startDate: string; // YYYY-MM-DD, first conference day
+  endDate: string; // YYYY-MM-DD, last conference day
+  coordinates: { lat: number; lng: number };
+  sheet?: ConferenceSheet;
+  sources?: PartySourceConfig[]; // defaults to the sheet alone
+  fallbackData?: string; // bundled JSON under src/data used when every live source fails
+}
+
+export const DEFAULT_CONFERENCE = "gamescom2025";
+
+// Range used when the environment adds a sheet to a conference without one
+const DEFAULT_SHEET_RANGE = "A2:T1000";
+
+const CONFERENCES: Conference[] = [
+  {
+    id: "gamescom2025",
+    name: "Gamescom 2025",
+    city: "Cologne",
+    country: "Germany",
+    timezone: "Europe/Berlin",
+    startDate: "2025-08-20",
+    endDate: "2025-08-24",
+    coordinates: {lat: 50.9375, lng: 6.9603},
+    sheet: {
+      spreadsheetId: "10c54Otn4pMYTFQ7bRQulO-qDB05aCk_l1rRtuPmwmtE",
+      range: "Sheet1!A2:ZZ1000",
+    },
+    fallbackData: "gamescom-2025-all-67-events.json",
+  },
+  {
+    id: "mau2025",
+    name: "MAU Vegas 2025",
+    city: "Las Vegas",
+    country: "USA",
+    timezone: "America/Los_Angeles",
+    startDate: "2025-05-19",
+    endDate: "2025-05-21",
+    coordinates: {lat: 36.1699, lng: -115.1398},
+    // No party sheet of its own yet, so nothing is ingested or fetched live;
+    // set PARTIES_SHEET_ID_MAU2025 once it has one
+  },
+];
+
+/**
+ * Sheet IDs can be overridden (or added) per conference without a deploy, e.g.
+ * PARTIES_SHEET_ID_GAMESCOM2025=<spreadsheet id>
+ */
+function withEnvOverrides(conference: Conference): Conference {
+  const override = process.env[`PARTIES_SHEET_ID_${conference.id.toUpperCase()}`];
+  if (!override) return conference;
+  return {...conference, sheet: {range: DEFAULT_SHEET_RANGE, ...conference.sheet, spreadsheetId: override}};
+}
+
+/**
+ * Lists every registered conference, ordered by start date
+ */
+export function listConferences(): Conference[] {
+  return CONFERENCES
+    .map(withEnvOverrides)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Looks up a conference by ID; returns null for unknown IDs
+ */
+export function getConference(id: string): Conference | null {
+  const conference = CONFERENCES.find((c) => c.id === id);
+  return conference ? withEnvOverrides(conference) : null;
+}
+
+/**
+ * Returns every conference day as YYYY-MM-DD, inclusive of both ends
+ */
+export function getConferenceDays(conference: Conference): string[] {
+  const days: string[] = [];
+  const cursor = new Date(`${conference.startDate}T00:00:00Z`);
+  const end = new Date(`${conference.endDate}T00:00:00Z`);
+
+  while (cursor.getTime() <= end.getTime()) {
+    days.push(cursor.toISOString().split("T")[0] as string);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+}
+
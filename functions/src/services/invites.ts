@@ -0,0 +1,67 @@
+/**
+ * Invites for the main API
+ * The canonical model, guests, quota and codes live in packages/invites,
+ * shared with services/invite-service. Its Firestore functions take the
+ * database explicitly; these bind them to this app's, so routes and jobs
+ * can keep leaving it out.
+ */
+
+import * as admin from "firebase-admin";
+import * as invites from "../../../packages/invites/src";
+import {CanonicalInvite, NewInvite, NewQuotaEntry, QuotaGrant} from "../../../packages/invites/src";
+
+export * from "../../../packages/invites/src";
+
+type Firestore = admin.firestore.Firestore;
+
+function getDb(): Firestore {
+  return admin.firestore();
+}
+
+export const createInvite = (input: NewInvite, db: Firestore = getDb()) =>
+  invites.createInvite(input, db);
+
+export const getInvite = (id: string, db: Firestore = getDb()) =>
+  invites.getInvite(id, db);
+
+export const findInviteByCode = (code: string, db: Firestore = getDb()) =>
+  invites.findInviteByCode(code, db);
+
+export const listInvitesByOwner = (uid: string, db: Firestore = getDb(), tx?: admin.firestore.Transaction) =>
+  invites.listInvitesByOwner(uid, db, tx);
+
+export const findInviteRedeemedBy = (uid: string, db: Firestore = getDb()) =>
+  invites.findInviteRedeemedBy(uid, db);
+
+export const updateInvite = (
+  id: string,
+  change: (invite: CanonicalInvite) => Partial<CanonicalInvite> | null,
+  db: Firestore = getDb()
+) => invites.updateInvite(id, change, db);
+
+export const resolveInvite = (code: string, db: Firestore = getDb()) =>
+  invites.resolveInvite(code, db);
+
+export const recordQuotaEntry = (input: NewQuotaEntry, db: Firestore = getDb()) =>
+  invites.recordQuotaEntry(input, db);
+
+export const createInviteWithinQuota = (input: NewInvite, db: Firestore = getDb()) =>
+  invites.createInviteWithinQuota(input, db);
+
+export const getQuotaBalance = (uid: string, ownInvites?: CanonicalInvite[], db: Firestore = getDb()) =>
+  invites.getQuotaBalance(uid, ownInvites, db);
+
+export const listQuotaLedger = (
+  uid: string,
+  options: {since?: number | undefined; limit?: number | undefined} = {},
+  db: Firestore = getDb()
+) => invites.listQuotaLedger(uid, options, db);
+
+export const awardInviteRedeemed = (invite: CanonicalInvite, db: Firestore = getDb()) =>
+  invites.awardInviteRedeemed(invite, db);
+
+export const awardInviteeActive = (inviteeUid: string, db: Firestore = getDb()) =>
+  invites.awardInviteeActive(inviteeUid, db);
+
+export const grantQuota = (grant: QuotaGrant, db: Firestore = getDb()) =>
+  invites.grantQuota(grant, db);
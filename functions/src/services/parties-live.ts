@@ -1,19 +1,17 @@
 import * as admin from "firebase-admin";
-
-// Source URL for live party data (API key will be appended from secret)
-const SPREADSHEET_ID = "10c54Otn4pMYTFQ7bRQulO-qDB05aCk_l1rRtuPmwmtE"; // MAU 2025 Events
-const SHEET_RANGE = "Sheet1!A2:ZZ1000";
+import { Conference, ConferenceSheet, DEFAULT_CONFERENCE, getConference } from "./conferences";
+import { parsePartySchedule, RowValidationError } from "./party-datetime";
 
 // Build URL - API key is optional since we're using service account
-function getSourceUrl(): string {
+function getSourceUrl({ spreadsheetId, range }: ConferenceSheet): string {
   // Try API key first, then fall back to no key (service account auth)
   const apiKey = process.env['GOOGLE_SHEETS_API_KEY'];
   if (apiKey) {
-    return `https://sheets.googleapis.com/v4/spreadsheets/${SPREADSHEET_ID}/values/${SHEET_RANGE}?key=${apiKey}`;
+    return `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?key=${apiKey}`;
   }
   // No API key - will use service account authentication
   console.log("[parties-live] Using service account authentication");
-  return `https://sheets.googleapis.com/v4/spreadsheets/${SPREADSHEET_ID}/values/${SHEET_RANGE}`;
+  return `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
 }
 
 // Initialize Firestore lazily
@@ -38,6 +36,13 @@ export interface NormalizedParty {
   capacity?: number;
   tags?: string[];
   lastUpdated: string;    // ISO timestamp
+  endTime?: string | null; // HH:MM, null when open-ended ("19:00-late")
+  startsAt?: string;      // ISO instant (UTC)
+  endsAt?: string | null; // ISO instant (UTC)
+  timezone?: string;      // IANA zone the local date/time are in
+  sourceId?: string;      // adapter that produced it, e.g., "sheet", "ics:https://..."
+  sourcePriority?: number;
+  fetchedAt?: string;     // ISO timestamp of the fetch that produced it
 }
 
 /**
@@ -68,8 +73,15 @@ export function isValidParty(data: any): data is NormalizedParty {
 
 /**
  * Maps raw sheet row to NormalizedParty
+ * Rows whose date or time can't be parsed are skipped and reported in
+ * `errors` (by sheet row number) rather than given an invented date
  */
-function mapSheetRowToParty(row: any[], index: number): NormalizedParty | null {
+export function mapSheetRowToParty(
+  row: any[],
+  index: number,
+  conference: Conference,
+  errors: RowValidationError[] = []
+): NormalizedParty | null {
   try {
     // Expected columns from Google Sheets
     // [0: Title, 1: Venue, 2: Date, 3: Time, 4: Price, 5: Description, 6: Link, 7: Tags]
@@ -78,33 +90,31 @@ function mapSheetRowToParty(row: any[], index: number): NormalizedParty | null {
     const title = String(row[0] || '').trim();
     const venue = String(row[1] || '').trim();
     const dateStr = String(row[2] || '').trim();
-    const time = String(row[3] || '').trim();
+    const timeStr = String(row[3] || '').trim();
     const price = String(row[4] || '').trim();
     
     // Skip invalid rows
-    if (!title || !venue || !dateStr || !time) return null;
+    if (!title || !venue || !dateStr || !timeStr) return null;
     
-    // Parse date (assume format like "Aug 21" or "2025-08-21")
-    let isoDate = dateStr;
-    if (!dateStr.includes('-')) {
-      // Convert "Aug 21" to ISO format
-      const year = new Date().getFullYear();
-      const parsed = new Date(`${dateStr} ${year}`);
-      if (!isNaN(parsed.getTime())) {
-        isoDate = parsed.toISOString().split('T')[0] || dateStr;
-      } else {
-        // If parsing fails, use a fallback date
-        isoDate = new Date().toISOString().split('T')[0] || dateStr;
-      }
+    // Parse date and time in the conference's timezone (sheet data starts at row 2)
+    const parsed = parsePartySchedule(dateStr, timeStr, conference, index + 2);
+    if ("errors" in parsed) {
+      errors.push(...parsed.errors);
+      return null;
     }
+    const { schedule } = parsed;
     
     const party: NormalizedParty = {
-      conference: "gamescom2025",
+      conference: conference.id,
       externalId: `sheet_${index}_${title.toLowerCase().replace(/\s+/g, '_').substring(0, 30)}`,
       title,
       venue,
-      date: isoDate,
-      time,
+      date: schedule.date,
+      time: schedule.time,
+      endTime: schedule.endTime,
+      startsAt: schedule.startsAt,
+      endsAt: schedule.endsAt,
+      timezone: schedule.timezone,
       price: price || "Unknown",
       source: "sheets",
       lastUpdated: new Date().toISOString()
@@ -128,12 +138,25 @@ function mapSheetRowToParty(row: any[], index: number): NormalizedParty | null {
 }
 
 /**
- * Fetches live party data from Google Sheets
+ * Fetches live party data for a conference from its Google Sheet
+ * Rows with unparseable dates/times are collected in `errors`
  */
-export async function fetchLive(): Promise<NormalizedParty[]> {
+export async function fetchLive(
+  conferenceId: string = DEFAULT_CONFERENCE,
+  errors: RowValidationError[] = []
+): Promise<NormalizedParty[]> {
   try {
-    const sourceUrl = getSourceUrl();
-    console.log("[parties-live] Fetching from Google Sheets");
+    const conference = getConference(conferenceId);
+    if (!conference) {
+      throw new Error(`Unknown conference: ${conferenceId}`);
+    }
+    if (!conference.sheet) {
+      console.log(`[parties-live] No sheet configured for ${conferenceId}`);
+      return [];
+    }
+
+    const sourceUrl = getSourceUrl(conference.sheet);
+    console.log(`[parties-live] Fetching ${conferenceId} from Google Sheets`);
     
     const response = await fetch(sourceUrl);
     if (!response.ok) {
@@ -148,7 +171,7 @@ export async function fetchLive(): Promise<NormalizedParty[]> {
     // Map rows to normalized parties, filter out invalid ones
     const parties: NormalizedParty[] = [];
     for (let i = 0; i < rows.length; i++) {
-      const party = mapSheetRowToParty(rows[i], i);
+      const party = mapSheetRowToParty(rows[i], i, conference, errors);
       if (party && isValidParty(party)) {
         parties.push(party);
       } else if (party) {
@@ -156,7 +179,7 @@ export async function fetchLive(): Promise<NormalizedParty[]> {
       }
     }
     
-    console.log(`[parties-live] Normalized ${parties.length} valid parties`);
+    console.log(`[parties-live] Normalized ${parties.length} valid parties (${errors.length} rows failed validation)`);
     return parties;
     
   } catch (error) {
@@ -168,7 +191,7 @@ export async function fetchLive(): Promise<NormalizedParty[]> {
 /**
  * Gets parties from Firestore cache
  */
-export async function getPartiesFromFirestore(conference: string = "gamescom2025"): Promise<NormalizedParty[]> {
+export async function getPartiesFromFirestore(conference: string = DEFAULT_CONFERENCE): Promise<NormalizedParty[]> {
   try {
     const snapshot = await getDb().collection('parties')
       .where('conference', '==', conference)
@@ -179,6 +202,8 @@ export async function getPartiesFromFirestore(conference: string = "gamescom2025
     const parties: NormalizedParty[] = [];
     snapshot.forEach(doc => {
       const data = doc.data();
+      // Skip tombstoned parties that have disappeared from every source
+      if (data['deleted']) return;
       if (isValidParty(data)) {
         parties.push(data);
       }
@@ -189,4 +214,55 @@ export async function getPartiesFromFirestore(conference: string = "gamescom2025
     console.error("[parties-live] Firestore read error:", error);
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Entry in the ingestion change log (metadata/parties_ingestion/changes)
+ */
+export interface PartyChangeLogEntry {
+  conference: string;
+  docId: string;
+  fingerprint: string;
+  change: "added" | "changed" | "removed";
+  changedFields?: string[];
+  changedAt: string;      // ISO timestamp of the ingestion run
+}
+
+/**
+ * Position in the change log: a run's changedAt, plus the id of the last
+ * entry seen in it (null for "everything after changedAt")
+ */
+export interface ChangeLogPosition {
+  changedAt: string;
+  id: string | null;
+}
+
+/**
+ * Change-log doc id. A run commits its entries in several batches, all with
+ * the same changedAt; ids that grow with `seq` order the entries within the
+ * run, so a reader that lands between two commits resumes after the last
+ * entry it saw instead of skipping the rest of the run.
+ */
+export function changeLogId(conference: string, changedAt: string, seq: number): string {
+  return `${changedAt}_${conference}_${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Gets up to `limit` party changes recorded for a conference after `since`
+ */
+export async function getPartyChangesSince(
+  conference: string,
+  since: ChangeLogPosition,
+  limit: number
+): Promise<Array<PartyChangeLogEntry & { id: string }>> {
+  let query = getDb().collection('metadata').doc('parties_ingestion').collection('changes')
+    .where('conference', '==', conference)
+    .orderBy('changedAt', 'asc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'asc');
+  query = since.id
+    ? query.startAfter(since.changedAt, since.id)
+    : query.where('changedAt', '>', since.changedAt);
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map(doc => ({ ...(doc.data() as PartyChangeLogEntry), id: doc.id }));
+}
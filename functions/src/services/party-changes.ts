@@ -0,0 +1,127 @@
+/**
+ * Party delta feed
+ * Turns the ingestion change log into upserts/deletions since a
+ * server-issued cursor, so clients can patch their offline copy instead of
+ * re-downloading every party.
+ */
+
+import * as admin from "firebase-admin";
+import {ChangeLogPosition, getPartyChangesSince} from "./parties-live";
+
+// Past this many log entries a full snapshot is cheaper than a delta
+const MAX_DELTA_ENTRIES = 1000;
+
+const EPOCH = new Date(0).toISOString();
+
+function getDb() {
+  return admin.firestore();
+}
+
+interface CursorPayload {
+  c: string;  // conference
+  t: string;  // changedAt of the last change the client has seen
+  k?: string; // Its change-log id; cursors without one resume after the whole run
+}
+
+export interface PartyDelta {
+  full: boolean; // true when upserts is the complete party list
+  upserts: Array<Record<string, any> & { id: string }>;
+  deletions: string[];
+  cursor: string;
+}
+
+export function encodeCursor(conference: string, changedAt: string, id: string | null = null): string {
+  const payload: CursorPayload = {c: conference, t: changedAt, ...(id && {k: id})};
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Returns the cursor's position, or null if it is malformed or was issued
+ * for another conference
+ */
+export function decodeCursor(cursor: string, conference: string): ChangeLogPosition | null {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8")) as CursorPayload;
+    if (payload.c !== conference || typeof payload.t !== "string" || isNaN(Date.parse(payload.t))) {
+      return null;
+    }
+    return {changedAt: payload.t, id: typeof payload.k === "string" ? payload.k : null};
+  } catch {
+    return null;
+  }
+}
+
+function toClientParty(docId: string, data: Record<string, any>) {
+  return {...data, id: docId};
+}
+
+async function fullSnapshot(conference: string): Promise<PartyDelta> {
+  const [snapshot, meta] = await Promise.all([
+    getDb().collection("parties").where("conference", "==", conference).get(),
+    getDb().collection("metadata").doc("parties_ingestion").get(),
+  ]);
+
+  const upserts = snapshot.docs
+    .filter((doc) => !doc.data()["deleted"])
+    .map((doc) => toClientParty(doc.id, doc.data()));
+
+  return {
+    full: true,
+    upserts,
+    deletions: [],
+    cursor: encodeCursor(conference, meta.data()?.["lastChangeAt"] || EPOCH),
+  };
+}
+
+/**
+ * Builds the delta for a conference since a cursor. Without a usable cursor
+ * (first sync, expired or foreign cursor) the client gets a full snapshot.
+ */
+export async function getPartyDelta(conference: string, cursor?: string): Promise<PartyDelta> {
+  const since = cursor ? decodeCursor(cursor, conference) : null;
+  if (!since) {
+    return fullSnapshot(conference);
+  }
+
+  // One more than the cap tells us the delta is too large without reading it all
+  const entries = await getPartyChangesSince(conference, since, MAX_DELTA_ENTRIES + 1);
+  if (entries.length === 0) {
+    return {full: false, upserts: [], deletions: [], cursor: cursor as string};
+  }
+  if (entries.length > MAX_DELTA_ENTRIES) {
+    return fullSnapshot(conference);
+  }
+
+  // Entries are ordered by changedAt, so the last one per party wins
+  const latest = new Map<string, string>();
+  for (const entry of entries) {
+    latest.set(entry.docId, entry.change);
+  }
+
+  const deletions: string[] = [];
+  const toLoad: string[] = [];
+  for (const [docId, change] of latest) {
+    if (change === "removed") {
+      deletions.push(docId);
+    } else {
+      toLoad.push(docId);
+    }
+  }
+
+  const upserts: PartyDelta["upserts"] = [];
+  if (toLoad.length > 0) {
+    const refs = toLoad.map((docId) => getDb().collection("parties").doc(docId));
+    const docs = await getDb().getAll(...refs);
+    for (const doc of docs) {
+      const data = doc.data();
+      if (!data || data["deleted"]) {
+        deletions.push(doc.id);
+      } else {
+        upserts.push(toClientParty(doc.id, data));
+      }
+    }
+  }
+
+  const last = entries[entries.length - 1]!;
+  return {full: false, upserts, deletions, cursor: encodeCursor(conference, last.changedAt, last.id)};
+}
@@ -0,0 +1,253 @@
+/**
+ * Party date/time parsing
+ * Sheets hold whatever organisers type: "Wed Aug 20", "20.08.2025",
+ * "19:00-late", "7pm". This turns those into conference-local dates, HH:MM
+ * times and UTC instants, and says why when it can't - it never guesses.
+ */
+
+import {Conference} from "./conferences";
+
+// Parties a few days either side of the conference are normal (Devcom, ONL)
+const WINDOW_MARGIN_DAYS = 14;
+
+const MONTHS: Record<string, number> = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const WEEKDAYS: Record<string, number> = {sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4,
+  fri: 5, sat: 6};
+
+// End-of-range words meaning "no fixed end"
+const OPEN_ENDS = new Set(["late", "till late", "until late", "open end", "open", "close", "tbc", "tba"]);
+
+export interface PartySchedule {
+  date: string; // YYYY-MM-DD, conference-local
+  time: string; // HH:MM start, conference-local
+  endTime: string | null; // HH:MM end, null when open-ended
+  startsAt: string; // ISO instant (UTC)
+  endsAt: string | null; // ISO instant (UTC), next day when the end is past midnight
+  timezone: string;
+}
+
+export interface RowValidationError {
+  row: number;
+  field: "date" | "time";
+  value: string;
+  message: string;
+}
+
+function pad(value: number): string {
+  return String(value).padStart(2, "0");
+}
+
+function isoDate(year: number, month: number, day: number): string | null {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function fullYear(year: string | undefined, fallback: number): number {
+  if (!year) return fallback;
+  const value = parseInt(year, 10);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+/**
+ * Parses a sheet date into YYYY-MM-DD. Dates without a year take the
+ * conference's year; day-first numeric dates ("20.08.2025") are assumed.
+ */
+export function parsePartyDate(input: string, conference: Conference): { date: string } | { error: string } {
+  const conferenceYear = Number(conference.startDate.substring(0, 4));
+  const raw = input.trim();
+
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:T.*)?$/);
+  if (iso) {
+    const date = isoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    return date ? {date} : {error: `invalid calendar date "${raw}"`};
+  }
+
+  const dotted = raw.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})?$/);
+  if (dotted) {
+    const date = isoDate(fullYear(dotted[3], conferenceYear), Number(dotted[2]), Number(dotted[1]));
+    return date ? {date} : {error: `invalid calendar date "${raw}"`};
+  }
+
+  // Month-name forms, optionally with a weekday: "Wed Aug 20", "Thursday, 21 August 2025"
+  const words = raw.toLowerCase().replace(/,/g, " ").replace(/(\d+)(st|nd|rd|th)\b/g, "$1").split(/\s+/)
+    .filter(Boolean);
+  let weekday: number | undefined;
+  let month: number | undefined;
+  const numbers: string[] = [];
+
+  for (const word of words) {
+    const key = word.replace(/\.$/, "");
+    const prefix = key.substring(0, 3);
+    if (/^\d+$/.test(key)) {
+      numbers.push(key);
+    } else if (key in WEEKDAYS || (key.length > 3 && prefix in WEEKDAYS && key.endsWith("day"))) {
+      weekday = WEEKDAYS[key] ?? WEEKDAYS[prefix];
+    } else if (key in MONTHS || (key.length > 3 && prefix in MONTHS)) {
+      month = MONTHS[key] ?? MONTHS[prefix];
+    } else {
+      return {error: `unrecognised date "${raw}"`};
+    }
+  }
+
+  if (month === undefined || numbers.length === 0 || numbers.length > 2) {
+    return {error: `unrecognised date "${raw}"`};
+  }
+
+  const day = Number(numbers.find((n) => n.length <= 2));
+  const year = numbers.find((n) => n.length === 4);
+  const date = isoDate(year ? Number(year) : conferenceYear, month, day);
+  if (!date) {
+    return {error: `invalid calendar date "${raw}"`};
+  }
+
+  if (weekday !== undefined && new Date(`${date}T00:00:00Z`).getUTCDay() !== weekday) {
+    return {error: `weekday in "${raw}" does not match ${date}`};
+  }
+
+  return {date};
+}
+
+function parseClock(input: string, meridiemHint?: string): { time: string; meridiem?: string } | null {
+  const value = input.trim().replace(/\s+/g, "").replace(/\./g, ":").replace(/:?(a|p):?m:?$/, "$1m");
+  if (value === "noon") return {time: "12:00"};
+  if (value === "midnight") return {time: "00:00"};
+
+  const match = value.match(/^(\d{1,2})(?:[:h](\d{2}))?h?(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || "0");
+  const meridiem = match[3] || meridiemHint;
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === "pm" && hours !== 12) hours += 12;
+    if (meridiem === "am" && hours === 12) hours = 0;
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return {time: `${pad(hours % 24)}:${pad(minutes)}`, ...(match[3] && {meridiem: match[3]})};
+}
+
+/**
+ * Parses a sheet time or time range: "19:00", "7pm", "7:30pm-11pm",
+ * "19:00-late", "20.00 - 02.00"
+ */
+export function parsePartyTime(input: string): { start: string; end: string | null } | { error: string } {
+  const raw = input.trim();
+  const parts = raw.toLowerCase().replace(/[–—]/g, "-").replace(/\s+(to|until|till)\s+/g, "-").split("-")
+    .map((part) => part.trim());
+
+  if (parts.length > 2 || !parts[0]) {
+    return {error: `unrecognised time "${raw}"`};
+  }
+
+  const endPart = parts[1];
+  const openEnded = endPart === undefined || endPart === "" || OPEN_ENDS.has(endPart);
+  const end = openEnded ? null : parseClock(endPart);
+  if (!openEnded && !end) {
+    return {error: `unrecognised end time in "${raw}"`};
+  }
+
+  // "7-11pm": the start borrows the end's am/pm
+  const start = parseClock(parts[0], end?.meridiem);
+  if (!start) {
+    return {error: `unrecognised time "${raw}"`};
+  }
+
+  return {start: start.time, end: end ? end.time : null};
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function timezoneOffset(timestamp: number, timezone: string): number {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const get = (type: string) => Number(parts.find((p) => p.type === type)?.value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a local date and HH:MM in a timezone to a UTC instant
+ */
+export function zonedTimeToUtc(date: string, time: string, timezone: string): Date {
+  const [year, month, day] = date.split("-").map(Number) as [number, number, number];
+  const [hours, minutes] = time.split(":").map(Number) as [number, number];
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Guess with the offset at the wall-clock time, then correct across DST edges
+  const guess = wallClock - timezoneOffset(wallClock, timezone);
+  return new Date(wallClock - timezoneOffset(guess, timezone));
+}
+
+function withinConferenceWindow(date: string, conference: Conference): boolean {
+  const margin = WINDOW_MARGIN_DAYS * 24 * 60 * 60 * 1000;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return time >= Date.parse(`${conference.startDate}T00:00:00Z`) - margin &&
+    time <= Date.parse(`${conference.endDate}T00:00:00Z`) + margin;
+}
+
+/**
+ * Parses a row's date and time cells into a schedule in the conference's
+ * timezone, or the validation errors explaining why it couldn't
+ */
+export function parsePartySchedule(
+  dateInput: string,
+  timeInput: string,
+  conference: Conference,
+  row: number
+): { schedule: PartySchedule } | { errors: RowValidationError[] } {
+  const errors: RowValidationError[] = [];
+
+  const date = parsePartyDate(dateInput, conference);
+  if ("error" in date) {
+    errors.push({row, field: "date", value: dateInput, message: date.error});
+  } else if (!withinConferenceWindow(date.date, conference)) {
+    errors.push({row, field: "date", value: dateInput,
+      message: `${date.date} is outside ${conference.name} (${conference.startDate} to ${conference.endDate})`});
+  }
+
+  const time = parsePartyTime(timeInput);
+  if ("error" in time) {
+    errors.push({row, field: "time", value: timeInput, message: time.error});
+  }
+
+  if ("error" in date || "error" in time || errors.length > 0) {
+    return {errors};
+  }
+
+  const startsAt = zonedTimeToUtc(date.date, time.start, conference.timezone);
+  let endsAt: Date | null = null;
+  if (time.end) {
+    endsAt = zonedTimeToUtc(date.date, time.end, conference.timezone);
+    // Ends after midnight: "22:00-02:00"
+    if (endsAt.getTime() <= startsAt.getTime()) {
+      const nextDay = new Date(`${date.date}T00:00:00Z`);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      endsAt = zonedTimeToUtc(nextDay.toISOString().substring(0, 10), time.end, conference.timezone);
+    }
+  }
+
+  return {
+    schedule: {
+      date: date.date,
+      time: time.start,
+      endTime: time.end,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt ? endsAt.toISOString() : null,
+      timezone: conference.timezone,
+    },
+  };
+}
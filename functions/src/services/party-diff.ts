@@ -0,0 +1,121 @@
+/**
+ * Party fingerprints and ingestion diffing
+ * A party's identity comes from what it is (conference, day, title), not where
+ * it sits in a sheet, so reordering rows no longer creates duplicates. A
+ * separate content hash tells us whether anything about it changed.
+ */
+
+import {sha256} from "../lib/crypto";
+import {NormalizedParty} from "./parties-live";
+
+export type PartyChangeType = "added" | "changed" | "unchanged" | "removed";
+
+// Fields that make up a party's content; provenance and timestamps are excluded
+const CONTENT_FIELDS = ["title", "venue", "date", "time", "price", "description", "link", "capacity", "tags"] as const;
+
+/**
+ * A party as stored in Firestore, including ingestion bookkeeping
+ */
+export interface StoredParty extends NormalizedParty {
+  _docId: string;
+  fingerprint?: string;
+  contentHash?: string;
+  deleted?: boolean;
+  deletedAt?: string;
+}
+
+export interface PartyChange {
+  type: PartyChangeType;
+  docId: string;
+  fingerprint: string;
+  party: NormalizedParty | StoredParty;
+  changedFields?: string[];
+}
+
+export function normalizeTitle(title: string): string {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Stable identity for a party within its conference
+ */
+export function partyFingerprint(party: Pick<NormalizedParty, "conference" | "date" | "title">): string {
+  return sha256(`${party.conference}|${party.date}|${normalizeTitle(party.title)}`).substring(0, 20);
+}
+
+/**
+ * Hash over the content fields, used to tell changed from unchanged
+ */
+export function partyContentHash(party: NormalizedParty): string {
+  const content = CONTENT_FIELDS.map((field) => [field, party[field] ?? null]);
+  return sha256(JSON.stringify(content));
+}
+
+export function partyDocId(party: Pick<NormalizedParty, "conference" | "date" | "title">): string {
+  return `${party.conference}:${partyFingerprint(party)}`;
+}
+
+function changedFields(previous: NormalizedParty, next: NormalizedParty): string[] {
+  return CONTENT_FIELDS.filter((field) =>
+    JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null));
+}
+
+/**
+ * Classifies every incoming party against what is already stored.
+ * Stored parties missing from the incoming set are reported as removed unless
+ * already tombstoned. A tombstoned party that comes back counts as changed.
+ */
+export function diffParties(incoming: NormalizedParty[], existing: StoredParty[]): PartyChange[] {
+  const stored = new Map(existing.map((party) => [party._docId, party]));
+  const seen = new Set<string>();
+  const changes: PartyChange[] = [];
+
+  for (const party of incoming) {
+    const docId = partyDocId(party);
+    const fingerprint = partyFingerprint(party);
+    if (seen.has(docId)) continue;
+    seen.add(docId);
+
+    const previous = stored.get(docId);
+    if (!previous) {
+      changes.push({type: "added", docId, fingerprint, party});
+    } else if (previous.deleted || previous.contentHash !== partyContentHash(party)) {
+      changes.push({type: "changed", docId, fingerprint, party, changedFields: changedFields(previous, party)});
+    } else {
+      changes.push({type: "unchanged", docId, fingerprint, party});
+    }
+  }
+
+  for (const party of existing) {
+    if (!seen.has(party._docId) && !party.deleted) {
+      changes.push({
+        type: "removed",
+        docId: party._docId,
+        fingerprint: party.fingerprint || partyFingerprint(party),
+        party,
+      });
+    }
+  }
+
+  return changes;
+}
+
+export function summarizeChanges(changes: PartyChange[]): Record<PartyChangeType, number> {
+  const summary: Record<PartyChangeType, number> = {added: 0, changed: 0, unchanged: 0, removed: 0};
+  for (const change of changes) summary[change.type]++;
+  return summary;
+}
+
+/**
+ * Drops removals unless the fetch was complete. A source error, a row that
+ * failed validation (e.g. a date that no longer parses) or an empty result
+ * says nothing about what was removed, so such runs never tombstone.
+ */
+export function withoutUnsafeRemovals(
+  changes: PartyChange[],
+  fetch: {errors: number; invalid: number; parties: number}
+): {changes: PartyChange[]; skipped: number} {
+  if (fetch.errors === 0 && fetch.invalid === 0 && fetch.parties > 0) return {changes, skipped: 0};
+  const kept = changes.filter((c) => c.type !== "removed");
+  return {changes: kept, skipped: changes.length - kept.length};
+}
@@ -0,0 +1,313 @@
+/**
+ * Party source adapters
+ * Every place we can pull parties from (Google Sheet, CSV/JSON URL, ICS feed,
+ * local file) implements PartySource so runIngest can iterate over them.
+ * Each party records which source produced it and when.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as Papa from "papaparse";
+import {Conference, PartySourceConfig, PartySourceType} from "./conferences";
+import {fetchLive, NormalizedParty} from "./parties-live";
+import {icsService} from "./ics";
+import {partyFingerprint} from "./party-diff";
+import {parsePartySchedule, RowValidationError} from "./party-datetime";
+
+// Validation errors kept per source in run results; the count is always exact
+const MAX_REPORTED_ERRORS = 50;
+
+export interface PartySource {
+  id: string; // e.g., "sheet", "ics:https://..."
+  type: PartySourceType;
+  priority: number;
+  // Rows that fail validation are skipped and pushed onto `errors`
+  fetch(conference: Conference, errors: RowValidationError[]): Promise<NormalizedParty[]>;
+}
+
+/**
+ * Stamps provenance on every party a source returns
+ */
+function withProvenance(parties: NormalizedParty[], source: PartySource, fetchedAt: string): NormalizedParty[] {
+  return parties.map((party) => ({
+    ...party,
+    sourceId: source.id,
+    sourcePriority: source.priority,
+    fetchedAt,
+  }));
+}
+
+function slugify(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").substring(0, 30);
+}
+
+/**
+ * Maps a loosely-shaped record (CSV row, JSON object) to a NormalizedParty
+ * Dates and times go through the same parser as sheet rows
+ */
+export function mapRecordToParty(
+  record: Record<string, any>,
+  index: number,
+  conference: Conference,
+  source: string,
+  errors: RowValidationError[] = []
+): NormalizedParty | null {
+  const pick = (...keys: string[]): string => {
+    for (const key of keys) {
+      const value = record[key] ?? record[key.charAt(0).toUpperCase() + key.slice(1)];
+      if (value !== undefined && value !== null && String(value).trim()) return String(value).trim();
+    }
+    return "";
+  };
+
+  const title = pick("title", "name");
+  const venue = pick("venue", "location");
+  const date = pick("date");
+  const time = pick("time", "startTime");
+  if (!title || !venue || !date || !time) return null;
+
+  const parsed = parsePartySchedule(date, time, conference, index);
+  if ("errors" in parsed) {
+    errors.push(...parsed.errors);
+    return null;
+  }
+  const {schedule} = parsed;
+
+  const party: NormalizedParty = {
+    conference: conference.id,
+    externalId: pick("id", "externalId") || `${source}_${index}_${slugify(title)}`,
+    title,
+    venue,
+    date: schedule.date,
+    time: schedule.time,
+    endTime: schedule.endTime,
+    startsAt: schedule.startsAt,
+    endsAt: schedule.endsAt,
+    timezone: schedule.timezone,
+    price: pick("price") || "Unknown",
+    source,
+    lastUpdated: new Date().toISOString(),
+  };
+
+  const description = pick("description");
+  if (description) party.description = description;
+  const link = pick("link", "url", "website");
+  if (link) party.link = link;
+  const tags = Array.isArray(record["tags"]) ?
+    record["tags"].map(String) :
+    pick("tags").split(",").map((t) => t.trim()).filter(Boolean);
+  if (tags.length > 0) party.tags = tags;
+
+  return party;
+}
+
+/**
+ * Google Sheet configured on the conference (see services/conferences.ts)
+ */
+export function sheetSource(priority: number): PartySource {
+  return {
+    id: "sheet",
+    type: "sheet",
+    priority,
+    fetch: (conference, errors) => fetchLive(conference.id, errors),
+  };
+}
+
+/**
+ * CSV or JSON document served over HTTP(S)
+ */
+export function urlSource(url: string, format: "csv" | "json", priority: number): PartySource {
+  return {
+    id: `url:${url}`,
+    type: "url",
+    priority,
+    async fetch(conference, errors) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      let records: Record<string, any>[];
+      if (format === "csv") {
+        records = Papa.parse<Record<string, any>>(await response.text(), {
+          header: true,
+          skipEmptyLines: true,
+        }).data;
+      } else {
+        const body = await response.json() as any;
+        records = Array.isArray(body) ? body : (body.data || body.parties || []);
+      }
+
+      return records
+        .map((record, index) => mapRecordToParty(record, index, conference, "url", errors))
+        .filter((party): party is NormalizedParty => party !== null);
+    },
+  };
+}
+
+/**
+ * ICS calendar feed, parsed with the same IcsService the MTM integration uses
+ */
+export function icsSource(url: string, priority: number): PartySource {
+  return {
+    id: `ics:${url}`,
+    type: "ics",
+    priority,
+    async fetch(conference) {
+      const result = await icsService.fetchICS(url);
+      if (!result.ok || !result.data) {
+        throw new Error(`Failed to fetch ICS feed ${url}`);
+      }
+
+      // Render instants in the conference's local time, as the sheets do
+      const localDate = new Intl.DateTimeFormat("en-CA", {timeZone: conference.timezone});
+      const localTime = new Intl.DateTimeFormat("en-GB", {
+        timeZone: conference.timezone, hour: "2-digit", minute: "2-digit", hour12: false,
+      });
+
+      return icsService.parseICS(result.data)
+        .filter((event) => event.location)
+        .map((event) => {
+          const start = event.start.toDate();
+          const end = event.end.toDate();
+          const hasEnd = end.getTime() > start.getTime();
+          const party: NormalizedParty = {
+            conference: conference.id,
+            externalId: `ics_${event.icsUid}`,
+            title: event.title,
+            venue: event.location,
+            date: localDate.format(start),
+            time: localTime.format(start),
+            endTime: hasEnd ? localTime.format(end) : null,
+            startsAt: start.toISOString(),
+            endsAt: hasEnd ? end.toISOString() : null,
+            timezone: conference.timezone,
+            price: "Unknown",
+            source: "ics",
+            lastUpdated: new Date().toISOString(),
+          };
+          if (event.description) party.description = event.description;
+          return party;
+        });
+    },
+  };
+}
+
+/**
+ * JSON file on local disk, e.g. the bundled Gamescom data
+ */
+export function fileSource(filePath: string, priority: number): PartySource {
+  const resolved = path.isAbsolute(filePath) ? filePath : path.join(__dirname, "..", "data", filePath);
+  return {
+    id: `file:${path.basename(filePath)}`,
+    type: "file",
+    priority,
+    async fetch(conference, errors) {
+      const body = JSON.parse(await fs.promises.readFile(resolved, "utf8"));
+      const records: Record<string, any>[] = Array.isArray(body) ? body : (body.data || []);
+      return records
+        .map((record, index) => mapRecordToParty(record, index, conference, "file", errors))
+        .filter((party): party is NormalizedParty => party !== null);
+    },
+  };
+}
+
+/**
+ * Builds the source adapters for a conference, highest priority first.
+ * Conferences without explicit sources use their sheet alone.
+ */
+export function getPartySources(conference: Conference): PartySource[] {
+  const configs: PartySourceConfig[] = conference.sources ||
+    (conference.sheet ? [{type: "sheet", priority: 100}] : []);
+
+  return configs
+    .map((config): PartySource => {
+      switch (config.type) {
+      case "sheet":
+        return sheetSource(config.priority);
+      case "url":
+        if (!config.url) throw new Error(`url source for ${conference.id} is missing a url`);
+        return urlSource(config.url, config.format || "json", config.priority);
+      case "ics":
+        if (!config.url) throw new Error(`ics source for ${conference.id} is missing a url`);
+        return icsSource(config.url, config.priority);
+      case "file":
+        if (!config.path) throw new Error(`file source for ${conference.id} is missing a path`);
+        return fileSource(config.path, config.priority);
+      }
+    })
+    .sort((a, b) => b.priority - a.priority);
+}
+
+export interface SourceFetchResult {
+  source: string;
+  type: PartySourceType;
+  priority: number;
+  fetched: number;
+  fetchedAt: string;
+  invalid: number; // rows skipped by validation
+  validationErrors: RowValidationError[]; // first MAX_REPORTED_ERRORS of them
+  error?: string;
+}
+
+/**
+ * Pulls every source for a conference. A failing source is reported but
+ * doesn't stop the others.
+ */
+export async function fetchFromSources(conference: Conference, sources: PartySource[]): Promise<{
+  parties: NormalizedParty[];
+  results: SourceFetchResult[];
+}> {
+  const parties: NormalizedParty[] = [];
+  const results: SourceFetchResult[] = [];
+
+  for (const source of sources) {
+    const fetchedAt = new Date().toISOString();
+    const errors: RowValidationError[] = [];
+    const base = {source: source.id, type: source.type, priority: source.priority, fetchedAt};
+    try {
+      const fetched = withProvenance(await source.fetch(conference, errors), source, fetchedAt);
+      parties.push(...fetched);
+      if (errors.length > 0) {
+        console.warn(`[party-sources] ${source.id} skipped ${errors.length} invalid rows for ${conference.id}`);
+      }
+      results.push({
+        ...base,
+        fetched: fetched.length,
+        invalid: errors.length,
+        validationErrors: errors.slice(0, MAX_REPORTED_ERRORS),
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`[party-sources] ${source.id} failed for ${conference.id}:`, message);
+      results.push({...base, fetched: 0, invalid: 0, validationErrors: [], error: message});
+    }
+  }
+
+  return {parties, results};
+}
+
+/**
+ * Key used to spot the same party reported by different sources
+ */
+export function conflictKey(party: NormalizedParty): string {
+  return partyFingerprint(party);
+}
+
+/**
+ * Keeps one party per conflict key, preferring the higher-priority source.
+ * Ties go to whichever source was listed first.
+ */
+export function resolveConflicts(parties: NormalizedParty[]): NormalizedParty[] {
+  const winners = new Map<string, NormalizedParty>();
+
+  for (const party of parties) {
+    const key = conflictKey(party);
+    const current = winners.get(key);
+    if (!current || (party.sourcePriority ?? 0) > (current.sourcePriority ?? 0)) {
+      winners.set(key, party);
+    }
+  }
+
+  return [...winners.values()];
+}
@@ -0,0 +1,364 @@
+/**
+ * Referral graph over redeemed invites
+ * An edge runs from an invite's owner to whoever redeemed it. A user who
+ * redeemed more than one invite is attributed to the first (first touch),
+ * so everyone has at most one referrer and the graph is a forest.
+ *
+ * Invites answered by RSVP token only (enhanced event invites) have no
+ * redeemedBy and cannot be attributed to a user; they count as sent. Group
+ * invites bring in each confirmed guest who answered signed in.
+ *
+ * Everything but loadReferralGraph() and getReferralReport() is pure, so
+ * the reports can be tested without Firestore.
+ */
+
+import * as admin from "firebase-admin";
+import {CanonicalInvite, INVITES_COLLECTION, readInvite, SHARE_METHODS, ShareMethod} from "./invites";
+
+const PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPORT_TTL = 5 * 60 * 1000; // Reports may lag new redemptions by this much
+
+export interface ReferralEdge {
+  inviteId: string;
+  inviterUid: string;
+  inviterName: string | null;
+  inviteeUid: string;
+  inviteeName: string | null;
+  channel: ShareMethod;
+  redeemedAt: number;
+}
+
+export interface ReferralGraph {
+  invites: CanonicalInvite[];
+  edges: ReferralEdge[];                    // Attributed signups, oldest first
+  referrerOf: Map<string, ReferralEdge>;    // Invitee uid => the edge that brought them in
+  referredBy: Map<string, ReferralEdge[]>;  // Inviter uid => the users they brought in
+}
+
+export interface ReferralReach {
+  uid: string;
+  direct: number;     // Users they invited themselves
+  total: number;      // Everyone downstream, at any level
+  depth: number;      // Deepest level reached (0 without referrals)
+  byLevel: number[];  // byLevel[0] = direct, byLevel[1] = their invitees, ...
+}
+
+export interface ViralDay {
+  date: string;             // YYYY-MM-DD (UTC) the invites were created
+  senders: number;          // Users who created invites that day
+  sent: number;
+  signups: number;          // Of those invites, redeemed by a new user
+  conversionRate: number;   // Percent of sent, one decimal
+  viralCoefficient: number; // Signups per sender, two decimals
+}
+
+export interface ChannelAttribution {
+  channel: ShareMethod;
+  sent: number;
+  signups: number;
+  conversionRate: number; // Percent of sent, one decimal
+  share: number;          // Percent of all signups, one decimal
+}
+
+export interface TopInviter {
+  uid: string;
+  name: string | null;
+  direct: number;
+  total: number;
+}
+
+export interface ReferralReport {
+  graph: ReferralGraph;
+  reach: Map<string, ReferralReach>; // Inviter uid => their reach; absent for users who invited nobody
+  builtAt: number;
+}
+
+export interface ReferralNode {
+  uid: string;
+  name: string | null;
+  channel: ShareMethod | null; // How they were invited (null for the root)
+  joinedAt: number | null;
+  children: ReferralNode[];
+}
+
+type Firestore = admin.firestore.Firestore;
+
+function getDb(): Firestore {
+  return admin.firestore();
+}
+
+/**
+ * The channel an invite reached its recipient through. Invites never shared
+ * through a tracked channel were passed on by code, or by email if addressed.
+ */
+export function referralChannel(invite: CanonicalInvite): ShareMethod {
+  if (invite.lastMethod) return invite.lastMethod;
+  return invite.toEmail ? "email" : "code";
+}
+
+export function buildReferralGraph(invites: CanonicalInvite[]): ReferralGraph {
+  const candidates: ReferralEdge[] = invites
+    .flatMap(invite => redemptionsOf(invite).map(([inviteeUid, inviteeName, redeemedAt]) => ({
+      inviteId: invite.id,
+      inviterUid: invite.ownerUid,
+      inviterName: invite.ownerName,
+      inviteeUid,
+      inviteeName,
+      channel: referralChannel(invite),
+      redeemedAt,
+    })))
+    .filter(edge => edge.inviteeUid !== edge.inviterUid)
+    .sort((a, b) => a.redeemedAt - b.redeemedAt);
+
+  const edges: ReferralEdge[] = [];
+  const referrerOf = new Map<string, ReferralEdge>();
+  const referredBy = new Map<string, ReferralEdge[]>();
+
+  for (const edge of candidates) {
+    const inviteeUid = edge.inviteeUid;
+    if (referrerOf.has(inviteeUid)) continue; // First touch wins
+
+    edges.push(edge);
+    referrerOf.set(inviteeUid, edge);
+    referredBy.set(edge.inviterUid, [...(referredBy.get(edge.inviterUid) ?? []), edge]);
+  }
+
+  return {invites, edges, referrerOf, referredBy};
+}
+
+/**
+ * Everyone downstream of a user, level by level
+ */
+export function downstreamReach(graph: ReferralGraph, uid: string, maxDepth = 10): ReferralReach {
+  const byLevel: number[] = [];
+  const seen = new Set([uid]);
+  let level = [uid];
+
+  while (level.length > 0 && byLevel.length < maxDepth) {
+    const next: string[] = [];
+    for (const parent of level) {
+      for (const edge of graph.referredBy.get(parent) ?? []) {
+        if (seen.has(edge.inviteeUid)) continue; // Two users who invited each other
+        seen.add(edge.inviteeUid);
+        next.push(edge.inviteeUid);
+      }
+    }
+    if (next.length === 0) break;
+    byLevel.push(next.length);
+    level = next;
+  }
+
+  return toReach(uid, byLevel);
+}
+
+/**
+ * Every inviter's reach in one pass, leaves first: a user's level i + 1 is
+ * the sum of their invitees' level i. Users in a referral cycle (who invited
+ * each other) never get a finished leaf below them and are walked one by one.
+ */
+export function reachByUser(graph: ReferralGraph, maxDepth = 10): Map<string, ReferralReach> {
+  const levels = new Map<string, number[]>();
+  const waitingOn = new Map<string, number>(); // Inviter uid => invitees not done yet
+  graph.referredBy.forEach((edges, uid) => waitingOn.set(uid, edges.length));
+  let ready = graph.edges.map(edge => edge.inviteeUid).filter(uid => !graph.referredBy.has(uid));
+
+  while (ready.length > 0) {
+    const next: string[] = [];
+    for (const uid of ready) {
+      const byLevel: number[] = [];
+      for (const edge of graph.referredBy.get(uid) ?? []) {
+        [1, ...levels.get(edge.inviteeUid)!].slice(0, maxDepth)
+          .forEach((count, level) => byLevel[level] = (byLevel[level] ?? 0) + count);
+      }
+      levels.set(uid, byLevel);
+
+      const inviterUid = graph.referrerOf.get(uid)?.inviterUid;
+      if (inviterUid === undefined) continue;
+      const waiting = waitingOn.get(inviterUid)! - 1;
+      waitingOn.set(inviterUid, waiting);
+      if (waiting === 0) next.push(inviterUid);
+    }
+    ready = next;
+  }
+
+  const reach = new Map<string, ReferralReach>();
+  graph.referredBy.forEach((_edges, uid) => {
+    const byLevel = levels.get(uid);
+    reach.set(uid, byLevel ? toReach(uid, byLevel) : downstreamReach(graph, uid, maxDepth));
+  });
+  return reach;
+}
+
+/**
+ * A user's referral tree, for drawing. Stops at `maxDepth` levels or `maxNodes` users.
+ */
+export function referralTree(graph: ReferralGraph, uid: string, maxDepth = 5, maxNodes = 500): ReferralNode {
+  const joined = graph.referrerOf.get(uid);
+  const root: ReferralNode = {uid, name: nameOf(graph, uid), channel: null, joinedAt: joined?.redeemedAt ?? null, children: []};
+  const seen = new Set([uid]);
+  let level = [root];
+
+  for (let depth = 0; depth < maxDepth && level.length > 0 && seen.size < maxNodes; depth++) {
+    const next: ReferralNode[] = [];
+    for (const node of level) {
+      for (const edge of graph.referredBy.get(node.uid) ?? []) {
+        if (seen.has(edge.inviteeUid) || seen.size >= maxNodes) continue;
+        seen.add(edge.inviteeUid);
+        const child = {uid: edge.inviteeUid, name: edge.inviteeName, channel: edge.channel, joinedAt: edge.redeemedAt, children: []};
+        node.children.push(child);
+        next.push(child);
+      }
+    }
+    level = next;
+  }
+
+  return root;
+}
+
+/**
+ * Viral coefficient per day: signups brought in by the invites created that
+ * day, per user who created them. `from`/`to` are epoch ms, inclusive.
+ */
+export function viralCoefficientByDay(graph: ReferralGraph, from?: number, to?: number): ViralDay[] {
+  const signupsByInvite = new Map<string, number>();
+  graph.edges.forEach(edge => signupsByInvite.set(edge.inviteId, (signupsByInvite.get(edge.inviteId) ?? 0) + 1));
+  const days = new Map<string, {senders: Set<string>; sent: number; signups: number}>();
+
+  for (const invite of graph.invites) {
+    if ((from !== undefined && invite.createdAt < from) || (to !== undefined && invite.createdAt > to)) continue;
+    const date = dayOf(invite.createdAt);
+    const day = days.get(date) ?? {senders: new Set<string>(), sent: 0, signups: 0};
+    day.senders.add(invite.ownerUid);
+    day.sent++;
+    day.signups += signupsByInvite.get(invite.id) ?? 0; // Group invites bring in several
+    days.set(date, day);
+  }
+
+  return Array.from(days.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, day]) => ({
+      date,
+      senders: day.senders.size,
+      sent: day.sent,
+      signups: day.signups,
+      conversionRate: percent(day.signups, day.sent),
+      viralCoefficient: Math.round((day.signups / day.senders.size) * 100) / 100,
+    }));
+}
+
+/**
+ * Signups attributed to each channel, with how many invites went out through it
+ */
+export function channelAttribution(graph: ReferralGraph, invites: CanonicalInvite[] = graph.invites): ChannelAttribution[] {
+  const ids = new Set(invites.map(invite => invite.id));
+  const edges = graph.edges.filter(edge => ids.has(edge.inviteId));
+
+  return SHARE_METHODS.map(channel => {
+    const sent = invites.filter(invite => referralChannel(invite) === channel).length;
+    const signups = edges.filter(edge => edge.channel === channel).length;
+    return {
+      channel,
+      sent,
+      signups,
+      conversionRate: percent(signups, sent),
+      share: percent(signups, edges.length),
+    };
+  });
+}
+
+/**
+ * Users with the largest downstream reach, ties broken by direct referrals
+ */
+export function topInviters(graph: ReferralGraph, limit = 10,
+  reach: Map<string, ReferralReach> = reachByUser(graph)): TopInviter[] {
+  return Array.from(reach.values())
+    .map(({uid, direct, total}) => ({uid, name: nameOf(graph, uid), direct, total}))
+    .sort((a, b) => b.total - a.total || b.direct - a.direct || a.uid.localeCompare(b.uid))
+    .slice(0, limit);
+}
+
+/**
+ * Every invite, whichever implementation created it, as one graph
+ */
+export async function loadReferralGraph(db: Firestore = getDb()): Promise<ReferralGraph> {
+  const invites: CanonicalInvite[] = [];
+
+  let last: admin.firestore.QueryDocumentSnapshot | undefined;
+  for (;;) {
+    let query = db.collection(INVITES_COLLECTION)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const page = await query.get();
+    if (page.empty) break;
+    page.docs.forEach(doc => invites.push(readInvite(doc.id, doc.data())));
+    last = page.docs[page.docs.length - 1];
+  }
+
+  return buildReferralGraph(invites);
+}
+
+let report: Promise<ReferralReport> | null = null;
+let reportStartedAt = 0;
+
+/**
+ * The graph and everyone's reach, rebuilt from Firestore at most every
+ * REPORT_TTL; requests in between, and while it builds, share one build
+ */
+export function getReferralReport(now: number = Date.now()): Promise<ReferralReport> {
+  if (!report || now - reportStartedAt > REPORT_TTL) {
+    const building = loadReferralGraph().then(graph => ({graph, reach: reachByUser(graph), builtAt: Date.now()}));
+    building.catch(() => {
+      if (report === building) report = null; // Retry on the next request
+    });
+    report = building;
+    reportStartedAt = now;
+  }
+  return report;
+}
+
+/**
+ * Start of the UTC day `days` days before `now`, for report windows
+ */
+export function daysAgo(days: number, now: number = Date.now()): number {
+  return Date.parse(dayOf(now - days * DAY_MS));
+}
+
+// Helper: [uid, name, when] for everyone who redeemed an invite
+function redemptionsOf(invite: CanonicalInvite): [string, string | null, number][] {
+  if (invite.capacity !== null) {
+    return invite.guests
+      .filter(guest => guest.status === "confirmed" && guest.uid)
+      .map(guest => [guest.uid as string, guest.name, guest.promotedAt ?? guest.respondedAt]);
+  }
+  if (invite.status !== "redeemed" || !invite.redeemedBy) return [];
+  return [[invite.redeemedBy, invite.redeemerName, invite.redeemedAt ?? invite.createdAt]];
+}
+
+// Helper: Reach from the number of users at each level
+function toReach(uid: string, byLevel: number[]): ReferralReach {
+  return {
+    uid,
+    direct: byLevel[0] ?? 0,
+    total: byLevel.reduce((sum, count) => sum + count, 0),
+    depth: byLevel.length,
+    byLevel,
+  };
+}
+
+// Helper: UTC calendar day of an epoch ms
+function dayOf(time: number): string {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Helper: Percent with one decimal, 0 when there is nothing to divide by
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Helper: A user's display name, from the invites they sent or redeemed
+function nameOf(graph: ReferralGraph, uid: string): string | null {
+  return graph.referredBy.get(uid)?.[0]?.inviterName ?? graph.referrerOf.get(uid)?.inviteeName ?? null;
+}
@@ -1,15 +1,13 @@
 import { google } from 'googleapis';
-
-// Google Sheets configuration
-const SPREADSHEET_ID = "10c54Otn4pMYTFQ7bRQulO-qDB05aCk_l1rRtuPmwmtE"; // MAU 2025 Events
-// Use first sheet without specifying name - get all columns up to T
-const SHEET_RANGE = "A2:T1000";
+import { Conference, ConferenceSheet } from './conferences';
+import { parsePartySchedule, RowValidationError } from './party-datetime';
 
 /**
  * Fetches data from Google Sheets using service account authentication
- * The sheet must be shared with the service account email
+ * The sheet must be shared with the service account email. Which sheet is
+ * the conference's (services/conferences.ts, PARTIES_SHEET_ID_<ID>).
  */
-export async function fetchFromGoogleSheets(): Promise<any[]> {
+export async function fetchFromGoogleSheets(sheet: ConferenceSheet): Promise<any[]> {
   try {
     console.log("[sheets-client] Fetching data from Google Sheets using service account");
     
@@ -24,8 +22,8 @@ export async function fetchFromGoogleSheets(): Promise<any[]> {
     // Fetch the data with timeout
     const response = await Promise.race([
       sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: SHEET_RANGE,
+        spreadsheetId: sheet.spreadsheetId,
+        range: sheet.range,
       }),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Google Sheets timeout')), 10000)
@@ -48,11 +46,19 @@ export async function fetchFromGoogleSheets(): Promise<any[]> {
 
 /**
  * Maps sheet row to party data
+ * Venue and coordinates default to the conference's host city. Rows whose
+ * date or start time can't be parsed are skipped and reported in `errors`
+ * (by sheet row number) rather than given an invented date.
  */
-export function mapSheetRowToParty(row: any[], index: number): any {
+export function mapSheetRowToParty(
+  row: any[],
+  index: number,
+  conference: Conference,
+  errors: RowValidationError[] = []
+): any {
   try {
     
-    // MAU 2025 Google Sheet columns:
+    // Party sheet columns:
     // 0: id, 1: slug, 2: name, 3: categoryId, 4: products, 5: capabilities
     // 6: region, 7: tags, 8: status, 9: updatedAt, 10: subcategory
     // 11: hqCountry, 12: website, 13: description, 14: notableClients
@@ -72,11 +78,16 @@ export function mapSheetRowToParty(row: any[], index: number): any {
     // Log what we're processing for debugging
     console.log(`[sheets-client] Processing row ${index}: name=${name}, date=${date}, startTime=${startTime}`);
     
-    // Parse date (format: 2025-05-19)
-    let isoDate = date || '2025-05-19'; // MAU Vegas default date
-    if (isoDate === '[]' || !isoDate) {
-      isoDate = '2025-05-19';
+    // Parse date and times in the conference's timezone (sheet data starts at row 2)
+    const start = String(startTime || '').trim();
+    const end = String(endTime || '').trim();
+    const time = end ? `${start}-${end}` : start;
+    const parsed = parsePartySchedule(String(date || '').trim(), time, conference, index + 2);
+    if ("errors" in parsed) {
+      errors.push(...parsed.errors);
+      return null;
     }
+    const { schedule } = parsed;
     
     // Parse tags array string
     let parsedTags = [];
@@ -96,23 +107,28 @@ export function mapSheetRowToParty(row: any[], index: number): any {
       .join(', ');
     
     return {
+      conference: conference.id,
       id: slug || `event-${index}-${name.toLowerCase().replace(/[^a-z0-9]/g, '-').substring(0, 30)}`,
       title: name?.trim() || '',
-      venue: venue?.trim() || "Las Vegas",
-      date: isoDate,
-      time: startTime?.trim() || '09:00',
-      start: `${isoDate}T${startTime?.trim() || '09:00'}:00`,
-      end: endTime ? `${isoDate}T${endTime.trim()}:00` : undefined,
-      duration: startTime && endTime ? `${startTime} - ${endTime}` : "",
+      venue: venue?.trim() || conference.city,
+      date: schedule.date,
+      time: schedule.time,
+      endTime: schedule.endTime,
+      start: schedule.startsAt,
+      end: schedule.endsAt ?? undefined,
+      startsAt: schedule.startsAt,
+      endsAt: schedule.endsAt,
+      timezone: schedule.timezone,
+      duration: schedule.endTime ? `${schedule.time} - ${schedule.endTime}` : "",
       price: "Invite Only",
       description: description?.trim() || `${categoryId} event`,
       link: website?.trim() || "",
       tags: parsedTags,
       category: categoryId?.toLowerCase() || 'event',
       organizer: sponsors || notableClients || 'MAU',
-      // Las Vegas coordinates
-      lat: 36.1699,
-      lng: -115.1398,
+      // Host city coordinates
+      lat: conference.coordinates.lat,
+      lng: conference.coordinates.lng,
     };
   } catch (error) {
     console.error(`[sheets-client] Error mapping row ${index}:`, error);
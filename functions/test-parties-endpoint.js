@@ -7,7 +7,7 @@ const http = require('http');
 const express = require('express');
 
 // Import the compiled app
-const { api } = require('./lib/src/index.js');
+const { api } = require('./lib/functions/src/index.js');
 
 const PORT = 3333;
 
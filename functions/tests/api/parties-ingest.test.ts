@@ -0,0 +1,32 @@
+/**
+ * Manual ingestion trigger - admin auth
+ */
+
+import express from "express";
+import request from "supertest";
+import partiesRouter from "../../src/routes/parties";
+import {generateAdminToken, UserRole} from "../../src/middleware/admin-auth";
+
+describe("POST /api/parties/ingest", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/parties", partiesRouter);
+
+  test("should reject requests without a token", async () => {
+    const res = await request(app).post("/api/parties/ingest").send({});
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("NO_TOKEN");
+  });
+
+  test("should reject non-admin users", async () => {
+    const token = generateAdminToken({uid: "analyst-1", email: "analyst@example.com", role: UserRole.ANALYST});
+    const res = await request(app).post("/api/parties/ingest").set("Authorization", `Bearer ${token}`).send({});
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("FORBIDDEN");
+  });
+
+  test("should protect the ingestion history", async () => {
+    const res = await request(app).get("/api/parties/ingest/history");
+    expect(res.status).toBe(401);
+  });
+});
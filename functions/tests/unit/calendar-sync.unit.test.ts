@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the two-way Google Calendar sync rules
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {
+  applyRemoteChange,
+  EventFields,
+  EventRecord,
+  googleIdFor,
+  holdsLease,
+  LocalEvent,
+  partyToLocalEvent,
+  planEvent,
+  SYNC_PROPERTY,
+  SyncState,
+} from "../../src/googleCalendar/sync";
+
+const BASE: EventFields = {
+  summary: "Indie Mixer",
+  description: "Hosted by Devs",
+  location: "Cologne",
+  start: "2025-08-20T17:00:00.000Z",
+  end: "2025-08-20T21:00:00.000Z",
+};
+
+const record = (extra: Partial<EventRecord> = {}): EventRecord => ({
+  localId: "party1",
+  googleId: googleIdFor("party1"),
+  base: BASE,
+  remote: null,
+  remoteUpdatedAt: null,
+  cancelled: null,
+  htmlLink: null,
+  syncedAt: 0,
+  ...extra,
+});
+
+const local = (fields: Partial<EventFields> = {}, extra: Partial<LocalEvent> = {}): LocalEvent => ({
+  id: "party1",
+  fields: {...BASE, ...fields},
+  updatedAt: null,
+  cancelled: false,
+  ...extra,
+});
+
+const googleEvent = (fields: Partial<EventFields>, extra: Record<string, any> = {}) => ({
+  id: googleIdFor("party1"),
+  summary: fields.summary ?? BASE.summary,
+  description: fields.description ?? BASE.description,
+  location: fields.location ?? BASE.location,
+  start: {dateTime: fields.start ?? BASE.start},
+  end: {dateTime: fields.end ?? BASE.end},
+  updated: "2025-08-19T12:00:00.000Z",
+  extendedProperties: {private: {[SYNC_PROPERTY]: "party1"}},
+  ...extra,
+});
+
+describe("Calendar sync", () => {
+  test("should derive a stable Google id in base32hex", () => {
+    expect(googleIdFor("party1")).toBe(googleIdFor("party1"));
+    expect(googleIdFor("party1")).not.toBe(googleIdFor("party2"));
+    expect(googleIdFor("party1")).toMatch(/^[0-9a-v]{5,1024}$/);
+  });
+
+  test("should convert saved parties and skip those without an id", () => {
+    const event = partyToLocalEvent({
+      "id": "p1", "Event Name": "Mixer", "Date": "2025-08-20", "Start Time": "19:00", "Venue": "Hall 1",
+    });
+    expect(event).toMatchObject({id: "p1", cancelled: false, updatedAt: null, fields: {summary: "Mixer", location: "Hall 1"}});
+    expect(partyToLocalEvent({"Event Name": "Mixer"})).toBeNull();
+  });
+
+  test("should create events that were never synced", () => {
+    expect(planEvent(undefined, local()).action).toBe("create");
+    expect(planEvent(undefined, local({}, {cancelled: true}))).toMatchObject({action: "none", cancelled: "local"});
+  });
+
+  test("should leave unchanged events alone, so syncing twice makes no duplicates", () => {
+    expect(planEvent(record(), local())).toMatchObject({action: "none", localChanges: {}, conflicts: []});
+  });
+
+  test("should push edits made on our side", () => {
+    const plan = planEvent(record(), local({location: "Hall 7"}));
+    expect(plan).toMatchObject({action: "update", fields: {location: "Hall 7"}, localChanges: {}});
+  });
+
+  test("should bring back edits made in Google", () => {
+    const pulled = applyRemoteChange(record(), googleEvent({summary: "Indie Mixer (moved)"}));
+    const plan = planEvent(pulled!, local());
+    expect(plan).toMatchObject({action: "none", localChanges: {summary: "Indie Mixer (moved)"}});
+  });
+
+  test("should ignore our own pushes coming back in a pull", () => {
+    expect(applyRemoteChange(record(), googleEvent({}))?.remote).toBeNull();
+    expect(applyRemoteChange(record(), {...googleEvent({}), extendedProperties: {}})).toBeNull();
+  });
+
+  test("should merge fields edited on different sides", () => {
+    const pulled = applyRemoteChange(record(), googleEvent({summary: "Renamed in Google"}));
+    const plan = planEvent(pulled!, local({location: "Hall 7"}));
+    expect(plan.action).toBe("update");
+    expect(plan.fields).toMatchObject({summary: "Renamed in Google", location: "Hall 7"});
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  test("should resolve a field edited on both sides by the conflict rule", () => {
+    const pulled = applyRemoteChange(record(), googleEvent({location: "Google Hall"}))!;
+    const edited = Date.parse("2025-08-19T10:00:00.000Z"); // Before the Google edit
+
+    expect(planEvent(pulled, local({location: "Our Hall"}, {updatedAt: edited}))).toMatchObject({
+      action: "none", fields: {location: "Google Hall"}, localChanges: {location: "Google Hall"},
+      conflicts: [{id: "party1", field: "location", winner: "remote"}],
+    });
+    expect(planEvent(pulled, local({location: "Our Hall"}))).toMatchObject({
+      action: "update", fields: {location: "Our Hall"}, conflicts: [{winner: "local"}],
+    });
+    expect(planEvent(pulled, local({location: "Our Hall"}), "remote").fields.location).toBe("Google Hall");
+  });
+
+  test("should propagate cancellations from our side", () => {
+    expect(planEvent(record(), null)).toMatchObject({action: "delete", cancelled: "local"});
+    expect(planEvent(record(), local({}, {cancelled: true})).action).toBe("delete");
+    expect(planEvent(record({cancelled: "local"}), null).action).toBe("none");
+    expect(planEvent(record({cancelled: "local"}), local()).action).toBe("create");
+  });
+
+  test("should propagate cancellations from Google over local edits", () => {
+    const pulled = applyRemoteChange(record(), googleEvent({}, {status: "cancelled"}));
+    expect(pulled?.cancelled).toBe("remote");
+    expect(planEvent(pulled!, local({location: "Hall 7"}))).toMatchObject({action: "none", cancelled: "remote"});
+  });
+
+  test("should only block new runs while the lease is live", () => {
+    const state: SyncState = {
+      calendarId: "primary", syncToken: null, pageToken: null, status: "running",
+      startedAt: 0, runId: "run1", leaseExpiresAt: 10 * 60 * 1000,
+      lastSyncAt: null, lastError: null, failures: 0,
+    };
+
+    // A renewed lease outlives the run's start by more than one lease
+    expect(holdsLease(state, 9 * 60 * 1000)).toBe(true);
+    expect(holdsLease(state, 10 * 60 * 1000)).toBe(false);
+    expect(holdsLease({...state, status: "idle"}, 0)).toBe(false);
+    // Saved before leases had an expiry: five minutes from the start
+    expect(holdsLease({...state, leaseExpiresAt: null}, 4 * 60 * 1000)).toBe(true);
+    expect(holdsLease({...state, leaseExpiresAt: null}, 6 * 60 * 1000)).toBe(false);
+  });
+});
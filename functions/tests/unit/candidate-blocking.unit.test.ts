@@ -0,0 +1,59 @@
+/**
+ * Unit tests for matchmaking candidate blocking
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {buildBlockingIndex, getCandidates, getPairCandidates} from "../../src/matchmaking/candidate-blocking";
+import {Company} from "../../src/matchmaking/types";
+
+function company(id: string, fields: Partial<Company>): Company {
+  return {
+    id, slug: id, name: id, stage: "Startup",
+    categories: [], platforms: [], markets: [], capabilities: [], needs: [], tags: [],
+    text: {}, numeric: {}, dates: {}, lists: {}, sources: {},
+    ...fields,
+  } as Company;
+}
+
+const companies = [
+  company("a", {platforms: ["PC"], markets: ["EU"]}),
+  company("b", {platforms: ["pc"], markets: ["EU"]}),
+  company("c", {markets: ["NA"], needs: ["Publishing"]}),
+  company("d", {capabilities: ["publishing"]}),
+  company("e", {categories: ["Puzzle"]}),
+];
+
+describe("Candidate blocking", () => {
+  const index = buildBlockingIndex(companies);
+
+  test("should only return companies sharing a block", () => {
+    expect(getCandidates(companies[0]!, index)).toEqual(["b"]);
+    expect(getCandidates(companies[4]!, index)).toEqual([]);
+  });
+
+  test("should pair capabilities with needs in both directions", () => {
+    expect(getCandidates(companies[2]!, index)).toEqual(["d"]);
+    expect(getCandidates(companies[3]!, index)).toEqual(["c"]);
+  });
+
+  test("should rank by shared blocks and respect the cap", () => {
+    const source = company("x", {platforms: ["PC"], markets: ["EU"], needs: ["publishing"]});
+    expect(getCandidates(source, index)).toEqual(["a", "b", "d"]);
+    expect(getCandidates(source, index, 1)).toEqual(["a"]);
+  });
+
+  test("should pair companies whichever side is the source", () => {
+    // "hub" shares a block with everyone, and the most with "x"
+    const hub = company("hub", {platforms: ["PC"], markets: ["EU"], categories: ["Puzzle"]});
+    const x = company("x", {platforms: ["PC"], markets: ["EU"]});
+    const y = company("y", {categories: ["Puzzle"]});
+    const all = [hub, x, y];
+    const byId = new Map(all.map(c => [c.id, c]));
+    const pairIndex = buildBlockingIndex(all);
+
+    expect(getCandidates(hub, pairIndex, 1)).toEqual(["x"]);
+    expect(getCandidates(y, pairIndex, 1)).toEqual(["hub"]);
+    expect(getPairCandidates(hub, pairIndex, byId, 1)).toEqual(["x", "y"]);
+    expect(getPairCandidates(y, pairIndex, byId, 1)).toEqual(["hub"]);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for the conference registry
+ */
+
+import {describe, test, expect, afterEach} from "@jest/globals";
+import {getConference, getConferenceDays, listConferences} from "../../src/services/conferences";
+
+describe("Conference registry", () => {
+  afterEach(() => {
+    delete process.env["PARTIES_SHEET_ID_GAMESCOM2025"];
+    delete process.env["PARTIES_SHEET_ID_MAU2025"];
+  });
+
+  test("should list conferences ordered by start date", () => {
+    const ids = listConferences().map((c) => c.id);
+    expect(ids).toEqual(["mau2025", "gamescom2025"]);
+  });
+
+  test("should return null for unknown conferences", () => {
+    expect(getConference("nope2099")).toBeNull();
+  });
+
+  test("should expand conference days inclusively", () => {
+    const gamescom = getConference("gamescom2025");
+    expect(gamescom).not.toBeNull();
+    expect(getConferenceDays(gamescom!)).toEqual([
+      "2025-08-20", "2025-08-21", "2025-08-22", "2025-08-23", "2025-08-24",
+    ]);
+  });
+
+  test("should apply sheet ID overrides from the environment", () => {
+    process.env["PARTIES_SHEET_ID_GAMESCOM2025"] = "override-sheet";
+    expect(getConference("gamescom2025")?.sheet?.spreadsheetId).toBe("override-sheet");
+  });
+
+  test("should give every conference its own sheet or none", () => {
+    const ids = listConferences().flatMap((c) => c.sheet ? [c.sheet.spreadsheetId] : []);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(getConference("mau2025")?.sheet).toBeUndefined();
+
+    process.env["PARTIES_SHEET_ID_MAU2025"] = "mau-sheet";
+    expect(getConference("mau2025")?.sheet).toEqual({spreadsheetId: "mau-sheet", range: "A2:T1000"});
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for weight profile experiments
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {Timestamp} from "firebase-admin/firestore";
+import {
+  assignVariant,
+  buildExposure,
+  buildOutcome,
+  summarizeExperiment,
+  unitId,
+  wilsonInterval,
+} from "../../src/matchmaking/experiments";
+import {Experiment, MatchExposure, MatchOutcome} from "../../src/matchmaking/types";
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.parse("2025-08-20T09:00:00Z");
+
+const experiment: Experiment = {
+  id: "exp1",
+  name: "Platform weight",
+  unit: "company",
+  status: "running",
+  variants: [
+    {id: "control", profileId: "default", allocation: 1},
+    {id: "platforms", profileId: "platform-heavy", allocation: 1},
+  ],
+  attributionWindowHours: 24,
+  createdAt: Timestamp.fromMillis(start),
+  startedAt: Timestamp.fromMillis(start),
+};
+
+function exposure(variantId: string, subjectId: string, edgeId: string): MatchExposure {
+  return {experimentId: "exp1", variantId, profileId: variantId, subjectId, edgeId, counterpartId: "x", score: 0.5,
+    rank: 0, servedAt: Timestamp.fromMillis(start)};
+}
+
+function outcome(type: MatchOutcome["type"], edgeId: string, hoursAfter: number): MatchOutcome {
+  return {type, actorId: "x", counterpartId: "y", edgeId, source: "test",
+    at: Timestamp.fromMillis(start + hoursAfter * HOUR)};
+}
+
+describe("Experiments", () => {
+  test("should assign subjects deterministically and roughly by allocation", () => {
+    expect(assignVariant(experiment, "company-42").id).toBe(assignVariant(experiment, "company-42").id);
+
+    const weighted = {...experiment, variants: [{...experiment.variants[0]!, allocation: 3}, experiment.variants[1]!]};
+    const counts = {control: 0, platforms: 0};
+    for (let i = 0; i < 4000; i++) counts[assignVariant(weighted, `c${i}`).id as keyof typeof counts]++;
+    expect(counts.control / 4000).toBeGreaterThan(0.7);
+    expect(counts.control / 4000).toBeLessThan(0.8);
+  });
+
+  test("should compute Wilson intervals", () => {
+    expect(wilsonInterval(0, 0)).toEqual([0, 0]);
+    const [low, high] = wilsonInterval(50, 100);
+    expect(low).toBeCloseTo(0.4038, 3);
+    expect(high).toBeCloseTo(0.5962, 3);
+  });
+
+  test("should attribute outcomes inside the window to the serving variant", () => {
+    const report = summarizeExperiment(experiment, [
+      exposure("control", "a", "a__b"),
+      exposure("control", "a", "a__c"),
+      exposure("platforms", "d", "d__e"),
+    ], [
+      outcome("swipe_like", "a__b", 2),
+      outcome("meeting_accepted", "a__b", 5),
+      outcome("badge_scan", "a__c", 30), // outside the 24h window
+      outcome("swipe_pass", "d__e", 1),
+      outcome("swipe_like", "d__e", -1), // before it was served
+    ]);
+
+    const [control, platforms] = report.variants;
+    expect(control).toMatchObject({exposures: 2, subjects: 1, accepted: {count: 1, rate: 0.5}});
+    expect(control?.outcomes.meeting_accepted.count).toBe(1);
+    expect(control?.outcomes.badge_scan.count).toBe(0);
+    expect(platforms).toMatchObject({exposures: 1, accepted: {count: 0, rate: 0}});
+    expect(platforms?.outcomes.swipe_pass.count).toBe(1);
+    expect(control?.accepted.ci95[0]).toBeLessThan(0.5);
+  });
+
+  test("should join a company exposure to the outcome its actors record", () => {
+    const assignment = {experimentId: "exp1", variantId: "platforms", profileId: "platform-heavy"};
+    const served = buildExposure(assignment, "company", "acme", {counterpartId: "globex", score: 0.8}, 0,
+      Timestamp.fromMillis(start));
+    // Meetings and badge scans record actor ids
+    const accepted = buildOutcome("meeting_accepted", "c-globex", "c-acme", "meeting-scheduler",
+      Timestamp.fromMillis(start + HOUR));
+
+    expect(served).toMatchObject({subjectId: "c-acme", counterpartId: "c-globex", edgeId: accepted.edgeId});
+    const [, platforms] = summarizeExperiment(experiment, [served], [accepted]).variants;
+    expect(platforms).toMatchObject({exposures: 1, subjects: 1, accepted: {count: 1, rate: 1}});
+  });
+
+  test("should key attendees on their own id", () => {
+    expect(unitId("attendee", "uid123")).toBe("uid123");
+    expect(unitId("company", "c-acme")).toBe("c-acme");
+    const attendee = {...experiment, unit: "attendee" as const};
+    const served = buildExposure({experimentId: "exp1", variantId: "control", profileId: "default"}, "attendee",
+      "u1", {counterpartId: "u2", score: 0.5}, 0, Timestamp.fromMillis(start));
+    const liked = buildOutcome("swipe_like", "u2", "u1", "matchmaking-service", Timestamp.fromMillis(start + HOUR));
+    expect(summarizeExperiment(attendee, [served], [liked]).variants[0]?.accepted.count).toBe(1);
+  });
+});
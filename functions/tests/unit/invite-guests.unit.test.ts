@@ -0,0 +1,141 @@
+/**
+ * Unit tests for group invites: guest RSVPs, the waitlist and promotion
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {
+  CanonicalInvite,
+  guestCounts,
+  GuestResponse,
+  hostGuestList,
+  isGroupInvite,
+  readInvite,
+  respondAsGuest,
+  waitlistPosition,
+} from "../../../packages/invites/src";
+import {buildReferralGraph} from "../../src/services/referrals";
+
+const NOW = Date.parse("2025-08-20T10:00:00.000Z");
+
+const groupInvite = (capacity: number | null): CanonicalInvite =>
+  readInvite("grp1", {
+    schemaVersion: 2,
+    source: "enhanced",
+    ownerUid: "host",
+    ownerName: "Host",
+    status: "pending",
+    capacity,
+    guests: [],
+    createdAt: NOW,
+    updatedAt: NOW,
+  });
+
+// Apply answers one after another, as the invite transaction would
+function answer(invite: CanonicalInvite, ...responses: GuestResponse[]): CanonicalInvite {
+  return responses.reduce((current, response, i) => {
+    const outcome = respondAsGuest(current, response, NOW + i);
+    if (!outcome.ok) throw new Error(outcome.reason);
+    return {...current, ...outcome.changes};
+  }, invite);
+}
+
+describe("Group invites", () => {
+  test("should only treat invites with a capacity as group invites", () => {
+    expect(isGroupInvite(groupInvite(3))).toBe(true);
+    expect(isGroupInvite(groupInvite(null))).toBe(false);
+  });
+
+  test("should confirm guests until full, then waitlist them", () => {
+    const invite = answer(groupInvite(2),
+      {rsvp: "accepted", verifiedUid: "a"},
+      {rsvp: "accepted", verifiedUid: "b"},
+      {rsvp: "accepted", verifiedUid: "c"});
+
+    expect(invite.guests.map(guest => guest.status)).toEqual(["confirmed", "confirmed", "waitlisted"]);
+    expect(guestCounts(invite)).toMatchObject({capacity: 2, confirmed: 2, waitlisted: 1, remaining: 0});
+    expect(invite.status).toBe("redeemed");
+  });
+
+  test("should promote the longest waiting guest when someone declines", () => {
+    let invite = answer(groupInvite(1),
+      {rsvp: "accepted", verifiedUid: "a"},
+      {rsvp: "accepted", verifiedUid: "b"},
+      {rsvp: "accepted", verifiedUid: "c"});
+    const token = invite.guests[0]!.token;
+
+    const outcome = respondAsGuest(invite, {rsvp: "declined", guestToken: token}, NOW + 10);
+    if (!outcome.ok) throw new Error(outcome.reason);
+    invite = {...invite, ...outcome.changes};
+
+    expect(outcome.guest.status).toBe("declined");
+    expect(outcome.promoted.map(guest => guest.uid)).toEqual(["b"]);
+    expect(invite.guests.find(guest => guest.uid === "b")).toMatchObject({status: "confirmed", promotedAt: NOW + 10});
+    expect(waitlistPosition(invite, invite.guests[2]!.id)).toBe(1);
+  });
+
+  test("should reopen a full invite when a seat frees up without a waitlist", () => {
+    const invite = answer(groupInvite(2), {rsvp: "accepted", verifiedUid: "a"}, {rsvp: "accepted", verifiedUid: "b"});
+    const reopened = answer(invite, {rsvp: "maybe", guestToken: invite.guests[1]!.token});
+
+    expect(reopened.status).toBe("pending");
+    expect(reopened.redeemedAt).toBeNull();
+    expect(guestCounts(reopened)).toMatchObject({confirmed: 1, maybe: 1, remaining: 1});
+  });
+
+  test("should reject a second answer without the guest token", () => {
+    const invite = answer(groupInvite(3), {rsvp: "accepted", verifiedUid: "a", email: "A@example.com"});
+
+    expect(respondAsGuest(invite, {rsvp: "accepted", verifiedUid: "b", email: "a@example.com"})).toEqual({ok: false, reason: "already_responded"});
+    expect(respondAsGuest(invite, {rsvp: "declined", email: "a@example.com"})).toEqual({ok: false, reason: "already_responded"});
+    expect(respondAsGuest(invite, {rsvp: "declined", guestToken: "nope"})).toEqual({ok: false, reason: "unknown_guest"});
+  });
+
+  test("should only seat a new guest who is signed in or gives an unused email", () => {
+    const invite = answer(groupInvite(2), {rsvp: "accepted", name: "First", email: "first@example.com"});
+
+    expect(respondAsGuest(invite, {rsvp: "accepted", name: "Anonymous"})).toEqual({ok: false, reason: "identity_required"});
+    expect(respondAsGuest(invite, {rsvp: "accepted", email: " First@Example.com "})).toEqual({ok: false, reason: "already_responded"});
+    expect(respondAsGuest(invite, {rsvp: "accepted", email: "second@example.com"})).toMatchObject({ok: true, guest: {uid: null}});
+  });
+
+  test("should let a signed-in guest who joined by code change their answer", () => {
+    const invite = answer(groupInvite(1), {rsvp: "accepted", verifiedUid: "a"}, {rsvp: "accepted", verifiedUid: "b"});
+    const declined = answer(invite, {rsvp: "declined", verifiedUid: "a"});
+
+    expect(declined.guests.map(guest => [guest.uid, guest.status])).toEqual([["a", "declined"], ["b", "confirmed"]]);
+  });
+
+  test("should keep an accepted guest's seat when they accept again", () => {
+    const invite = answer(groupInvite(1), {rsvp: "accepted", verifiedUid: "a"}, {rsvp: "accepted", verifiedUid: "b"});
+    const again = answer(invite, {rsvp: "accepted", guestToken: invite.guests[1]!.token});
+
+    expect(again.guests.map(guest => guest.status)).toEqual(["confirmed", "waitlisted"]);
+  });
+
+  test("should list guests for the host without their tokens", () => {
+    const invite = answer(groupInvite(1),
+      {rsvp: "declined", name: "Dee", email: "dee@example.com"},
+      {rsvp: "accepted", verifiedUid: "a"},
+      {rsvp: "accepted", verifiedUid: "b"},
+      {rsvp: "accepted", verifiedUid: "c"});
+    const list = hostGuestList(invite);
+
+    expect(list.map(guest => [guest.uid ?? guest.name, guest.status, guest.position])).toEqual([
+      ["a", "confirmed", null],
+      ["b", "waitlisted", 1],
+      ["c", "waitlisted", 2],
+      ["Dee", "declined", null],
+    ]);
+    expect(list.some(guest => "token" in guest)).toBe(false);
+  });
+
+  test("should count every confirmed guest as a referral", () => {
+    const invite = answer(groupInvite(2),
+      {rsvp: "accepted", verifiedUid: "a"},
+      {rsvp: "accepted", name: "Signed out", email: "guest@example.com"},
+      {rsvp: "accepted", verifiedUid: "b"});
+    const graph = buildReferralGraph([invite]);
+
+    expect(graph.edges.map(edge => [edge.inviterUid, edge.inviteeUid])).toEqual([["host", "a"]]);
+  });
+});
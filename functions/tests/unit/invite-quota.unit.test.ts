@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the invite quota ledger's balance arithmetic
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {
+  applyQuotaEntry,
+  DEFAULT_INVITE_QUOTA,
+  emptyTotals,
+  milestonesReached,
+  QuotaEntry,
+  quotaBalance,
+  readTotals,
+} from "../../../packages/invites/src";
+
+const entry = (delta: number, reason: QuotaEntry["reason"], createdAt = 1000): QuotaEntry => ({
+  id: `e${createdAt}`,
+  uid: "u1",
+  delta,
+  reason,
+  inviteId: null,
+  inviteeUid: null,
+  cohort: null,
+  grantId: null,
+  actor: null,
+  note: null,
+  createdAt,
+});
+
+describe("Invite quota", () => {
+  test("should start every user at the default quota", () => {
+    expect(quotaBalance(emptyTotals("u1"), 0)).toEqual({
+      uid: "u1",
+      base: DEFAULT_INVITE_QUOTA,
+      earned: 0,
+      granted: 0,
+      limit: DEFAULT_INVITE_QUOTA,
+      used: 0,
+      remaining: DEFAULT_INVITE_QUOTA,
+    });
+  });
+
+  test("should keep earned and admin-granted invites apart", () => {
+    const totals = [
+      entry(2, "earned_redeem", 1),
+      entry(1, "earned_active", 2),
+      entry(5, "earned_milestone", 3),
+      entry(3, "legacy_bonus", 4),
+      entry(10, "admin_grant", 5),
+      entry(-4, "admin_revoke", 6),
+    ].reduce(applyQuotaEntry, emptyTotals("u1"));
+
+    expect(totals).toEqual({uid: "u1", earned: 11, granted: 6, entries: 6, updatedAt: 6});
+    expect(quotaBalance(totals, 12)).toMatchObject({limit: DEFAULT_INVITE_QUOTA + 17, used: 12, remaining: 15});
+  });
+
+  test("should never report a negative limit or remaining balance", () => {
+    const revoked = applyQuotaEntry(emptyTotals("u1"), entry(-25, "admin_revoke"));
+    expect(quotaBalance(revoked, 3)).toMatchObject({limit: 0, remaining: 0});
+
+    const spent = quotaBalance(emptyTotals("u1"), DEFAULT_INVITE_QUOTA + 4);
+    expect(spent.remaining).toBe(0);
+  });
+
+  test("should read stored totals defensively", () => {
+    expect(readTotals("u1", undefined)).toEqual(emptyTotals("u1"));
+    expect(readTotals("u1", {earned: "4", granted: 2, entries: 3, updatedAt: 99})).toEqual({
+      uid: "u1", earned: 4, granted: 2, entries: 3, updatedAt: 99,
+    });
+  });
+
+  test("should reach redeemed-invite milestones once the count is met", () => {
+    expect(milestonesReached(9)).toEqual([]);
+    expect(milestonesReached(10)).toEqual([{redeemed: 10, bonus: 5}]);
+    expect(milestonesReached(30).map(milestone => milestone.bonus)).toEqual([5, 10]);
+  });
+});
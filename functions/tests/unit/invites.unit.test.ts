@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the canonical invite model and its compatibility readers
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {
+  detectSource,
+  INVITE_SCHEMA_VERSION,
+  inviteState,
+  migrateInviteData,
+  readInvite,
+  summarizeInvites,
+  toMillis,
+} from "../../../packages/invites/src";
+
+const NOW = Date.parse("2025-08-20T12:00:00.000Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+// A Firestore Timestamp as the Admin SDK hands it out
+const timestamp = (iso: string) => ({toMillis: () => Date.parse(iso), toDate: () => new Date(iso)});
+
+const enhancedDoc = {
+  id: "abc",
+  ownerUid: "u1",
+  token: "tok",
+  code: "7K3M9QXW2P",
+  title: "Rooftop Mixer",
+  start: "2025-08-21T18:00:00.000Z",
+  end: "2025-08-21T23:00:00.000Z",
+  status: "accepted",
+  createdAt: NOW - DAY,
+  updatedAt: NOW - 1000,
+};
+
+const legacyDoc = {
+  code: "ABCOIL",
+  inviterId: "u1",
+  inviterName: "Ana",
+  createdAt: timestamp("2025-08-01T00:00:00.000Z"),
+  used: true,
+  usedAt: timestamp("2025-08-02T00:00:00.000Z"),
+  usedBy: "u9",
+  userName: "Ben",
+  expiresAt: timestamp("2025-08-31T00:00:00.000Z"),
+};
+
+const serviceDoc = {
+  id: "inv_u1_1",
+  code: "A1B2C3D4",
+  fromUserId: "u1",
+  fromUserName: "Ana",
+  toEmail: null,
+  status: "expired",
+  createdAt: "2025-07-01T00:00:00.000Z",
+  expiresAt: "2025-07-31T00:00:00.000Z",
+  metadata: {campaign: "gamescom"},
+};
+
+describe("Invite model", () => {
+  test("should read times from every stored representation", () => {
+    expect(toMillis(NOW)).toBe(NOW);
+    expect(toMillis("2025-08-20T12:00:00.000Z")).toBe(NOW);
+    expect(toMillis(new Date(NOW))).toBe(NOW);
+    expect(toMillis(timestamp("2025-08-20T12:00:00.000Z"))).toBe(NOW);
+    expect(toMillis({_seconds: NOW / 1000, _nanoseconds: 0})).toBe(NOW);
+    expect(toMillis(null)).toBeNull();
+    expect(toMillis("not a date")).toBeNull();
+  });
+
+  test("should tell the three implementations apart", () => {
+    expect(detectSource(enhancedDoc)).toBe("enhanced");
+    expect(detectSource(legacyDoc)).toBe("legacy");
+    expect(detectSource(serviceDoc)).toBe("service");
+  });
+
+  test("should read enhanced invites, counting an accepted RSVP as redeemed", () => {
+    const invite = readInvite("abc", enhancedDoc);
+    expect(invite).toMatchObject({
+      source: "enhanced",
+      ownerUid: "u1",
+      codeKey: "7K3M9QXW2P",
+      token: "tok",
+      status: "redeemed",
+      rsvp: "accepted",
+      redeemedAt: NOW - 1000,
+      expiresAt: Date.parse("2025-08-21T23:00:00.000Z"),
+    });
+    expect(invite.event?.title).toBe("Rooftop Mixer");
+    expect(readInvite("abc", {...enhancedDoc, status: "pending", revokedAt: NOW, code: null}).status).toBe("revoked");
+  });
+
+  test("should expire enhanced invites a day after start when there is no end", () => {
+    const invite = readInvite("abc", {...enhancedDoc, end: undefined, status: "pending"});
+    expect(invite.expiresAt).toBe(Date.parse("2025-08-21T18:00:00.000Z") + DAY);
+  });
+
+  test("should read legacy invites keyed by code", () => {
+    const invite = readInvite("ABCOIL", legacyDoc);
+    expect(invite).toMatchObject({
+      source: "legacy",
+      ownerUid: "u1",
+      ownerName: "Ana",
+      code: "ABCOIL",
+      codeKey: "ABC011",
+      token: null,
+      status: "redeemed",
+      redeemedBy: "u9",
+      redeemerName: "Ben",
+      redeemedAt: Date.parse("2025-08-02T00:00:00.000Z"),
+    });
+  });
+
+  test("should read service invites and derive expiry instead of trusting the stored status", () => {
+    const invite = readInvite("inv_u1_1", serviceDoc);
+    expect(invite).toMatchObject({source: "service", ownerUid: "u1", status: "pending", metadata: {campaign: "gamescom"}});
+    expect(inviteState(invite, NOW)).toBe("expired");
+
+    const accepted = readInvite("inv_u1_2", {...serviceDoc, status: "accepted", acceptedAt: "2025-07-02T00:00:00.000Z", acceptedByUserId: "u7"});
+    expect(accepted).toMatchObject({status: "redeemed", redeemedBy: "u7"});
+    expect(inviteState(accepted, NOW)).toBe("redeemed");
+  });
+
+  test("should summarize invites from all implementations the same way", () => {
+    const invites = [
+      readInvite("abc", enhancedDoc),
+      readInvite("ABCOIL", legacyDoc),
+      readInvite("inv_u1_1", serviceDoc),
+      readInvite("def", {...enhancedDoc, status: "pending", start: undefined, end: undefined}),
+    ];
+    expect(summarizeInvites(invites, NOW)).toEqual({
+      total: 4,
+      pending: 1,
+      redeemed: 2,
+      revoked: 0,
+      expired: 1,
+      redemptionRate: 50,
+    });
+    expect(summarizeInvites([], NOW).redemptionRate).toBe(0);
+  });
+
+  test("should migrate older documents once, keeping the original and assigning a token", () => {
+    const migrated = migrateInviteData("ABCOIL", legacyDoc)!;
+    expect(migrated["schemaVersion"]).toBe(INVITE_SCHEMA_VERSION);
+    expect(migrated["ownerUid"]).toBe("u1");
+    expect(typeof migrated["token"]).toBe("string");
+    expect(migrated["migratedFrom"]).toMatchObject({source: "legacy", data: legacyDoc});
+    expect(migrated).not.toHaveProperty("inviterId");
+
+    // The migrated document reads back unchanged and is not migrated again
+    const reread = readInvite("ABCOIL", migrated);
+    expect(reread).toMatchObject({source: "legacy", status: "redeemed", codeKey: "ABC011", token: migrated["token"]});
+    expect(migrateInviteData("ABCOIL", migrated)).toBeNull();
+  });
+
+  test("should not give revoked invites a token when migrating", () => {
+    const migrated = migrateInviteData("abc", {...enhancedDoc, token: null, code: null, revokedAt: NOW})!;
+    expect(migrated["status"]).toBe("revoked");
+    expect(migrated["token"]).toBeNull();
+  });
+});
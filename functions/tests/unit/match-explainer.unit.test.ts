@@ -0,0 +1,84 @@
+/**
+ * Unit tests for match score explanations
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {explainMatch, weightedScore} from "../../src/matchmaking/match-explainer";
+import {Company, Match, WeightProfile} from "../../src/matchmaking/types";
+
+function company(id: string, fields: Partial<Company>): Company {
+  return {
+    id, slug: id, name: id.toUpperCase(), stage: "Startup",
+    categories: [], platforms: [], markets: [], capabilities: [], needs: [], tags: [],
+    text: {}, numeric: {}, dates: {}, lists: {}, sources: {},
+    ...fields,
+  } as Company;
+}
+
+function jaccard(a: string[], b: string[]): number {
+  const union = new Set([...a, ...b]);
+  return union.size ? a.filter((v) => b.includes(v)).length / union.size : 0;
+}
+
+// Stand-in for SignalEngine.calculateMetrics: zero signals are dropped, as there
+const metricsFor = (a: Company, b: Company) => {
+  const metrics: Record<string, number> = {
+    "list:platforms.jaccard": jaccard(a.platforms, b.platforms),
+    "list:markets.jaccard": jaccard(a.markets, b.markets),
+  };
+  Object.keys(metrics).forEach((key) => metrics[key] === 0 && delete metrics[key]);
+  return metrics;
+};
+
+const profile: WeightProfile = {
+  profileId: "default",
+  weights: {"list:platforms.jaccard": 2, "list:markets.jaccard": 1, "num:rating.zexp": 1},
+  normalize: {method: "zexp"},
+  topN: 10,
+  threshold: 0.6,
+};
+
+const a = company("a", {platforms: ["PC", "Switch"], markets: ["EU"]});
+const b = company("b", {platforms: ["PC", "Xbox"], markets: ["EU"], numeric: {rating: 4}});
+
+function matchFor(x: Company, y: Company): Match {
+  const metrics = metricsFor(x, y);
+  return {
+    edgeId: "a__b", a: x.id, b: y.id, score: weightedScore(metrics, profile.weights), metrics,
+    weights: profile.weights, contributions: [], reasons: [], confidence: 0.5,
+    createdAt: null as any, updatedAt: null as any,
+  };
+}
+
+describe("Match explainer", () => {
+  const match = matchFor(a, b);
+  const explanation = explainMatch(match, a, b, profile, metricsFor);
+
+  test("should break the score down so metric shares add up to it", () => {
+    const total = explanation.metrics.reduce((sum, row) => sum + row.scoreShare, 0);
+    expect(total).toBeCloseTo(match.score);
+
+    const platforms = explanation.metrics.find((row) => row.key === "list:platforms.jaccard")!;
+    expect(platforms).toMatchObject({signal: 1 / 3, weight: 2, counted: true, shared: ["pc"]});
+    expect(platforms.values.b["platforms"]).toEqual(["PC", "Xbox"]);
+  });
+
+  test("should report uncounted metrics missing profile data", () => {
+    expect(explanation.metrics.find((row) => row.key === "num:rating.zexp")?.counted).toBe(false);
+    expect(explanation.missingData).toEqual([{company: "a", field: "numeric.rating", metric: "num:rating.zexp"}]);
+  });
+
+  test("should rank profile edits that raise the score", () => {
+    expect(explanation.counterfactuals.map((c) => [c.company, c.value])).toEqual([["a", "Xbox"], ["b", "Switch"]]);
+    expect(explanation.counterfactuals[0]).toMatchObject({field: "platforms", crossesThreshold: true});
+    expect(explanation.counterfactuals[0]!.score).toBeCloseTo(match.score + explanation.counterfactuals[0]!.delta);
+  });
+
+  test("should only average metrics with a non-zero signal, as the formula says", () => {
+    const metrics = {"list:platforms.jaccard": 0.5, "list:markets.jaccard": 0, "list:tags.jaccard": 1};
+
+    // (0.5 × 2 + 1 × 1) / (2 + 1); tags has no weight in the profile
+    expect(weightedScore(metrics, profile.weights)).toBeCloseTo(2 / 3);
+    expect(explanation.formula).toContain("non-zero signal");
+  });
+});
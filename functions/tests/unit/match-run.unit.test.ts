@@ -0,0 +1,93 @@
+/**
+ * Unit tests for planning incremental and resumed match runs
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {Timestamp} from "firebase-admin/firestore";
+import {
+  changedCompanyIds,
+  chooseRun,
+  deletedCompanyIds,
+  MatchRun,
+  ownsPair,
+  pendingSources,
+} from "../../src/matchmaking/match-run";
+import {Company, MatchRunState} from "../../src/matchmaking/types";
+
+const at = (iso: string) => Timestamp.fromDate(new Date(iso));
+
+function company(id: string, updatedAt?: string): Company {
+  return {id, slug: id, name: id, ...(updatedAt && {updatedAt})} as unknown as Company;
+}
+
+const lastStarted = at("2025-05-01T00:00:00Z");
+const now = at("2025-05-10T00:00:00Z");
+const completed: MatchRunState = {
+  profileId: "default",
+  profileHash: "h1",
+  lastCompletedStartedAt: lastStarted,
+  companyIds: ["a", "b", "c"],
+  current: null,
+};
+
+describe("Match runs", () => {
+  test("should run incrementally from the last completed run with the same weights", () => {
+    const {run, resumed} = chooseRun(completed, "h1", false, now);
+
+    expect(resumed).toBe(false);
+    expect(run).toEqual({mode: "incremental", startedAt: now, since: lastStarted, profileHash: "h1"});
+  });
+
+  test("should run in full for new weights, on request, or without the last company list", () => {
+    expect(chooseRun(completed, "h2", false, now).run.mode).toBe("full");
+    expect(chooseRun(completed, "h1", true, now).run.mode).toBe("full");
+    expect(chooseRun({...completed, companyIds: undefined}, "h1", false, now).run.mode).toBe("full");
+    expect(chooseRun(undefined, "h1", false, now).run.mode).toBe("full");
+  });
+
+  test("should resume an interrupted run unless the weights changed or a full run was asked for", () => {
+    const current: MatchRun = {mode: "incremental", startedAt: lastStarted, since: at("2025-04-01T00:00:00Z"),
+      cursor: "b", profileHash: "h1"};
+    const state = {...completed, current};
+
+    expect(chooseRun(state, "h1", false, now)).toEqual({run: current, resumed: true});
+    expect(chooseRun(state, "h2", false, now).resumed).toBe(false);
+    expect(chooseRun(state, "h1", true, now).run).toMatchObject({mode: "full", startedAt: now});
+    expect(chooseRun({...state, current: {...current, mode: "full"}}, "h1", true, now).resumed).toBe(true);
+  });
+
+  test("should only count companies updated between the last run and this one as changed", () => {
+    const companies = [
+      company("a", "2025-04-30T00:00:00Z"),
+      company("b", "2025-05-05T00:00:00Z"),
+      company("c", "2025-05-11T00:00:00Z"),
+      company("d"),
+    ];
+    const run: MatchRun = {mode: "incremental", startedAt: now, since: lastStarted, profileHash: "h1"};
+
+    expect(Array.from(changedCompanyIds(companies, run))).toEqual(["b", "d"]);
+    expect(changedCompanyIds(companies, {mode: "full", startedAt: now, profileHash: "h1"}).size).toBe(4);
+  });
+
+  test("should find companies deleted since they were last known", () => {
+    expect(deletedCompanyIds([company("b")], ["c", "a", "b", "a"])).toEqual(["a", "c"]);
+    expect(deletedCompanyIds([company("b")])).toEqual([]);
+  });
+
+  test("should resume after the cursor and keep the order stable", () => {
+    const companies = ["a", "b", "c", "d"].map(id => company(id));
+    const changed = new Set(["a", "c", "d"]);
+
+    expect(pendingSources(companies, changed).map(c => c.id)).toEqual(["a", "c", "d"]);
+    expect(pendingSources(companies, changed, "b").map(c => c.id)).toEqual(["c", "d"]);
+    expect(pendingSources(companies, changed, "d")).toEqual([]);
+  });
+
+  test("should score a pair of changed companies from the one that sorts first", () => {
+    const changed = new Set(["a", "c"]);
+
+    expect(ownsPair("a", "c", changed)).toBe(true);
+    expect(ownsPair("c", "a", changed)).toBe(false);
+    expect(ownsPair("c", "b", changed)).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the meeting packer
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {availabilityWindows, packMeetings, PackRequest, parseSlot} from "../../src/matchmaking/meeting-packer";
+
+const DAY = "2025-08-21";
+
+function request(meetingId: string, from: string, to: string, score: number, ...times: string[]): PackRequest {
+  return {meetingId, fromActorId: from, toActorId: to, score, requestedSlots: times.map((t) => `${DAY}T${t}`)};
+}
+
+describe("Meeting packer", () => {
+  test("should parse slots and merge adjacent availability", () => {
+    expect(parseSlot(`${DAY}T10:00/45m`)).toEqual({day: DAY, start: 600, end: 645});
+    expect(parseSlot(`${DAY}T10:00/1h`)?.end).toBe(660);
+    expect(parseSlot("tomorrow")).toBeNull();
+    expect(availabilityWindows([{day: DAY, slots: ["10:30-11:00", "10:00-10:30"]}], DAY))
+      .toEqual([{start: 600, end: 660}]);
+    expect(availabilityWindows([], DAY)).toBeNull();
+  });
+
+  test("should beat greedy by giving up the top request when two others are worth more", () => {
+    // m1 blocks both m2 and m3; greedy takes m1 (0.9), the optimum takes m2 + m3 (1.2)
+    const result = packMeetings({
+      day: DAY,
+      actors: {},
+      requests: [
+        request("m1", "a", "b", 0.9, "10:00/60m"),
+        request("m2", "a", "c", 0.6, "10:00/30m"),
+        request("m3", "b", "d", 0.6, "10:30/30m"),
+      ],
+    });
+
+    expect(result.assignments.map((a) => a.meetingId)).toEqual(["m2", "m3"]);
+    expect(result.totalScore).toBeCloseTo(1.2);
+    expect(result.optimal).toBe(true);
+    expect(result.unscheduled).toMatchObject([{meetingId: "m1", reason: "conflict"}]);
+  });
+
+  test("should leave walking time between locations", () => {
+    const actors = {
+      a: {availability: [], meetingLocations: ["Cabanas"]},
+      c: {availability: [], meetingLocations: ["Quiet Zone"]},
+    };
+    const result = packMeetings({
+      day: DAY,
+      actors,
+      requests: [
+        request("m1", "x", "a", 0.8, "10:00/30m"),
+        request("m2", "a", "c", 0.4, "10:30/30m"),
+      ],
+    });
+
+    // a is at the Cabanas until 10:30; the Quiet Zone is 15 minutes away
+    expect(result.assignments).toMatchObject([{meetingId: "m1", location: "Cabanas", start: "10:00", end: "10:30"}]);
+    expect(result.unscheduled[0]).toMatchObject({meetingId: "m2", reason: "conflict"});
+    expect(result.unscheduled[0]?.message).toMatch(/walking time/);
+    expect(result.unscheduled[0]?.blockedBy).toEqual([{slot: `${DAY}T10:30/30m`, meetingId: "m1", actorId: "a",
+      kind: "travel"}]);
+  });
+
+  test("should explain availability, day and capacity misses", () => {
+    const result = packMeetings({
+      day: DAY,
+      actors: {
+        a: {availability: [{day: DAY, slots: ["14:00-15:00"]}], meetingLocations: []},
+        b: {availability: [], meetingLocations: [], maxMeetingsPerDay: 1},
+      },
+      fixed: [{meetingId: "existing", actorIds: ["b", "z"], slot: `${DAY}T09:00/30m`}],
+      requests: [
+        request("m1", "a", "c", 0.9, "10:00/30m"),
+        {...request("m2", "c", "d", 0.5), requestedSlots: ["2025-08-22T10:00/30m"]},
+        request("m3", "b", "e", 0.7, "11:00/30m"),
+      ],
+    });
+
+    const reasons = Object.fromEntries(result.unscheduled.map((u) => [u.meetingId, u.reason]));
+    expect(reasons).toEqual({m1: "outside_availability", m2: "no_slot_on_day", m3: "max_meetings"});
+    expect(result.unscheduled.find((u) => u.meetingId === "m1")?.actors).toEqual(["a"]);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit tests for party delta cursors
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {decodeCursor, encodeCursor} from "../../src/services/party-changes";
+import {changeLogId} from "../../src/services/parties-live";
+
+describe("Party delta cursors", () => {
+  test("should round-trip a cursor for its conference", () => {
+    const cursor = encodeCursor("gamescom2025", "2025-08-21T10:00:00.000Z");
+    expect(decodeCursor(cursor, "gamescom2025")).toEqual({changedAt: "2025-08-21T10:00:00.000Z", id: null});
+  });
+
+  test("should keep the change-log id of the last change seen", () => {
+    const id = changeLogId("gamescom2025", "2025-08-21T10:00:00.000Z", 199);
+    const cursor = encodeCursor("gamescom2025", "2025-08-21T10:00:00.000Z", id);
+    expect(decodeCursor(cursor, "gamescom2025")).toEqual({changedAt: "2025-08-21T10:00:00.000Z", id});
+  });
+
+  test("should order change-log ids within a run by commit order", () => {
+    const ids = [0, 9, 199, 200, 1000].map(seq => changeLogId("gamescom2025", "2025-08-21T10:00:00.000Z", seq));
+    expect([...ids].sort()).toEqual(ids);
+  });
+
+  test("should reject cursors issued for another conference", () => {
+    const cursor = encodeCursor("mau2025", "2025-05-19T10:00:00.000Z");
+    expect(decodeCursor(cursor, "gamescom2025")).toBeNull();
+  });
+
+  test("should reject malformed cursors", () => {
+    expect(decodeCursor("not-a-cursor", "gamescom2025")).toBeNull();
+    expect(decodeCursor(encodeCursor("gamescom2025", "yesterday"), "gamescom2025")).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for sheet date/time parsing
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {getConference} from "../../src/services/conferences";
+import {
+  parsePartyDate,
+  parsePartySchedule,
+  parsePartyTime,
+  zonedTimeToUtc,
+} from "../../src/services/party-datetime";
+
+const gamescom = getConference("gamescom2025")!;
+const mau = getConference("mau2025")!;
+
+describe("Party date/time parsing", () => {
+  test.each([
+    ["2025-08-21", "2025-08-21"],
+    ["Aug 21", "2025-08-21"],
+    ["Wed Aug 20", "2025-08-20"],
+    ["Thursday, 21st August 2025", "2025-08-21"],
+    ["20.08.2025", "2025-08-20"],
+    ["20.08.", "2025-08-20"],
+    ["22 Aug", "2025-08-22"],
+  ])("should parse date %s", (input, expected) => {
+    expect(parsePartyDate(input, gamescom)).toEqual({date: expected});
+  });
+
+  test.each(["soon", "31.02.2025", "Thu Aug 20", "Aug", ""])("should reject date %p", (input) => {
+    expect(parsePartyDate(input, gamescom)).toHaveProperty("error");
+  });
+
+  test.each([
+    ["19:00", {start: "19:00", end: null}],
+    ["19:00-late", {start: "19:00", end: null}],
+    ["7pm", {start: "19:00", end: null}],
+    ["7:30 p.m.", {start: "19:30", end: null}],
+    ["7-11pm", {start: "19:00", end: "23:00"}],
+    ["20.00 – 02.00", {start: "20:00", end: "02:00"}],
+    ["12am to 3am", {start: "00:00", end: "03:00"}],
+    ["19h", {start: "19:00", end: null}],
+  ])("should parse time %s", (input, expected) => {
+    expect(parsePartyTime(input)).toEqual(expected);
+  });
+
+  test.each(["evening", "25:00", "13pm", "19:00-20:00-21:00"])("should reject time %p", (input) => {
+    expect(parsePartyTime(input)).toHaveProperty("error");
+  });
+
+  test("should convert local times to UTC across timezones", () => {
+    expect(zonedTimeToUtc("2025-08-21", "19:00", "Europe/Berlin").toISOString()).toBe("2025-08-21T17:00:00.000Z");
+    expect(zonedTimeToUtc("2025-05-19", "19:00", "America/Los_Angeles").toISOString())
+      .toBe("2025-05-20T02:00:00.000Z");
+  });
+
+  test("should build a schedule ending after midnight", () => {
+    const result = parsePartySchedule("Thu Aug 21", "22:00-02:00", gamescom, 5);
+    expect(result).toEqual({
+      schedule: {
+        date: "2025-08-21",
+        time: "22:00",
+        endTime: "02:00",
+        startsAt: "2025-08-21T20:00:00.000Z",
+        endsAt: "2025-08-22T00:00:00.000Z",
+        timezone: "Europe/Berlin",
+      },
+    });
+  });
+
+  test("should report unparseable rows instead of inventing dates", () => {
+    const result = parsePartySchedule("TBD", "whenever", mau, 7);
+    expect(result).toEqual({
+      errors: [
+        {row: 7, field: "date", value: "TBD", message: "unrecognised date \"TBD\""},
+        {row: 7, field: "time", value: "whenever", message: "unrecognised time \"whenever\""},
+      ],
+    });
+  });
+
+  test("should reject dates far outside the conference", () => {
+    const result = parsePartySchedule("2025-12-24", "19:00", gamescom, 3);
+    expect(result).toHaveProperty("errors");
+  });
+});
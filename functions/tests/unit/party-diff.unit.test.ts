@@ -0,0 +1,80 @@
+/**
+ * Unit tests for party fingerprints and ingestion diffing
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {NormalizedParty} from "../../src/services/parties-live";
+import {
+  diffParties,
+  partyContentHash,
+  partyDocId,
+  partyFingerprint,
+  StoredParty,
+  summarizeChanges,
+  withoutUnsafeRemovals,
+} from "../../src/services/party-diff";
+
+function party(overrides: Partial<NormalizedParty> = {}): NormalizedParty {
+  return {
+    conference: "gamescom2025",
+    externalId: "sheet_0_rooftop",
+    title: "Rooftop Mixer",
+    venue: "Marriott",
+    date: "2025-08-22",
+    time: "20:00",
+    price: "Free",
+    source: "sheets",
+    lastUpdated: "2025-08-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+function stored(p: NormalizedParty, extra: Partial<StoredParty> = {}): StoredParty {
+  return {...p, _docId: partyDocId(p), fingerprint: partyFingerprint(p), contentHash: partyContentHash(p), ...extra};
+}
+
+describe("Party diff", () => {
+  test("should keep identity stable when rows move or provenance changes", () => {
+    const a = party();
+    const b = party({externalId: "sheet_7_rooftop", title: "Rooftop  mixer!", lastUpdated: "2025-08-02T00:00:00.000Z"});
+    expect(partyFingerprint(a)).toBe(partyFingerprint(b));
+    expect(partyContentHash(a)).toBe(partyContentHash(party({lastUpdated: "later"})));
+  });
+
+  test("should classify added, changed, unchanged and removed parties", () => {
+    const unchanged = party();
+    const changed = party({title: "Dev Breakfast", time: "08:00"});
+    const removed = party({title: "Gone Party"});
+    const added = party({title: "Brand New"});
+
+    const changes = diffParties(
+      [unchanged, {...changed, time: "09:00"}, added],
+      [stored(unchanged), stored(changed), stored(removed)],
+    );
+
+    expect(summarizeChanges(changes)).toEqual({added: 1, changed: 1, unchanged: 1, removed: 1});
+    expect(changes.find((c) => c.type === "changed")?.changedFields).toEqual(["time"]);
+    expect(changes.find((c) => c.type === "removed")?.docId).toBe(partyDocId(removed));
+  });
+
+  test("should not re-remove tombstones and should restore returning parties", () => {
+    const gone = party({title: "Gone Party"});
+    const back = party({title: "Comeback Party"});
+
+    const changes = diffParties([back], [stored(gone, {deleted: true}), stored(back, {deleted: true})]);
+
+    expect(changes.map((c) => c.type)).toEqual(["changed"]);
+  });
+
+  test("should not tombstone when rows failed validation or a source failed", () => {
+    const kept = party();
+    const unparseable = party({title: "Moved Party"}); // its row no longer parses, so it is missing here
+    const changes = diffParties([kept], [stored(kept), stored(unparseable)]);
+
+    expect(withoutUnsafeRemovals(changes, {errors: 0, invalid: 1, parties: 1}))
+      .toEqual({changes: changes.filter((c) => c.type !== "removed"), skipped: 1});
+    expect(withoutUnsafeRemovals(changes, {errors: 1, invalid: 0, parties: 1}).skipped).toBe(1);
+    expect(withoutUnsafeRemovals(changes, {errors: 0, invalid: 0, parties: 0}).skipped).toBe(1);
+    expect(withoutUnsafeRemovals(changes, {errors: 0, invalid: 0, parties: 1})).toEqual({changes, skipped: 0});
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for party source adapters and conflict resolution
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import {getConference} from "../../src/services/conferences";
+import {
+  fetchFromSources,
+  fileSource,
+  mapRecordToParty,
+  PartySource,
+  resolveConflicts,
+} from "../../src/services/party-sources";
+
+const gamescom = getConference("gamescom2025")!;
+
+describe("Party sources", () => {
+  test("should map loosely-shaped records", () => {
+    const party = mapRecordToParty({
+      Name: "Indie Mixer", Venue: "Stadtgarten", Date: "2025-08-21", Time: "19:00", tags: "indie, networking",
+    }, 3, gamescom, "url");
+
+    expect(party).toMatchObject({
+      conference: "gamescom2025",
+      externalId: "url_3_indie_mixer",
+      title: "Indie Mixer",
+      price: "Unknown",
+      tags: ["indie", "networking"],
+    });
+  });
+
+  test("should skip records missing required fields", () => {
+    expect(mapRecordToParty({title: "No venue", date: "2025-08-21", time: "19:00"}, 0, gamescom, "url")).toBeNull();
+  });
+
+  test("should read parties from a local file", async () => {
+    const file = path.join(os.tmpdir(), `parties-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify([
+      {id: "p1", title: "Rooftop", venue: "Marriott", date: "2025-08-22", time: "20:00"},
+    ]));
+
+    const parties = await fileSource(file, 10).fetch(gamescom);
+    fs.unlinkSync(file);
+
+    expect(parties).toHaveLength(1);
+    expect(parties[0]?.externalId).toBe("p1");
+  });
+
+  test("should stamp provenance and report failing sources", async () => {
+    const party = mapRecordToParty({title: "A", venue: "V", date: "2025-08-21", time: "19:00"}, 0, gamescom, "file")!;
+    const ok: PartySource = {
+      id: "ok", type: "file", priority: 5,
+      fetch: async () => [party],
+    };
+    const broken: PartySource = {
+      id: "broken", type: "url", priority: 1,
+      fetch: async () => {
+        throw new Error("boom");
+      },
+    };
+
+    const {parties, results} = await fetchFromSources(gamescom, [ok, broken]);
+
+    expect(parties[0]).toMatchObject({sourceId: "ok", sourcePriority: 5});
+    expect(parties[0]?.fetchedAt).toBeDefined();
+    expect(results.map((r) => [r.source, r.fetched, r.error])).toEqual([["ok", 1, undefined], ["broken", 0, "boom"]]);
+  });
+
+  test("should keep the highest-priority copy of a party", () => {
+    const base = {conference: "gamescom2025", venue: "V", date: "2025-08-21", time: "19:00", price: "Free",
+      lastUpdated: "2025-08-01T00:00:00.000Z"};
+    const resolved = resolveConflicts([
+      {...base, externalId: "a", title: "Big Party", source: "file", sourcePriority: 1},
+      {...base, externalId: "b", title: "Big  Party!", source: "sheets", sourcePriority: 100},
+      {...base, externalId: "c", title: "Other Party", source: "file", sourcePriority: 1},
+    ]);
+
+    expect(resolved.map((p) => p.externalId).sort()).toEqual(["b", "c"]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the referral graph and its reports
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {CanonicalInvite, readInvite} from "../../../packages/invites/src";
+import {
+  buildReferralGraph,
+  channelAttribution,
+  downstreamReach,
+  reachByUser,
+  referralChannel,
+  referralTree,
+  topInviters,
+  viralCoefficientByDay,
+} from "../../src/services/referrals";
+
+const DAY_1 = Date.parse("2025-08-18T10:00:00.000Z");
+const DAY_2 = Date.parse("2025-08-19T10:00:00.000Z");
+
+let nextId = 0;
+// An invite in the current schema; redeemed when `to` is given
+const invite = (from: string, to: string | null, createdAt: number, extra: Record<string, any> = {}): CanonicalInvite =>
+  readInvite(`inv${++nextId}`, {
+    schemaVersion: 2,
+    source: "service",
+    ownerUid: from,
+    ownerName: from.toUpperCase(),
+    status: to ? "redeemed" : "pending",
+    redeemedBy: to,
+    redeemerName: to ? to.toUpperCase() : null,
+    redeemedAt: to ? createdAt + 1000 : null,
+    createdAt,
+    updatedAt: createdAt,
+    ...extra,
+  });
+
+// a -> b -> c -> d, a -> e; f sent one that was never redeemed
+const invites = [
+  invite("a", "b", DAY_1, {lastMethod: "qr"}),
+  invite("a", "e", DAY_1, {toEmail: "e@example.com"}),
+  invite("b", "c", DAY_2, {lastMethod: "link"}),
+  invite("c", "d", DAY_2),
+  invite("f", null, DAY_2, {lastMethod: "link"}),
+];
+
+describe("Referral graph", () => {
+  test("should attribute each channel, inferring email and code when never shared", () => {
+    expect(invites.map(referralChannel)).toEqual(["qr", "email", "link", "code", "link"]);
+  });
+
+  test("should attribute users who redeemed twice to their first referrer", () => {
+    const graph = buildReferralGraph([...invites, invite("f", "b", DAY_2)]);
+    expect(graph.referrerOf.get("b")?.inviterUid).toBe("a");
+    expect(graph.referredBy.get("f")).toBeUndefined();
+    expect(graph.edges).toHaveLength(4);
+  });
+
+  test("should ignore invites redeemed by their own owner", () => {
+    expect(buildReferralGraph([invite("a", "a", DAY_1)]).edges).toHaveLength(0);
+  });
+
+  test("should compute direct and multi-level reach", () => {
+    const graph = buildReferralGraph(invites);
+    expect(downstreamReach(graph, "a")).toEqual({uid: "a", direct: 2, total: 4, depth: 3, byLevel: [2, 1, 1]});
+    expect(downstreamReach(graph, "a", 2).total).toBe(3);
+    expect(downstreamReach(graph, "d")).toEqual({uid: "d", direct: 0, total: 0, depth: 0, byLevel: []});
+  });
+
+  test("should not loop when two users invited each other", () => {
+    const graph = buildReferralGraph([invite("x", "y", DAY_1), invite("y", "x", DAY_2)]);
+    expect(downstreamReach(graph, "x").total).toBe(1);
+    expect(referralTree(graph, "x").children[0]?.children).toEqual([]);
+  });
+
+  test("should build a tree with how each user was invited", () => {
+    const tree = referralTree(buildReferralGraph(invites), "a", 2);
+    expect(tree).toMatchObject({uid: "a", name: "A", channel: null});
+    expect(tree.children.map(child => [child.uid, child.channel])).toEqual([["b", "qr"], ["e", "email"]]);
+    expect(tree.children[0]?.children[0]).toMatchObject({uid: "c", channel: "link", children: []});
+  });
+
+  test("should report the viral coefficient per day the invites were sent", () => {
+    const graph = buildReferralGraph(invites);
+    expect(viralCoefficientByDay(graph)).toEqual([
+      {date: "2025-08-18", senders: 1, sent: 2, signups: 2, conversionRate: 100, viralCoefficient: 2},
+      {date: "2025-08-19", senders: 3, sent: 3, signups: 2, conversionRate: 66.7, viralCoefficient: 0.67},
+    ]);
+    expect(viralCoefficientByDay(graph, DAY_2 - 1000).map(day => day.date)).toEqual(["2025-08-19"]);
+  });
+
+  test("should attribute signups to channels", () => {
+    const channels = channelAttribution(buildReferralGraph(invites));
+    expect(channels.find(channel => channel.channel === "link")).toEqual({
+      channel: "link", sent: 2, signups: 1, conversionRate: 50, share: 25,
+    });
+    expect(channels.reduce((sum, channel) => sum + channel.signups, 0)).toBe(4);
+  });
+
+  test("should compute everyone's reach in one pass as walking each user would", () => {
+    // x <-> y invited each other, and y also brought in z
+    const graph = buildReferralGraph([...invites,
+      invite("x", "y", DAY_1), invite("y", "x", DAY_2), invite("y", "z", DAY_2)]);
+    const reach = reachByUser(graph);
+
+    expect(Array.from(reach.keys()).sort()).toEqual(["a", "b", "c", "x", "y"]);
+    reach.forEach((userReach, uid) => expect(userReach).toEqual(downstreamReach(graph, uid)));
+    expect(reachByUser(graph, 2).get("a")).toEqual(downstreamReach(graph, "a", 2));
+  });
+
+  test("should rank inviters by downstream reach", () => {
+    expect(topInviters(buildReferralGraph(invites), 2)).toEqual([
+      {uid: "a", name: "A", direct: 2, total: 4},
+      {uid: "b", name: "B", direct: 1, total: 2},
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for mapping rows of a conference's Google Sheet to parties
+ */
+
+import {describe, test, expect} from "@jest/globals";
+import {getConference} from "../../src/services/conferences";
+import {RowValidationError} from "../../src/services/party-datetime";
+import {mapSheetRowToParty} from "../../src/services/sheets-client";
+
+const mau = getConference("mau2025")!;
+
+// A row in the MAU sheet's column order (date, startTime, endTime, venue at 15-18)
+const row = (date: string, startTime: string, endTime = "", venue = ""): string[] => [
+  "1", "growth-mixer", "Growth Mixer", "Networking", "", "", "", "[]", "", "", "",
+  "", "https://example.com", "Drinks", "", date, startTime, endTime, venue, "",
+];
+
+describe("Sheets client", () => {
+  test("should schedule a row in the conference's timezone", () => {
+    const party = mapSheetRowToParty(row("2025-05-20", "7pm", "1am", "Skybar"), 0, mau);
+
+    expect(party).toMatchObject({
+      conference: "mau2025",
+      venue: "Skybar",
+      date: "2025-05-20",
+      time: "19:00",
+      endTime: "01:00",
+      startsAt: "2025-05-21T02:00:00.000Z",
+      endsAt: "2025-05-21T08:00:00.000Z",
+      timezone: "America/Los_Angeles",
+      duration: "19:00 - 01:00",
+    });
+  });
+
+  test("should skip rows without a usable date or time instead of inventing one", () => {
+    const errors: RowValidationError[] = [];
+
+    expect(mapSheetRowToParty(row("", "19:00"), 0, mau, errors)).toBeNull();
+    expect(mapSheetRowToParty(row("2025-05-20", ""), 1, mau, errors)).toBeNull();
+    expect(errors.map(error => [error.row, error.field])).toEqual([[2, "date"], [3, "time"]]);
+  });
+});
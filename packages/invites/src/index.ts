@@ -0,0 +1,9 @@
+/**
+ * Invites shared by the main API (functions/) and services/invite-service:
+ * the canonical model, group invite guests, the quota ledger and codes
+ */
+
+export * from "./invites";
+export * from "./invite-guests";
+export * from "./invite-quota";
+export * from "./invite-codes";
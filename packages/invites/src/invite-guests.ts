@@ -0,0 +1,189 @@
+/**
+ * Group invites: one code for up to `capacity` guests, then a waitlist
+ * Each person who answers becomes an InviteGuest on the invite. Accepting
+ * confirms a seat while there is one and joins the waitlist otherwise;
+ * declining (or changing to maybe) gives the seat back, and the longest
+ * waiting guest is promoted into it.
+ *
+ * Everything here is pure: routes apply the changes through updateInvite(),
+ * so answers to the same invite are serialized by its transaction.
+ */
+
+import {CanonicalInvite, GuestStatus, InviteGuest, InviteRsvp} from "./invites";
+import {generateToken} from "./invite-codes";
+
+export const MAX_GROUP_CAPACITY = 1000;
+export const MAX_WAITLIST = 500;
+
+export interface GuestResponse {
+  rsvp: InviteRsvp;
+  guestToken?: string | null | undefined; // Changes an earlier answer
+  verifiedUid?: string | null | undefined; // Signed-in caller: also changes their own earlier answer
+  name?: string | null | undefined;
+  email?: string | null | undefined;
+}
+
+export interface GuestCounts {
+  capacity: number;
+  confirmed: number;
+  waitlisted: number;
+  maybe: number;
+  declined: number;
+  remaining: number; // Seats still free
+}
+
+export type GuestRejection = "unknown_guest" | "already_responded" | "identity_required" | "waitlist_full";
+
+export type GuestOutcome =
+  | {ok: true; guest: InviteGuest; promoted: InviteGuest[]; changes: Partial<CanonicalInvite>}
+  | {ok: false; reason: GuestRejection};
+
+// Guest list entry as the host sees it: no token
+export type HostGuest = Omit<InviteGuest, "token"> & {position: number | null};
+
+export function isGroupInvite(invite: CanonicalInvite): boolean {
+  return invite.capacity !== null;
+}
+
+export function guestCounts(invite: CanonicalInvite): GuestCounts {
+  const capacity = invite.capacity ?? 1;
+  const count = (status: GuestStatus) => invite.guests.filter((guest) => guest.status === status).length;
+  const confirmed = count("confirmed");
+  return {
+    capacity,
+    confirmed,
+    waitlisted: count("waitlisted"),
+    maybe: count("maybe"),
+    declined: count("declined"),
+    remaining: Math.max(0, capacity - confirmed),
+  };
+}
+
+/**
+ * Record one answer to a group invite. Resolves to the guest as stored, the
+ * guests it promoted off the waitlist and the fields to write on the invite.
+ * A new guest needs a verified uid or an email no other guest has, so one
+ * anonymous caller can't fill every seat and the waitlist.
+ */
+export function respondAsGuest(
+  invite: CanonicalInvite,
+  response: GuestResponse,
+  now: number = Date.now()
+): GuestOutcome {
+  const guests = invite.guests.map((guest) => ({...guest}));
+  // Guests who joined by code never saw a token; their sign-in identifies them
+  const signedIn = response.verifiedUid ?
+    guests.find((existing) => existing.uid === response.verifiedUid) :
+    undefined;
+  let guest: InviteGuest | undefined;
+
+  if (response.guestToken) {
+    guest = guests.find((existing) => existing.token === response.guestToken);
+    if (!guest) return {ok: false, reason: "unknown_guest"};
+  } else if (signedIn) {
+    guest = signedIn;
+  } else {
+    // Answering again without the token could take over someone else's seat
+    const uid = response.verifiedUid || null;
+    const email = response.email ? response.email.trim().toLowerCase() : null;
+    if (!uid && !email) return {ok: false, reason: "identity_required"};
+    if (guests.some((existing) => (uid && existing.uid === uid) || (email && existing.email === email))) {
+      return {ok: false, reason: "already_responded"};
+    }
+    guest = {
+      id: `g${guests.length + 1}_${now.toString(36)}`,
+      token: generateToken(),
+      uid,
+      name: response.name || null,
+      email,
+      rsvp: response.rsvp,
+      status: "declined",
+      respondedAt: now,
+      waitlistedAt: null,
+      promotedAt: null,
+    };
+    guests.push(guest);
+  }
+
+  const capacity = invite.capacity ?? 1;
+  const confirmed = () => guests.filter((existing) => existing.status === "confirmed").length;
+
+  guest.rsvp = response.rsvp;
+  guest.respondedAt = now;
+  if (response.rsvp === "accepted") {
+    if (guest.status !== "confirmed" && guest.status !== "waitlisted") {
+      if (confirmed() < capacity) {
+        guest.status = "confirmed";
+        guest.waitlistedAt = null;
+      } else {
+        if (guests.filter((existing) => existing.status === "waitlisted").length >= MAX_WAITLIST) {
+          return {ok: false, reason: "waitlist_full"};
+        }
+        guest.status = "waitlisted";
+        guest.waitlistedAt = now;
+      }
+    }
+  } else {
+    guest.status = response.rsvp === "maybe" ? "maybe" : "declined";
+    guest.waitlistedAt = null;
+  }
+
+  // A seat given back goes to whoever has waited longest
+  const promoted: InviteGuest[] = [];
+  const waiting = guests
+    .filter((existing) => existing.status === "waitlisted")
+    .sort((a, b) => (a.waitlistedAt ?? 0) - (b.waitlistedAt ?? 0));
+  for (const next of waiting) {
+    if (confirmed() >= capacity) break;
+    next.status = "confirmed";
+    next.waitlistedAt = null;
+    next.promotedAt = now;
+    promoted.push(next);
+  }
+
+  const full = confirmed() >= capacity;
+  return {
+    ok: true,
+    guest,
+    promoted,
+    changes: {
+      guests,
+      // A full group invite counts as redeemed; it opens again when a seat frees up
+      status: full ? "redeemed" : "pending",
+      redeemedAt: full ? invite.redeemedAt ?? now : null,
+    },
+  };
+}
+
+/**
+ * Guest list for the host: confirmed guests first, then the waitlist in order
+ */
+export function hostGuestList(invite: CanonicalInvite): HostGuest[] {
+  const order: Record<GuestStatus, number> = {confirmed: 0, waitlisted: 1, maybe: 2, declined: 3};
+  const waitlist = invite.guests
+    .filter((guest) => guest.status === "waitlisted")
+    .sort((a, b) => (a.waitlistedAt ?? 0) - (b.waitlistedAt ?? 0));
+
+  return invite.guests
+    .map((guest) => ({
+      ...withoutToken(guest),
+      position: guest.status === "waitlisted" ? waitlist.findIndex((waiting) => waiting.id === guest.id) + 1 : null,
+    }))
+    .sort((a, b) => order[a.status] - order[b.status] ||
+      (a.position ?? 0) - (b.position ?? 0) ||
+      a.respondedAt - b.respondedAt);
+}
+
+/**
+ * A guest's place on the waitlist (1 = next in), or null when not waiting
+ */
+export function waitlistPosition(invite: CanonicalInvite, guestId: string): number | null {
+  return hostGuestList(invite).find((guest) => guest.id === guestId)?.position ?? null;
+}
+
+// Helper: Guest tokens are only ever shown to the guest they belong to
+function withoutToken(guest: InviteGuest): Omit<InviteGuest, "token"> {
+  const copy: Partial<InviteGuest> = {...guest};
+  delete copy.token;
+  return copy as Omit<InviteGuest, "token">;
+}
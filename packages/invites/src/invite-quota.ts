@@ -0,0 +1,367 @@
+/**
+ * Invite quota ledger
+ * How many invites a user may create is no longer a constant in each invite
+ * API. Every change to a user's quota is an entry in `invite_quota_ledger`:
+ *   earned_redeem    - someone redeemed one of their invites
+ *   earned_active    - someone who joined with their invite became active
+ *   earned_milestone - their redeemed invites reached a milestone
+ *   admin_grant / admin_revoke - granted or taken away, per user or cohort
+ *   legacy_bonus     - imported from invite-service's old `invite_bonuses`
+ *
+ * `invite_quota/{uid}` keeps running totals, written in the same transaction
+ * as each entry. Earned entries have deterministic ids, so awarding the same
+ * thing twice records it once. Whichever transaction creates a user's totals
+ * imports their legacy bonuses first, so none are lost to an earlier award.
+ * createInviteWithinQuota() writes the totals too, so concurrent creates
+ * can't both spend the last invite.
+ *
+ * The main API, invite-service and (through /api/invites/quota) the frontend
+ * all read the balance from getQuotaBalance().
+ */
+
+import type {Firestore, Transaction} from "firebase-admin/firestore";
+import {
+  CanonicalInvite,
+  findInviteRedeemedBy,
+  INVITES_COLLECTION,
+  listInvitesByOwner,
+  newInvite,
+  NewInvite,
+  summarizeInvites,
+  toFirestore,
+} from "./invites";
+
+export const QUOTA_LEDGER_COLLECTION = "invite_quota_ledger";
+export const QUOTA_TOTALS_COLLECTION = "invite_quota";
+export const LEGACY_BONUS_COLLECTION = "invite_bonuses";
+
+export const DEFAULT_INVITE_QUOTA = 10; // Every user starts with 10 invites
+
+export const QUOTA_REWARDS = {
+  redeemed: 2, // Per invite redeemed (what invite-service always awarded)
+  active: 1, // Per invitee who became active
+};
+
+// Redeemed invites => bonus, as js/invite-rewards.js celebrates them
+export const QUOTA_MILESTONES: ReadonlyArray<{redeemed: number; bonus: number}> = [
+  {redeemed: 10, bonus: 5},
+  {redeemed: 25, bonus: 10},
+];
+
+export type QuotaReason =
+  | "earned_redeem"
+  | "earned_active"
+  | "earned_milestone"
+  | "admin_grant"
+  | "admin_revoke"
+  | "legacy_bonus";
+
+export interface QuotaEntry {
+  id: string;
+  uid: string;
+  delta: number; // Invites added (negative when revoked)
+  reason: QuotaReason;
+  inviteId: string | null; // Invite that earned it
+  inviteeUid: string | null; // Who redeemed it or became active
+  cohort: string | null; // Admin grants made to a cohort
+  grantId: string | null; // Shared by every entry of one admin grant
+  actor: string | null; // Admin who made the change
+  note: string | null;
+  createdAt: number; // Epoch ms
+}
+
+export type NewQuotaEntry = Pick<QuotaEntry, "uid" | "delta" | "reason"> &
+  Partial<Omit<QuotaEntry, "uid" | "delta" | "reason" | "createdAt">>;
+
+export interface QuotaTotals {
+  uid: string;
+  earned: number; // Sum of earned_* and legacy_bonus entries
+  granted: number; // Sum of admin entries (may be negative)
+  entries: number;
+  updatedAt: number | null;
+}
+
+export interface QuotaBalance {
+  uid: string;
+  base: number;
+  earned: number;
+  granted: number;
+  limit: number; // base + earned + granted, never below 0
+  used: number; // Invites created, from every invite API
+  remaining: number;
+}
+
+export interface QuotaGrant {
+  uids: string[];
+  amount: number; // Positive grants, negative revokes
+  cohort?: string | null | undefined;
+  actor?: string | null | undefined;
+  note?: string | null | undefined;
+}
+
+export function emptyTotals(uid: string): QuotaTotals {
+  return {uid, earned: 0, granted: 0, entries: 0, updatedAt: null};
+}
+
+export function readTotals(uid: string, data: Record<string, any> | undefined): QuotaTotals {
+  if (!data) return emptyTotals(uid);
+  return {
+    uid,
+    earned: Number(data["earned"]) || 0,
+    granted: Number(data["granted"]) || 0,
+    entries: Number(data["entries"]) || 0,
+    updatedAt: typeof data["updatedAt"] === "number" ? data["updatedAt"] : null,
+  };
+}
+
+export function applyQuotaEntry(totals: QuotaTotals, entry: QuotaEntry): QuotaTotals {
+  const byAdmin = entry.reason === "admin_grant" || entry.reason === "admin_revoke";
+  return {
+    ...totals,
+    earned: totals.earned + (byAdmin ? 0 : entry.delta),
+    granted: totals.granted + (byAdmin ? entry.delta : 0),
+    entries: totals.entries + 1,
+    updatedAt: entry.createdAt,
+  };
+}
+
+export function quotaBalance(totals: QuotaTotals, used: number): QuotaBalance {
+  const limit = Math.max(0, DEFAULT_INVITE_QUOTA + totals.earned + totals.granted);
+  return {
+    uid: totals.uid,
+    base: DEFAULT_INVITE_QUOTA,
+    earned: totals.earned,
+    granted: totals.granted,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+  };
+}
+
+/**
+ * Milestones reached with `redeemed` redeemed invites
+ */
+export function milestonesReached(redeemed: number): Array<{redeemed: number; bonus: number}> {
+  return QUOTA_MILESTONES.filter((milestone) => redeemed >= milestone.redeemed);
+}
+
+/**
+ * Append one entry and update the owner's totals. Entries with an id are
+ * recorded once: resolves to null if that id is already in the ledger.
+ */
+export async function recordQuotaEntry(input: NewQuotaEntry, db: Firestore): Promise<QuotaEntry | null> {
+  if (!input.uid) throw new Error("Quota entries need a uid");
+  if (!Number.isInteger(input.delta) || input.delta === 0) throw new Error("Quota delta must be a non-zero integer");
+
+  const ledger = db.collection(QUOTA_LEDGER_COLLECTION);
+  const entryRef = input.id ? ledger.doc(input.id) : ledger.doc();
+
+  return db.runTransaction(async (tx) => {
+    const existing = await tx.get(entryRef);
+    if (existing.exists) return null;
+    const {totals, imported} = await readTotalsForUpdate(tx, input.uid, db);
+
+    const entry = quotaEntry(entryRef.id, input);
+    writeTotals(tx, db, applyQuotaEntry(totals, entry), [...imported, entry]);
+    return entry;
+  });
+}
+
+/**
+ * Create an invite if its owner has one left. The owner's totals are written
+ * in the same transaction, so concurrent creates are serialized on them.
+ * Resolves to a null invite, with the balance, when the limit is reached.
+ */
+export async function createInviteWithinQuota(
+  input: NewInvite,
+  db: Firestore
+): Promise<{invite: CanonicalInvite | null; balance: QuotaBalance}> {
+  const ref = db.collection(INVITES_COLLECTION).doc();
+
+  return db.runTransaction(async (tx) => {
+    const {totals, imported} = await readTotalsForUpdate(tx, input.ownerUid, db);
+    const created = await listInvitesByOwner(input.ownerUid, db, tx);
+    const balance = quotaBalance(totals, created.length);
+
+    writeTotals(tx, db, totals, imported);
+    if (balance.remaining <= 0) return {invite: null, balance};
+
+    const invite = newInvite(ref.id, input);
+    tx.set(ref, toFirestore(invite));
+    return {invite, balance: quotaBalance(totals, created.length + 1)};
+  });
+}
+
+/**
+ * A user's balance. Pass the invites they created when they are already loaded.
+ */
+export async function getQuotaBalance(
+  uid: string,
+  invites: CanonicalInvite[] | undefined,
+  db: Firestore
+): Promise<QuotaBalance> {
+  const [totals, created] = await Promise.all([
+    getQuotaTotals(uid, db),
+    invites ? Promise.resolve(invites) : listInvitesByOwner(uid, db),
+  ]);
+  return quotaBalance(totals, created.length);
+}
+
+/**
+ * Ledger entries for a user, newest first; `since` (epoch ms) keeps later ones only
+ */
+export async function listQuotaLedger(
+  uid: string,
+  options: {since?: number | undefined; limit?: number | undefined} = {},
+  db: Firestore
+): Promise<QuotaEntry[]> {
+  let query = db.collection(QUOTA_LEDGER_COLLECTION)
+    .where("uid", "==", uid)
+    .orderBy("createdAt", "desc");
+  if (options.since !== undefined) query = query.where("createdAt", ">", options.since);
+
+  const snapshot = await query.limit(options.limit ?? 50).get();
+  return snapshot.docs.map((doc) => doc.data() as QuotaEntry);
+}
+
+/**
+ * Reward the owner of a redeemed invite, plus any milestone it completes
+ */
+export async function awardInviteRedeemed(invite: CanonicalInvite, db: Firestore): Promise<QuotaEntry[]> {
+  const awarded: QuotaEntry[] = [];
+  const uid = invite.ownerUid;
+  if (!uid || invite.status !== "redeemed" || invite.redeemedBy === uid) return awarded;
+
+  const entry = await recordQuotaEntry({
+    id: `${uid}_redeem_${invite.id}`,
+    uid,
+    delta: QUOTA_REWARDS.redeemed,
+    reason: "earned_redeem",
+    inviteId: invite.id,
+    inviteeUid: invite.redeemedBy,
+  }, db);
+  if (entry) awarded.push(entry);
+
+  const redeemed = summarizeInvites(await listInvitesByOwner(uid, db)).redeemed;
+  for (const milestone of milestonesReached(redeemed)) {
+    const reached = await recordQuotaEntry({
+      id: `${uid}_milestone_${milestone.redeemed}`,
+      uid,
+      delta: milestone.bonus,
+      reason: "earned_milestone",
+      note: `${milestone.redeemed} invites redeemed`,
+    }, db);
+    if (reached) awarded.push(reached);
+  }
+
+  return awarded;
+}
+
+/**
+ * Reward whoever invited `inviteeUid`, the first time the invitee is active
+ */
+export async function awardInviteeActive(inviteeUid: string, db: Firestore): Promise<QuotaEntry | null> {
+  const invite = await findInviteRedeemedBy(inviteeUid, db);
+  if (!invite || !invite.ownerUid || invite.ownerUid === inviteeUid) return null;
+
+  return recordQuotaEntry({
+    id: `${invite.ownerUid}_active_${inviteeUid}`,
+    uid: invite.ownerUid,
+    delta: QUOTA_REWARDS.active,
+    reason: "earned_active",
+    inviteId: invite.id,
+    inviteeUid,
+  }, db);
+}
+
+/**
+ * Grant (or, with a negative amount, revoke) invites for each user listed,
+ * as one grant. Every user gets their own ledger entry.
+ */
+export async function grantQuota(
+  grant: QuotaGrant,
+  db: Firestore
+): Promise<{grantId: string; entries: QuotaEntry[]}> {
+  const grantId = db.collection(QUOTA_LEDGER_COLLECTION).doc().id;
+  const entries: QuotaEntry[] = [];
+
+  for (const uid of Array.from(new Set(grant.uids))) {
+    const entry = await recordQuotaEntry({
+      uid,
+      delta: grant.amount,
+      reason: grant.amount > 0 ? "admin_grant" : "admin_revoke",
+      cohort: grant.cohort ?? null,
+      grantId,
+      actor: grant.actor ?? null,
+      note: grant.note ?? null,
+    }, db);
+    if (entry) entries.push(entry);
+  }
+
+  return {grantId, entries};
+}
+
+// Helper: A ledger entry as stored
+function quotaEntry(id: string, input: NewQuotaEntry): QuotaEntry {
+  return {
+    id,
+    uid: input.uid,
+    delta: input.delta,
+    reason: input.reason,
+    inviteId: input.inviteId ?? null,
+    inviteeUid: input.inviteeUid ?? null,
+    cohort: input.cohort ?? null,
+    grantId: input.grantId ?? null,
+    actor: input.actor ?? null,
+    note: input.note ?? null,
+    createdAt: Date.now(),
+  };
+}
+
+// Helper: Totals to update in a transaction. Without a totals document yet,
+// they start from invite-service's old bonuses, returned as entries to write.
+async function readTotalsForUpdate(
+  tx: Transaction,
+  uid: string,
+  db: Firestore
+): Promise<{totals: QuotaTotals; imported: QuotaEntry[]}> {
+  const totalsDoc = await tx.get(db.collection(QUOTA_TOTALS_COLLECTION).doc(uid));
+  if (totalsDoc.exists) return {totals: readTotals(uid, totalsDoc.data()), imported: []};
+
+  const bonuses = await tx.get(db.collection(LEGACY_BONUS_COLLECTION).where("userId", "==", uid));
+  let totals = emptyTotals(uid);
+  const imported: QuotaEntry[] = [];
+  bonuses.docs.forEach((bonus) => {
+    const delta = Math.round(Number(bonus.data()["bonusCount"]) || 0);
+    if (delta === 0) return;
+    const entry = quotaEntry(`${uid}_bonus_${bonus.id}`, {
+      uid,
+      delta,
+      reason: "legacy_bonus",
+      note: bonus.data()["reason"] ?? null,
+    });
+    totals = applyQuotaEntry(totals, entry);
+    imported.push(entry);
+  });
+
+  return {totals, imported};
+}
+
+// Helper: Write totals and the entries they include (after every read of the transaction)
+function writeTotals(tx: Transaction, db: Firestore, totals: QuotaTotals, entries: QuotaEntry[]): void {
+  const ledger = db.collection(QUOTA_LEDGER_COLLECTION);
+  entries.forEach((entry) => tx.set(ledger.doc(entry.id), entry));
+  tx.set(db.collection(QUOTA_TOTALS_COLLECTION).doc(totals.uid), totals);
+}
+
+// Helper: Totals for a user; users without any get theirs created, once
+async function getQuotaTotals(uid: string, db: Firestore): Promise<QuotaTotals> {
+  const doc = await db.collection(QUOTA_TOTALS_COLLECTION).doc(uid).get();
+  if (doc.exists) return readTotals(uid, doc.data());
+
+  return db.runTransaction(async (tx) => {
+    const {totals, imported} = await readTotalsForUpdate(tx, uid, db);
+    writeTotals(tx, db, totals, imported);
+    return totals;
+  });
+}
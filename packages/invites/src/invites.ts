@@ -0,0 +1,495 @@
+/**
+ * Canonical invite model
+ * Three implementations share the `invites` collection and used to disagree
+ * on its schema:
+ *   enhanced - functions/src/routes/invites-enhanced.ts: ownerUid, token + code, RSVP status
+ *   legacy   - functions/src/routes/invites.ts: doc id is the code, inviterId, `used` flag
+ *   service  - services/invite-service: fromUserId, hex code, accepted status
+ *
+ * Every reader goes through readInvite(), which maps any of them (and the
+ * current schema) onto CanonicalInvite. Every write stores the canonical shape,
+ * so documents upgrade as they are touched; functions/src/jobs/migrate-invites.ts
+ * rewrites the rest in bulk.
+ *
+ * Callers pass their own Firestore: this package never initializes or imports
+ * a firebase-admin app, so each API keeps using the one it set up.
+ */
+
+import type {Firestore, Query, Transaction} from "firebase-admin/firestore";
+import {generateInvitePair, generateToken, normalizeCode} from "./invite-codes";
+
+export const INVITE_SCHEMA_VERSION = 2;
+export const INVITES_COLLECTION = "invites";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type InviteSource = "enhanced" | "legacy" | "service";
+export type InviteStatus = "pending" | "redeemed" | "revoked";
+export type InviteState = InviteStatus | "expired"; // Expiry is derived, never stored
+export type InviteRsvp = "accepted" | "declined" | "maybe";
+export type ShareMethod = "email" | "link" | "code" | "qr" | "system";
+export const SHARE_METHODS: ReadonlyArray<ShareMethod> = ["email", "link", "code", "qr", "system"];
+
+export type GuestStatus = "confirmed" | "waitlisted" | "maybe" | "declined";
+
+// One person's answer to a group invite (see services/invite-guests.ts)
+export interface InviteGuest {
+  id: string;
+  token: string;              // Lets the guest change their answer later
+  uid: string | null;
+  name: string | null;
+  email: string | null;
+  rsvp: InviteRsvp;
+  status: GuestStatus;
+  respondedAt: number;        // Epoch ms of their latest answer
+  waitlistedAt: number | null; // Waitlist order
+  promotedAt: number | null;   // Moved off the waitlist
+}
+
+export interface InviteEvent {
+  title: string;
+  start: string | null;
+  end: string | null;
+  location: string | null;
+  description: string | null;
+}
+
+export interface CanonicalInvite {
+  schemaVersion: number;
+  id: string;               // Firestore document id
+  source: InviteSource;     // Implementation that created it
+  ownerUid: string;
+  ownerName: string | null;
+  code: string | null;      // As issued; null once revoked
+  codeKey: string | null;   // normalizeCode(code), what lookups query
+  token: string | null;     // Null for unmigrated legacy and service invites
+  toEmail: string | null;
+  status: InviteStatus;
+  rsvp: InviteRsvp | null;
+  createdAt: number;        // Epoch ms, as are all times below
+  updatedAt: number;
+  expiresAt: number | null;
+  revokedAt: number | null;
+  redeemedAt: number | null;
+  redeemedBy: string | null;
+  redeemerName: string | null;
+  lastSharedAt: number | null;
+  lastMethod: ShareMethod | null;
+  event: InviteEvent | null; // Invites to a specific party or meeting
+  capacity: number | null;  // Group invites: guests that can be confirmed; null for one recipient
+  guests: InviteGuest[];    // Group invites: everyone who answered
+  metadata: Record<string, any>;
+}
+
+export interface NewInvite {
+  source: InviteSource;
+  ownerUid: string;
+  ownerName?: string | null | undefined;
+  toEmail?: string | null | undefined;
+  expiresAt?: number | null | undefined; // Defaults to the event's end, if any
+  event?: InviteEvent | null | undefined;
+  capacity?: number | null | undefined;
+  metadata?: Record<string, any> | undefined;
+}
+
+export interface InviteSummary {
+  total: number;
+  pending: number;
+  redeemed: number;
+  revoked: number;
+  expired: number;
+  redemptionRate: number; // Percent of all invites, one decimal
+}
+
+/**
+ * Epoch ms from anything the three schemas stored: numbers, ISO strings,
+ * Dates, Firestore Timestamps (live or JSON-serialized)
+ */
+export function toMillis(value: unknown): number | null {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return isFinite(value) ? value : null;
+  if (typeof value === "string") {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+
+  const timestamp = value as {toMillis?: () => number; seconds?: number; _seconds?: number};
+  if (typeof timestamp.toMillis === "function") return timestamp.toMillis();
+  const seconds = timestamp.seconds ?? timestamp._seconds;
+  return typeof seconds === "number" ? seconds * 1000 : null;
+}
+
+/**
+ * Which implementation wrote an unversioned document
+ */
+export function detectSource(data: Record<string, any>): InviteSource {
+  if (typeof data["source"] === "string" && Number(data["schemaVersion"]) >= INVITE_SCHEMA_VERSION) {
+    return data["source"] as InviteSource;
+  }
+  if (data["inviterId"] !== undefined) return "legacy";
+  if (data["fromUserId"] !== undefined) return "service";
+  return "enhanced";
+}
+
+/**
+ * Expiry of an invite to an event: its end, or 24 hours after its start
+ */
+export function eventExpiry(event: InviteEvent | null | undefined): number | null {
+  if (!event) return null;
+  const end = toMillis(event.end);
+  if (end !== null) return end;
+  const start = toMillis(event.start);
+  return start !== null ? start + DAY_MS : null;
+}
+
+/**
+ * Compatibility reader: any stored invite, any schema, as a CanonicalInvite
+ */
+export function readInvite(id: string, data: Record<string, any>): CanonicalInvite {
+  if (Number(data["schemaVersion"]) >= INVITE_SCHEMA_VERSION) return readCurrent(id, data);
+
+  switch (detectSource(data)) {
+    case "legacy": return readLegacy(id, data);
+    case "service": return readService(id, data);
+    default: return readEnhanced(id, data);
+  }
+}
+
+/**
+ * What an invite can be used for right now
+ */
+export function inviteState(invite: CanonicalInvite, now: number = Date.now()): InviteState {
+  if (invite.status !== "pending") return invite.status;
+  if (invite.expiresAt !== null && now >= invite.expiresAt) return "expired";
+  return "pending";
+}
+
+export function summarizeInvites(invites: CanonicalInvite[], now: number = Date.now()): InviteSummary {
+  const summary: InviteSummary = {total: invites.length, pending: 0, redeemed: 0, revoked: 0, expired: 0, redemptionRate: 0};
+  invites.forEach(invite => {
+    summary[inviteState(invite, now)]++;
+  });
+  summary.redemptionRate = summary.total > 0 ? Math.round((summary.redeemed / summary.total) * 1000) / 10 : 0;
+  return summary;
+}
+
+/**
+ * The stored form of a canonical invite
+ */
+export function toFirestore(invite: CanonicalInvite): Record<string, any> {
+  return {...invite, schemaVersion: INVITE_SCHEMA_VERSION};
+}
+
+/**
+ * Rewrite of a stored document in the current schema, or null if it already
+ * is. The original fields are kept under `migratedFrom` so a bad migration
+ * can be undone. Open invites get a token, so every code resolves to one.
+ */
+export function migrateInviteData(id: string, data: Record<string, any>): Record<string, any> | null {
+  if (Number(data["schemaVersion"]) >= INVITE_SCHEMA_VERSION) return null;
+
+  const invite = withToken(readInvite(id, data));
+  return {...toFirestore(invite), migratedFrom: migrationRecord(invite, data)};
+}
+
+export async function createInvite(input: NewInvite, db: Firestore): Promise<CanonicalInvite> {
+  const ref = db.collection(INVITES_COLLECTION).doc();
+  const invite = newInvite(ref.id, input);
+
+  await ref.set(toFirestore(invite));
+  return invite;
+}
+
+/**
+ * A new invite with a fresh token and code, not yet stored
+ */
+export function newInvite(id: string, input: NewInvite): CanonicalInvite {
+  const {token, code} = generateInvitePair();
+  const now = Date.now();
+
+  return {
+    schemaVersion: INVITE_SCHEMA_VERSION,
+    id,
+    source: input.source,
+    ownerUid: input.ownerUid,
+    ownerName: input.ownerName ?? null,
+    code,
+    codeKey: normalizeCode(code),
+    token,
+    toEmail: input.toEmail ?? null,
+    status: "pending",
+    rsvp: null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: input.expiresAt ?? eventExpiry(input.event),
+    revokedAt: null,
+    redeemedAt: null,
+    redeemedBy: null,
+    redeemerName: null,
+    lastSharedAt: null,
+    lastMethod: null,
+    event: input.event ?? null,
+    capacity: input.capacity ?? null,
+    guests: [],
+    metadata: input.metadata ?? {},
+  };
+}
+
+export async function getInvite(id: string, db: Firestore): Promise<CanonicalInvite | null> {
+  const doc = await db.collection(INVITES_COLLECTION).doc(id).get();
+  return doc.exists ? readInvite(doc.id, doc.data() ?? {}) : null;
+}
+
+/**
+ * Look a code up across all schemas. Current documents are found by codeKey;
+ * unmigrated ones by their code as typed or normalized (legacy codes may
+ * contain letters normalizeCode() folds to digits).
+ */
+export async function findInviteByCode(code: string, db: Firestore): Promise<CanonicalInvite | null> {
+  const typed = String(code || "").trim().toUpperCase();
+  if (!typed) return null;
+  const key = normalizeCode(typed);
+  const invites = db.collection(INVITES_COLLECTION);
+
+  const current = await invites.where("codeKey", "==", key).limit(1).get();
+  const currentDoc = current.docs[0];
+  if (currentDoc) return readInvite(currentDoc.id, currentDoc.data());
+
+  const candidates = Array.from(new Set([typed, key]));
+  const older = await invites.where("code", "in", candidates).limit(candidates.length).get();
+  const olderDoc = older.docs.find(doc => Number(doc.data()["schemaVersion"] || 1) < INVITE_SCHEMA_VERSION);
+  return olderDoc ? readInvite(olderDoc.id, olderDoc.data()) : null;
+}
+
+/**
+ * Every invite a user created, whichever implementation created it; newest first
+ * Pass `tx` to read them inside a transaction.
+ */
+export async function listInvitesByOwner(
+  uid: string,
+  db: Firestore,
+  tx?: Transaction
+): Promise<CanonicalInvite[]> {
+  const invites = db.collection(INVITES_COLLECTION);
+  const get = (query: Query) => tx ? tx.get(query) : query.get();
+  const snapshots = await Promise.all([
+    get(invites.where("ownerUid", "==", uid)), // enhanced and current
+    get(invites.where("inviterId", "==", uid)), // unmigrated legacy
+    get(invites.where("fromUserId", "==", uid)), // unmigrated service
+  ]);
+
+  const byId = new Map<string, CanonicalInvite>();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+    byId.set(doc.id, readInvite(doc.id, doc.data()));
+  }));
+
+  return Array.from(byId.values()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * The invite a user joined with, if any (the earliest one they redeemed)
+ */
+export async function findInviteRedeemedBy(uid: string, db: Firestore): Promise<CanonicalInvite | null> {
+  const invites = db.collection(INVITES_COLLECTION);
+  const snapshots = await Promise.all([
+    invites.where("redeemedBy", "==", uid).get(), // current
+    invites.where("usedBy", "==", uid).get(), // unmigrated legacy
+    invites.where("acceptedByUserId", "==", uid).get(), // unmigrated service
+  ]);
+
+  const redeemed = snapshots
+    .flatMap(snapshot => snapshot.docs.map(doc => readInvite(doc.id, doc.data())))
+    .filter(invite => invite.status === "redeemed" && invite.redeemedBy === uid)
+    .sort((a, b) => (a.redeemedAt ?? a.createdAt) - (b.redeemedAt ?? b.createdAt));
+  return redeemed[0] ?? null;
+}
+
+/**
+ * Read-modify-write one invite in a transaction. `change` returns the fields
+ * to update, or null to leave the invite alone. The document is written in
+ * the current schema, so unmigrated invites are upgraded on their first write.
+ * Resolves to the invite as stored afterwards, or null if it does not exist.
+ */
+export async function updateInvite(
+  id: string,
+  change: (invite: CanonicalInvite) => Partial<CanonicalInvite> | null,
+  db: Firestore
+): Promise<CanonicalInvite | null> {
+  const ref = db.collection(INVITES_COLLECTION).doc(id);
+
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+
+    const data = doc.data() ?? {};
+    const invite = readInvite(doc.id, data);
+    const changes = change(invite);
+    if (!changes) return invite;
+
+    const updated = withToken({...invite, ...changes, id: invite.id, updatedAt: Date.now()});
+    const migratedFrom = migrationRecord(invite, data);
+    tx.set(ref, {...toFirestore(updated), ...(migratedFrom && {migratedFrom})});
+    return updated;
+  });
+}
+
+/**
+ * Resolve a code for the invite landing page. Redeemed invites still resolve,
+ * so the recipient can come back to them.
+ */
+export async function resolveInvite(
+  code: string,
+  db: Firestore
+): Promise<{invite: CanonicalInvite | null; state: InviteState | "not_found"}> {
+  const found = await findInviteByCode(code, db);
+  if (!found) return {invite: null, state: "not_found"};
+
+  const state = inviteState(found);
+  if (state === "revoked" || state === "expired") return {invite: found, state};
+  if (found.token) return {invite: found, state};
+
+  // Unmigrated legacy/service invite: upgrading it assigns a token
+  const upgraded = await updateInvite(found.id, () => ({}), db);
+  return {invite: upgraded, state};
+}
+
+// Helper: What `migratedFrom` should hold after writing `data` in the current schema
+function migrationRecord(invite: CanonicalInvite, data: Record<string, any>): Record<string, any> | undefined {
+  if (Number(data["schemaVersion"]) >= INVITE_SCHEMA_VERSION) return data["migratedFrom"];
+  return {source: invite.source, migratedAt: Date.now(), data};
+}
+
+// Helper: Open invites always carry a token once written
+function withToken(invite: CanonicalInvite): CanonicalInvite {
+  return invite.token || invite.status === "revoked" ? invite : {...invite, token: generateToken()};
+}
+
+function readCurrent(id: string, data: Record<string, any>): CanonicalInvite {
+  return {
+    ...blankInvite(id, data["source"] ?? "enhanced", data["ownerUid"] ?? ""),
+    ...pick(data, [
+      "ownerName", "code", "codeKey", "token", "toEmail", "status", "rsvp", "createdAt", "updatedAt", "expiresAt",
+      "revokedAt", "redeemedAt", "redeemedBy", "redeemerName", "lastSharedAt", "lastMethod", "event", "metadata",
+      "capacity", "guests",
+    ]),
+    schemaVersion: Number(data["schemaVersion"]),
+    id,
+  };
+}
+
+function readEnhanced(id: string, data: Record<string, any>): CanonicalInvite {
+  const rsvp = ["accepted", "declined", "maybe"].includes(data["status"]) ? data["status"] as InviteRsvp : null;
+  const createdAt = toMillis(data["createdAt"]) ?? 0;
+  const updatedAt = toMillis(data["updatedAt"]) ?? createdAt;
+  const revokedAt = toMillis(data["revokedAt"]);
+  const event: InviteEvent | null = data["title"] ? {
+    title: data["title"],
+    start: data["start"] ?? null,
+    end: data["end"] ?? null,
+    location: data["location"] ?? null,
+    description: data["description"] ?? null,
+  } : null;
+  // An RSVP of "accepted" is how enhanced invites were redeemed in practice
+  const redeemedAt = toMillis(data["redeemedAt"]) ?? (rsvp === "accepted" ? updatedAt : null);
+  const code = data["code"] ?? null;
+
+  return {
+    ...blankInvite(id, "enhanced", data["ownerUid"] ?? data["createdBy"] ?? ""),
+    code,
+    codeKey: code ? normalizeCode(code) : null,
+    token: data["token"] ?? null,
+    toEmail: data["toEmail"] ?? null,
+    status: revokedAt !== null ? "revoked" : redeemedAt !== null ? "redeemed" : "pending",
+    rsvp,
+    createdAt,
+    updatedAt,
+    // The event ends the invite before any explicit expiry does
+    expiresAt: eventExpiry(event) ?? toMillis(data["expiresAt"]),
+    revokedAt,
+    redeemedAt,
+    redeemedBy: data["redeemedBy"] ?? null,
+    lastSharedAt: toMillis(data["lastSharedAt"]),
+    lastMethod: data["lastMethod"] ?? null,
+    event,
+  };
+}
+
+function readLegacy(id: string, data: Record<string, any>): CanonicalInvite {
+  const code = data["code"] ?? id;
+  const createdAt = toMillis(data["createdAt"]) ?? 0;
+  const redeemedAt = data["used"] ? toMillis(data["usedAt"]) ?? createdAt : null;
+
+  return {
+    ...blankInvite(id, "legacy", data["inviterId"] ?? ""),
+    ownerName: data["inviterName"] ?? null,
+    code,
+    codeKey: normalizeCode(code),
+    status: data["used"] ? "redeemed" : "pending",
+    createdAt,
+    updatedAt: redeemedAt ?? createdAt,
+    expiresAt: toMillis(data["expiresAt"]),
+    redeemedAt,
+    redeemedBy: data["usedBy"] ?? null,
+    redeemerName: data["used"] ? data["userName"] ?? null : null,
+  };
+}
+
+function readService(id: string, data: Record<string, any>): CanonicalInvite {
+  const createdAt = toMillis(data["createdAt"]) ?? 0;
+  const redeemedAt = data["status"] === "accepted" ? toMillis(data["acceptedAt"]) ?? createdAt : null;
+  const code = data["code"] ?? null;
+
+  return {
+    ...blankInvite(id, "service", data["fromUserId"] ?? ""),
+    ownerName: data["fromUserName"] ?? null,
+    code,
+    codeKey: code ? normalizeCode(code) : null,
+    toEmail: data["toEmail"] ?? null,
+    // A stored "expired" is just a pending invite past its expiresAt
+    status: redeemedAt !== null ? "redeemed" : "pending",
+    createdAt,
+    updatedAt: redeemedAt ?? createdAt,
+    expiresAt: toMillis(data["expiresAt"]),
+    redeemedAt,
+    redeemedBy: data["acceptedByUserId"] ?? null,
+    metadata: data["metadata"] ?? {},
+  };
+}
+
+function blankInvite(id: string, source: InviteSource, ownerUid: string): CanonicalInvite {
+  return {
+    schemaVersion: 1,
+    id,
+    source,
+    ownerUid,
+    ownerName: null,
+    code: null,
+    codeKey: null,
+    token: null,
+    toEmail: null,
+    status: "pending",
+    rsvp: null,
+    createdAt: 0,
+    updatedAt: 0,
+    expiresAt: null,
+    revokedAt: null,
+    redeemedAt: null,
+    redeemedBy: null,
+    redeemerName: null,
+    lastSharedAt: null,
+    lastMethod: null,
+    event: null,
+    capacity: null,
+    guests: [],
+    metadata: {},
+  };
+}
+
+function pick(data: Record<string, any>, keys: (keyof CanonicalInvite)[]): Partial<CanonicalInvite> {
+  const picked: Record<string, any> = {};
+  keys.forEach(key => {
+    if (data[key] !== undefined) picked[key] = data[key];
+  });
+  return picked as Partial<CanonicalInvite>;
+}
@@ -0,0 +1,66 @@
+import { isPseudonym, minimizeEvent, pseudonymize, scrubProperties, truncateIp } from '../src/privacy';
+import { AnalyticsEvent, MemoryStore } from '../src/store';
+
+describe('Analytics privacy', () => {
+  const secret = 'test-secret';
+  const event = (id: string, userId: string, tenantId = 'acme'): AnalyticsEvent => ({
+    id,
+    tenantId,
+    userId,
+    sessionId: `s-${id}`,
+    event: 'page_view',
+    properties: { page: '/schedule' },
+    timestamp: '2025-05-20T19:00:00.000Z'
+  });
+
+  it('should pseudonymize user ids stably and only with the same secret', () => {
+    const pseudonym = pseudonymize('alice@example.com', secret);
+
+    expect(isPseudonym(pseudonym)).toBe(true);
+    expect(pseudonymize('alice@example.com', secret)).toBe(pseudonym);
+    expect(pseudonymize('alice@example.com', 'other')).not.toBe(pseudonym);
+    expect(pseudonym).not.toContain('alice');
+  });
+
+  it('should minimise a stored event once and leave it alone after', () => {
+    const raw = {
+      ...event('e1', 'alice'),
+      ip: '203.0.113.42',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 Version/17.0 Safari/605.1.15',
+      referrer: 'https://example.com/party?ref=alice@example.com',
+      properties: { page: '/schedule', email: 'alice@example.com', note: 'ping alice@example.com' }
+    };
+    const minimized = minimizeEvent(raw, secret);
+
+    expect(minimized).toMatchObject({
+      userId: pseudonymize('alice', secret),
+      ip: '203.0.113.0',
+      userAgent: 'Safari on macOS',
+      referrer: 'https://example.com/party'
+    });
+    expect(JSON.stringify(minimized.properties)).not.toContain('alice@example.com');
+    expect(minimizeEvent(minimized, secret)).toEqual(minimized);
+  });
+
+  it('should drop identifying keys from nested properties', () => {
+    expect(scrubProperties({ page: '/a', user: { phone: '+1 555 0100', role: 'host' } }))
+      .toEqual({ page: '/a', user: { role: 'host' } });
+    expect(truncateIp('::ffff:198.51.100.7')).toBe('198.51.100.0');
+  });
+
+  it('should erase a user\'s events under both the raw and the pseudonymous id', async () => {
+    const store = new MemoryStore();
+    const pseudonym = pseudonymize('alice', secret);
+    await store.append(event('e1', 'alice'));
+    await store.append(event('e2', pseudonym, 'globex'));
+    await store.append(event('e3', pseudonymize('bob', secret)));
+
+    const erased = await store.eraseUser([pseudonym, 'alice']);
+
+    expect(erased).toEqual({ hotEvents: 2, archivedEvents: 0, activityRecords: 2 });
+    expect(await store.exportUser([pseudonym, 'alice'])).toEqual([]);
+    expect(await store.userActivity([pseudonym, 'alice'])).toEqual([]);
+    expect((await store.tenantEvents('acme')).map(e => e.id)).toEqual(['e3']);
+    expect(await store.tenantEvents('globex')).toEqual([]);
+  });
+});
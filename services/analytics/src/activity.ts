@@ -0,0 +1,122 @@
+/**
+ * User Activity
+ * Single Purpose: Remember what cohorts need about each user after their raw
+ * events have left the hot window
+ *
+ * ONE THING: Per tenant and user - when they were first seen, when each event
+ * first happened, the first value of each property and the days they were active
+ *
+ * Like rollups, the index is updated as events are tracked and outlives raw
+ * events; it is pruned under the archive retention. Recording is idempotent
+ * (earliest wins, days are sets), so replaying an event changes nothing.
+ * Values are kept as tracked, i.e. after minimisation and property scrubbing.
+ */
+
+import type { AnalyticsEvent } from './store';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_PROPERTIES = 20; // First values kept per user
+const MAX_VALUE_LENGTH = 100;
+
+export interface UserActivity {
+  tenantId: string;
+  userId: string;
+  firstSeen: number; // Epoch ms of the user's earliest event
+  firsts: Record<string, number>; // Event name -> epoch ms of its first occurrence
+  properties: Record<string, { value: string; at: number }>; // Earliest non-empty value of each property
+  days: Record<string, number[]>; // Event name -> UTC day numbers it happened on, ascending
+}
+
+// ONE FUNCTION: UTC day number of a timestamp
+export function dayNumber(time: number): number {
+  return Math.floor(time / DAY);
+}
+
+// ONE FUNCTION: In-memory activity table
+export class ActivityIndex {
+  // `${tenantId}|${userId}` -> activity
+  private users = new Map<string, UserActivity>();
+
+  record(event: AnalyticsEvent): void {
+    if (!event.userId) return;
+
+    const time = Date.parse(event.timestamp);
+    const key = `${event.tenantId}|${event.userId}`;
+    let user = this.users.get(key);
+    if (!user) {
+      user = { tenantId: event.tenantId, userId: event.userId, firstSeen: time, firsts: {}, properties: {}, days: {} };
+      this.users.set(key, user);
+    }
+
+    user.firstSeen = Math.min(user.firstSeen, time);
+    const first = user.firsts[event.event];
+    if (first === undefined || time < first) user.firsts[event.event] = time;
+
+    Object.entries(event.properties || {}).forEach(([name, raw]) => {
+      if (raw === undefined || raw === null || raw === '' || typeof raw === 'object') return;
+      const known = user!.properties[name];
+      if (known ? known.at <= time : Object.keys(user!.properties).length >= MAX_PROPERTIES) return;
+      user!.properties[name] = { value: String(raw).substring(0, MAX_VALUE_LENGTH), at: time };
+    });
+
+    const day = dayNumber(time);
+    const days = user.days[event.event] || (user.days[event.event] = []);
+    if (!days.includes(day)) {
+      days.push(day);
+      days.sort((a, b) => a - b);
+    }
+  }
+
+  forTenant(tenantId: string): UserActivity[] {
+    return Array.from(this.users.values()).filter(user => user.tenantId === tenantId);
+  }
+
+  // Every tenant's record for any of the ids
+  forUsers(userIds: string[]): UserActivity[] {
+    return Array.from(this.users.values()).filter(user => userIds.includes(user.userId));
+  }
+
+  // Drop every tenant's record for the ids; returns how many were dropped
+  forget(userIds: string[]): number {
+    let forgotten = 0;
+    this.users.forEach((user, key) => {
+      if (!userIds.includes(user.userId)) return;
+      this.users.delete(key);
+      forgotten++;
+    });
+    return forgotten;
+  }
+
+  // Drop active days before `before` (epoch ms), and users left without any.
+  // First-seen times stay: they anchor cohorts, not activity.
+  prune(before: number): number {
+    const cutoff = dayNumber(before);
+    let pruned = 0;
+    this.users.forEach((user, key) => {
+      Object.entries(user.days).forEach(([name, days]) => {
+        const kept = days.filter(day => day >= cutoff);
+        if (kept.length > 0) user.days[name] = kept;
+        else delete user.days[name];
+      });
+      if (Object.keys(user.days).length === 0) {
+        this.users.delete(key);
+        pruned++;
+      }
+    });
+    return pruned;
+  }
+
+  size(): number {
+    return this.users.size;
+  }
+
+  toJSON(): UserActivity[] {
+    return Array.from(this.users.values());
+  }
+
+  static fromJSON(records: UserActivity[]): ActivityIndex {
+    const index = new ActivityIndex();
+    (records || []).forEach(record => index.users.set(`${record.tenantId}|${record.userId}`, record));
+    return index;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Event Archive
+ * Single Purpose: Keep raw events after they leave the hot window
+ *
+ * ONE THING: One gzip file of JSON lines per UTC day
+ *
+ * Each archiving pass appends a new gzip member to the day's file; gunzip reads
+ * concatenated members as one stream, so files never need rewriting.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import type { AnalyticsEvent } from './store';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface ArchiveFile {
+  date: string; // YYYY-MM-DD (UTC)
+  bytes: number;
+}
+
+// ONE FUNCTION: Daily gzip archive on local disk
+export class EventArchive {
+  constructor(private dir: string) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  write(events: AnalyticsEvent[]): void {
+    const byDay = new Map<string, AnalyticsEvent[]>();
+    events.forEach(event => {
+      const day = event.timestamp.substring(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day)!.push(event);
+    });
+
+    byDay.forEach((dayEvents, day) => {
+      const lines = dayEvents.map(event => JSON.stringify(event)).join('\n') + '\n';
+      fs.appendFileSync(this.fileFor(day), zlib.gzipSync(lines));
+    });
+  }
+
+  read(date: string, filter: { tenantId?: string; limit?: number } = {}): AnalyticsEvent[] {
+    if (!DATE_PATTERN.test(date)) throw new Error(`Invalid archive date: ${date}`);
+
+    const file = this.fileFor(date);
+    if (!fs.existsSync(file)) return [];
+
+    const events: AnalyticsEvent[] = [];
+    const lines = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+      const event = JSON.parse(line) as AnalyticsEvent;
+      if (filter.tenantId && event.tenantId !== filter.tenantId) continue;
+      events.push(event);
+      if (filter.limit && events.length >= filter.limit) break;
+    }
+    return events;
+  }
+
+  // Remove matching events from every day file and return them
+  purge(match: (event: AnalyticsEvent) => boolean): AnalyticsEvent[] {
+    const removed: AnalyticsEvent[] = [];
+
+    this.list().forEach(({ date }) => {
+      const events = this.read(date);
+      const keep = events.filter(event => !match(event));
+      if (keep.length === events.length) return;
+
+      removed.push(...events.filter(match));
+      this.replace(date, keep);
+    });
+
+    return removed;
+  }
+
+  // Rewrite every archived event; returns how many changed
+  rewrite(rewrite: (event: AnalyticsEvent) => AnalyticsEvent): number {
+    let changed = 0;
+
+    this.list().forEach(({ date }) => {
+      const events = this.read(date);
+      const rewritten = events.map(rewrite);
+      const dayChanged = rewritten.filter((event, i) => JSON.stringify(event) !== JSON.stringify(events[i])).length;
+      if (dayChanged === 0) return;
+
+      changed += dayChanged;
+      this.replace(date, rewritten);
+    });
+
+    return changed;
+  }
+
+  // Delete the day files that ended before `before` (epoch ms); returns how many
+  expire(before: number): number {
+    const cutoff = new Date(before).toISOString().substring(0, 10);
+    const expired = this.list().filter(({ date }) => date < cutoff);
+    expired.forEach(({ date }) => fs.unlinkSync(this.fileFor(date)));
+    return expired.length;
+  }
+
+  list(): ArchiveFile[] {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.jsonl.gz'))
+      .map(name => ({
+        date: name.replace('.jsonl.gz', ''),
+        bytes: fs.statSync(path.join(this.dir, name)).size
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Swap a day file for these events, through a temp file so a crash leaves
+  // the old or the new copy
+  private replace(date: string, events: AnalyticsEvent[]): void {
+    const file = this.fileFor(date);
+    if (events.length === 0) {
+      fs.unlinkSync(file);
+      return;
+    }
+    const lines = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+    fs.writeFileSync(`${file}.tmp`, zlib.gzipSync(lines));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  private fileFor(date: string): string {
+    return path.join(this.dir, `${date}.jsonl.gz`);
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Cohorts
+ * Single Purpose: Group users into cohorts and measure how many come back
+ *
+ * ONE THING: Retention matrices (day 0 to day N) per cohort
+ *
+ * A user's anchor is their signup event, or their first event when they never
+ * sent one. Day k is the k-th UTC calendar day after the anchor's day; a user
+ * is retained on day k if they sent a return event that day. Days that have not
+ * happened yet for a user are left out of the denominator, so recent cohorts
+ * are not reported as churned.
+ *
+ * Matrices are built from the per-user activity index (activity.ts), not raw
+ * events, so cohorts stay complete after their events leave the hot window.
+ *
+ * Cohorts are keyed by:
+ *   signup_day - the anchor's UTC date
+ *   property   - the first value of properties[property] the user sent
+ */
+
+import { dayNumber, UserActivity } from './activity';
+
+export interface CohortDefinition {
+  id: string;
+  name: string;
+  by: 'signup_day' | 'property';
+  property?: string; // Required when by === 'property'
+  signupEvent: string;
+  builtIn?: boolean;
+  createdAt?: string;
+}
+
+export const BUILT_IN_COHORTS: CohortDefinition[] = [
+  { id: 'signup_day', name: 'Signup day', by: 'signup_day', signupEvent: 'signup', builtIn: true },
+  { id: 'persona', name: 'Persona', by: 'property', property: 'persona', signupEvent: 'signup', builtIn: true },
+  { id: 'invite_source', name: 'Invite source', by: 'property', property: 'inviteSource', signupEvent: 'signup', builtIn: true }
+];
+
+export const MAX_RETENTION_DAYS = 30;
+
+const NO_VALUE = '(none)';
+
+export interface RetentionRow {
+  cohort: string;
+  size: number;
+  retained: number[]; // Users retained on day k
+  eligible: number[]; // Users for whom day k has happened
+  rates: (number | null)[]; // Percent, one decimal; null until day k has happened for anyone
+}
+
+export interface RetentionMatrix {
+  cohortId: string;
+  cohortName: string;
+  days: number;
+  returnEvent: string | null;
+  columns: string[]; // "Day 0" ... "Day N"
+  rows: RetentionRow[];
+  average: (number | null)[]; // Weighted by eligible users
+  users: number;
+}
+
+// ONE FUNCTION: Validate a cohort definition; returns error messages
+export function validateCohort(definition: Partial<CohortDefinition>): string[] {
+  const errors: string[] = [];
+  if (!definition.name) errors.push('name is required');
+  if (definition.by !== 'signup_day' && definition.by !== 'property') {
+    errors.push('by must be "signup_day" or "property"');
+  }
+  if (definition.by === 'property' && !definition.property) {
+    errors.push('property is required when by is "property"');
+  }
+  return errors;
+}
+
+// ONE FUNCTION: Build a retention matrix from users' activity; `from` and
+// `to` (epoch ms) keep users anchored in that range
+export function retentionMatrix(
+  users: UserActivity[],
+  definition: CohortDefinition,
+  options: { days: number; returnEvent?: string; from?: number; to?: number; now?: number }
+): RetentionMatrix {
+  const days = Math.min(Math.max(Math.floor(options.days), 0), MAX_RETENTION_DAYS);
+  const today = dayNumber(options.now ?? Date.now());
+
+  const rows = new Map<string, RetentionRow>();
+  let counted = 0;
+
+  users.forEach(user => {
+    const anchor = user.firsts[definition.signupEvent] ?? user.firstSeen;
+    if (options.from !== undefined && anchor < options.from) return;
+    if (options.to !== undefined && anchor > options.to) return;
+
+    const anchorDay = dayNumber(anchor);
+    const cohort = cohortKey(definition, anchor, user);
+
+    let row = rows.get(cohort);
+    if (!row) {
+      row = { cohort, size: 0, retained: zeros(days + 1), eligible: zeros(days + 1), rates: [] };
+      rows.set(cohort, row);
+    }
+    row.size++;
+    counted++;
+
+    const activeDays = new Set<number>();
+    Object.entries(user.days).forEach(([event, eventDays]) => {
+      if (options.returnEvent && event !== options.returnEvent) return;
+      eventDays.forEach(day => activeDays.add(day - anchorDay));
+    });
+
+    for (let k = 0; k <= days; k++) {
+      if (anchorDay + k > today) break;
+      row.eligible[k]++;
+      if (activeDays.has(k)) row.retained[k]++;
+    }
+  });
+
+  const sortedRows = Array.from(rows.values()).sort((a, b) =>
+    definition.by === 'signup_day' ? a.cohort.localeCompare(b.cohort) : b.size - a.size);
+  sortedRows.forEach(row => {
+    row.rates = row.retained.map((retained, k) => rate(retained, row.eligible[k]));
+  });
+
+  const average = zeros(days + 1).map((_zero, k) => rate(
+    sortedRows.reduce((sum, row) => sum + row.retained[k], 0),
+    sortedRows.reduce((sum, row) => sum + row.eligible[k], 0)
+  ));
+
+  return {
+    cohortId: definition.id,
+    cohortName: definition.name,
+    days,
+    returnEvent: options.returnEvent || null,
+    columns: zeros(days + 1).map((_zero, k) => `Day ${k}`),
+    rows: sortedRows,
+    average,
+    users: counted
+  };
+}
+
+function cohortKey(definition: CohortDefinition, anchor: number, user: UserActivity): string {
+  if (definition.by === 'signup_day') {
+    return new Date(anchor).toISOString().substring(0, 10);
+  }
+
+  const value = user.properties[definition.property!];
+  return value ? value.value : NO_VALUE;
+}
+
+function zeros(length: number): number[] {
+  return new Array(length).fill(0);
+}
+
+function rate(part: number, whole: number): number | null {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
@@ -0,0 +1,66 @@
+/**
+ * HyperLogLog
+ * Single Purpose: Count distinct users/sessions in fixed memory
+ *
+ * ONE THING: Approximate distinct counts that can be merged across buckets.
+ * Summing per-hour unique counts would count a user once per hour; merging
+ * sketches counts them once per range. 4096 registers, ~1.6% standard error.
+ */
+
+import crypto from 'crypto';
+
+const PRECISION = 12;
+const REGISTERS = 1 << PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTERS);
+
+export class HyperLogLog {
+  private registers: Uint8Array;
+
+  constructor(registers?: Uint8Array) {
+    this.registers = registers || new Uint8Array(REGISTERS);
+  }
+
+  add(value: string): void {
+    const hash = crypto.createHash('md5').update(value).digest();
+    const index = hash.readUInt32BE(0) >>> (32 - PRECISION);
+    const rank = Math.clz32(hash.readUInt32BE(4)) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  merge(other: HyperLogLog): this {
+    for (let i = 0; i < REGISTERS; i++) {
+      if (other.registers[i] > this.registers[i]) this.registers[i] = other.registers[i];
+    }
+    return this;
+  }
+
+  count(): number {
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < REGISTERS; i++) {
+      sum += Math.pow(2, -this.registers[i]);
+      if (this.registers[i] === 0) zeros++;
+    }
+
+    const estimate = (ALPHA * REGISTERS * REGISTERS) / sum;
+    // Small ranges: linear counting is far more accurate
+    if (estimate <= 2.5 * REGISTERS && zeros > 0) {
+      return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  clone(): HyperLogLog {
+    return new HyperLogLog(new Uint8Array(this.registers));
+  }
+
+  toString(): string {
+    return Buffer.from(this.registers).toString('base64');
+  }
+
+  static fromString(encoded: string): HyperLogLog {
+    return new HyperLogLog(new Uint8Array(Buffer.from(encoded, 'base64')));
+  }
+}
@@ -8,15 +8,36 @@
  * - Track conversion events
  * - Generate analytics reports
  * - Real-time analytics streaming
+ * - Consent enforcement, erasure and export of a user's data
  */
 
 import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import helmet from 'helmet';
+import { AnalyticsEvent, createStore, dataDirFromEnv } from './store';
+import { Granularity, GRANULARITY_MS, bucketStart } from './rollups';
+import { BUILT_IN_COHORTS, CohortDefinition, retentionMatrix, validateCohort } from './cohorts';
+import { nextEvents, pathsTo } from './paths';
+import {
+  coarseUserAgent,
+  consentFor,
+  isPseudonym,
+  loadPseudonymSecret,
+  minimizeEvent,
+  pseudonymize,
+  scrubProperties,
+  stripReferrer,
+  truncateIp
+} from './privacy';
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const RETENTION_INTERVAL_MS = 10 * 60 * 1000;
+// Set to "false" only where consent is collected out of band (e.g. staff devices)
+const REQUIRE_CONSENT = process.env.ANALYTICS_REQUIRE_CONSENT !== 'false';
+// Bump the suffix when minimisation rules change, to re-run them over stored data
+const MINIMIZE_MIGRATION = 'minimize-identifiers-v1';
 
 // Middleware
 app.use(helmet());
@@ -24,53 +45,127 @@ app.use(cors());
 app.use(compression());
 app.use(express.json());
 
-// In-memory storage for demo (replace with TimescaleDB/ClickHouse in production)
-interface Event {
-  id: string;
-  tenantId: string;
-  userId?: string;
-  sessionId: string;
-  event: string;
-  properties: Record<string, any>;
-  timestamp: Date;
-  userAgent?: string;
-  ip?: string;
-  referrer?: string;
-}
-
-interface Metric {
-  name: string;
-  value: number;
-  tags: Record<string, string>;
-  timestamp: Date;
-}
+const store = createStore();
+const pseudonymSecret = loadPseudonymSecret(dataDirFromEnv());
 
-const events: Event[] = [];
-const metrics: Map<string, Metric[]> = new Map();
+// Metrics served from the rollups: name -> bucket size
+const METRICS: Record<string, Granularity> = {
+  events_per_minute: 'minute',
+  events_per_hour: 'hour',
+  events_per_day: 'day'
+};
 
 // Helper: Generate event ID
 const generateEventId = () => `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+// Helper: Client timestamps are accepted for batches, but never garbage
+const toTimestamp = (value: any) => {
+  const time = value !== undefined ? new Date(value) : new Date();
+  return isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString();
+};
+
+// Helper: Build the stored event from a tracking request, or null without consent
+const buildEvent = (req: express.Request, input: any, timestamp: string): AnalyticsEvent | null => {
+  if (REQUIRE_CONSENT && consentFor(req.headers, input.consent) !== 'granted') {
+    return null;
+  }
+
+  return {
+    id: generateEventId(),
+    tenantId: input.tenantId || 'default',
+    userId: input.userId ? pseudonymize(String(input.userId), pseudonymSecret) : undefined,
+    sessionId: input.sessionId,
+    event: input.event,
+    properties: scrubProperties(input.properties || {}),
+    timestamp,
+    userAgent: coarseUserAgent(req.headers['user-agent']),
+    ip: truncateIp(req.ip),
+    referrer: stripReferrer(req.headers.referer)
+  };
+};
+
+// Helper: Erasure, export, the archive and cohort changes are not for the public.
+// VALID_API_KEYS lists `key` (the privacy team: every tenant) or
+// `key:tenantId` (that tenant's data only).
+const requireApiKey = (req: express.Request, res: express.Response, next: express.NextFunction) => {
+  const apiKey = req.headers['x-api-key'];
+  const validApiKeys = process.env.VALID_API_KEYS?.split(',').filter(Boolean) || [];
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  const scopes = validApiKeys.map(entry => entry.split(':')).filter(([key]) => key === apiKey);
+  if (scopes.length === 0) {
+    return res.status(403).json({ error: 'Invalid API key' });
+  }
+  // Tenants the key is limited to; null when it isn't
+  res.locals.tenants = scopes.some(([, tenant]) => !tenant) ? null : scopes.map(([, tenant]) => tenant);
+  next();
+};
+
+// Helper: May the request's key read this tenant (or, without one, every tenant)?
+const keyAllows = (res: express.Response, tenantId?: string) => {
+  const tenants: string[] | null = res.locals.tenants;
+  return !tenants || (!!tenantId && tenants.includes(tenantId));
+};
+
+// Helper: Cohort definitions are shared by every tenant, so only a key for
+// every tenant may change them
+const requireCohortEditor = (_req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (!keyAllows(res)) {
+    return res.status(403).json({ error: 'Cohorts can only be changed with a key for every tenant' });
+  }
+  next();
+};
+
+// Helper: Ids a user's events may be stored under: the pseudonym, and the raw
+// id from before minimisation (never one that looks like someone's pseudonym)
+const storedIdsOf = (userId: string) => {
+  const pseudonym = pseudonymize(userId, pseudonymSecret);
+  return { pseudonym, ids: isPseudonym(userId) ? [pseudonym] : [pseudonym, userId] };
+};
+
+// Helper: Parse an optional ?from / ?to query value (ISO or epoch ms)
+const parseTime = (value: any): number | undefined => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return isNaN(time) ? undefined : time;
+};
+
+// Helper: Built-in cohorts plus saved ones
+const findCohort = async (id: string): Promise<CohortDefinition | undefined> =>
+  BUILT_IN_COHORTS.find(c => c.id === id) || (await store.listCohorts()).find(c => c.id === id);
+
+// Helper: Shared path-analysis query params
+const pathOptions = (query: any) => ({
+  steps: parseInt(query.steps as string) || 1,
+  limit: Math.min(parseInt(query.limit as string) || 10, 100),
+  collapse: query.collapse !== 'false'
+});
+
+// Helper: Pass rejected route promises to the error handler; Express 4
+// doesn't, and an unhandled rejection ends the process
+const asyncHandler = (handler: (req: express.Request, res: express.Response) => Promise<unknown>) =>
+  (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    handler(req, res).catch(next);
+  };
+
 // Health check - ONE THING: Report service health
-app.get('/health', (req, res) => {
+app.get('/health', asyncHandler(async (req, res) => {
+  const stats = await store.stats();
   res.json({
     status: 'healthy',
     service: 'analytics-service',
     purpose: 'Track and analyze events',
     uptime: process.uptime(),
-    eventsTracked: events.length
+    eventsTracked: stats.tracked,
+    store: stats
   });
-});
+}));
 
 // ONE FUNCTION: Track an event
-app.post('/api/v1/track', (req, res) => {
-  const {
-    tenantId = 'default',
-    userId,
-    sessionId,
-    event,
-    properties = {}
-  } = req.body;
+app.post('/api/v1/track', asyncHandler(async (req, res) => {
+  const { event, sessionId } = req.body;
 
   if (!event || !sessionId) {
     return res.status(400).json({
@@ -78,132 +173,113 @@ app.post('/api/v1/track', (req, res) => {
     });
   }
 
-  const trackedEvent: Event = {
-    id: generateEventId(),
-    tenantId,
-    userId,
-    sessionId,
-    event,
-    properties,
-    timestamp: new Date(),
-    userAgent: req.headers['user-agent'],
-    ip: req.ip,
-    referrer: req.headers.referer
-  };
-
-  events.push(trackedEvent);
+  const trackedEvent = buildEvent(req, req.body, new Date().toISOString());
+  if (!trackedEvent) {
+    return res.json({
+      success: true,
+      tracked: false,
+      message: 'Event discarded: analytics consent not granted'
+    });
+  }
 
-  // Update real-time metrics
-  updateMetrics(trackedEvent);
+  await store.append(trackedEvent);
 
   res.json({
     success: true,
     eventId: trackedEvent.id,
     message: 'Event tracked successfully'
   });
-});
+}));
 
 // ONE FUNCTION: Track multiple events (batch)
-app.post('/api/v1/track/batch', (req, res) => {
+app.post('/api/v1/track/batch', asyncHandler(async (req, res) => {
   const { events: batchEvents = [] } = req.body;
 
-  const trackedEvents = batchEvents.map((evt: any) => {
-    const trackedEvent: Event = {
-      id: generateEventId(),
-      tenantId: evt.tenantId || 'default',
-      userId: evt.userId,
-      sessionId: evt.sessionId,
-      event: evt.event,
-      properties: evt.properties || {},
-      timestamp: new Date(evt.timestamp || Date.now()),
-      userAgent: req.headers['user-agent'],
-      ip: req.ip,
-      referrer: req.headers.referer
-    };
+  const trackedEvents: string[] = [];
+  let rejected = 0;
+  let withoutConsent = 0;
 
-    events.push(trackedEvent);
-    updateMetrics(trackedEvent);
-    return trackedEvent.id;
-  });
+  for (const evt of batchEvents) {
+    if (!evt || !evt.event || !evt.sessionId) {
+      rejected++;
+      continue;
+    }
+
+    const trackedEvent = buildEvent(req, evt, toTimestamp(evt.timestamp));
+    if (!trackedEvent) {
+      withoutConsent++;
+      continue;
+    }
+
+    await store.append(trackedEvent);
+    trackedEvents.push(trackedEvent.id);
+  }
 
   res.json({
     success: true,
     eventIds: trackedEvents,
-    count: trackedEvents.length
+    count: trackedEvents.length,
+    rejected,
+    withoutConsent
   });
-});
+}));
 
-// ONE FUNCTION: Get event statistics
-app.get('/api/v1/stats/:tenantId', (req, res) => {
+// ONE FUNCTION: Get event statistics (from rollups)
+app.get('/api/v1/stats/:tenantId', asyncHandler(async (req, res) => {
   const { tenantId } = req.params;
-  const { from, to } = req.query;
-
-  let tenantEvents = events.filter(e => e.tenantId === tenantId);
+  const span = await store.span(tenantId);
 
-  if (from) {
-    const fromDate = new Date(from as string);
-    tenantEvents = tenantEvents.filter(e => e.timestamp >= fromDate);
-  }
-
-  if (to) {
-    const toDate = new Date(to as string);
-    tenantEvents = tenantEvents.filter(e => e.timestamp <= toDate);
-  }
-
-  // Calculate statistics
   const stats = {
-    totalEvents: tenantEvents.length,
-    uniqueUsers: new Set(tenantEvents.map(e => e.userId).filter(Boolean)).size,
-    uniqueSessions: new Set(tenantEvents.map(e => e.sessionId)).size,
+    totalEvents: 0,
+    uniqueUsers: 0, // Approximate (HyperLogLog), at hour resolution
+    uniqueSessions: 0,
     eventTypes: {} as Record<string, number>,
     topEvents: [] as { event: string; count: number }[],
     timeline: [] as { hour: string; count: number }[]
   };
 
-  // Count event types
-  tenantEvents.forEach(e => {
-    stats.eventTypes[e.event] = (stats.eventTypes[e.event] || 0) + 1;
-  });
+  if (!span) {
+    return res.json(stats);
+  }
+
+  const from = parseTime(req.query.from) ?? span.first;
+  const to = parseTime(req.query.to) ?? Math.max(span.last, Date.now());
+
+  const [eventTypes, distinct, hourly] = await Promise.all([
+    store.countsByEvent(tenantId, from, to),
+    store.distinct(tenantId, from, to),
+    store.series(tenantId, 'hour', from, to)
+  ]);
+
+  stats.eventTypes = eventTypes;
+  stats.totalEvents = Object.values(eventTypes).reduce((sum, count) => sum + count, 0);
+  stats.uniqueUsers = distinct.users;
+  stats.uniqueSessions = distinct.sessions;
 
   // Get top events
-  stats.topEvents = Object.entries(stats.eventTypes)
+  stats.topEvents = Object.entries(eventTypes)
     .map(([event, count]) => ({ event, count }))
     .sort((a, b) => b.count - a.count)
     .slice(0, 10);
 
-  // Generate hourly timeline
-  const hourlyBuckets = new Map<string, number>();
-  tenantEvents.forEach(e => {
-    const hour = e.timestamp.toISOString().substring(0, 13) + ':00';
-    hourlyBuckets.set(hour, (hourlyBuckets.get(hour) || 0) + 1);
-  });
-  stats.timeline = Array.from(hourlyBuckets.entries())
-    .map(([hour, count]) => ({ hour, count }))
-    .sort((a, b) => a.hour.localeCompare(b.hour));
+  // Hourly timeline
+  stats.timeline = hourly.map(point => ({ hour: point.bucket.substring(0, 13) + ':00', count: point.count }));
 
   res.json(stats);
-});
+}));
 
-// ONE FUNCTION: Get funnel analytics
-app.post('/api/v1/funnel', (req, res) => {
+// ONE FUNCTION: Get funnel analytics (raw events in the hot window)
+app.post('/api/v1/funnel', asyncHandler(async (req, res) => {
   const { tenantId, steps, from, to } = req.body;
 
   if (!steps || !Array.isArray(steps)) {
     return res.status(400).json({ error: 'Steps array required' });
   }
 
-  let tenantEvents = events.filter(e => e.tenantId === tenantId);
-
-  if (from) {
-    tenantEvents = tenantEvents.filter(e => e.timestamp >= new Date(from));
-  }
-
-  if (to) {
-    tenantEvents = tenantEvents.filter(e => e.timestamp <= new Date(to));
-  }
+  const tenantEvents = await store.tenantEvents(tenantId, parseTime(from), parseTime(to));
 
   // Group events by session
-  const sessionEvents = new Map<string, Event[]>();
+  const sessionEvents = new Map<string, AnalyticsEvent[]>();
   tenantEvents.forEach(e => {
     if (!sessionEvents.has(e.sessionId)) {
       sessionEvents.set(e.sessionId, []);
@@ -248,14 +324,13 @@ app.post('/api/v1/funnel', (req, res) => {
     totalSessions: sessionEvents.size,
     period: { from, to }
   });
-});
+}));
 
 // ONE FUNCTION: Get user journey
-app.get('/api/v1/journey/:userId', (req, res) => {
+app.get('/api/v1/journey/:userId', asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const userEvents = events
-    .filter(e => e.userId === userId)
-    .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  const userEvents = (await store.userEvents(pseudonymize(userId, pseudonymSecret)))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
 
   const journey = {
     userId,
@@ -266,7 +341,7 @@ app.get('/api/v1/journey/:userId', (req, res) => {
   };
 
   // Group by session
-  const sessions = new Map<string, Event[]>();
+  const sessions = new Map<string, AnalyticsEvent[]>();
   userEvents.forEach(e => {
     if (!sessions.has(e.sessionId)) {
       sessions.set(e.sessionId, []);
@@ -278,7 +353,7 @@ app.get('/api/v1/journey/:userId', (req, res) => {
     sessionId,
     startTime: events[0].timestamp,
     endTime: events[events.length - 1].timestamp,
-    duration: events[events.length - 1].timestamp.getTime() - events[0].timestamp.getTime(),
+    duration: Date.parse(events[events.length - 1].timestamp) - Date.parse(events[0].timestamp),
     eventCount: events.length,
     events: events.map(e => ({
       event: e.event,
@@ -288,57 +363,248 @@ app.get('/api/v1/journey/:userId', (req, res) => {
   }));
 
   res.json(journey);
-});
+}));
+
+// ONE FUNCTION: Export everything stored about a user (access request)
+app.get('/api/v1/users/:userId/export', requireApiKey, asyncHandler(async (req, res) => {
+  if (!keyAllows(res)) {
+    return res.status(403).json({ error: 'Exports need a key for every tenant' });
+  }
+
+  const { userId } = req.params;
+  const { pseudonym, ids } = storedIdsOf(userId);
+  const events = (await store.exportUser(ids))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const activity = await store.userActivity(ids);
+
+  res.setHeader('Content-Disposition', `attachment; filename="analytics-export-${pseudonym}.json"`);
+  res.json({
+    userId,
+    pseudonym,
+    exportedAt: new Date().toISOString(),
+    count: events.length,
+    events,
+    activity
+  });
+}));
+
+// ONE FUNCTION: Erase a user's events (erasure request)
+app.delete('/api/v1/users/:userId', requireApiKey, asyncHandler(async (req, res) => {
+  if (!keyAllows(res)) {
+    return res.status(403).json({ error: 'Erasure needs a key for every tenant' });
+  }
+
+  const { pseudonym, ids } = storedIdsOf(req.params.userId);
+  const erased = await store.eraseUser(ids);
+
+  console.log(`Erased ${erased.hotEvents + erased.archivedEvents} events for ${pseudonym}`);
+  res.json({
+    success: true,
+    pseudonym,
+    erased,
+    note: 'Event counts were adjusted; unique-user estimates for past periods may still count this user, but hold no identifier'
+  });
+}));
+
+// ONE FUNCTION: List cohort definitions
+app.get('/api/v1/cohorts', asyncHandler(async (req, res) => {
+  res.json({ cohorts: [...BUILT_IN_COHORTS, ...(await store.listCohorts())] });
+}));
+
+// ONE FUNCTION: Define a cohort
+app.post('/api/v1/cohorts', requireApiKey, requireCohortEditor, asyncHandler(async (req, res) => {
+  const { name, by, property, signupEvent = 'signup' } = req.body;
+  const errors = validateCohort({ name, by, property });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid cohort', details: errors });
+  }
+
+  const id = req.body.id || `cohort_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+    return res.status(400).json({ error: 'id may only contain letters, digits, _ and -' });
+  }
+  if (BUILT_IN_COHORTS.some(c => c.id === id)) {
+    return res.status(409).json({ error: `Cohort ${id} is built in` });
+  }
+
+  const definition: CohortDefinition = {
+    id,
+    name,
+    by,
+    ...(by === 'property' && { property }),
+    signupEvent,
+    createdAt: new Date().toISOString()
+  };
+  await store.saveCohort(definition);
+
+  res.status(201).json({ success: true, cohort: definition });
+}));
+
+// ONE FUNCTION: Delete a cohort definition
+app.delete('/api/v1/cohorts/:id', requireApiKey, requireCohortEditor, asyncHandler(async (req, res) => {
+  if (BUILT_IN_COHORTS.some(c => c.id === req.params.id)) {
+    return res.status(400).json({ error: 'Built-in cohorts cannot be deleted' });
+  }
+  if (!(await store.deleteCohort(req.params.id))) {
+    return res.status(404).json({ error: 'Cohort not found' });
+  }
+  res.json({ success: true });
+}));
+
+// ONE FUNCTION: Retention matrix for a cohort (users anchored in from..to)
+app.get('/api/v1/cohorts/:id/retention', asyncHandler(async (req, res) => {
+  const { tenantId = 'default', returnEvent } = req.query;
+  const definition = await findCohort(req.params.id);
+
+  if (!definition) {
+    return res.status(404).json({ error: 'Cohort not found' });
+  }
+
+  const users = await store.cohortUsers(String(tenantId));
+  const matrix = retentionMatrix(users, definition, {
+    days: parseInt(req.query.days as string) || 7,
+    returnEvent: returnEvent ? String(returnEvent) : undefined,
+    from: parseTime(req.query.from),
+    to: parseTime(req.query.to)
+  });
 
-// ONE FUNCTION: Get real-time metrics
-app.get('/api/v1/metrics/:metric', (req, res) => {
+  res.json({ tenantId, ...matrix });
+}));
+
+// ONE FUNCTION: Most common next events after an event
+app.get('/api/v1/paths/next', asyncHandler(async (req, res) => {
+  const { tenantId = 'default', event } = req.query;
+
+  if (!event) {
+    return res.status(400).json({ error: 'event is required' });
+  }
+
+  const events = await store.tenantEvents(String(tenantId), parseTime(req.query.from), parseTime(req.query.to));
+  res.json({ tenantId, ...nextEvents(events, String(event), pathOptions(req.query)) });
+}));
+
+// ONE FUNCTION: Most common sequences leading to a conversion event
+app.get('/api/v1/paths/to', asyncHandler(async (req, res) => {
+  const { tenantId = 'default', event } = req.query;
+
+  if (!event) {
+    return res.status(400).json({ error: 'event is required' });
+  }
+
+  const events = await store.tenantEvents(String(tenantId), parseTime(req.query.from), parseTime(req.query.to));
+  res.json({ tenantId, ...pathsTo(events, String(event), pathOptions(req.query)) });
+}));
+
+// ONE FUNCTION: Get real-time metrics (from rollups)
+app.get('/api/v1/metrics/:metric', asyncHandler(async (req, res) => {
   const { metric } = req.params;
-  const { tenantId = 'default' } = req.query;
+  const { tenantId = 'default', event } = req.query;
+  const granularity = METRICS[metric];
 
-  const key = `${tenantId}:${metric}`;
-  const metricData = metrics.get(key) || [];
+  if (!granularity) {
+    return res.status(404).json({
+      error: `Unknown metric: ${metric}`,
+      available: Object.keys(METRICS)
+    });
+  }
+
+  // The last `limit` buckets up to now, empty buckets included
+  const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 100, 1), 1000);
+  const size = GRANULARITY_MS[granularity];
+  const current = bucketStart(Date.now(), granularity);
+  const from = current - (limit - 1) * size;
+
+  const points = await store.series(String(tenantId), granularity, from, current + size - 1, event as string | undefined);
+  const counts = new Map(points.map(point => [Date.parse(point.bucket), point.count]));
+
+  const dataPoints = [];
+  for (let start = from; start <= current; start += size) {
+    dataPoints.push({
+      name: metric,
+      value: counts.get(start) || 0,
+      tags: { tenantId: String(tenantId), ...(event && { event: String(event) }) },
+      timestamp: new Date(start).toISOString()
+    });
+  }
 
   res.json({
     metric,
     tenantId,
-    dataPoints: metricData.slice(-100), // Last 100 data points
-    current: metricData[metricData.length - 1]?.value || 0
+    dataPoints,
+    current: dataPoints[dataPoints.length - 1].value
   });
-});
+}));
 
-// Helper: Update real-time metrics
-function updateMetrics(event: Event) {
-  // Update events per minute
-  const epmKey = `${event.tenantId}:events_per_minute`;
-  if (!metrics.has(epmKey)) {
-    metrics.set(epmKey, []);
+// ONE FUNCTION: List archived days
+app.get('/api/v1/archive', requireApiKey, asyncHandler(async (req, res) => {
+  res.json({ days: await store.listArchive() });
+}));
+
+// ONE FUNCTION: Read one tenant's archived raw events for one day
+app.get('/api/v1/archive/:date', requireApiKey, asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  const tenantId = req.query.tenantId as string | undefined;
+  const limit = Math.min(parseInt(req.query.limit as string) || 1000, 10000);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+  }
+  if (!tenantId) {
+    return res.status(400).json({ error: 'tenantId required' });
+  }
+  if (!keyAllows(res, tenantId)) {
+    return res.status(403).json({ error: 'Key is not valid for this tenant' });
   }
 
-  const now = new Date();
-  const currentMinute = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes());
+  const events = await store.readArchive(date, { tenantId, limit });
+  res.json({ date, tenantId, events, count: events.length });
+}));
 
-  const epmMetrics = metrics.get(epmKey)!;
-  const lastMetric = epmMetrics[epmMetrics.length - 1];
+// ONE FUNCTION: Answer errors the routes didn't handle
+app.use((error: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (res.headersSent) return next(error);
 
-  if (lastMetric && lastMetric.timestamp.getTime() === currentMinute.getTime()) {
-    lastMetric.value++;
-  } else {
-    epmMetrics.push({
-      name: 'events_per_minute',
-      value: 1,
-      tags: { tenantId: event.tenantId },
-      timestamp: currentMinute
-    });
+  // Errors raised by Express itself (e.g. malformed JSON) carry their own 4xx status
+  const status = Number(error?.status || error?.statusCode);
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: error.message });
   }
 
-  // Keep only last hour of metrics
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  metrics.forEach((metricList, key) => {
-    metrics.set(key, metricList.filter(m => m.timestamp > oneHourAgo));
-  });
+  console.error(`${req.method} ${req.path} failed:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Helper: Apply retention (prune rollups, archive raw events, expire archive days)
+async function runRetention() {
+  try {
+    const { rollupsPruned, eventsArchived, archiveDaysExpired } = await store.applyRetention();
+    if (rollupsPruned || eventsArchived || archiveDaysExpired) {
+      console.log(`Retention: pruned ${rollupsPruned} rollup buckets, archived ${eventsArchived} events, ` +
+        `expired ${archiveDaysExpired} archive days`);
+    }
+  } catch (error) {
+    console.error('Retention failed:', error);
+  }
+}
+
+// Helper: Minimise events stored before ingestion did (raw user ids, full IPs
+// and user agents, unscrubbed properties); runs once per store
+async function minimizeStoredEvents() {
+  try {
+    const changed = await store.migrate(MINIMIZE_MIGRATION, event => minimizeEvent(event, pseudonymSecret));
+    if (changed !== null) {
+      console.log(`Privacy: minimised ${changed} stored events`);
+    }
+  } catch (error) {
+    console.error('Privacy migration failed:', error);
+  }
 }
 
 // Start server
+minimizeStoredEvents().then(runRetention);
+setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
+
 app.listen(PORT, () => {
   console.log(`
 ╔══════════════════════════════════════════════════════════╗
@@ -354,7 +620,15 @@ app.listen(PORT, () => {
 ║   GET  /api/v1/stats/:tenant - Get statistics           ║
 ║   POST /api/v1/funnel        - Funnel analysis          ║
 ║   GET  /api/v1/journey/:user - User journey             ║
+║   GET  /api/v1/users/:user/export - Data export (key)   ║
+║   DELETE /api/v1/users/:user - Erase user data (key)    ║
 ║   GET  /api/v1/metrics/:name - Real-time metrics        ║
+║   GET  /api/v1/cohorts       - Cohort definitions       ║
+║   GET  /api/v1/cohorts/:id/retention - Retention matrix ║
+║   GET  /api/v1/paths/next    - Next events after X      ║
+║   GET  /api/v1/paths/to      - Paths to a conversion    ║
+║   GET  /api/v1/archive       - Archived days            ║
+║   GET  /api/v1/archive/:date - Archived raw events      ║
 ╚══════════════════════════════════════════════════════════╝
   `);
 });
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Paths
+ * Single Purpose: Find what users do next, and what they did before converting
+ *
+ * ONE THING: Count event sequences within sessions
+ *
+ * Sessions are read in time order. By default consecutive repeats of the same
+ * event are collapsed (page_view, page_view, rsvp -> page_view, rsvp) so that
+ * refreshes and double clicks don't crowd out real paths.
+ */
+
+import type { AnalyticsEvent } from './store';
+
+export const MAX_PATH_STEPS = 5;
+
+export interface PathCount {
+  path: string[];
+  label: string; // "a → b → c", ready to print
+  count: number;
+  share: number; // Percent of all counted paths, one decimal
+}
+
+export interface NextEventsResult {
+  event: string;
+  steps: number;
+  occurrences: number; // Times the event happened
+  exits: number; // ...with nothing after it in the session
+  paths: PathCount[];
+}
+
+export interface PathsToResult {
+  event: string;
+  steps: number;
+  sessions: number; // Sessions looked at
+  conversions: number; // Sessions that reached the event
+  conversionRate: number;
+  direct: number; // Conversions with nothing before them in the session
+  paths: PathCount[];
+}
+
+export interface PathOptions {
+  steps: number;
+  limit: number;
+  collapse: boolean;
+}
+
+// ONE FUNCTION: Most common sequences that follow an event
+export function nextEvents(events: AnalyticsEvent[], event: string, options: PathOptions): NextEventsResult {
+  const steps = clampSteps(options.steps);
+  const counts = new Map<string, number>();
+  let occurrences = 0;
+  let exits = 0;
+
+  sessionSequences(events, options.collapse).forEach(sequence => {
+    sequence.forEach((name, index) => {
+      if (name !== event) return;
+      occurrences++;
+
+      const after = sequence.slice(index + 1, index + 1 + steps);
+      if (after.length === 0) {
+        exits++;
+        return;
+      }
+      const key = JSON.stringify(after);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  return { event, steps, occurrences, exits, paths: topPaths(counts, options.limit) };
+}
+
+// ONE FUNCTION: Most common sequences leading to a conversion event
+export function pathsTo(events: AnalyticsEvent[], event: string, options: PathOptions): PathsToResult {
+  const steps = clampSteps(options.steps);
+  const counts = new Map<string, number>();
+  const sequences = sessionSequences(events, options.collapse);
+  let conversions = 0;
+  let direct = 0;
+
+  sequences.forEach(sequence => {
+    const index = sequence.indexOf(event); // First conversion in the session
+    if (index === -1) return;
+    conversions++;
+
+    const before = sequence.slice(Math.max(0, index - steps), index);
+    if (before.length === 0) {
+      direct++;
+      return;
+    }
+    const key = JSON.stringify(before);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return {
+    event,
+    steps,
+    sessions: sequences.length,
+    conversions,
+    conversionRate: sequences.length > 0 ? Math.round((conversions / sequences.length) * 1000) / 10 : 0,
+    direct,
+    paths: topPaths(counts, options.limit)
+  };
+}
+
+// Helper: Event names per session, in time order
+function sessionSequences(events: AnalyticsEvent[], collapse: boolean): string[][] {
+  const sessions = new Map<string, AnalyticsEvent[]>();
+  events.forEach(e => {
+    if (!sessions.has(e.sessionId)) sessions.set(e.sessionId, []);
+    sessions.get(e.sessionId)!.push(e);
+  });
+
+  return Array.from(sessions.values()).map(sessionEvents => {
+    const names = sessionEvents
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+      .map(e => e.event);
+    return collapse ? names.filter((name, i) => i === 0 || name !== names[i - 1]) : names;
+  });
+}
+
+function topPaths(counts: Map<string, number>, limit: number): PathCount[] {
+  let total = 0;
+  counts.forEach(count => { total += count; });
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => {
+      const path = JSON.parse(key) as string[];
+      return { path, label: path.join(' → '), count, share: Math.round((count / total) * 1000) / 10 };
+    });
+}
+
+function clampSteps(steps: number): number {
+  return Math.min(Math.max(Math.floor(steps) || 1, 1), MAX_PATH_STEPS);
+}
@@ -0,0 +1,194 @@
+/**
+ * Privacy
+ * Single Purpose: Decide what of a tracking request may be stored
+ *
+ * ONE THING: Consent checks and identifier minimisation at ingestion
+ *
+ * Nothing is stored without consent. The client states it per request in the
+ * X-Analytics-Consent header ("granted" / "denied"), or per event as
+ * `consent` in the body; a Do Not Track or Global Privacy Control signal
+ * counts as denied. With consent, identifiers are reduced before they reach
+ * the store:
+ *   userId     - keyed HMAC-SHA256 pseudonym; the same user always maps to the
+ *                same pseudonym, so journeys, cohorts and erasure still work
+ *   ip         - IPv4 truncated to /24, IPv6 to /48
+ *   userAgent  - browser family and OS only
+ *   referrer   - origin and path; query strings and fragments often carry
+ *                tokens or email addresses
+ *   properties - identifying keys (email, phone, tokens, ...) dropped; email
+ *                addresses and URL query strings removed from the values
+ *
+ * Events stored before minimisation existed are rewritten with
+ * minimizeEvent(), which leaves already-minimised events unchanged.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import type { AnalyticsEvent } from './store';
+
+export type ConsentState = 'granted' | 'denied' | 'unknown';
+
+const CONSENT_HEADER = 'x-analytics-consent';
+const PSEUDONYM_PREFIX = 'u_';
+const PSEUDONYM_PATTERN = /^u_[0-9a-f]{32}$/;
+const COARSE_USER_AGENT = /^\w+ on \w+$/;
+// Property keys that name a person, a way to reach them or a credential
+const SENSITIVE_KEY = /e-?mail|phone|mobile|password|passwd|secret|token|api[-_]?key|authorization|cookie|ssn|address|(first|last|full)[-_]?name|^ip$|user[-_]?agent|user[-_]?id|^uid$/i;
+const EMAIL = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const MAX_PROPERTY_DEPTH = 5;
+
+// ONE FUNCTION: Consent for one event, from its body field or the request headers
+export function consentFor(headers: Record<string, any>, bodyConsent?: unknown): ConsentState {
+  if (headers['dnt'] === '1' || headers['sec-gpc'] === '1') return 'denied';
+
+  const stated = String(bodyConsent ?? headers[CONSENT_HEADER] ?? '').toLowerCase();
+  if (stated === 'granted') return 'granted';
+  if (stated === 'denied') return 'denied';
+  return 'unknown';
+}
+
+// ONE FUNCTION: Stable pseudonym for a user id
+export function pseudonymize(userId: string, secret: string): string {
+  return PSEUDONYM_PREFIX + crypto.createHmac('sha256', secret).update(userId).digest('hex').substring(0, 32);
+}
+
+// ONE FUNCTION: Is this id already a pseudonym?
+export function isPseudonym(userId: string): boolean {
+  return PSEUDONYM_PATTERN.test(userId);
+}
+
+// ONE FUNCTION: Drop the host part of an IP address
+export function truncateIp(ip?: string): string | undefined {
+  if (!ip) return undefined;
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const address = mapped ? mapped[1] : ip;
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (address.includes(':')) {
+    const groups = expandIpv6(address);
+    return groups ? `${groups.slice(0, 3).join(':')}::` : undefined;
+  }
+  return undefined;
+}
+
+// ONE FUNCTION: Reduce a user agent to "Browser on OS"
+export function coarseUserAgent(userAgent?: string): string | undefined {
+  if (!userAgent) return undefined;
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\/|Opera/.test(userAgent) ? 'Opera' :
+    /Firefox\/|FxiOS/.test(userAgent) ? 'Firefox' :
+    /Chrome\/|CriOS/.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    'Other';
+  const os =
+    /Android/.test(userAgent) ? 'Android' :
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X|Macintosh/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    'Other';
+
+  return `${browser} on ${os}`;
+}
+
+// ONE FUNCTION: Keep only origin and path of a referrer
+export function stripReferrer(referrer?: string): string | undefined {
+  if (!referrer) return undefined;
+  try {
+    const url = new URL(referrer);
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return undefined;
+  }
+}
+
+// ONE FUNCTION: Strip identifiers from free-form event properties
+export function scrubProperties(properties: Record<string, any>): Record<string, any> {
+  return scrubValue(properties, 0) || {};
+}
+
+// ONE FUNCTION: Minimise every identifier of a stored event
+// Idempotent, so it is safe on events that were minimised at ingestion
+export function minimizeEvent(event: AnalyticsEvent, secret: string): AnalyticsEvent {
+  const { userId, userAgent, ip, referrer, ...rest } = event;
+  const minimized: AnalyticsEvent = { ...rest, properties: scrubProperties(event.properties || {}) };
+
+  if (userId) minimized.userId = isPseudonym(userId) ? userId : pseudonymize(userId, secret);
+  const agent = userAgent && COARSE_USER_AGENT.test(userAgent) ? userAgent : coarseUserAgent(userAgent);
+  if (agent) minimized.userAgent = agent;
+  const address = truncateIp(ip);
+  if (address) minimized.ip = address;
+  const origin = stripReferrer(referrer);
+  if (origin) minimized.referrer = origin;
+
+  return minimized;
+}
+
+// ONE FUNCTION: Load the pseudonym key
+// ANALYTICS_PSEUDONYM_SECRET wins; otherwise a random key is created once in
+// the data directory so pseudonyms survive restarts. Without a data directory
+// (memory store) the key lives only as long as the process.
+export function loadPseudonymSecret(dataDir?: string): string {
+  if (process.env.ANALYTICS_PSEUDONYM_SECRET) {
+    return process.env.ANALYTICS_PSEUDONYM_SECRET;
+  }
+  if (!dataDir) {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  const keyPath = path.join(dataDir, 'pseudonym.key');
+  if (fs.existsSync(keyPath)) {
+    return fs.readFileSync(keyPath, 'utf8').trim();
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(keyPath, secret, { mode: 0o600 });
+  return secret;
+}
+
+// Helper: Eight 16-bit groups of an IPv6 address, or null when malformed
+function expandIpv6(address: string): string[] | null {
+  const [head, tail, ...rest] = address.split('::');
+  if (rest.length > 0) return null;
+
+  const left = head ? head.split(':') : [];
+  const right = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = 8 - left.length - right.length;
+  if (missing < 0 || (tail === undefined && missing !== 0)) return null;
+
+  const groups = [...left, ...new Array(missing).fill('0'), ...right];
+  return groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))
+    ? groups.map(group => group.toLowerCase().replace(/^0+(?=.)/, ''))
+    : null;
+}
+
+// Helper: Scrub one property value; identifying keys are dropped, nesting
+// beyond MAX_PROPERTY_DEPTH is cut off
+function scrubValue(value: any, depth: number): any {
+  if (typeof value === 'string') return scrubString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_PROPERTY_DEPTH) return undefined;
+
+  if (Array.isArray(value)) return value.map(item => scrubValue(item, depth + 1));
+
+  const scrubbed: Record<string, any> = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (SENSITIVE_KEY.test(key)) return;
+    const clean = scrubValue(item, depth + 1);
+    if (clean !== undefined) scrubbed[key] = clean;
+  });
+  return scrubbed;
+}
+
+// Helper: Email addresses out, and URLs without their query or fragment
+function scrubString(value: string): string {
+  const withoutEmails = value.replace(EMAIL, '[email]');
+  return /^https?:\/\//i.test(withoutEmails) ? stripReferrer(withoutEmails) ?? withoutEmails : withoutEmails;
+}
@@ -0,0 +1,302 @@
+/**
+ * Rollups
+ * Single Purpose: Pre-aggregated event counts per tenant, event name and time bucket
+ *
+ * ONE THING: Answer "how many, when" without touching raw events
+ *
+ * Every tracked event increments one minute, one hour and one day bucket for
+ * its tenant and event name, and adds its user and session to the hour and day
+ * distinct-count sketches. A range query is planned as the fewest buckets that
+ * cover it: whole days, then whole hours, then minutes at the edges. Where the
+ * fine buckets have aged out under retention, the enclosing coarser bucket is
+ * used instead, so old ranges are answered at hour or day resolution.
+ */
+
+import { HyperLogLog } from './hyperloglog';
+
+export type Granularity = 'minute' | 'hour' | 'day';
+
+export const GRANULARITIES: Granularity[] = ['minute', 'hour', 'day'];
+
+export const GRANULARITY_MS: Record<Granularity, number> = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// How long each granularity is kept, in ms
+export type RetentionPolicy = Record<Granularity, number>;
+
+export interface RollupRecord {
+  granularity: Granularity;
+  tenantId: string;
+  bucket: string; // ISO start of the bucket (UTC)
+  counts: Record<string, number>; // Event name -> count
+}
+
+export interface UniqueRecord {
+  granularity: 'hour' | 'day';
+  tenantId: string;
+  bucket: string;
+  users: string; // Serialized HyperLogLog
+  sessions: string;
+}
+
+export interface RollupSnapshot {
+  rollups: RollupRecord[];
+  uniques: UniqueRecord[];
+}
+
+export interface SeriesPoint {
+  bucket: string;
+  count: number;
+}
+
+interface Sketches {
+  users: HyperLogLog;
+  sessions: HyperLogLog;
+}
+
+type Segment = { granularity: Granularity; start: number };
+
+// ONE FUNCTION: Start of the UTC bucket holding a timestamp
+export function bucketStart(time: number, granularity: Granularity): number {
+  const size = GRANULARITY_MS[granularity];
+  return Math.floor(time / size) * size;
+}
+
+// ONE FUNCTION: In-memory rollup tables
+export class RollupIndex {
+  // `${tenantId}|${granularity}` -> bucket start -> event name -> count
+  private counts = new Map<string, Map<number, Map<string, number>>>();
+  // `${tenantId}|${granularity}` -> bucket start -> sketches (hour and day only)
+  private uniques = new Map<string, Map<number, Sketches>>();
+
+  record(event: { tenantId: string; event: string; userId?: string; sessionId: string; timestamp: string }): void {
+    const time = Date.parse(event.timestamp);
+
+    GRANULARITIES.forEach(granularity => {
+      const buckets = this.table(this.counts, event.tenantId, granularity);
+      const start = bucketStart(time, granularity);
+      let bucket = buckets.get(start);
+      if (!bucket) {
+        bucket = new Map();
+        buckets.set(start, bucket);
+      }
+      bucket.set(event.event, (bucket.get(event.event) || 0) + 1);
+
+      if (granularity === 'minute') return;
+
+      const sketchTable = this.table(this.uniques, event.tenantId, granularity);
+      let sketches = sketchTable.get(start);
+      if (!sketches) {
+        sketches = { users: new HyperLogLog(), sessions: new HyperLogLog() };
+        sketchTable.set(start, sketches);
+      }
+      if (event.userId) sketches.users.add(event.userId);
+      sketches.sessions.add(event.sessionId);
+    });
+  }
+
+  // Undo record() for an erased event. Counts are decremented where the bucket
+  // is still kept; distinct-count sketches cannot remove a member, but only
+  // ever held hashed registers, so nothing identifying is left behind.
+  forget(event: { tenantId: string; event: string; timestamp: string }): void {
+    const time = Date.parse(event.timestamp);
+
+    GRANULARITIES.forEach(granularity => {
+      const buckets = this.counts.get(`${event.tenantId}|${granularity}`);
+      const start = bucketStart(time, granularity);
+      const bucket = buckets?.get(start);
+      const count = bucket?.get(event.event);
+      if (!buckets || !bucket || !count) return;
+
+      if (count > 1) bucket.set(event.event, count - 1);
+      else bucket.delete(event.event);
+      if (bucket.size === 0) buckets.delete(start);
+    });
+  }
+
+  // Event name -> count over [from, to]
+  countsByEvent(tenantId: string, from: number, to: number, floors: Record<Granularity, number>): Record<string, number> {
+    const totals: Record<string, number> = {};
+
+    this.plan(from, to, floors).forEach(({ granularity, start }) => {
+      const bucket = this.counts.get(`${tenantId}|${granularity}`)?.get(start);
+      bucket?.forEach((count, name) => {
+        totals[name] = (totals[name] || 0) + count;
+      });
+    });
+
+    return totals;
+  }
+
+  // Distinct users and sessions over [from, to], at hour resolution
+  distinct(tenantId: string, from: number, to: number, floors: Record<Granularity, number>): { users: number; sessions: number } {
+    const users = new HyperLogLog();
+    const sessions = new HyperLogLog();
+    const seen = new Set<string>();
+
+    // No minute sketches: widen minute segments to their hour
+    this.plan(from, to, { ...floors, minute: Infinity }).forEach(({ granularity, start }) => {
+      const key = `${granularity}:${start}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const sketches = this.uniques.get(`${tenantId}|${granularity}`)?.get(start);
+      if (sketches) {
+        users.merge(sketches.users);
+        sessions.merge(sketches.sessions);
+      }
+    });
+
+    return { users: users.count(), sessions: sessions.count() };
+  }
+
+  // Non-empty buckets of one granularity in [from, to], oldest first
+  series(tenantId: string, granularity: Granularity, from: number, to: number, event?: string): SeriesPoint[] {
+    const buckets = this.counts.get(`${tenantId}|${granularity}`);
+    if (!buckets) return [];
+
+    const first = bucketStart(from, granularity);
+    const points: SeriesPoint[] = [];
+    buckets.forEach((bucket, start) => {
+      if (start < first || start > to) return;
+      const count = event ? bucket.get(event) || 0 : sumOf(bucket);
+      if (count > 0) points.push({ bucket: new Date(start).toISOString(), count });
+    });
+
+    return points.sort((a, b) => a.bucket.localeCompare(b.bucket));
+  }
+
+  // Earliest and latest bucket seen for a tenant
+  span(tenantId: string): { first: number; last: number } | null {
+    const days = this.counts.get(`${tenantId}|day`);
+    const minutes = this.counts.get(`${tenantId}|minute`);
+    if (!days || days.size === 0) return null;
+
+    const dayStarts = Array.from(days.keys());
+    const last = minutes && minutes.size > 0
+      ? Math.max(...minutes.keys()) + GRANULARITY_MS.minute - 1
+      : Math.max(...dayStarts) + GRANULARITY_MS.day - 1;
+    return { first: Math.min(...dayStarts), last };
+  }
+
+  tenants(): string[] {
+    return Array.from(new Set(Array.from(this.counts.keys()).map(key => key.split('|')[0])));
+  }
+
+  // Drop buckets older than the policy allows; returns how many were dropped
+  prune(retention: RetentionPolicy, now: number = Date.now()): number {
+    let dropped = 0;
+
+    [this.counts, this.uniques].forEach((tables: Map<string, Map<number, unknown>>) => {
+      tables.forEach((buckets, key) => {
+        const granularity = key.split('|')[1] as Granularity;
+        const cutoff = now - retention[granularity];
+        buckets.forEach((_bucket, start) => {
+          if (start + GRANULARITY_MS[granularity] <= cutoff) {
+            buckets.delete(start);
+            if (tables === this.counts) dropped++;
+          }
+        });
+        if (buckets.size === 0) tables.delete(key);
+      });
+    });
+
+    return dropped;
+  }
+
+  bucketCount(): number {
+    let total = 0;
+    this.counts.forEach(buckets => { total += buckets.size; });
+    return total;
+  }
+
+  toJSON(): RollupSnapshot {
+    const rollups: RollupRecord[] = [];
+    this.counts.forEach((buckets, key) => {
+      const [tenantId, granularity] = key.split('|') as [string, Granularity];
+      buckets.forEach((bucket, start) => {
+        rollups.push({ granularity, tenantId, bucket: new Date(start).toISOString(), counts: Object.fromEntries(bucket) });
+      });
+    });
+
+    const uniques: UniqueRecord[] = [];
+    this.uniques.forEach((buckets, key) => {
+      const [tenantId, granularity] = key.split('|') as [string, 'hour' | 'day'];
+      buckets.forEach((sketches, start) => {
+        uniques.push({
+          granularity,
+          tenantId,
+          bucket: new Date(start).toISOString(),
+          users: sketches.users.toString(),
+          sessions: sketches.sessions.toString()
+        });
+      });
+    });
+
+    return { rollups, uniques };
+  }
+
+  static fromJSON(snapshot: RollupSnapshot): RollupIndex {
+    const index = new RollupIndex();
+
+    (snapshot.rollups || []).forEach(record => {
+      index.table(index.counts, record.tenantId, record.granularity)
+        .set(Date.parse(record.bucket), new Map(Object.entries(record.counts)));
+    });
+
+    (snapshot.uniques || []).forEach(record => {
+      index.table(index.uniques, record.tenantId, record.granularity).set(Date.parse(record.bucket), {
+        users: HyperLogLog.fromString(record.users),
+        sessions: HyperLogLog.fromString(record.sessions)
+      });
+    });
+
+    return index;
+  }
+
+  private table<T>(tables: Map<string, Map<number, T>>, tenantId: string, granularity: Granularity): Map<number, T> {
+    const key = `${tenantId}|${granularity}`;
+    let table = tables.get(key);
+    if (!table) {
+      table = new Map();
+      tables.set(key, table);
+    }
+    return table;
+  }
+
+  // Fewest buckets covering [from, to]. floors[g] is the oldest time g still has data for.
+  private plan(from: number, to: number, floors: Record<Granularity, number>): Segment[] {
+    const segments: Segment[] = [];
+    const end = bucketStart(to, 'minute') + GRANULARITY_MS.minute;
+    let time = bucketStart(from, 'minute');
+
+    while (time < end) {
+      // Largest aligned bucket that fits inside the range
+      let level = GRANULARITIES.length - 1;
+      while (level > 0) {
+        const size = GRANULARITY_MS[GRANULARITIES[level]];
+        if (time % size === 0 && time + size <= end) break;
+        level--;
+      }
+
+      // Aged out at that resolution: use the enclosing coarser bucket
+      while (level < GRANULARITIES.length - 1 && time < floors[GRANULARITIES[level]]) level++;
+
+      const granularity = GRANULARITIES[level];
+      const start = bucketStart(time, granularity);
+      segments.push({ granularity, start });
+      time = start + GRANULARITY_MS[granularity];
+    }
+
+    return segments;
+  }
+}
+
+function sumOf(bucket: Map<string, number>): number {
+  let total = 0;
+  bucket.forEach(count => { total += count; });
+  return total;
+}
@@ -0,0 +1,611 @@
+/**
+ * Analytics Store
+ * Single Purpose: Persist tracked events, their rollups and cohort definitions
+ *
+ * ONE THING: Durable analytics state behind one interface
+ *
+ * Raw events stay "hot" (indexed by tenant and user, for funnels and journeys)
+ * for the raw retention window, then move to the archive, which keeps each day
+ * for the archive retention window. Rollups outlive them under their own
+ * per-granularity retention, and answer stats and metrics; per-user activity
+ * (activity.ts) is kept for the archive window and answers cohort retention.
+ *
+ * Backends:
+ *   memory - everything in process memory; archived events are dropped
+ *   file   - memory plus an append-only journal, periodic snapshot (written
+ *            in the background) and a daily gzip archive on disk, so a
+ *            restart loses nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ActivityIndex, UserActivity } from './activity';
+import { ArchiveFile, EventArchive } from './archive';
+import type { CohortDefinition } from './cohorts';
+import { Granularity, GRANULARITIES, RetentionPolicy, RollupIndex, SeriesPoint } from './rollups';
+
+// Types
+export interface AnalyticsEvent {
+  id: string;
+  tenantId: string;
+  userId?: string;
+  sessionId: string;
+  event: string;
+  properties: Record<string, any>;
+  timestamp: string; // ISO
+  userAgent?: string;
+  ip?: string;
+  referrer?: string;
+}
+
+export interface Retention extends RetentionPolicy {
+  raw: number; // How long raw events stay hot before archiving, in ms
+  archive: number; // How long archived events are kept, in ms
+}
+
+export interface RetentionResult {
+  rollupsPruned: number;
+  eventsArchived: number;
+  archiveDaysExpired: number;
+}
+
+export interface ErasureResult {
+  hotEvents: number;
+  archivedEvents: number;
+  activityRecords: number;
+}
+
+// Rewrites a stored event, e.g. to apply a privacy rule to existing data
+export type EventRewrite = (event: AnalyticsEvent) => AnalyticsEvent;
+
+export interface StoreStats {
+  tracked: number; // Every event ever tracked, including archived ones
+  hotEvents: number;
+  rollupBuckets: number;
+  tenants: number;
+}
+
+export interface AnalyticsStore {
+  append(event: AnalyticsEvent): Promise<void>;
+  tenantEvents(tenantId: string, from?: number, to?: number): Promise<AnalyticsEvent[]>;
+  userEvents(userId: string): Promise<AnalyticsEvent[]>;
+
+  countsByEvent(tenantId: string, from: number, to: number): Promise<Record<string, number>>;
+  distinct(tenantId: string, from: number, to: number): Promise<{ users: number; sessions: number }>;
+  series(tenantId: string, granularity: Granularity, from: number, to: number, event?: string): Promise<SeriesPoint[]>;
+  span(tenantId: string): Promise<{ first: number; last: number } | null>;
+  cohortUsers(tenantId: string): Promise<UserActivity[]>;
+
+  applyRetention(now?: number): Promise<RetentionResult>;
+  listArchive(): Promise<ArchiveFile[]>;
+  readArchive(date: string, filter?: { tenantId?: string; limit?: number }): Promise<AnalyticsEvent[]>;
+  stats(): Promise<StoreStats>;
+
+  saveCohort(definition: CohortDefinition): Promise<void>;
+  listCohorts(): Promise<CohortDefinition[]>;
+  deleteCohort(id: string): Promise<boolean>;
+
+  // Every event and activity record stored under any of the ids (a user's raw id and pseudonym)
+  exportUser(userIds: string[]): Promise<AnalyticsEvent[]>;
+  userActivity(userIds: string[]): Promise<UserActivity[]>;
+  eraseUser(userIds: string[]): Promise<ErasureResult>;
+
+  // Rewrite every stored event, hot and archived, once per migration name;
+  // resolves to how many events changed, or null when it already ran
+  migrate(name: string, rewrite: EventRewrite): Promise<number | null>;
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_RETENTION: Retention = {
+  minute: 48 * HOUR,
+  hour: 35 * DAY,
+  day: 400 * DAY,
+  raw: 7 * DAY,
+  archive: 365 * DAY
+};
+
+// ONE FUNCTION: In-memory backend
+export class MemoryStore implements AnalyticsStore {
+  protected byTenant = new Map<string, AnalyticsEvent[]>();
+  protected byUser = new Map<string, AnalyticsEvent[]>();
+  protected rollups = new RollupIndex();
+  protected activity = new ActivityIndex();
+  protected cohorts = new Map<string, CohortDefinition>();
+  protected migrations = new Set<string>();
+  protected tracked = 0;
+
+  constructor(protected retention: Retention = DEFAULT_RETENTION) {}
+
+  async append(event: AnalyticsEvent): Promise<void> {
+    this.index(event);
+  }
+
+  async tenantEvents(tenantId: string, from?: number, to?: number): Promise<AnalyticsEvent[]> {
+    const events = this.byTenant.get(tenantId) || [];
+    if (from === undefined && to === undefined) return events.slice();
+
+    return events.filter(e => {
+      const time = Date.parse(e.timestamp);
+      return (from === undefined || time >= from) && (to === undefined || time <= to);
+    });
+  }
+
+  async userEvents(userId: string): Promise<AnalyticsEvent[]> {
+    return (this.byUser.get(userId) || []).slice();
+  }
+
+  async countsByEvent(tenantId: string, from: number, to: number): Promise<Record<string, number>> {
+    return this.rollups.countsByEvent(tenantId, from, to, this.floors());
+  }
+
+  async distinct(tenantId: string, from: number, to: number): Promise<{ users: number; sessions: number }> {
+    return this.rollups.distinct(tenantId, from, to, this.floors());
+  }
+
+  async series(tenantId: string, granularity: Granularity, from: number, to: number, event?: string) {
+    return this.rollups.series(tenantId, granularity, from, to, event);
+  }
+
+  async span(tenantId: string) {
+    return this.rollups.span(tenantId);
+  }
+
+  async cohortUsers(tenantId: string): Promise<UserActivity[]> {
+    return this.activity.forTenant(tenantId);
+  }
+
+  async applyRetention(now: number = Date.now()): Promise<RetentionResult> {
+    const rollupsPruned = this.rollups.prune(this.retention, now);
+    this.activity.prune(now - this.retention.archive);
+    const before = now - this.retention.raw;
+    const expired = this.takeExpired(before);
+
+    if (expired.length > 0) {
+      this.archiveEvents(expired, before);
+    }
+
+    return { rollupsPruned, eventsArchived: expired.length, archiveDaysExpired: 0 };
+  }
+
+  async listArchive(): Promise<ArchiveFile[]> {
+    return [];
+  }
+
+  async readArchive(_date: string, _filter?: { tenantId?: string; limit?: number }): Promise<AnalyticsEvent[]> {
+    return [];
+  }
+
+  async stats(): Promise<StoreStats> {
+    let hotEvents = 0;
+    this.byTenant.forEach(events => { hotEvents += events.length; });
+
+    return {
+      tracked: this.tracked,
+      hotEvents,
+      rollupBuckets: this.rollups.bucketCount(),
+      tenants: this.rollups.tenants().length
+    };
+  }
+
+  async saveCohort(definition: CohortDefinition): Promise<void> {
+    this.cohorts.set(definition.id, { ...definition });
+  }
+
+  async listCohorts(): Promise<CohortDefinition[]> {
+    return Array.from(this.cohorts.values()).map(c => ({ ...c }));
+  }
+
+  async deleteCohort(id: string): Promise<boolean> {
+    return this.cohorts.delete(id);
+  }
+
+  // Hot events only; the memory backend keeps no archive
+  async exportUser(userIds: string[]): Promise<AnalyticsEvent[]> {
+    return userIds.flatMap(userId => this.byUser.get(userId) || []);
+  }
+
+  async userActivity(userIds: string[]): Promise<UserActivity[]> {
+    return this.activity.forUsers(userIds);
+  }
+
+  async eraseUser(userIds: string[]): Promise<ErasureResult> {
+    const activityRecords = this.activity.forget(userIds);
+    const erased = userIds.flatMap(userId => this.byUser.get(userId) || []);
+    if (erased.length === 0) return { hotEvents: 0, archivedEvents: 0, activityRecords };
+
+    const ids = new Set(erased.map(e => e.id));
+    const tenants = new Set(erased.map(e => e.tenantId));
+    tenants.forEach(tenantId => {
+      const keep = (this.byTenant.get(tenantId) || []).filter(e => !ids.has(e.id));
+      if (keep.length > 0) this.byTenant.set(tenantId, keep);
+      else this.byTenant.delete(tenantId);
+    });
+    userIds.forEach(userId => this.byUser.delete(userId));
+    erased.forEach(e => this.rollups.forget(e));
+
+    return { hotEvents: erased.length, archivedEvents: 0, activityRecords };
+  }
+
+  async migrate(name: string, rewrite: EventRewrite): Promise<number | null> {
+    if (this.migrations.has(name)) return null;
+
+    const events: AnalyticsEvent[] = [];
+    this.byTenant.forEach(tenantEvents => events.push(...tenantEvents));
+    this.byTenant.clear();
+    this.byUser.clear();
+    // Activity is keyed by user, so it is rebuilt from the rewritten events
+    this.activity = new ActivityIndex();
+
+    let changed = 0;
+    events.forEach(event => {
+      const rewritten = rewrite(event);
+      if (JSON.stringify(rewritten) !== JSON.stringify(event)) changed++;
+      this.index(rewritten, false); // Rollups count events, not identifiers
+      this.activity.record(rewritten);
+    });
+
+    this.migrations.add(name);
+    return changed;
+  }
+
+  // Memory backend has nowhere to archive to
+  protected archiveEvents(_events: AnalyticsEvent[], _before: number): void {}
+
+  protected index(event: AnalyticsEvent, recordRollups = true): void {
+    if (!this.byTenant.has(event.tenantId)) this.byTenant.set(event.tenantId, []);
+    this.byTenant.get(event.tenantId)!.push(event);
+
+    if (event.userId) {
+      if (!this.byUser.has(event.userId)) this.byUser.set(event.userId, []);
+      this.byUser.get(event.userId)!.push(event);
+    }
+
+    if (recordRollups) {
+      this.rollups.record(event);
+      this.activity.record(event);
+      this.tracked++;
+    }
+  }
+
+  // Remove hot events older than `before` and return them
+  protected takeExpired(before: number): AnalyticsEvent[] {
+    const expired: AnalyticsEvent[] = [];
+    const isExpired = (e: AnalyticsEvent) => Date.parse(e.timestamp) < before;
+
+    this.byTenant.forEach((events, tenantId) => {
+      const keep = events.filter(e => !isExpired(e));
+      if (keep.length === events.length) return;
+      expired.push(...events.filter(isExpired));
+      if (keep.length > 0) this.byTenant.set(tenantId, keep);
+      else this.byTenant.delete(tenantId);
+    });
+
+    if (expired.length > 0) {
+      this.byUser.forEach((events, userId) => {
+        const keep = events.filter(e => !isExpired(e));
+        if (keep.length > 0) this.byUser.set(userId, keep);
+        else this.byUser.delete(userId);
+      });
+    }
+
+    return expired;
+  }
+
+  // Oldest time each granularity still holds data for
+  protected floors(now: number = Date.now()): Record<Granularity, number> {
+    const floors = {} as Record<Granularity, number>;
+    GRANULARITIES.forEach(granularity => {
+      floors[granularity] = now - this.retention[granularity];
+    });
+    return floors;
+  }
+}
+
+type JournalEntry =
+  | { op: 'event'; event: AnalyticsEvent }
+  | { op: 'archive'; before: number }
+  | { op: 'cohort'; definition: CohortDefinition }
+  | { op: 'uncohort'; id: string };
+
+const COMPACT_AFTER = 10000; // Journal entries before rewriting the snapshot
+const SNAPSHOT_CHUNK = 1000; // Records serialized between yields to the event loop
+const ROTATED_JOURNAL = /^journal-(\d+)\.log$/;
+
+// ONE FUNCTION: Local file backend (append-only journal + snapshot + archive)
+export class FileStore extends MemoryStore {
+  private journalPath: string;
+  private snapshotPath: string;
+  private journalEntries = 0;
+  private rotation = 0; // Last rotated journal
+  private compaction: Promise<void> = Promise.resolve();
+  private pendingCompaction: Promise<void> | null = null;
+  private archive: EventArchive;
+
+  constructor(private dir: string, retention: Retention = DEFAULT_RETENTION) {
+    super(retention);
+    fs.mkdirSync(dir, { recursive: true });
+    this.journalPath = path.join(dir, 'journal.log');
+    this.snapshotPath = path.join(dir, 'snapshot.json');
+    this.archive = new EventArchive(path.join(dir, 'archive'));
+    this.load();
+  }
+
+  async append(event: AnalyticsEvent): Promise<void> {
+    await super.append(event);
+    this.write({ op: 'event', event });
+  }
+
+  async applyRetention(now: number = Date.now()): Promise<RetentionResult> {
+    const result = await super.applyRetention(now);
+    // Pruned rollups are not journaled; rewrite the snapshot so they stay gone
+    if (result.rollupsPruned > 0) await this.compact();
+    return { ...result, archiveDaysExpired: this.archive.expire(now - this.retention.archive) };
+  }
+
+  async saveCohort(definition: CohortDefinition): Promise<void> {
+    await super.saveCohort(definition);
+    this.write({ op: 'cohort', definition });
+  }
+
+  async deleteCohort(id: string): Promise<boolean> {
+    const deleted = await super.deleteCohort(id);
+    if (deleted) this.write({ op: 'uncohort', id });
+    return deleted;
+  }
+
+  async exportUser(userIds: string[]): Promise<AnalyticsEvent[]> {
+    const archived: AnalyticsEvent[] = [];
+    this.archive.list().forEach(({ date }) => {
+      archived.push(...this.archive.read(date).filter(e => !!e.userId && userIds.includes(e.userId)));
+    });
+    return [...archived, ...(await super.exportUser(userIds))];
+  }
+
+  // Erasure is not journaled: the archive is rewritten and the snapshot
+  // compacted straight away, so the erased events are gone from disk when
+  // this resolves
+  async eraseUser(userIds: string[]): Promise<ErasureResult> {
+    const { hotEvents, activityRecords } = await super.eraseUser(userIds);
+    const archived = this.archive.purge(e => !!e.userId && userIds.includes(e.userId));
+    archived.forEach(e => this.rollups.forget(e));
+
+    if (hotEvents > 0 || archived.length > 0 || activityRecords > 0) await this.compact();
+    return { hotEvents, archivedEvents: archived.length, activityRecords };
+  }
+
+  // Like erasure, a migration rewrites the archive and compacts, so the old
+  // copies are gone from the journal and snapshot too. It is recorded in the
+  // snapshot, so a crash before that repeats it rather than skipping it.
+  async migrate(name: string, rewrite: EventRewrite): Promise<number | null> {
+    const hotEvents = await super.migrate(name, rewrite);
+    if (hotEvents === null) return null;
+
+    const archivedEvents = this.archive.rewrite(event => {
+      const rewritten = rewrite(event);
+      this.activity.record(rewritten);
+      return rewritten;
+    });
+    await this.compact();
+    return hotEvents + archivedEvents;
+  }
+
+  async listArchive(): Promise<ArchiveFile[]> {
+    return this.archive.list();
+  }
+
+  async readArchive(date: string, filter: { tenantId?: string; limit?: number } = {}): Promise<AnalyticsEvent[]> {
+    return this.archive.read(date, filter);
+  }
+
+  // Archive first, then journal: a crash in between re-archives on the next
+  // pass rather than losing events
+  protected archiveEvents(events: AnalyticsEvent[], before: number): void {
+    this.archive.write(events);
+    this.write({ op: 'archive', before });
+  }
+
+  private write(entry: JournalEntry): void {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+    if (++this.journalEntries >= COMPACT_AFTER && !this.pendingCompaction) {
+      this.compact().catch(error => console.error('Compaction failed:', error));
+    }
+  }
+
+  private apply(entry: JournalEntry): void {
+    switch (entry.op) {
+      case 'event':
+        this.index(entry.event);
+        break;
+      case 'archive':
+        this.takeExpired(entry.before); // Already in the archive
+        break;
+      case 'cohort':
+        this.cohorts.set(entry.definition.id, entry.definition);
+        break;
+      case 'uncohort':
+        this.cohorts.delete(entry.id);
+        break;
+    }
+  }
+
+  private load(): void {
+    let covers = 0;
+    let hasActivity = false;
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      covers = snapshot.covers || 0;
+      hasActivity = Array.isArray(snapshot.activity);
+      this.tracked = snapshot.tracked || 0;
+      this.rollups = RollupIndex.fromJSON(snapshot.rollups || {});
+      this.activity = ActivityIndex.fromJSON(snapshot.activity || []);
+      (snapshot.cohorts || []).forEach((c: CohortDefinition) => this.cohorts.set(c.id, c));
+      (snapshot.migrations || []).forEach((name: string) => this.migrations.add(name));
+      // Rollups already include these events
+      (snapshot.events || []).forEach((e: AnalyticsEvent) => this.index(e, false));
+    }
+
+    // Journals rotated by a compaction that never finished still hold entries
+    // the snapshot lacks; those it covers only missed their cleanup
+    this.rotation = covers;
+    this.rotatedJournals().forEach(({ seq, file }) => {
+      if (seq <= covers) {
+        fs.unlinkSync(file);
+        return;
+      }
+      this.replay(file);
+      this.rotation = seq;
+    });
+    this.replay(this.journalPath);
+
+    // Stores from before the activity index build it once from what they kept;
+    // recording is idempotent, so events the journal already replayed are fine
+    if (!hasActivity) {
+      this.byTenant.forEach(events => events.forEach(e => this.activity.record(e)));
+      this.archive.list().forEach(({ date }) => this.archive.read(date).forEach(e => this.activity.record(e)));
+    }
+
+    console.log(`Loaded ${this.tracked} tracked events, ${this.rollups.bucketCount()} rollup buckets, ` +
+      `activity for ${this.activity.size()} users`);
+  }
+
+  private replay(file: string): void {
+    if (!fs.existsSync(file)) return;
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        this.apply(JSON.parse(line));
+        this.journalEntries++;
+      } catch {
+        // A torn final line from a crash mid-write; everything before it is intact
+        console.warn('Skipping unreadable journal entry');
+      }
+    });
+  }
+
+  private rotatedJournals(): Array<{ seq: number; file: string }> {
+    return fs.readdirSync(this.dir)
+      .map(name => ROTATED_JOURNAL.exec(name))
+      .filter((match): match is RegExpExecArray => match !== null)
+      .map(match => ({ seq: Number(match[1]), file: path.join(this.dir, match[0]) }))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  // Compactions run one at a time. Callers wait for one that starts after
+  // their call, so whatever they changed is on disk when it resolves; calls
+  // made while it is still waiting to start share it.
+  private compact(): Promise<void> {
+    if (this.pendingCompaction) return this.pendingCompaction;
+
+    const next = this.compaction.catch(() => undefined).then(() => {
+      this.pendingCompaction = null;
+      return this.writeSnapshot();
+    });
+    this.pendingCompaction = next;
+    this.compaction = next;
+    return next;
+  }
+
+  // Rewrite the snapshot and drop the journal it replaces, without blocking
+  // the event loop. The journal is rotated first, so appends carry on into a
+  // fresh one; the snapshot records the last rotated journal it covers. It is
+  // written to a temp file and renamed, so a crash never leaves half of one.
+  private async writeSnapshot(): Promise<void> {
+    const covers = ++this.rotation;
+    if (fs.existsSync(this.journalPath)) {
+      fs.renameSync(this.journalPath, path.join(this.dir, `journal-${covers}.log`));
+    }
+    this.journalEntries = 0;
+
+    // Events are never changed in place, so copying the lists is enough
+    const events: AnalyticsEvent[] = [];
+    this.byTenant.forEach(tenantEvents => events.push(...tenantEvents));
+    const rollups = this.rollups.toJSON();
+    // Activity records may change while they are written; whatever changes
+    // them is in the new journal, and replaying it is idempotent
+    const activity = this.activity.toJSON();
+    const cohorts = Array.from(this.cohorts.values());
+    const migrations = Array.from(this.migrations);
+
+    const tmp = `${this.snapshotPath}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    try {
+      await writeChunk(out, `{"tracked":${this.tracked},"covers":${covers},` +
+        `"cohorts":${JSON.stringify(cohorts)},"migrations":${JSON.stringify(migrations)},"rollups":{"rollups":`);
+      await writeJsonArray(out, rollups.rollups);
+      await writeChunk(out, ',"uniques":');
+      await writeJsonArray(out, rollups.uniques);
+      await writeChunk(out, '},"activity":');
+      await writeJsonArray(out, activity);
+      await writeChunk(out, ',"events":');
+      await writeJsonArray(out, events);
+      await writeChunk(out, '}');
+      await new Promise<void>((resolve, reject) => {
+        out.on('error', reject);
+        out.end(resolve);
+      });
+    } catch (error) {
+      out.destroy();
+      throw error;
+    }
+
+    await fs.promises.rename(tmp, this.snapshotPath);
+    this.rotatedJournals().filter(({ seq }) => seq <= covers).forEach(({ file }) => fs.unlinkSync(file));
+  }
+}
+
+// Helper: Write, then wait for the next turn of the event loop
+function writeChunk(out: fs.WriteStream, text: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    out.write(text, error => (error ? reject(error) : setImmediate(resolve)));
+  });
+}
+
+// Helper: Write a JSON array a chunk of records at a time
+async function writeJsonArray(out: fs.WriteStream, items: unknown[]): Promise<void> {
+  await writeChunk(out, '[');
+  for (let i = 0; i < items.length; i += SNAPSHOT_CHUNK) {
+    const chunk = items.slice(i, i + SNAPSHOT_CHUNK).map(item => JSON.stringify(item)).join(',');
+    await writeChunk(out, (i > 0 ? ',' : '') + chunk);
+  }
+  await writeChunk(out, ']');
+}
+
+// ONE FUNCTION: Retention policy from the environment
+export function retentionFromEnv(): Retention {
+  const hours = (name: string, fallback: number) => {
+    const value = Number(process.env[name]);
+    return value > 0 ? value * HOUR : fallback;
+  };
+
+  return {
+    minute: hours('ANALYTICS_MINUTE_RETENTION_HOURS', DEFAULT_RETENTION.minute),
+    hour: hours('ANALYTICS_HOUR_RETENTION_HOURS', DEFAULT_RETENTION.hour),
+    day: hours('ANALYTICS_DAY_RETENTION_HOURS', DEFAULT_RETENTION.day),
+    raw: hours('ANALYTICS_RAW_RETENTION_HOURS', DEFAULT_RETENTION.raw),
+    archive: hours('ANALYTICS_ARCHIVE_RETENTION_HOURS', DEFAULT_RETENTION.archive)
+  };
+}
+
+// ONE FUNCTION: Data directory of the file backend; undefined for memory
+export function dataDirFromEnv(): string | undefined {
+  if ((process.env.ANALYTICS_STORE || 'file') !== 'file') return undefined;
+  return process.env.ANALYTICS_DATA_DIR || path.join(process.cwd(), 'data');
+}
+
+// ONE FUNCTION: Pick a backend from the environment
+export function createStore(): AnalyticsStore {
+  const backend = process.env.ANALYTICS_STORE || 'file';
+  const retention = retentionFromEnv();
+
+  if (backend === 'memory') {
+    return new MemoryStore(retention);
+  }
+  if (backend === 'file') {
+    return new FileStore(dataDirFromEnv()!, retention);
+  }
+  throw new Error(`Unknown ANALYTICS_STORE backend: ${backend}`);
+}
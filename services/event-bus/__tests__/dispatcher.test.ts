@@ -0,0 +1,214 @@
+import { WebSocket } from 'ws';
+import { backoffDelay, Dispatcher, RetryPolicy } from '../src/dispatcher';
+import { SchemaRegistry } from '../src/schema-registry';
+import { MemoryStore, SubscriptionRecord } from '../src/store';
+
+describe('Event bus dispatcher', () => {
+  const policy: RetryPolicy = {
+    maxAttempts: 3,
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    webhookTimeoutMs: 1000,
+    ackTimeoutMs: 30
+  };
+
+  let store: MemoryStore;
+  let dispatcher: Dispatcher;
+  let fetchMock: jest.SpyInstance;
+
+  const publish = (id: string, data: any = { id }, schemaVersion?: number) => store.append({
+    id,
+    type: 'user.created',
+    source: 'auth-service',
+    data,
+    timestamp: '2025-05-20T19:00:00.000Z',
+    schemaVersion
+  });
+
+  const subscribe = (id: string, kind: SubscriptionRecord['kind'], extra: Partial<SubscriptionRecord> = {}) =>
+    store.saveSubscription({
+      id,
+      pattern: 'user.*',
+      kind,
+      webhook: kind === 'webhook' ? 'https://example.com/hook' : undefined,
+      cursor: 0,
+      createdAt: '2025-05-20T19:00:00.000Z',
+      ...extra
+    });
+
+  // A connected socket that records the frames sent to it
+  const socket = () => {
+    const frames: any[] = [];
+    const ws = {
+      readyState: WebSocket.OPEN,
+      send: (data: string, callback: (error?: Error) => void) => {
+        frames.push(JSON.parse(data));
+        callback();
+      }
+    } as unknown as WebSocket;
+    return { ws, frames };
+  };
+
+  // Event ids the webhook was called with, in order
+  const posted = () => fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body).id);
+
+  const until = async (check: () => boolean | Promise<boolean>) => {
+    const deadline = Date.now() + 2000;
+    while (!(await check())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for delivery');
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  const cursorOf = async (id: string) => (await store.getSubscription(id))?.cursor;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    dispatcher = new Dispatcher(store, undefined, policy);
+    fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 200 }));
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    (await store.listSubscriptions()).forEach(subscription => dispatcher.forget(subscription.id));
+    jest.restoreAllMocks();
+  });
+
+  it('should double the backoff per attempt, with jitter, up to the cap', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, policy))).toEqual([5, 10, 20, 20, 20]);
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffDelay(2, policy)).toBe(5);
+  });
+
+  it('should retry a failed webhook delivery and keep log order', async () => {
+    fetchMock.mockResolvedValueOnce(new Response(null, { status: 503 }));
+    await subscribe('s1', 'webhook');
+    await publish('e1');
+    await publish('e2');
+
+    dispatcher.kick('s1');
+    await until(async () => (await cursorOf('s1')) === 2);
+
+    expect(posted()).toEqual(['e1', 'e1', 'e2']);
+    expect(await store.listDeadLetters()).toEqual([]);
+  });
+
+  it('should dead-letter a webhook event after the last attempt and move on', async () => {
+    fetchMock.mockImplementation(async (_url, init) =>
+      new Response(null, { status: JSON.parse(init.body).id === 'e1' ? 500 : 200 }));
+    await subscribe('s1', 'webhook');
+    await publish('e1');
+    await publish('e2');
+
+    dispatcher.kick('s1');
+    await until(async () => (await cursorOf('s1')) === 2);
+
+    expect(posted()).toEqual(['e1', 'e1', 'e1', 'e2']);
+    const [dead] = await store.listDeadLetters('s1');
+    expect(dead).toMatchObject({ attempts: 3, lastError: 'HTTP 500', event: { id: 'e1' } });
+  });
+
+  it('should deliver a dead letter again on retry', async () => {
+    await subscribe('s1', 'webhook');
+    const event = await publish('e1');
+    const subscription = (await store.getSubscription('s1'))!;
+
+    expect(await dispatcher.deliver(subscription, event)).toBeNull();
+    fetchMock.mockResolvedValueOnce(new Response(null, { status: 502 }));
+    expect(await dispatcher.deliver(subscription, event)).toBe('HTTP 502');
+  });
+
+  it('should resume a webhook subscription from its cursor', async () => {
+    await subscribe('s1', 'webhook', { cursor: 1 });
+    await publish('e1');
+    await publish('e2');
+
+    dispatcher.kick('s1');
+    await until(async () => (await cursorOf('s1')) === 2);
+
+    expect(posted()).toEqual(['e2']);
+  });
+
+  it('should dead-letter events that do not satisfy the pinned schema version', async () => {
+    const registry = new SchemaRegistry(store, false);
+    const v1 = { type: 'object', required: ['id'], properties: { id: { type: 'string' }, plan: { enum: ['free'] } } };
+    await registry.register('user.created', v1);
+    await registry.register('user.created', { ...v1, properties: { ...v1.properties, plan: { enum: ['free', 'pro'] } } });
+    dispatcher = new Dispatcher(store, registry, policy);
+    const a = socket();
+    await subscribe('s1', 'webhook', { schemaVersions: { 'user.created': 1 } });
+    await subscribe('g1', 'websocket', { schemaVersions: { 'user.created': 1 } });
+    await dispatcher.attach('g1', 'a', a.ws);
+    await publish('e1', { id: 'e1', plan: 'free' }, 2);
+    await publish('e2', { id: 'e2', plan: 'pro' }, 2);
+    await publish('e3', { id: 'e3' }, 1);
+
+    await dispatcher.notify();
+    await until(async () => (await cursorOf('s1')) === 3 && (await cursorOf('g1')) === 3);
+
+    expect(posted()).toEqual(['e1', 'e3']);
+    expect(a.frames.map(frame => frame.event.id)).toEqual(['e1', 'e3']);
+    for (const id of ['s1', 'g1']) {
+      const dead = await store.listDeadLetters(id);
+      expect(dead).toEqual([expect.objectContaining({ attempts: 0, event: expect.objectContaining({ id: 'e2' }) })]);
+      expect(dead[0].lastError).toMatch(/^Does not match pinned user\.created schema v1: plan /);
+    }
+  });
+
+  it('should give each event to one member of a consumer group', async () => {
+    const a = socket();
+    const b = socket();
+    await subscribe('g1', 'websocket', { group: 'workers' });
+    await dispatcher.attach('g1', 'a', a.ws);
+    await dispatcher.attach('g1', 'b', b.ws);
+    for (const id of ['e1', 'e2', 'e3', 'e4']) await publish(id);
+
+    await dispatcher.notify();
+    await until(async () => (await cursorOf('g1')) === 4);
+
+    const seqs = [...a.frames, ...b.frames].map(frame => frame.event.seq).sort();
+    expect(seqs).toEqual([1, 2, 3, 4]);
+    expect(a.frames.length).toBeGreaterThan(0);
+    expect(b.frames.length).toBeGreaterThan(0);
+  });
+
+  it('should hand a nacked event to another member and commit once it is acked', async () => {
+    const members = { a: socket(), b: socket() };
+    await subscribe('g1', 'websocket', { group: 'workers' });
+    await dispatcher.attach('g1', 'a', members.a.ws, { manualAck: true });
+    await dispatcher.attach('g1', 'b', members.b.ws, { manualAck: true });
+    await publish('e1');
+
+    await dispatcher.notify();
+    await until(() => members.a.frames.length + members.b.frames.length === 1);
+    const [first, second] = members.a.frames.length === 1 ? ['a', 'b'] as const : ['b', 'a'] as const;
+    expect(members[first].frames[0]).toMatchObject({ attempt: 1, ackRequired: true });
+
+    expect(await dispatcher.ack('g1', second, 1)).toBe(false);
+    expect(await dispatcher.nack('g1', first, 1, 'busy')).toBe(true);
+    await until(() => members[second].frames.length === 1);
+    expect(members[second].frames[0]).toMatchObject({ attempt: 2, event: { seq: 1 } });
+    expect(await cursorOf('g1')).toBe(0);
+
+    expect(await dispatcher.ack('g1', second, 1)).toBe(true);
+    expect(await cursorOf('g1')).toBe(1);
+    expect(dispatcher.inFlight()).toBe(0);
+  });
+
+  it('should redeliver an event that is not acked in time, then dead-letter it', async () => {
+    const a = socket();
+    await subscribe('g1', 'websocket', { group: 'workers' });
+    await dispatcher.attach('g1', 'a', a.ws, { manualAck: true, ackTimeoutMs: 10 });
+    await publish('e1');
+
+    await dispatcher.notify();
+    await until(async () => (await cursorOf('g1')) === 1);
+
+    expect(a.frames.map(frame => frame.attempt)).toEqual([1, 2, 3]);
+    const [dead] = await store.listDeadLetters('g1');
+    expect(dead).toMatchObject({ attempts: 3, lastError: 'No ack within 10ms' });
+  });
+});
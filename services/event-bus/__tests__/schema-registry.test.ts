@@ -0,0 +1,107 @@
+import { findIncompatibilities } from '../src/schema-compatibility';
+import { InvalidSchemaError, SchemaCompatibilityError, SchemaRegistry } from '../src/schema-registry';
+import { MemoryStore } from '../src/store';
+
+describe('Event bus schema registry', () => {
+  const v1 = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string' },
+      plan: { type: 'string', enum: ['free', 'pro'] }
+    }
+  };
+  const v2 = {
+    ...v1,
+    properties: { ...v1.properties, plan: { type: 'string', enum: ['free', 'pro', 'team'] }, seats: { type: 'integer' } }
+  };
+
+  let store: MemoryStore;
+  let registry: SchemaRegistry;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    registry = new SchemaRegistry(store, false);
+  });
+
+  it('should number versions per type and keep an unchanged schema on its version', async () => {
+    expect((await registry.register('account.created', v1)).version.version).toBe(1);
+    expect(await registry.register('account.created', v1)).toMatchObject({ created: false, version: { version: 1 } });
+    expect((await registry.register('account.created', v2)).version).toMatchObject({ version: 2, source: 'producer' });
+
+    expect(registry.history('account.created').map(v => v.version)).toEqual([1, 2]);
+    expect(registry.list()).toEqual([{ type: 'account.created', latestVersion: 2, versions: 2 }]);
+    expect((await store.listSchemas()).length).toBe(2);
+  });
+
+  it('should refuse a version that rejects data the latest one accepted', async () => {
+    await registry.register('account.created', v1);
+    const breaking = { ...v1, required: ['id', 'plan'], properties: { ...v1.properties, plan: { type: 'string', enum: ['pro'] } } };
+
+    const error = await registry.register('account.created', breaking).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaCompatibilityError);
+    expect(error.problems).toEqual(expect.arrayContaining([
+      { path: 'plan', message: 'is newly required' },
+      { path: 'plan', message: 'no longer accepts "free"' }
+    ]));
+    expect(registry.get('account.created')?.version).toBe(1);
+  });
+
+  it('should refuse a schema Ajv cannot compile', async () => {
+    await expect(registry.register('account.created', { type: 'nonsense' })).rejects.toBeInstanceOf(InvalidSchemaError);
+    expect(await store.listSchemas()).toEqual([]);
+  });
+
+  it('should validate against the latest version or the one named', async () => {
+    await registry.register('account.created', v1);
+    await registry.register('account.created', v2);
+
+    expect(registry.validate('account.created', { id: 'a1', plan: 'team' })).toEqual({ valid: true, version: 2 });
+    expect(registry.validate('account.created', { id: 'a1', plan: 'team' }, 1)).toMatchObject({
+      valid: false,
+      version: 1,
+      errors: [{ field: 'plan' }]
+    });
+    expect(registry.validate('account.created', { id: 'a1' }, 3)).toMatchObject({ valid: false });
+  });
+
+  it('should accept unknown types unless a schema is required', () => {
+    expect(registry.validate('account.deleted', {})).toEqual({ valid: true });
+    expect(new SchemaRegistry(store, true).validate('account.deleted', {}).valid).toBe(false);
+  });
+
+  it('should load stored versions and seed the shared schemas once', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    await registry.register('account.created', v1);
+    await registry.init();
+    const seeded = registry.get('user.created');
+
+    const reloaded = new SchemaRegistry(store, false);
+    await reloaded.init();
+
+    expect(seeded).toMatchObject({ version: 1, source: 'seed' });
+    expect(reloaded.get('user.created')).toEqual(seeded);
+    expect(reloaded.get('account.created')?.schema).toEqual(v1);
+    expect(reloaded.get('user.updated')?.schema.required).toEqual(['id']);
+    jest.restoreAllMocks();
+  });
+
+  describe('compatibility', () => {
+    it('should allow widening and new optional fields', () => {
+      expect(findIncompatibilities(v1, v2)).toEqual([]);
+      expect(findIncompatibilities({ type: 'integer', maximum: 5 }, { type: 'number', maximum: 10 })).toEqual([]);
+    });
+
+    it('should report narrowing at the path where it happens', () => {
+      const previous = { type: 'object', properties: { tags: { type: 'array', items: { type: 'string', maxLength: 20 } } } };
+      const next = { type: 'object', properties: { tags: { type: 'array', items: { type: 'string', maxLength: 10 } } } };
+
+      expect(findIncompatibilities(previous, next)).toEqual([{ path: 'tags.[]', message: 'lowered maxLength to 10' }]);
+      expect(findIncompatibilities({ type: 'object' }, { type: 'object', additionalProperties: false }))
+        .toEqual([{ path: '', message: 'no longer allows additional properties' }]);
+      expect(findIncompatibilities({ type: 'string' }, { type: 'string', pattern: '^a' }))
+        .toEqual([{ path: '', message: 'changed pattern' }]);
+    });
+  });
+});
@@ -0,0 +1,513 @@
+/**
+ * Dispatcher
+ * Single Purpose: Deliver stored events to subscriptions at least once
+ *
+ * ONE THING: Walk each subscription's cursor forward through the event log
+ *
+ * Webhook subscriptions are delivered in log order. A failed delivery is
+ * retried with exponential backoff; after the last attempt the event goes to
+ * the dead-letter queue and the cursor moves past it. The cursor only advances
+ * after a delivery succeeds, so a crash means redelivery, never loss.
+ *
+ * WebSocket subscriptions can have several consumers (a consumer group, e.g.
+ * two replicas of one service). Each event goes to one consumer with spare
+ * capacity. Consumers that opt into manual acks must ack or nack every event;
+ * a nack or an ack timeout hands the event to a consumer again after the same
+ * exponential backoff, and it is dead-lettered once it has been delivered
+ * maxAttempts times. The cursor only moves past an event once it and
+ * everything before it is acked or dead-lettered.
+ *
+ * An event that does not satisfy the schema version a subscriber pinned is
+ * dead-lettered for that subscriber without a delivery attempt.
+ */
+
+import { WebSocket } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { EventStore, StoredEvent, SubscriptionRecord } from './store';
+import { SchemaRegistry } from './schema-registry';
+
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  webhookTimeoutMs: number;
+  ackTimeoutMs: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 8,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  webhookTimeoutMs: 10000,
+  ackTimeoutMs: 30000
+};
+
+export const DEFAULT_MAX_IN_FLIGHT = 10;
+const MAX_IN_FLIGHT_LIMIT = 1000;
+
+const BATCH_SIZE = 100;
+
+interface DeliveryState {
+  running: boolean;
+  dirty: boolean; // New events arrived while a pump was running
+  attempts: number;
+  retryTimer?: NodeJS.Timeout;
+}
+
+export interface ConsumerOptions {
+  manualAck?: boolean;
+  maxInFlight?: number;
+  ackTimeoutMs?: number;
+}
+
+interface Consumer {
+  id: string;
+  ws: WebSocket;
+  manualAck: boolean;
+  maxInFlight: number;
+  ackTimeoutMs: number;
+  inFlight: Set<number>; // Seqs sent to this consumer and not yet acked
+}
+
+interface PendingDelivery {
+  event: StoredEvent;
+  attempts: number;
+  consumerId?: string; // Unset while waiting in the ready queue or backing off
+  lastConsumerId?: string;
+  timer?: NodeJS.Timeout; // Ack timeout while in flight, retry while backing off
+}
+
+// In-memory state of one WebSocket subscription's consumers
+interface Stream {
+  consumers: Map<string, Consumer>;
+  position: number; // Highest seq read from the log into `pending`
+  pending: Map<number, PendingDelivery>; // Read but not yet acked (in flight or ready)
+  ready: number[]; // Seqs waiting for a consumer, lowest first
+  turn: number; // Round-robin offset
+}
+
+// Helper: Match event type to subscription pattern
+export function matchesPattern(eventType: string, pattern: string): boolean {
+  if (pattern === '*') return true;
+  if (pattern === eventType) return true;
+
+  // Support wildcards like "user.*" matching "user.created", "user.updated"
+  if (pattern.endsWith('*')) {
+    const prefix = pattern.slice(0, -1);
+    return eventType.startsWith(prefix);
+  }
+
+  return false;
+}
+
+// Helper: Delay before the given retry attempt (1-based), with jitter
+export function backoffDelay(attempt: number, policy: RetryPolicy): number {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+export class Dispatcher {
+  private states = new Map<string, DeliveryState>();
+  private streams = new Map<string, Stream>();
+
+  constructor(
+    private store: EventStore,
+    private registry?: SchemaRegistry,
+    private policy: RetryPolicy = DEFAULT_RETRY_POLICY
+  ) {}
+
+  // ONE FUNCTION: Add a consumer to a WebSocket subscription and start feeding it
+  async attach(
+    subscriptionId: string,
+    consumerId: string,
+    ws: WebSocket,
+    options: ConsumerOptions = {}
+  ): Promise<void> {
+    if (!this.streams.has(subscriptionId)) {
+      const subscription = await this.store.getSubscription(subscriptionId);
+      if (!this.streams.has(subscriptionId)) {
+        const position = subscription?.cursor ?? 0;
+        this.streams.set(subscriptionId, { consumers: new Map(), position, pending: new Map(), ready: [], turn: 0 });
+      }
+    }
+    const stream = this.streams.get(subscriptionId)!;
+
+    const existing = stream.consumers.get(consumerId);
+    stream.consumers.set(consumerId, {
+      id: consumerId,
+      ws,
+      manualAck: options.manualAck === true,
+      maxInFlight: Math.min(Math.max(Math.floor(options.maxInFlight || DEFAULT_MAX_IN_FLIGHT), 1), MAX_IN_FLIGHT_LIMIT),
+      ackTimeoutMs: options.ackTimeoutMs || this.policy.ackTimeoutMs,
+      inFlight: existing ? existing.inFlight : new Set()
+    });
+    this.kick(subscriptionId);
+  }
+
+  // ONE FUNCTION: Remove a consumer; its unacked events go to the rest of the group.
+  // They count as failed deliveries, so an event that keeps taking consumers
+  // down is dead-lettered like one that keeps being nacked.
+  detach(subscriptionId: string, consumerId: string): void {
+    const stream = this.streams.get(subscriptionId);
+    const consumer = stream?.consumers.get(consumerId);
+    if (!stream || !consumer) return;
+
+    stream.consumers.delete(consumerId);
+    Array.from(consumer.inFlight).forEach(seq => {
+      this.fail(subscriptionId, stream, seq, `Consumer ${consumerId} disconnected`)
+        .catch(error => console.error(`Redelivery error for ${subscriptionId}:`, error));
+    });
+  }
+
+  // ONE FUNCTION: Drop all delivery state for a removed subscription
+  forget(subscriptionId: string): void {
+    const state = this.states.get(subscriptionId);
+    if (state?.retryTimer) clearTimeout(state.retryTimer);
+    this.states.delete(subscriptionId);
+
+    this.streams.get(subscriptionId)?.pending.forEach(delivery => {
+      if (delivery.timer) clearTimeout(delivery.timer);
+    });
+    this.streams.delete(subscriptionId);
+  }
+
+  consumerCount(subscriptionId: string): number {
+    return this.streams.get(subscriptionId)?.consumers.size || 0;
+  }
+
+  // ONE FUNCTION: Events sent to WebSocket consumers and not yet acked
+  inFlight(): number {
+    let total = 0;
+    this.streams.forEach(stream => stream.consumers.forEach(c => { total += c.inFlight.size; }));
+    return total;
+  }
+
+  // ONE FUNCTION: Consumer confirms it processed an event
+  async ack(subscriptionId: string, consumerId: string, seq: number): Promise<boolean> {
+    const stream = this.streams.get(subscriptionId);
+    const delivery = stream?.pending.get(seq);
+    if (!stream || !delivery || delivery.consumerId !== consumerId) return false;
+
+    await this.settle(subscriptionId, stream, seq);
+    this.kick(subscriptionId);
+    return true;
+  }
+
+  // ONE FUNCTION: Consumer failed an event; redeliver it or dead-letter it
+  async nack(subscriptionId: string, consumerId: string, seq: number, reason?: string): Promise<boolean> {
+    const stream = this.streams.get(subscriptionId);
+    const delivery = stream?.pending.get(seq);
+    if (!stream || !delivery || delivery.consumerId !== consumerId) return false;
+
+    await this.fail(subscriptionId, stream, seq, reason || 'Nacked by consumer');
+    return true;
+  }
+
+  // ONE FUNCTION: Wake every subscription after a publish
+  async notify(): Promise<void> {
+    const subscriptions = await this.store.listSubscriptions();
+    subscriptions.forEach(subscription => this.kick(subscription.id));
+  }
+
+  // ONE FUNCTION: Start delivering one subscription unless it is busy or backing off
+  kick(subscriptionId: string): void {
+    const state = this.stateFor(subscriptionId);
+    if (state.retryTimer) return;
+    if (state.running) {
+      state.dirty = true;
+      return;
+    }
+
+    state.running = true;
+    this.run(subscriptionId, state)
+      .catch(error => console.error(`Delivery error for ${subscriptionId}:`, error))
+      .finally(() => {
+        state.running = false;
+        if (state.dirty && !state.retryTimer) {
+          state.dirty = false;
+          this.kick(subscriptionId);
+        }
+      });
+  }
+
+  private stateFor(subscriptionId: string): DeliveryState {
+    let state = this.states.get(subscriptionId);
+    if (!state) {
+      state = { running: false, dirty: false, attempts: 0 };
+      this.states.set(subscriptionId, state);
+    }
+    return state;
+  }
+
+  private async run(subscriptionId: string, state: DeliveryState): Promise<void> {
+    const subscription = await this.store.getSubscription(subscriptionId);
+    if (!subscription) return;
+
+    if (subscription.kind === 'websocket') {
+      const stream = this.streams.get(subscriptionId);
+      if (stream) await this.fill(subscription, stream);
+      return;
+    }
+    await this.pump(subscription, state);
+  }
+
+  // Webhooks: one event at a time, in order, retrying with backoff
+  private async pump(subscription: SubscriptionRecord, state: DeliveryState): Promise<void> {
+    let cursor = subscription.cursor;
+
+    for (;;) {
+      const events = await this.store.read({ afterSeq: cursor, limit: BATCH_SIZE });
+      if (events.length === 0) return;
+
+      for (const event of events) {
+        if (!matchesPattern(event.type, subscription.pattern)) continue;
+
+        const mismatch = this.schemaMismatch(subscription, event);
+        if (mismatch) {
+          await this.deadLetter(subscription.id, event, 0, mismatch);
+          await this.store.setCursor(subscription.id, event.seq);
+          continue;
+        }
+
+        const error = await this.postToWebhook(subscription, event);
+        if (error) {
+          state.attempts++;
+          if (state.attempts < this.policy.maxAttempts) {
+            this.scheduleRetry(subscription.id, state);
+            return;
+          }
+          await this.deadLetter(subscription.id, event, state.attempts, error);
+        }
+
+        state.attempts = 0;
+        await this.store.setCursor(subscription.id, event.seq);
+      }
+
+      // Skip past events the subscription does not accept
+      cursor = events[events.length - 1].seq;
+      await this.store.setCursor(subscription.id, cursor);
+    }
+  }
+
+  // Events published under another version than the subscriber pinned are
+  // delivered only if their data also satisfies the pinned version; the rest
+  // are dead-lettered with the reason, so the consumer never sees data it
+  // did not sign up for and nothing is dropped silently
+  private schemaMismatch(subscription: SubscriptionRecord, event: StoredEvent): string | null {
+    const pinned = subscription.schemaVersions?.[event.type];
+    if (pinned === undefined || !this.registry || event.schemaVersion === pinned) return null;
+
+    const result = this.registry.validate(event.type, event.data, pinned);
+    if (result.valid) return null;
+    const problems = (result.errors || []).map(e => (e.field ? `${e.field} ${e.message}` : e.message));
+    return `Does not match pinned ${event.type} schema v${pinned}: ${problems.join('; ')}`;
+  }
+
+  private scheduleRetry(subscriptionId: string, state: DeliveryState): void {
+    const delay = backoffDelay(state.attempts, this.policy);
+    console.log(`Retrying ${subscriptionId} in ${delay}ms (attempt ${state.attempts + 1}/${this.policy.maxAttempts})`);
+
+    state.retryTimer = setTimeout(() => {
+      state.retryTimer = undefined;
+      this.kick(subscriptionId);
+    }, delay);
+  }
+
+  // WebSockets: hand events to consumers until everyone is at max in-flight
+  private async fill(subscription: SubscriptionRecord, stream: Stream): Promise<void> {
+    for (;;) {
+      if (this.available(stream).length === 0) return;
+
+      if (stream.ready.length === 0) {
+        const events = await this.store.read({ afterSeq: stream.position, limit: BATCH_SIZE });
+        if (events.length === 0) return;
+
+        for (const event of events) {
+          if (!matchesPattern(event.type, subscription.pattern)) continue;
+
+          const mismatch = this.schemaMismatch(subscription, event);
+          if (mismatch) {
+            await this.deadLetter(subscription.id, event, 0, mismatch);
+            continue;
+          }
+          stream.pending.set(event.seq, { event, attempts: 0 });
+          stream.ready.push(event.seq);
+        }
+        stream.position = events[events.length - 1].seq;
+        await this.commit(subscription.id, stream); // Moves past events it skipped or dead-lettered
+        continue;
+      }
+
+      // Take the lowest ready seq and prefer a consumer that has not just failed it
+      const seq = stream.ready.shift()!;
+      const delivery = stream.pending.get(seq)!;
+      const consumer = this.nextConsumer(stream, delivery.lastConsumerId)!;
+      await this.send(subscription.id, stream, consumer, delivery);
+    }
+  }
+
+  private available(stream: Stream): Consumer[] {
+    return Array.from(stream.consumers.values())
+      .filter(c => c.ws.readyState === WebSocket.OPEN && c.inFlight.size < c.maxInFlight);
+  }
+
+  private nextConsumer(stream: Stream, avoid?: string): Consumer | undefined {
+    const open = this.available(stream);
+    if (open.length === 0) return undefined;
+
+    const candidates = open.length > 1 && avoid ? open.filter(c => c.id !== avoid) : open;
+    stream.turn = (stream.turn + 1) % candidates.length;
+    return candidates[stream.turn];
+  }
+
+  private async send(
+    subscriptionId: string,
+    stream: Stream,
+    consumer: Consumer,
+    delivery: PendingDelivery
+  ): Promise<void> {
+    const seq = delivery.event.seq;
+    delivery.attempts++;
+    delivery.consumerId = consumer.id;
+    delivery.lastConsumerId = consumer.id;
+    consumer.inFlight.add(seq);
+
+    const error = await new Promise<string | null>(resolve => {
+      consumer.ws.send(JSON.stringify({
+        type: 'event',
+        subscriptionId,
+        event: delivery.event,
+        attempt: delivery.attempts,
+        ackRequired: consumer.manualAck
+      }), error => resolve(error ? error.message : null));
+    });
+
+    if (error) {
+      await this.fail(subscriptionId, stream, seq, error);
+    } else if (!consumer.manualAck) {
+      await this.settle(subscriptionId, stream, seq);
+    } else {
+      delivery.timer = setTimeout(() => {
+        delivery.timer = undefined;
+        this.fail(subscriptionId, stream, seq, `No ack within ${consumer.ackTimeoutMs}ms`)
+          .catch(err => console.error(`Redelivery error for ${subscriptionId}:`, err));
+      }, consumer.ackTimeoutMs);
+    }
+  }
+
+  // Event is done (acked or dead-lettered): forget it and move the cursor up
+  private async settle(subscriptionId: string, stream: Stream, seq: number): Promise<void> {
+    const delivery = stream.pending.get(seq);
+    if (!delivery) return;
+
+    if (delivery.timer) clearTimeout(delivery.timer);
+    if (delivery.consumerId) stream.consumers.get(delivery.consumerId)?.inFlight.delete(seq);
+    stream.pending.delete(seq);
+    await this.commit(subscriptionId, stream);
+  }
+
+  private async fail(subscriptionId: string, stream: Stream, seq: number, error: string): Promise<void> {
+    const delivery = stream.pending.get(seq);
+    if (!delivery) return;
+
+    if (delivery.attempts >= this.policy.maxAttempts) {
+      await this.deadLetter(subscriptionId, delivery.event, delivery.attempts, error);
+      await this.settle(subscriptionId, stream, seq);
+    } else {
+      this.retryLater(subscriptionId, stream, delivery);
+    }
+    this.kick(subscriptionId); // The consumer has room for other events meanwhile
+  }
+
+  // Take a failed event back and offer it to the group again after a backoff
+  private retryLater(subscriptionId: string, stream: Stream, delivery: PendingDelivery): void {
+    const seq = delivery.event.seq;
+    this.release(stream, delivery);
+
+    const delay = backoffDelay(delivery.attempts, this.policy);
+    delivery.timer = setTimeout(() => {
+      delivery.timer = undefined;
+      this.requeue(stream, seq);
+      this.kick(subscriptionId);
+    }, delay);
+  }
+
+  // Take an event back from its consumer, cancelling its ack timeout or retry
+  private release(stream: Stream, delivery: PendingDelivery): void {
+    if (delivery.timer) clearTimeout(delivery.timer);
+    delivery.timer = undefined;
+    if (delivery.consumerId) stream.consumers.get(delivery.consumerId)?.inFlight.delete(delivery.event.seq);
+    delivery.consumerId = undefined;
+  }
+
+  private requeue(stream: Stream, seq: number): void {
+    const delivery = stream.pending.get(seq);
+    if (!delivery) return;
+
+    this.release(stream, delivery);
+    if (!stream.ready.includes(seq)) {
+      stream.ready.push(seq);
+      stream.ready.sort((a, b) => a - b);
+    }
+  }
+
+  // Durable cursor = everything up to the oldest unacked event
+  private async commit(subscriptionId: string, stream: Stream): Promise<void> {
+    let cursor = stream.position;
+    stream.pending.forEach((_delivery, seq) => {
+      if (seq <= cursor) cursor = seq - 1;
+    });
+    await this.store.setCursor(subscriptionId, cursor);
+  }
+
+  private async deadLetter(
+    subscriptionId: string,
+    event: StoredEvent,
+    attempts: number,
+    lastError: string
+  ): Promise<void> {
+    await this.store.addDeadLetter({
+      id: uuidv4(),
+      subscriptionId,
+      event,
+      attempts,
+      lastError,
+      failedAt: new Date().toISOString()
+    });
+    console.warn(`Dead-lettered event ${event.id} for ${subscriptionId} after ${attempts} attempts: ${lastError}`);
+  }
+
+  // ONE FUNCTION: Attempt one out-of-band delivery (dead-letter retry); returns an error message or null
+  async deliver(subscription: SubscriptionRecord, event: StoredEvent): Promise<string | null> {
+    if (subscription.kind === 'webhook') {
+      return this.postToWebhook(subscription, event);
+    }
+
+    const stream = this.streams.get(subscription.id);
+    const consumer = stream && Array.from(stream.consumers.values()).find(c => c.ws.readyState === WebSocket.OPEN);
+    if (!consumer) return 'No connected consumer';
+
+    const frame = JSON.stringify({ type: 'event', subscriptionId: subscription.id, event, redelivery: true });
+    return new Promise(resolve => {
+      consumer.ws.send(frame, error => resolve(error ? error.message : null));
+    });
+  }
+
+  private async postToWebhook(subscription: SubscriptionRecord, event: StoredEvent): Promise<string | null> {
+    try {
+      const response = await fetch(subscription.webhook!, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Event-Id': event.id,
+          'X-Event-Seq': String(event.seq)
+        },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(this.policy.webhookTimeoutMs)
+      });
+      return response.ok ? null : `HTTP ${response.status}`;
+    } catch (error: any) {
+      return error?.message || 'Webhook request failed';
+    }
+  }
+}
@@ -10,6 +10,9 @@ import cors from 'cors';
 import { WebSocketServer, WebSocket } from 'ws';
 import { createServer } from 'http';
 import { v4 as uuidv4 } from 'uuid';
+import { createStore, SubscriptionRecord } from './store';
+import { Dispatcher, matchesPattern } from './dispatcher';
+import { InvalidSchemaError, SchemaCompatibilityError, SchemaRegistry } from './schema-registry';
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -22,44 +25,58 @@ app.use(express.json());
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-// Types
-interface Subscription {
-  id: string;
-  pattern: string;
-  clientId: string;
-  ws?: WebSocket;
-  webhook?: string;
-}
+// Storage - durable events, subscriptions and cursors; sockets are live only
+const store = createStore();
+const registry = new SchemaRegistry(store);
+const dispatcher = new Dispatcher(store, registry);
+const clients = new Map<string, WebSocket>();
+const clientSubscriptions = new Map<string, Set<string>>(); // clientId -> subscription ids
+const ephemeral = new Set<string>(); // Unnamed WebSocket subscriptions, removed on disconnect
 
-interface Event {
-  id: string;
-  type: string;
-  source: string;
-  data: any;
-  timestamp: Date;
-  tenantId?: string;
-}
+const REPLAY_MAX = 1000;
 
-// Storage
-const subscriptions = new Map<string, Subscription>();
-const clients = new Map<string, WebSocket>();
-const eventHistory: Event[] = [];
+// Helper: Changing what producers may publish is for services holding a key
+const requireApiKey = (req: express.Request, res: express.Response, next: express.NextFunction) => {
+  const apiKey = req.headers['x-api-key'];
+  const validApiKeys = process.env.VALID_API_KEYS?.split(',').filter(Boolean) || [];
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  if (!validApiKeys.includes(apiKey as string)) {
+    return res.status(403).json({ error: 'Invalid API key' });
+  }
+  next();
+};
+
+// Helper: Express 4 ignores rejected handlers; pass store failures to the error handler
+const asyncHandler = (handler: (req: express.Request, res: express.Response) => Promise<unknown>) =>
+  (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    handler(req, res).catch(next);
+  };
 
 // ONE FUNCTION: Health check
-app.get('/health', (req, res) => {
+app.get('/health', asyncHandler(async (req, res) => {
+  const [subscriptions, deadLetters] = await Promise.all([store.listSubscriptions(), store.listDeadLetters()]);
+  const head = await store.headSeq();
+
   res.json({
     status: 'healthy',
     service: 'event-bus',
     purpose: 'Route events between services',
     connections: clients.size,
-    subscriptions: subscriptions.size,
-    eventsProcessed: eventHistory.length
+    subscriptions: subscriptions.length,
+    eventsProcessed: head,
+    eventsStored: await store.count(),
+    deadLetters: deadLetters.length,
+    inFlight: dispatcher.inFlight(),
+    lagging: subscriptions.filter(s => s.cursor < head).length
   });
-});
+}));
 
 // ONE FUNCTION: Publish an event
-app.post('/api/v1/publish', async (req, res) => {
-  const { type, source, data, tenantId } = req.body;
+app.post('/api/v1/publish', asyncHandler(async (req, res) => {
+  const { type, source, data, tenantId, schemaVersion } = req.body;
 
   if (!type || !source) {
     return res.status(400).json({
@@ -67,53 +84,44 @@ app.post('/api/v1/publish', async (req, res) => {
     });
   }
 
-  const event: Event = {
+  // Reject data that does not match the registered schema before storing anything
+  const validation = registry.validate(type, data, schemaVersion !== undefined ? Number(schemaVersion) : undefined);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: `Event data does not match schema for ${type}`,
+      schemaVersion: validation.version,
+      errors: validation.errors
+    });
+  }
+
+  // Store first: once the event has a seq it will reach every subscription
+  const event = await store.append({
     id: uuidv4(),
     type,
     source,
     data,
     tenantId,
-    timestamp: new Date()
-  };
-
-  // Store event
-  eventHistory.push(event);
-  if (eventHistory.length > 10000) {
-    eventHistory.shift(); // Keep only last 10k events
-  }
-
-  // Route to subscribers
-  let delivered = 0;
-  subscriptions.forEach(subscription => {
-    if (matchesPattern(event.type, subscription.pattern)) {
-      if (subscription.ws && subscription.ws.readyState === WebSocket.OPEN) {
-        subscription.ws.send(JSON.stringify({
-          type: 'event',
-          event
-        }));
-        delivered++;
-      } else if (subscription.webhook) {
-        // Fire and forget webhook
-        fetch(subscription.webhook, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(event)
-        }).catch(() => {}); // Ignore failures
-        delivered++;
-      }
-    }
+    schemaVersion: validation.version,
+    timestamp: new Date().toISOString()
   });
 
+  // Route to subscribers (delivery and retries happen in the background)
+  const subscriptions = await store.listSubscriptions();
+  const queued = subscriptions.filter(s => matchesPattern(event.type, s.pattern)).length;
+  dispatcher.notify().catch(error => console.error('Failed to wake subscriptions:', error));
+
   res.json({
     success: true,
     eventId: event.id,
-    delivered
+    seq: event.seq,
+    schemaVersion: event.schemaVersion,
+    delivered: queued
   });
-});
+}));
 
 // ONE FUNCTION: Subscribe to events via webhook
-app.post('/api/v1/subscribe', (req, res) => {
-  const { pattern, webhook } = req.body;
+app.post('/api/v1/subscribe', asyncHandler(async (req, res) => {
+  const { pattern, webhook, from } = req.body;
 
   if (!pattern || !webhook) {
     return res.status(400).json({
@@ -121,54 +129,178 @@ app.post('/api/v1/subscribe', (req, res) => {
     });
   }
 
-  const subscription: Subscription = {
+  let schemaVersions: Record<string, number> | undefined;
+  try {
+    schemaVersions = parseSchemaVersions(req.body.schemaVersions);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // New subscriptions start at the head unless asked to backfill from a seq
+  const subscription: SubscriptionRecord = {
     id: uuidv4(),
     pattern,
-    clientId: `webhook_${uuidv4()}`,
-    webhook
+    kind: 'webhook',
+    webhook,
+    schemaVersions,
+    cursor: from !== undefined ? Math.max(0, Number(from) || 0) : await store.headSeq(),
+    createdAt: new Date().toISOString()
   };
 
-  subscriptions.set(subscription.id, subscription);
+  await store.saveSubscription(subscription);
+  dispatcher.kick(subscription.id);
 
   res.json({
     success: true,
     subscriptionId: subscription.id,
     pattern,
-    webhook
+    webhook,
+    schemaVersions,
+    cursor: subscription.cursor
   });
-});
+}));
 
 // ONE FUNCTION: Unsubscribe
-app.delete('/api/v1/subscribe/:id', (req, res) => {
+app.delete('/api/v1/subscribe/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (subscriptions.delete(id)) {
+  if (await store.deleteSubscription(id)) {
+    dispatcher.forget(id);
+    ephemeral.delete(id);
     res.json({ success: true, message: 'Unsubscribed' });
   } else {
     res.status(404).json({ error: 'Subscription not found' });
   }
-});
+}));
 
 // ONE FUNCTION: Get event history
-app.get('/api/v1/events', (req, res) => {
+app.get('/api/v1/events', asyncHandler(async (req, res) => {
   const { type, source, limit = 100 } = req.query;
 
-  let filtered = eventHistory;
+  const { events, total } = await store.recent({
+    type: type ? String(type) : undefined,
+    source: source ? String(source) : undefined,
+    limit: Number(limit)
+  });
+
+  res.json({ events, total });
+}));
 
-  if (type) {
-    filtered = filtered.filter(e => e.type === type);
+// ONE FUNCTION: Replay events after downtime
+// `from` is an exclusive seq (e.g. the last seq a consumer processed) or an ISO timestamp
+app.get('/api/v1/replay', asyncHandler(async (req, res) => {
+  const { from, pattern = '*', limit = 500 } = req.query;
+
+  if (from === undefined) {
+    return res.status(400).json({ error: 'Missing required query parameter: from' });
   }
 
-  if (source) {
-    filtered = filtered.filter(e => e.source === source);
+  const raw = String(from);
+  const isSeq = /^\d+$/.test(raw);
+  if (!isSeq && isNaN(Date.parse(raw))) {
+    return res.status(400).json({ error: 'from must be a sequence number or an ISO timestamp' });
   }
 
+  const max = Math.min(Math.max(Number(limit) || 1, 1), REPLAY_MAX);
+  const page = await store.read(isSeq ? { afterSeq: Number(raw), limit: max } : { fromTime: raw, limit: max });
+  const events = page.filter(e => matchesPattern(e.type, String(pattern)));
+  const last = page[page.length - 1];
+
   res.json({
-    events: filtered.slice(-Number(limit)),
-    total: filtered.length
+    events,
+    // Pass nextCursor back as `from` to continue; hasMore is false once caught up
+    nextCursor: last ? last.seq : (isSeq ? Number(raw) : await store.headSeq()),
+    hasMore: page.length === max,
+    head: await store.headSeq()
   });
+}));
+
+// ONE FUNCTION: List registered event types
+app.get('/api/v1/schemas', (req, res) => {
+  res.json({ schemas: registry.list() });
+});
+
+// ONE FUNCTION: All versions of one event type's schema
+app.get('/api/v1/schemas/:type', (req, res) => {
+  const versions = registry.history(req.params.type);
+  if (versions.length === 0) {
+    return res.status(404).json({ error: `No schema registered for ${req.params.type}` });
+  }
+  res.json({ type: req.params.type, versions });
+});
+
+// ONE FUNCTION: One schema version
+app.get('/api/v1/schemas/:type/versions/:version', (req, res) => {
+  const version = registry.get(req.params.type, Number(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: 'Schema version not found' });
+  }
+  res.json(version);
 });
 
+// ONE FUNCTION: Register a new schema version for an event type
+// Breaking changes are refused (409); publish them under a new event type
+app.post('/api/v1/schemas/:type', requireApiKey, asyncHandler(async (req, res) => {
+  const { schema, description } = req.body;
+
+  if (!schema || typeof schema !== 'object') {
+    return res.status(400).json({ error: 'Missing required field: schema (a JSON Schema object)' });
+  }
+
+  try {
+    const { version, created } = await registry.register(req.params.type, schema, { description });
+    res.status(created ? 201 : 200).json({ success: true, created, ...version });
+  } catch (error: any) {
+    if (error instanceof SchemaCompatibilityError) {
+      return res.status(409).json({ error: error.message, incompatibilities: error.problems });
+    }
+    if (error instanceof InvalidSchemaError) {
+      return res.status(400).json({ error: `Invalid JSON Schema: ${error.message}` });
+    }
+    throw error;
+  }
+}));
+
+// ONE FUNCTION: List dead-lettered deliveries
+app.get('/api/v1/dlq', asyncHandler(async (req, res) => {
+  const { subscriptionId } = req.query;
+  const deadLetters = await store.listDeadLetters(subscriptionId ? String(subscriptionId) : undefined);
+
+  res.json({ deadLetters, total: deadLetters.length });
+}));
+
+// ONE FUNCTION: Retry one dead letter now; it stays in the queue if it fails again
+app.post('/api/v1/dlq/:id/retry', asyncHandler(async (req, res) => {
+  const entry = await store.takeDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+
+  const subscription = await store.getSubscription(entry.subscriptionId);
+  const error = subscription ? await dispatcher.deliver(subscription, entry.event) : 'Subscription no longer exists';
+
+  if (error) {
+    await store.addDeadLetter({
+      ...entry,
+      attempts: entry.attempts + 1,
+      lastError: error,
+      failedAt: new Date().toISOString()
+    });
+    return res.status(502).json({ success: false, error });
+  }
+
+  res.json({ success: true, eventId: entry.event.id });
+}));
+
+// ONE FUNCTION: Discard a dead letter
+app.delete('/api/v1/dlq/:id', asyncHandler(async (req, res) => {
+  if (await store.takeDeadLetter(req.params.id)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Dead letter not found' });
+  }
+}));
+
 // WebSocket handling - real-time subscriptions
 wss.on('connection', (ws) => {
   const clientId = uuidv4();
@@ -181,74 +313,175 @@ wss.on('connection', (ws) => {
     clientId
   }));
 
-  ws.on('message', (message) => {
+  clientSubscriptions.set(clientId, new Set());
+
+  ws.on('message', async (message) => {
     try {
       const msg = JSON.parse(message.toString());
 
       if (msg.type === 'subscribe') {
-        const subscription: Subscription = {
-          id: uuidv4(),
-          pattern: msg.pattern,
-          clientId,
-          ws
-        };
-
-        subscriptions.set(subscription.id, subscription);
+        const subscription = await subscribeSocket(clientId, ws, msg);
 
         ws.send(JSON.stringify({
           type: 'subscribed',
           subscriptionId: subscription.id,
-          pattern: msg.pattern
+          pattern: subscription.pattern,
+          name: subscription.name,
+          group: subscription.group,
+          schemaVersions: subscription.schemaVersions,
+          cursor: subscription.cursor,
+          members: dispatcher.consumerCount(subscription.id)
         }));
       }
 
       if (msg.type === 'unsubscribe') {
-        subscriptions.delete(msg.subscriptionId);
+        // Only subscriptions this socket holds; webhooks and other clients' are not its to remove
+        if (!clientSubscriptions.get(clientId)?.has(msg.subscriptionId)) {
+          throw new Error(`Not subscribed to ${msg.subscriptionId}`);
+        }
+        // Leaving a group only removes this member; the group keeps its cursor
+        const subscription = await store.getSubscription(msg.subscriptionId);
+        clientSubscriptions.get(clientId)?.delete(msg.subscriptionId);
+        if (subscription?.group) {
+          dispatcher.detach(msg.subscriptionId, clientId);
+        } else {
+          await store.deleteSubscription(msg.subscriptionId);
+          dispatcher.forget(msg.subscriptionId);
+          ephemeral.delete(msg.subscriptionId);
+        }
         ws.send(JSON.stringify({
           type: 'unsubscribed',
           subscriptionId: msg.subscriptionId
         }));
       }
 
+      if (msg.type === 'ack' || msg.type === 'nack') {
+        const seq = Number(msg.seq);
+        const settled = msg.type === 'ack'
+          ? await dispatcher.ack(msg.subscriptionId, clientId, seq)
+          : await dispatcher.nack(msg.subscriptionId, clientId, seq, msg.reason);
+
+        if (!settled) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: `No delivery of seq ${msg.seq} to ${msg.subscriptionId} is awaiting ${msg.type}`
+          }));
+        }
+      }
+
       if (msg.type === 'ping') {
         ws.send(JSON.stringify({ type: 'pong' }));
       }
-    } catch (error) {
+    } catch (error: any) {
       ws.send(JSON.stringify({
         type: 'error',
-        message: 'Invalid message format'
+        message: error instanceof SyntaxError ? 'Invalid message format' : error.message
       }));
     }
   });
 
-  ws.on('close', () => {
+  ws.on('close', async () => {
     clients.delete(clientId);
-    // Remove all subscriptions for this client
-    Array.from(subscriptions.entries()).forEach(([id, sub]) => {
-      if (sub.clientId === clientId) {
-        subscriptions.delete(id);
+    // Named subscriptions keep their cursor for the next connection; the rest go away
+    const ids = Array.from(clientSubscriptions.get(clientId) || []);
+    clientSubscriptions.delete(clientId);
+    for (const id of ids) {
+      dispatcher.detach(id, clientId); // Unacked events go back to the rest of the group
+      if (ephemeral.delete(id)) {
+        dispatcher.forget(id);
+        await store.deleteSubscription(id)
+          .catch(error => console.error(`Failed to remove subscription ${id} of ${clientId}:`, error));
       }
-    });
+    }
     console.log(`Client disconnected: ${clientId}`);
   });
 });
 
-// Helper: Match event type to subscription pattern
-function matchesPattern(eventType: string, pattern: string): boolean {
-  if (pattern === '*') return true;
-  if (pattern === eventType) return true;
+// ONE FUNCTION: Create, resume or join a WebSocket subscription
+// A `name` makes it durable: reconnecting with the same name resumes from its cursor.
+// A `group` is a durable subscription shared by its members; each event goes to one member.
+// `ack: true` turns on manual acks, `maxInFlight` caps unacked events per member.
+async function subscribeSocket(clientId: string, ws: WebSocket, msg: any): Promise<SubscriptionRecord> {
+  if (!msg.pattern) {
+    throw new Error('Missing required field: pattern');
+  }
+
+  const group = msg.group ? String(msg.group) : undefined;
+  const name = !group && msg.name ? String(msg.name) : undefined;
+  const id = group ? `group_${group}` : name ? `ws_${name}` : uuidv4();
 
-  // Support wildcards like "user.*" matching "user.created", "user.updated"
-  if (pattern.endsWith('*')) {
-    const prefix = pattern.slice(0, -1);
-    return eventType.startsWith(prefix);
+  const schemaVersions = parseSchemaVersions(msg.schemaVersions);
+
+  let subscription = await store.getSubscription(id);
+  if (subscription) {
+    const label = group ? `Group ${group}` : `Subscription ${name}`;
+    if (subscription.pattern !== msg.pattern) {
+      throw new Error(`${label} already uses pattern ${subscription.pattern}`);
+    }
+    if (schemaVersions && JSON.stringify(schemaVersions) !== JSON.stringify(subscription.schemaVersions)) {
+      throw new Error(`${label} already uses schema versions ${JSON.stringify(subscription.schemaVersions || {})}`);
+    }
+  }
+  if (!subscription) {
+    subscription = {
+      id,
+      pattern: msg.pattern,
+      kind: 'websocket',
+      name,
+      group,
+      schemaVersions,
+      cursor: msg.from !== undefined ? Math.max(0, Number(msg.from) || 0) : await store.headSeq(),
+      createdAt: new Date().toISOString()
+    };
+    await store.saveSubscription(subscription);
   }
 
-  return false;
+  if (!name && !group) ephemeral.add(id);
+  clientSubscriptions.get(clientId)?.add(id);
+  await dispatcher.attach(id, clientId, ws, {
+    manualAck: msg.ack === true,
+    maxInFlight: msg.maxInFlight !== undefined ? Number(msg.maxInFlight) : undefined,
+    ackTimeoutMs: msg.ackTimeoutMs !== undefined ? Number(msg.ackTimeoutMs) : undefined
+  });
+  return subscription;
 }
 
-// Start server
-server.listen(PORT, () => {
+// Helper: Validate a subscriber's { eventType: version } pins against the registry
+function parseSchemaVersions(raw: any): Record<string, number> | undefined {
+  if (raw === undefined || raw === null) return undefined;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('schemaVersions must map event types to version numbers');
+  }
+
+  const pins: Record<string, number> = {};
+  Object.entries(raw).forEach(([type, version]) => {
+    if (!registry.get(type, Number(version))) {
+      throw new Error(`Unknown schema version ${version} for ${type}`);
+    }
+    pins[type] = Number(version);
+  });
+  return pins;
+}
+
+// Store and registry failures answer 500 instead of leaving the request hanging
+app.use((error: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (res.headersSent) return next(error);
+
+  // Errors raised by Express itself (e.g. malformed JSON) carry their own 4xx status
+  const status = Number(error?.status || error?.statusCode);
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  console.error(`${req.method} ${req.path} failed:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Start server once registered schemas are loaded
+registry.init().then(() => server.listen(PORT, async () => {
+  // Resume webhook deliveries that were pending when the process stopped
+  await dispatcher.notify().catch(error => console.error('Failed to resume deliveries:', error));
+
   console.log(`
 ╔══════════════════════════════════════════════════════════╗
 ║   📡 EVENT BUS MICROSERVICE - RUNNING                    ║
@@ -262,7 +495,13 @@ server.listen(PORT, () => {
 ║   • WebSocket real-time subscriptions                    ║
 ║   • Webhook subscriptions                                ║
 ║   • Pattern matching (wildcards)                         ║
-║   • Event history                                        ║
+║   • Durable event log with replay                        ║
+║   • At-least-once delivery, retries and dead letters     ║
+║   • Consumer groups with ack/nack and flow control       ║
+║   • Versioned event schemas, validated on publish        ║
 ╚══════════════════════════════════════════════════════════╝
   `);
-});
\ No newline at end of file
+})).catch(error => {
+  console.error('Failed to load event schemas:', error);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+/**
+ * Joi → JSON Schema
+ * Single Purpose: Translate the shared Joi schemas into JSON Schemas for the registry
+ *
+ * ONE THING: Convert a Joi `describe()` tree, covering the rules used in
+ * services/shared/schemas (min/max/length, email, uri, pattern, alphanum,
+ * integer, valid, iso dates, arrays and nested objects)
+ */
+
+// Shape of Joi's describe() output we read
+interface JoiDescription {
+  type: string;
+  flags?: {
+    presence?: 'required' | 'optional' | 'forbidden';
+    only?: boolean;
+    format?: string;
+    default?: any;
+    description?: string;
+  };
+  allow?: any[];
+  rules?: Array<{ name: string; args?: Record<string, any> }>;
+  keys?: Record<string, JoiDescription>;
+  items?: JoiDescription[];
+}
+
+type JsonSchema = Record<string, any>;
+
+// Helper: "/^abc$/i" → "^abc$" (JSON Schema patterns carry no flags)
+function regexSource(regex: string): string {
+  const match = /^\/([\s\S]*)\/[a-z]*$/.exec(regex);
+  return match ? match[1] : regex;
+}
+
+// Helper: Joi's `.default()` without a value describes as { special: 'deep' }
+function literalDefault(value: any): boolean {
+  return value !== undefined && !(value && typeof value === 'object' && 'special' in value);
+}
+
+function applyRules(description: JoiDescription, schema: JsonSchema): void {
+  const [minKey, maxKey] = description.type === 'string' ? ['minLength', 'maxLength']
+    : description.type === 'array' ? ['minItems', 'maxItems']
+      : description.type === 'object' ? ['minProperties', 'maxProperties']
+        : ['minimum', 'maximum'];
+
+  (description.rules || []).forEach(rule => {
+    const limit = rule.args?.limit;
+    switch (rule.name) {
+      case 'min': schema[minKey] = limit; break;
+      case 'max': schema[maxKey] = limit; break;
+      case 'length':
+        schema[minKey] = limit;
+        schema[maxKey] = limit;
+        break;
+      case 'integer': schema.type = 'integer'; break;
+      case 'email': schema.format = 'email'; break;
+      case 'uri': schema.format = 'uri'; break;
+      case 'pattern': schema.pattern = regexSource(String(rule.args?.regex)); break;
+      case 'alphanum': schema.pattern = '^[a-zA-Z0-9]*$'; break;
+    }
+  });
+}
+
+// ONE FUNCTION: Convert one described Joi schema
+export function joiToJsonSchema(description: JoiDescription): JsonSchema {
+  let schema: JsonSchema;
+
+  switch (description.type) {
+    case 'object': {
+      schema = { type: 'object' };
+      if (description.keys) {
+        schema.properties = {};
+        const required: string[] = [];
+        Object.entries(description.keys).forEach(([key, child]) => {
+          schema.properties[key] = joiToJsonSchema(child);
+          if (child.flags?.presence === 'required') required.push(key);
+        });
+        if (required.length > 0) schema.required = required;
+      }
+      break;
+    }
+    case 'array':
+      schema = { type: 'array' };
+      if (description.items?.length === 1) {
+        schema.items = joiToJsonSchema(description.items[0]);
+      } else if (description.items && description.items.length > 1) {
+        schema.items = { anyOf: description.items.map(joiToJsonSchema) };
+      }
+      break;
+    case 'date':
+      // Joi's iso() accepts both dates and date-times
+      schema = description.flags?.format === 'iso'
+        ? { type: 'string', anyOf: [{ format: 'date-time' }, { format: 'date' }] }
+        : { type: ['string', 'number'] };
+      break;
+    case 'string':
+    case 'number':
+    case 'boolean':
+      schema = { type: description.type };
+      break;
+    default:
+      schema = {}; // any
+  }
+
+  applyRules(description, schema);
+
+  if (description.flags?.only && description.allow) {
+    schema.enum = description.allow;
+  }
+  if (literalDefault(description.flags?.default)) {
+    schema.default = description.flags!.default;
+  }
+  if (description.flags?.description) {
+    schema.description = description.flags.description;
+  }
+
+  return schema;
+}
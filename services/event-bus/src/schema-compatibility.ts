@@ -0,0 +1,116 @@
+/**
+ * Schema Compatibility
+ * Single Purpose: Decide whether a new schema version may replace the latest
+ *
+ * ONE THING: Backward compatibility between two JSON Schemas - everything the
+ * old version accepted, the new one must accept too
+ *
+ * Publish validates against the latest version unless the producer names one,
+ * so a version that rejects data the previous one allowed would start failing
+ * producers that have not changed. The check is structural and covers the
+ * keywords the registry's schemas use (type, required, properties,
+ * additionalProperties, items, enum, limits, pattern, format); anything it
+ * can't compare must stay equal. Breaking changes belong in a new event type.
+ */
+
+type JsonSchema = Record<string, any>;
+
+export interface Incompatibility {
+  path: string; // Where in the data, e.g. "preferences.theme"; "" for the root
+  message: string;
+}
+
+// Lower bounds may only go down, upper bounds only up
+const LOWER_LIMITS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_LIMITS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+const COMPARED = new Set([
+  'type', 'required', 'properties', 'additionalProperties', 'items', 'enum',
+  ...LOWER_LIMITS, ...UPPER_LIMITS,
+  'default', 'description', 'title', '$schema', '$id'
+]);
+
+// Helper: A schema's types as a list; no `type` accepts anything
+function typesOf(schema: JsonSchema): string[] | null {
+  if (schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+// Helper: "integer" data is also a "number"
+function acceptsType(types: string[], type: string): boolean {
+  return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+// ONE FUNCTION: Ways `next` rejects data that `previous` accepted
+export function findIncompatibilities(previous: JsonSchema, next: JsonSchema, path = ''): Incompatibility[] {
+  const problems: Incompatibility[] = [];
+  const at = (key: string) => (path ? `${path}.${key}` : key);
+
+  const oldTypes = typesOf(previous);
+  const newTypes = typesOf(next);
+  if (newTypes) {
+    const dropped = oldTypes ? oldTypes.filter(type => !acceptsType(newTypes, type)) : ['any'];
+    if (dropped.length > 0) {
+      problems.push({ path, message: `no longer accepts type ${dropped.join(', ')}` });
+    }
+  }
+
+  const oldRequired: string[] = previous.required || [];
+  (next.required || []).filter((key: string) => !oldRequired.includes(key)).forEach((key: string) => {
+    problems.push({ path: at(key), message: 'is newly required' });
+  });
+
+  const oldProperties: Record<string, JsonSchema> = previous.properties || {};
+  const newProperties: Record<string, JsonSchema> = next.properties || {};
+  // Declaring a new optional property is allowed, as in most registries, even
+  // though an undeclared extra of another shape was accepted before
+  Object.entries(newProperties).forEach(([key, schema]) => {
+    if (oldProperties[key]) {
+      problems.push(...findIncompatibilities(oldProperties[key], schema, at(key)));
+    }
+  });
+  if (next.additionalProperties === false) {
+    Object.keys(oldProperties).filter(key => !newProperties[key]).forEach(key => {
+      problems.push({ path: at(key), message: 'is no longer allowed' });
+    });
+    if (previous.additionalProperties !== false) {
+      problems.push({ path, message: 'no longer allows additional properties' });
+    }
+  }
+
+  if (next.items && !Array.isArray(next.items)) {
+    const oldItems = previous.items && !Array.isArray(previous.items) ? previous.items : {};
+    problems.push(...findIncompatibilities(oldItems, next.items, at('[]')));
+  } else if (JSON.stringify(previous.items) !== JSON.stringify(next.items)) {
+    problems.push({ path: at('[]'), message: 'changed tuple items' });
+  }
+
+  if (next.enum) {
+    const missing = previous.enum
+      ? previous.enum.filter((value: any) => !next.enum.some((v: any) => JSON.stringify(v) === JSON.stringify(value)))
+      : ['(any value)'];
+    if (missing.length > 0) {
+      problems.push({ path, message: `no longer accepts ${missing.map((v: any) => JSON.stringify(v)).join(', ')}` });
+    }
+  }
+
+  LOWER_LIMITS.forEach(key => {
+    if (next[key] !== undefined && (previous[key] === undefined || next[key] > previous[key])) {
+      problems.push({ path, message: `raised ${key} to ${next[key]}` });
+    }
+  });
+  UPPER_LIMITS.forEach(key => {
+    if (next[key] !== undefined && (previous[key] === undefined || next[key] < previous[key])) {
+      problems.push({ path, message: `lowered ${key} to ${next[key]}` });
+    }
+  });
+
+  // Everything else (pattern, format, anyOf, ...) may be added only where it
+  // was already there unchanged
+  Object.keys(next).filter(key => !COMPARED.has(key)).forEach(key => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      problems.push({ path, message: `changed ${key}` });
+    }
+  });
+
+  return problems;
+}
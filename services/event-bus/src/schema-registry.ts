@@ -0,0 +1,205 @@
+/**
+ * Schema Registry
+ * Single Purpose: Versioned JSON Schemas per event type
+ *
+ * ONE THING: Decide whether an event's data matches the schema it claims
+ *
+ * Producers register a JSON Schema for an event type; each change becomes a
+ * new version, and must accept everything the previous version accepted.
+ * Publish validates against the latest version (or the one the producer
+ * names). Types with no schema are accepted unless EVENT_BUS_REQUIRE_SCHEMA=true.
+ * Subscribers may pin a version per type; events whose data does not satisfy
+ * that version are dead-lettered for them instead of delivered.
+ */
+
+import Ajv, { ValidateFunction } from 'ajv';
+import addFormats from 'ajv-formats';
+import {
+  UserSchema,
+  EventSchema,
+  MatchSchema,
+  ConnectionSchema,
+  InviteSchema,
+  MetricSchema,
+  WebhookSchema,
+  FeatureFlagSchema
+} from '../../shared/schemas';
+import { joiToJsonSchema } from './joi-json-schema';
+import { findIncompatibilities, Incompatibility } from './schema-compatibility';
+import { EventStore, SchemaVersion } from './store';
+
+export interface SchemaValidation {
+  valid: boolean;
+  version?: number; // Version checked; unset when the type has no schema
+  errors?: Array<{ field: string; message: string }>;
+}
+
+// Shared Joi schemas seeded as `<entity>.created`, and as `<entity>.updated`
+// with only the id required, since updates carry just the changed fields
+const SEED_SCHEMAS: Array<[string, { describe(): any }]> = [
+  ['user', UserSchema],
+  ['event', EventSchema],
+  ['match', MatchSchema],
+  ['connection', ConnectionSchema],
+  ['invite', InviteSchema],
+  ['metric', MetricSchema],
+  ['webhook', WebhookSchema],
+  ['feature_flag', FeatureFlagSchema]
+];
+
+// A new version that rejects data the latest version accepted
+export class InvalidSchemaError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidSchemaError';
+  }
+}
+
+export class SchemaCompatibilityError extends Error {
+  constructor(public type: string, public problems: Incompatibility[]) {
+    super(`Schema for ${type} is not backward compatible with the latest version`);
+    this.name = 'SchemaCompatibilityError';
+  }
+}
+
+// Helper: The same schema with every top-level field optional except the id
+function partialSchema(schema: Record<string, any>): Record<string, any> {
+  const { required, ...rest } = schema;
+  const keep = (required || []).filter((key: string) => key === 'id');
+  return keep.length > 0 ? { ...rest, required: keep } : rest;
+}
+
+export class SchemaRegistry {
+  private ajv = new Ajv({ allErrors: true, strict: false });
+  private versions = new Map<string, SchemaVersion[]>(); // type -> versions, oldest first
+  private validators = new Map<string, ValidateFunction>(); // `${type}@${version}`
+
+  constructor(private store: EventStore, private requireSchema = process.env.EVENT_BUS_REQUIRE_SCHEMA === 'true') {
+    addFormats(this.ajv);
+  }
+
+  // ONE FUNCTION: Load stored versions, then seed types that have none
+  // Types still on a seeded version follow changes to the seed; once a
+  // producer registers its own version, seeding leaves the type alone
+  async init(): Promise<void> {
+    const stored = await this.store.listSchemas();
+    stored
+      .sort((a, b) => a.version - b.version)
+      .forEach(version => this.cache(version));
+
+    for (const [entity, joiSchema] of SEED_SCHEMAS) {
+      const schema = joiToJsonSchema(joiSchema.describe());
+      const seeds: Array<[string, Record<string, any>]> = [
+        [`${entity}.created`, schema],
+        [`${entity}.updated`, partialSchema(schema)]
+      ];
+      for (const [type, seed] of seeds) {
+        const latest = this.get(type);
+        if (latest && latest.source !== 'seed') continue;
+        try {
+          await this.register(type, seed, { source: 'seed', description: `Seeded from shared ${entity} schema` });
+        } catch (error) {
+          if (!(error instanceof SchemaCompatibilityError)) throw error;
+          console.warn(`Schema registry: kept ${type} v${latest!.version}; the shared schema changed incompatibly`);
+        }
+      }
+    }
+
+    console.log(`Schema registry: ${this.versions.size} event types`);
+  }
+
+  // ONE FUNCTION: Register a schema; unchanged schemas return the current version
+  // Throws SchemaCompatibilityError when the schema would reject data the
+  // latest version accepts
+  async register(
+    type: string,
+    schema: Record<string, any>,
+    options: { description?: string; source?: SchemaVersion['source'] } = {}
+  ): Promise<{ version: SchemaVersion; created: boolean }> {
+    const latest = this.get(type);
+    if (latest && JSON.stringify(latest.schema) === JSON.stringify(schema)) {
+      return { version: latest, created: false };
+    }
+
+    // Refuse an invalid schema before anything is stored
+    try {
+      this.ajv.compile(schema);
+    } catch (error: any) {
+      throw new InvalidSchemaError(error.message);
+    }
+
+    const problems = latest ? findIncompatibilities(latest.schema, schema) : [];
+    if (problems.length > 0) {
+      throw new SchemaCompatibilityError(type, problems);
+    }
+
+    const version: SchemaVersion = {
+      type,
+      version: latest ? latest.version + 1 : 1,
+      schema,
+      description: options.description,
+      source: options.source || 'producer',
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.saveSchema(version);
+    this.cache(version);
+    return { version, created: true };
+  }
+
+  // ONE FUNCTION: Look up a version (latest when omitted)
+  get(type: string, version?: number): SchemaVersion | undefined {
+    const versions = this.versions.get(type);
+    if (!versions) return undefined;
+    return version === undefined ? versions[versions.length - 1] : versions.find(v => v.version === version);
+  }
+
+  // ONE FUNCTION: All versions of a type, oldest first
+  history(type: string): SchemaVersion[] {
+    return this.versions.get(type) || [];
+  }
+
+  // ONE FUNCTION: One line per registered type
+  list(): Array<{ type: string; latestVersion: number; versions: number }> {
+    return Array.from(this.versions.entries()).map(([type, versions]) => ({
+      type,
+      latestVersion: versions[versions.length - 1].version,
+      versions: versions.length
+    }));
+  }
+
+  // ONE FUNCTION: Validate event data against a version (latest when omitted)
+  validate(type: string, data: any, version?: number): SchemaValidation {
+    if (!this.versions.has(type)) {
+      return this.requireSchema
+        ? { valid: false, errors: [{ field: '', message: `No schema registered for ${type}` }] }
+        : { valid: true };
+    }
+
+    const schema = this.get(type, version);
+    if (!schema) {
+      return { valid: false, errors: [{ field: '', message: `Unknown schema version ${version} for ${type}` }] };
+    }
+
+    const validator = this.validators.get(`${type}@${schema.version}`)!;
+    if (validator(data)) {
+      return { valid: true, version: schema.version };
+    }
+
+    return {
+      valid: false,
+      version: schema.version,
+      errors: (validator.errors || []).map(error => ({
+        field: error.instancePath.replace(/^\//, '').replace(/\//g, '.'),
+        message: error.message || 'is invalid'
+      }))
+    };
+  }
+
+  private cache(version: SchemaVersion): void {
+    const versions = this.versions.get(version.type) || [];
+    versions.push(version);
+    this.versions.set(version.type, versions);
+    this.validators.set(`${version.type}@${version.version}`, this.ajv.compile(version.schema));
+  }
+}
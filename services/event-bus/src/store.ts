@@ -0,0 +1,463 @@
+/**
+ * Event Store
+ * Single Purpose: Persist events, subscriptions, delivery cursors, dead letters and schemas
+ *
+ * ONE THING: Durable state for the event bus behind one interface
+ *
+ * Backends:
+ *   memory - everything in process memory (tests, throwaway dev runs)
+ *   file   - memory plus an append-only journal and periodic snapshot on disk,
+ *            so a restart picks up where it left off without a database server
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Types
+export interface StoredEvent {
+  seq: number; // Monotonic position in the log, starts at 1
+  id: string;
+  type: string;
+  source: string;
+  data: any;
+  timestamp: string;
+  tenantId?: string;
+  schemaVersion?: number; // Registered schema version the data was validated against
+}
+
+export interface SubscriptionRecord {
+  id: string;
+  pattern: string;
+  kind: 'webhook' | 'websocket';
+  webhook?: string;
+  name?: string; // Durable WebSocket subscriptions resume by name
+  group?: string; // Consumer group; members share one cursor
+  schemaVersions?: Record<string, number>; // Event type -> schema version the consumer reads
+  cursor: number; // Seq of the last event delivered (or dead-lettered)
+  createdAt: string;
+}
+
+export interface DeadLetter {
+  id: string;
+  subscriptionId: string;
+  event: StoredEvent;
+  attempts: number;
+  lastError: string;
+  failedAt: string;
+}
+
+export interface SchemaVersion {
+  type: string; // Event type, e.g. "user.created"
+  version: number; // 1, 2, 3... per type
+  schema: Record<string, any>; // JSON Schema for the event's data
+  description?: string;
+  source: 'seed' | 'producer';
+  createdAt: string;
+}
+
+export interface ReadOptions {
+  afterSeq?: number;
+  fromTime?: string;
+  limit: number;
+}
+
+export interface EventStore {
+  append(event: Omit<StoredEvent, 'seq'>): Promise<StoredEvent>;
+  read(options: ReadOptions): Promise<StoredEvent[]>;
+  recent(filter: { type?: string; source?: string; limit: number }): Promise<{ events: StoredEvent[]; total: number }>;
+  headSeq(): Promise<number>;
+  count(): Promise<number>;
+
+  saveSubscription(subscription: SubscriptionRecord): Promise<void>;
+  getSubscription(id: string): Promise<SubscriptionRecord | null>;
+  listSubscriptions(): Promise<SubscriptionRecord[]>;
+  deleteSubscription(id: string): Promise<boolean>;
+  setCursor(subscriptionId: string, seq: number): Promise<void>;
+
+  addDeadLetter(entry: DeadLetter): Promise<void>;
+  listDeadLetters(subscriptionId?: string): Promise<DeadLetter[]>;
+  takeDeadLetter(id: string): Promise<DeadLetter | null>;
+
+  saveSchema(schema: SchemaVersion): Promise<void>;
+  listSchemas(): Promise<SchemaVersion[]>;
+}
+
+const DEFAULT_MAX_EVENTS = 100000;
+
+// ONE FUNCTION: In-memory backend
+export class MemoryStore implements EventStore {
+  protected events: StoredEvent[] = [];
+  protected subscriptions = new Map<string, SubscriptionRecord>();
+  protected deadLetters = new Map<string, DeadLetter>();
+  protected schemas = new Map<string, SchemaVersion>(); // `${type}@${version}`
+  protected seq = 0;
+
+  constructor(protected maxEvents: number = DEFAULT_MAX_EVENTS) {}
+
+  async append(event: Omit<StoredEvent, 'seq'>): Promise<StoredEvent> {
+    const stored: StoredEvent = { ...event, seq: ++this.seq };
+    this.pushEvent(stored);
+    return stored;
+  }
+
+  async read({ afterSeq, fromTime, limit }: ReadOptions): Promise<StoredEvent[]> {
+    let start: number;
+    if (fromTime !== undefined) {
+      const from = Date.parse(fromTime);
+      start = this.events.findIndex(e => Date.parse(e.timestamp) >= from);
+    } else {
+      start = this.indexAfter(afterSeq ?? 0);
+    }
+    return start === -1 ? [] : this.events.slice(start, start + limit);
+  }
+
+  async recent({ type, source, limit }: { type?: string; source?: string; limit: number }) {
+    let filtered = this.events;
+    if (type) filtered = filtered.filter(e => e.type === type);
+    if (source) filtered = filtered.filter(e => e.source === source);
+    return { events: filtered.slice(-limit), total: filtered.length };
+  }
+
+  async headSeq(): Promise<number> {
+    return this.seq;
+  }
+
+  async count(): Promise<number> {
+    return this.events.length;
+  }
+
+  async saveSubscription(subscription: SubscriptionRecord): Promise<void> {
+    this.subscriptions.set(subscription.id, { ...subscription });
+  }
+
+  async getSubscription(id: string): Promise<SubscriptionRecord | null> {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? { ...subscription } : null;
+  }
+
+  async listSubscriptions(): Promise<SubscriptionRecord[]> {
+    return Array.from(this.subscriptions.values()).map(s => ({ ...s }));
+  }
+
+  async deleteSubscription(id: string): Promise<boolean> {
+    return this.subscriptions.delete(id);
+  }
+
+  async setCursor(subscriptionId: string, seq: number): Promise<void> {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (subscription && seq > subscription.cursor) {
+      subscription.cursor = seq;
+    }
+  }
+
+  async addDeadLetter(entry: DeadLetter): Promise<void> {
+    this.deadLetters.set(entry.id, entry);
+  }
+
+  async listDeadLetters(subscriptionId?: string): Promise<DeadLetter[]> {
+    const all = Array.from(this.deadLetters.values());
+    return subscriptionId ? all.filter(d => d.subscriptionId === subscriptionId) : all;
+  }
+
+  async takeDeadLetter(id: string): Promise<DeadLetter | null> {
+    const entry = this.deadLetters.get(id);
+    if (!entry) return null;
+    this.deadLetters.delete(id);
+    return entry;
+  }
+
+  async saveSchema(schema: SchemaVersion): Promise<void> {
+    this.schemas.set(`${schema.type}@${schema.version}`, schema);
+  }
+
+  async listSchemas(): Promise<SchemaVersion[]> {
+    return Array.from(this.schemas.values());
+  }
+
+  protected pushEvent(event: StoredEvent): void {
+    this.events.push(event);
+    this.seq = Math.max(this.seq, event.seq);
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents); // Retention
+    }
+  }
+
+  // Events are appended in seq order, so binary search for the first seq > after
+  private indexAfter(after: number): number {
+    let lo = 0;
+    let hi = this.events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.events[mid].seq <= after) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo < this.events.length ? lo : -1;
+  }
+}
+
+type JournalEntry =
+  | { op: 'event'; event: StoredEvent }
+  | { op: 'subscription'; subscription: SubscriptionRecord }
+  | { op: 'unsubscribe'; id: string }
+  | { op: 'cursor'; id: string; seq: number }
+  | { op: 'dead'; entry: DeadLetter }
+  | { op: 'undead'; id: string }
+  | { op: 'schema'; schema: SchemaVersion };
+
+const COMPACT_AFTER = 10000; // Journal entries before rewriting the snapshot
+const SNAPSHOT_CHUNK = 1000; // Records serialized between yields to the event loop
+const ROTATED_JOURNAL = /^journal-(\d+)\.log$/;
+
+// ONE FUNCTION: Local file backend (append-only journal + snapshot)
+export class FileStore extends MemoryStore {
+  private journalPath: string;
+  private snapshotPath: string;
+  private journalEntries = 0;
+  private unflushed: string[] = []; // Journal lines waiting for the next append
+  private flushing: Promise<void> = Promise.resolve();
+  private pendingFlush: Promise<void> | null = null;
+  private rotation = 0; // Last rotated journal
+  private compaction: Promise<void> = Promise.resolve();
+  private pendingCompaction: Promise<void> | null = null;
+
+  constructor(private dir: string, maxEvents: number = DEFAULT_MAX_EVENTS) {
+    super(maxEvents);
+    fs.mkdirSync(dir, { recursive: true });
+    this.journalPath = path.join(dir, 'journal.log');
+    this.snapshotPath = path.join(dir, 'snapshot.json');
+    this.load();
+  }
+
+  async append(event: Omit<StoredEvent, 'seq'>): Promise<StoredEvent> {
+    const stored = await super.append(event);
+    await this.write({ op: 'event', event: stored });
+    return stored;
+  }
+
+  async saveSubscription(subscription: SubscriptionRecord): Promise<void> {
+    await super.saveSubscription(subscription);
+    await this.write({ op: 'subscription', subscription });
+  }
+
+  async deleteSubscription(id: string): Promise<boolean> {
+    const deleted = await super.deleteSubscription(id);
+    if (deleted) await this.write({ op: 'unsubscribe', id });
+    return deleted;
+  }
+
+  async setCursor(subscriptionId: string, seq: number): Promise<void> {
+    const before = this.subscriptions.get(subscriptionId)?.cursor;
+    await super.setCursor(subscriptionId, seq);
+    if (before !== undefined && seq > before) {
+      await this.write({ op: 'cursor', id: subscriptionId, seq });
+    }
+  }
+
+  async addDeadLetter(entry: DeadLetter): Promise<void> {
+    await super.addDeadLetter(entry);
+    await this.write({ op: 'dead', entry });
+  }
+
+  async takeDeadLetter(id: string): Promise<DeadLetter | null> {
+    const entry = await super.takeDeadLetter(id);
+    if (entry) await this.write({ op: 'undead', id });
+    return entry;
+  }
+
+  async saveSchema(schema: SchemaVersion): Promise<void> {
+    await super.saveSchema(schema);
+    await this.write({ op: 'schema', schema });
+  }
+
+  // Resolves once the entry is on disk. Entries made while an append is in
+  // flight go out together in the next one.
+  private write(entry: JournalEntry): Promise<void> {
+    this.unflushed.push(JSON.stringify(entry) + '\n');
+    if (++this.journalEntries >= COMPACT_AFTER && !this.pendingCompaction) {
+      this.compact().catch(error => console.error('Compaction failed:', error));
+    }
+    return this.flush();
+  }
+
+  private flush(): Promise<void> {
+    if (this.pendingFlush) return this.pendingFlush;
+
+    const next = this.flushing.catch(() => undefined).then(() => {
+      this.pendingFlush = null;
+      const lines = this.unflushed.join('');
+      this.unflushed = [];
+      return fs.promises.appendFile(this.journalPath, lines);
+    });
+    this.pendingFlush = next;
+    this.flushing = next;
+    return next;
+  }
+
+  // Replaying an entry the snapshot already holds changes nothing, so a
+  // journal may overlap the snapshot it follows
+  private apply(entry: JournalEntry): void {
+    switch (entry.op) {
+      case 'event':
+        if (entry.event.seq > this.seq) this.pushEvent(entry.event);
+        break;
+      case 'subscription':
+        this.subscriptions.set(entry.subscription.id, entry.subscription);
+        break;
+      case 'unsubscribe':
+        this.subscriptions.delete(entry.id);
+        break;
+      case 'cursor': {
+        const subscription = this.subscriptions.get(entry.id);
+        if (subscription && entry.seq > subscription.cursor) subscription.cursor = entry.seq;
+        break;
+      }
+      case 'dead':
+        this.deadLetters.set(entry.entry.id, entry.entry);
+        break;
+      case 'undead':
+        this.deadLetters.delete(entry.id);
+        break;
+      case 'schema':
+        this.schemas.set(`${entry.schema.type}@${entry.schema.version}`, entry.schema);
+        break;
+    }
+  }
+
+  private load(): void {
+    let covers = 0;
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      covers = snapshot.covers || 0;
+      this.seq = snapshot.seq || 0;
+      (snapshot.events || []).forEach((e: StoredEvent) => this.pushEvent(e));
+      (snapshot.subscriptions || []).forEach((s: SubscriptionRecord) => this.subscriptions.set(s.id, s));
+      (snapshot.deadLetters || []).forEach((d: DeadLetter) => this.deadLetters.set(d.id, d));
+      (snapshot.schemas || []).forEach((v: SchemaVersion) => this.schemas.set(`${v.type}@${v.version}`, v));
+    }
+
+    // Journals rotated by a compaction that never finished still hold entries
+    // the snapshot lacks; those it covers only missed their cleanup
+    this.rotation = covers;
+    this.rotatedJournals().forEach(({ seq, file }) => {
+      if (seq <= covers) {
+        fs.unlinkSync(file);
+        return;
+      }
+      this.replay(file);
+      this.rotation = seq;
+    });
+    this.replay(this.journalPath);
+
+    console.log(`Loaded ${this.events.length} events, ${this.subscriptions.size} subscriptions (seq ${this.seq})`);
+  }
+
+  private replay(file: string): void {
+    if (!fs.existsSync(file)) return;
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        this.apply(JSON.parse(line));
+        this.journalEntries++;
+      } catch {
+        // A torn final line from a crash mid-write; everything before it is intact
+        console.warn('Skipping unreadable journal entry');
+      }
+    });
+  }
+
+  private rotatedJournals(): Array<{ seq: number; file: string }> {
+    return fs.readdirSync(this.dir)
+      .map(name => ROTATED_JOURNAL.exec(name))
+      .filter((match): match is RegExpExecArray => match !== null)
+      .map(match => ({ seq: Number(match[1]), file: path.join(this.dir, match[0]) }))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  // Compactions run one at a time; calls made while one is still waiting to
+  // start share it
+  private compact(): Promise<void> {
+    if (this.pendingCompaction) return this.pendingCompaction;
+
+    const next = this.compaction.catch(() => undefined).then(() => {
+      this.pendingCompaction = null;
+      return this.writeSnapshot();
+    });
+    this.pendingCompaction = next;
+    this.compaction = next;
+    return next;
+  }
+
+  // Rewrite the snapshot and drop the journal it replaces, without blocking
+  // the event loop. The journal is rotated first, so appends carry on into a
+  // fresh one; entries still waiting to be appended land there too, which
+  // replay tolerates. The snapshot is written to a temp file and renamed, so
+  // a crash never leaves half of one.
+  private async writeSnapshot(): Promise<void> {
+    const covers = ++this.rotation;
+    if (fs.existsSync(this.journalPath)) {
+      await fs.promises.rename(this.journalPath, path.join(this.dir, `journal-${covers}.log`));
+    }
+    this.journalEntries = 0;
+
+    // Stored events are never changed in place, so copying the lists is enough
+    const seq = this.seq;
+    const events = this.events.slice();
+    const subscriptions = Array.from(this.subscriptions.values()).map(s => ({ ...s }));
+    const deadLetters = Array.from(this.deadLetters.values());
+    const schemas = Array.from(this.schemas.values());
+
+    const tmp = `${this.snapshotPath}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    try {
+      await writeChunk(out, `{"seq":${seq},"covers":${covers},"subscriptions":${JSON.stringify(subscriptions)},` +
+        `"schemas":${JSON.stringify(schemas)},"deadLetters":`);
+      await writeJsonArray(out, deadLetters);
+      await writeChunk(out, ',"events":');
+      await writeJsonArray(out, events);
+      await writeChunk(out, '}');
+      await new Promise<void>((resolve, reject) => {
+        out.on('error', reject);
+        out.end(resolve);
+      });
+    } catch (error) {
+      out.destroy();
+      throw error;
+    }
+
+    await fs.promises.rename(tmp, this.snapshotPath);
+    this.rotatedJournals().filter(({ seq: rotated }) => rotated <= covers).forEach(({ file }) => fs.unlinkSync(file));
+  }
+}
+
+// Helper: Write, then wait for the next turn of the event loop
+function writeChunk(out: fs.WriteStream, text: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    out.write(text, error => (error ? reject(error) : setImmediate(resolve)));
+  });
+}
+
+// Helper: Write a JSON array a chunk of records at a time
+async function writeJsonArray(out: fs.WriteStream, items: unknown[]): Promise<void> {
+  await writeChunk(out, '[');
+  for (let i = 0; i < items.length; i += SNAPSHOT_CHUNK) {
+    const chunk = items.slice(i, i + SNAPSHOT_CHUNK).map(item => JSON.stringify(item)).join(',');
+    await writeChunk(out, (i > 0 ? ',' : '') + chunk);
+  }
+  await writeChunk(out, ']');
+}
+
+// ONE FUNCTION: Pick a backend from the environment
+export function createStore(): EventStore {
+  const backend = process.env.EVENT_BUS_STORE || 'file';
+  const maxEvents = Number(process.env.EVENT_BUS_MAX_EVENTS) || DEFAULT_MAX_EVENTS;
+
+  if (backend === 'memory') {
+    return new MemoryStore(maxEvents);
+  }
+  if (backend === 'file') {
+    return new FileStore(process.env.EVENT_BUS_DATA_DIR || path.join(process.cwd(), 'data'), maxEvents);
+  }
+  throw new Error(`Unknown EVENT_BUS_STORE backend: ${backend}`);
+}
@@ -0,0 +1,55 @@
+import { bucketFor, evaluateFlag, legacyBucketFor } from '../src/rules-engine';
+import { FeatureFlag } from '../src/types';
+
+describe('Flag bucketing', () => {
+  const flag = (overrides: Partial<FeatureFlag> = {}): FeatureFlag => ({
+    id: 'new-matching',
+    name: 'New matching',
+    enabled: true,
+    rules: [{ id: 'split', conditions: [], rollout: [{ variant: 'on', weight: 50 }, { variant: 'off', weight: 50 }] }],
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    ...overrides
+  });
+  const users = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+
+  it('should put a user in the same bucket every time', () => {
+    users.forEach(userId => {
+      const first = evaluateFlag(flag(), { userId });
+      const again = evaluateFlag(flag(), { userId });
+
+      expect(again.bucket).toBe(first.bucket);
+      expect(again.variant).toBe(first.variant);
+    });
+  });
+
+  it('should bucket by the salt, not the flag id, when one is set', () => {
+    const userId = users[0];
+
+    expect(evaluateFlag(flag({ salt: 'shared' }), { userId }).bucket).toBe(bucketFor('shared', userId));
+    expect(evaluateFlag(flag({ id: 'renamed', salt: 'shared' }), { userId }).bucket).toBe(bucketFor('shared', userId));
+  });
+
+  it('should bucket different flags independently', () => {
+    const differing = users.filter(userId => bucketFor('a', userId) !== bucketFor('b', userId));
+
+    expect(differing.length).toBeGreaterThan(users.length * 0.9);
+  });
+
+  it('should split rollouts close to their weights', () => {
+    const on = users.filter(userId => evaluateFlag(flag(), { userId }).variant === 'on').length;
+
+    expect(on).toBeGreaterThan(70);
+    expect(on).toBeLessThan(130);
+  });
+
+  it('should keep the legacy rolloutPercentage on the original unsalted hash', () => {
+    const legacy = flag({ rules: [], rolloutPercentage: 30 });
+
+    users.forEach(userId => {
+      const inRollout = legacyBucketFor(userId) < 30;
+
+      expect(evaluateFlag(legacy, { userId }).variant).toBe(inRollout ? 'on' : 'off');
+    });
+  });
+});
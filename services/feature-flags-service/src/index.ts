@@ -1,9 +1,11 @@
 import { onRequest } from "firebase-functions/v2/https";
 import * as admin from "firebase-admin";
-import express, { Request, Response } from "express";
+import express, { NextFunction, Request, Response } from "express";
 import cors from "cors";
 import compression from "compression";
 import morgan from "morgan";
+import { EvaluationContext, FeatureFlag, FlagAuditEntry, FlagEvaluation } from "./types";
+import { evaluateFlag, validateFlag } from "./rules-engine";
 
 // Initialize Firebase Admin
 try {
@@ -33,33 +35,6 @@ app.use(compression({ threshold: 1024, level: 6 }));
 app.use(morgan('tiny', { skip: (req) => req.path === '/health' }));
 app.use(express.json());
 
-// Interfaces (1 function, 1 thing: type definitions)
-interface FeatureFlag {
-  id: string;
-  name: string;
-  description?: string;
-  enabled: boolean;
-  rolloutPercentage?: number;
-  targetGroups?: string[];
-  conditions?: FlagCondition[];
-  metadata?: Record<string, any>;
-  createdAt: string;
-  updatedAt: string;
-}
-
-interface FlagCondition {
-  type: 'user' | 'group' | 'percentage' | 'date' | 'custom';
-  operator: 'equals' | 'contains' | 'greater' | 'less' | 'between';
-  value: any;
-}
-
-interface FlagEvaluation {
-  flagId: string;
-  enabled: boolean;
-  reason: string;
-  variant?: string;
-}
-
 // Default feature flags (1 function, 1 thing: default configuration)
 const DEFAULT_FLAGS: FeatureFlag[] = [
   {
@@ -131,10 +106,43 @@ const DEFAULT_FLAGS: FeatureFlag[] = [
 ];
 
 // Cache for feature flags (1 function, 1 thing: caching)
+// Kept current by one Firestore listener per instance (watchFlags), so a kill
+// on any instance reaches every other one within moments; the TTL reload is
+// the fallback while the listener is down
 let flagsCache: Map<string, FeatureFlag> = new Map();
 let cacheTimestamp = 0;
+let cacheLive = false;
+let watching = false;
 const CACHE_TTL = 60 * 1000; // 1 minute
 
+// Live updates (1 function, 1 thing: stream settings)
+const STREAM_HEARTBEAT_MS = 25 * 1000; // Below common proxy idle timeouts
+const STREAM_MAX_MS = 50 * 60 * 1000; // End before the function timeout; EventSource reconnects
+const streamClients = new Set<Response>(); // Open /stream connections, fed by watchFlags
+
+// Editor authentication middleware (1 function, 1 thing: who may change flags)
+// Flag changes and their audit entries name the verified user, never a header
+async function authenticateEditor(req: Request, res: Response, next: NextFunction): Promise<any> {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.slice(7));
+    const userRecord = await admin.auth().getUser(decodedToken.uid);
+
+    if (userRecord.customClaims?.admin !== true) {
+      return res.status(403).json({ error: "Admin privileges required" });
+    }
+
+    res.locals.actor = decodedToken.email || decodedToken.uid;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: "Invalid authentication token" });
+  }
+}
+
 // Health check (1 function, 1 thing: health monitoring)
 app.get("/health", (_req: Request, res: Response) => {
   res.status(200).json({
@@ -144,6 +152,7 @@ app.get("/health", (_req: Request, res: Response) => {
     version: "1.0.0",
     cache: {
       flags: flagsCache.size,
+      live: cacheLive,
       lastUpdated: new Date(cacheTimestamp).toISOString()
     },
     endpoints: {
@@ -152,7 +161,10 @@ app.get("/health", (_req: Request, res: Response) => {
       evaluate: "operational",
       create: "operational",
       update: "operational",
-      delete: "operational"
+      delete: "operational",
+      kill: "operational",
+      audit: "operational",
+      stream: "operational"
     }
   });
 });
@@ -230,19 +242,24 @@ app.get("/flags", async (req: Request, res: Response): Promise<any> => {
 // Evaluate flags for a user (1 function, 1 thing: flag evaluation)
 app.post("/evaluate", async (req: Request, res: Response): Promise<any> => {
   try {
-    const { userId, groups = [], metadata = {} } = req.body;
+    const { userId, groups = [], metadata = {}, attributes = {}, flagIds } = req.body;
+    const context: EvaluationContext = { userId, groups, metadata, attributes };
 
+    // The shared listener keeps the cache current; clients never force a reload
     const flags = await loadFlags();
+    const wanted = Array.isArray(flagIds) ? new Set<string>(flagIds) : null;
     const evaluations: Record<string, FlagEvaluation> = {};
+    const now = new Date();
 
     flags.forEach(flag => {
-      const evaluation = evaluateFlag(flag, userId, groups, metadata);
-      evaluations[flag.id] = evaluation;
+      if (wanted && !wanted.has(flag.id)) return;
+      evaluations[flag.id] = evaluateFlag(flag, context, now);
     });
 
     res.status(200).json({
       success: true,
       userId,
+      evaluatedAt: now.toISOString(),
       evaluations
     });
 
@@ -253,9 +270,12 @@ app.post("/evaluate", async (req: Request, res: Response): Promise<any> => {
 });
 
 // Create new flag (1 function, 1 thing: flag creation)
-app.post("/create", async (req: Request, res: Response): Promise<any> => {
+app.post("/create", authenticateEditor, async (req: Request, res: Response): Promise<any> => {
   try {
-    const { id, name, description, enabled = false, rolloutPercentage, targetGroups, conditions } = req.body;
+    const {
+      id, name, description, enabled = false, rolloutPercentage, targetGroups, conditions,
+      rules, variants, defaultVariant, offVariant, salt, schedule
+    } = req.body;
 
     if (!id || !name) {
       return res.status(400).json({
@@ -263,7 +283,7 @@ app.post("/create", async (req: Request, res: Response): Promise<any> => {
       });
     }
 
-    const flag: FeatureFlag = {
+    const flag = stripUndefined({
       id,
       name,
       description,
@@ -271,12 +291,26 @@ app.post("/create", async (req: Request, res: Response): Promise<any> => {
       rolloutPercentage,
       targetGroups,
       conditions,
+      rules,
+      variants,
+      defaultVariant,
+      offVariant,
+      salt,
+      schedule,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
+    }) as FeatureFlag;
+
+    const errors = validateFlag(flag);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid flag", details: errors });
+    }
 
     const db = admin.firestore();
-    await db.collection('feature_flags').doc(id).set(flag);
+    const batch = db.batch();
+    batch.set(db.collection('feature_flags').doc(id), flag);
+    batch.set(db.collection('feature_flag_audit').doc(), auditEntry('create', null, flag, res.locals.actor));
+    await batch.commit();
 
     // Update cache
     flagsCache.set(id, flag);
@@ -293,29 +327,45 @@ app.post("/create", async (req: Request, res: Response): Promise<any> => {
 });
 
 // Update flag (1 function, 1 thing: flag update)
-app.put("/update/:id", async (req: Request, res: Response): Promise<any> => {
+app.put("/update/:id", authenticateEditor, async (req: Request, res: Response): Promise<any> => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { reason, actor, ...updates } = req.body;
 
+    // Read, write and audit in one transaction, so the audit's `before` is
+    // exactly what this update replaced
     const db = admin.firestore();
     const docRef = db.collection('feature_flags').doc(id);
-    const doc = await docRef.get();
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (!doc.exists) return { status: 404 as const };
+
+      const before = { id, ...doc.data() } as FeatureFlag;
+      const flag = stripUndefined({
+        ...before,
+        ...updates,
+        id,
+        createdAt: before.createdAt,
+        updatedAt: new Date().toISOString()
+      }) as FeatureFlag;
+
+      const errors = validateFlag(flag);
+      if (errors.length > 0) return { status: 400 as const, errors };
+
+      tx.set(docRef, flag);
+      tx.set(db.collection('feature_flag_audit').doc(), auditEntry('update', before, flag, res.locals.actor, reason));
+      return { status: 200 as const, flag };
+    });
 
-    if (!doc.exists) {
+    if (outcome.status === 404) {
       return res.status(404).json({
         error: "Flag not found"
       });
     }
-
-    const updatedFlag = {
-      ...doc.data(),
-      ...updates,
-      id,
-      updatedAt: new Date().toISOString()
-    } as FeatureFlag;
-
-    await docRef.update(updatedFlag);
+    if (outcome.status === 400) {
+      return res.status(400).json({ error: "Invalid flag", details: outcome.errors });
+    }
+    const updatedFlag = outcome.flag;
 
     // Update cache
     flagsCache.set(id, updatedFlag);
@@ -331,22 +381,74 @@ app.put("/update/:id", async (req: Request, res: Response): Promise<any> => {
   }
 });
 
-// Delete flag (1 function, 1 thing: flag deletion)
-app.delete("/delete/:id", async (req: Request, res: Response): Promise<any> => {
+// Kill switch (1 function, 1 thing: turn a flag off now)
+app.post("/kill/:id", authenticateEditor, async (req: Request, res: Response): Promise<any> => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return res.status(400).json({
+        error: "A reason is required to kill a flag"
+      });
+    }
 
     const db = admin.firestore();
     const docRef = db.collection('feature_flags').doc(id);
-    const doc = await docRef.get();
+    const killedFlag = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (!doc.exists) return null;
+
+      const before = { id, ...doc.data() } as FeatureFlag;
+      const after: FeatureFlag = { ...before, enabled: false, updatedAt: new Date().toISOString() };
+      tx.update(docRef, { enabled: false, updatedAt: after.updatedAt });
+      tx.set(db.collection('feature_flag_audit').doc(), auditEntry('kill', before, after, res.locals.actor, reason));
+      return after;
+    });
 
-    if (!doc.exists) {
+    if (!killedFlag) {
       return res.status(404).json({
         error: "Flag not found"
       });
     }
 
-    await docRef.delete();
+    // Update cache here; other instances get the kill through their listener
+    flagsCache.set(id, killedFlag);
+
+    res.status(200).json({
+      success: true,
+      flag: killedFlag
+    });
+
+  } catch (error) {
+    console.error('[Flags] Kill error:', error);
+    res.status(500).json({ error: "Failed to kill flag" });
+  }
+});
+
+// Delete flag (1 function, 1 thing: flag deletion)
+app.delete("/delete/:id", authenticateEditor, async (req: Request, res: Response): Promise<any> => {
+  try {
+    const { id } = req.params;
+
+    const db = admin.firestore();
+    const docRef = db.collection('feature_flags').doc(id);
+    const deleted = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (!doc.exists) return false;
+
+      const before = { id, ...doc.data() } as FeatureFlag;
+      tx.delete(docRef);
+      tx.set(db.collection('feature_flag_audit').doc(),
+        auditEntry('delete', before, null, res.locals.actor, req.body?.reason));
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Flag not found"
+      });
+    }
 
     // Update cache
     flagsCache.delete(id);
@@ -363,12 +465,108 @@ app.delete("/delete/:id", async (req: Request, res: Response): Promise<any> => {
   }
 });
 
+// Audit trail, editors only (1 function, 1 thing: flag history)
+app.get("/audit/:id", authenticateEditor, async (req: Request, res: Response): Promise<any> => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+
+    const snapshot = await admin.firestore()
+      .collection('feature_flag_audit')
+      .where('flagId', '==', id)
+      .orderBy('at', 'desc')
+      .limit(limit)
+      .get();
+
+    res.status(200).json({
+      success: true,
+      flagId: id,
+      entries: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+
+  } catch (error) {
+    console.error('[Flags] Audit error:', error);
+    res.status(500).json({ error: "Failed to fetch audit trail" });
+  }
+});
+
+// Stream flag changes (1 function, 1 thing: server-sent events)
+// Sends only what changed, never evaluations: clients re-evaluate the changed
+// flags through /evaluate, and apply kills (enabled: false) immediately.
+app.get("/stream", (req: Request, res: Response) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  watchFlags();
+  streamClients.add(res);
+  sendEvent(res, 'ready', { flags: flagsCache.size, timestamp: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  const lifetime = setTimeout(() => res.end(), STREAM_MAX_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(lifetime);
+    streamClients.delete(res);
+  });
+});
+
+// Helper: One server-sent event (1 function, 1 thing: stream writing)
+function sendEvent(res: Response, event: string, data: any): void {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper: Keep the cache current (1 function, 1 thing: flag listener)
+// One listener per instance, shared by every /stream client; after an error
+// the next loadFlags() or /stream connection restarts it
+function watchFlags(): void {
+  if (watching) return;
+  watching = true;
+
+  let initial = true;
+  admin.firestore().collection('feature_flags').onSnapshot(snapshot => {
+    snapshot.docChanges().forEach(change => {
+      const flag = { id: change.doc.id, ...change.doc.data() } as FeatureFlag;
+      const removed = change.type === 'removed';
+
+      if (removed) flagsCache.delete(flag.id);
+      else flagsCache.set(flag.id, flag);
+
+      // The first snapshot is the current state, not a change
+      if (initial) return;
+      streamClients.forEach(res => sendEvent(res, 'flag', {
+        id: flag.id,
+        enabled: removed ? false : flag.enabled,
+        offVariant: flag.offVariant,
+        removed,
+        updatedAt: flag.updatedAt
+      }));
+    });
+    initial = false;
+    cacheTimestamp = Date.now();
+    cacheLive = true;
+  }, error => {
+    console.error('[Flags] Flag listener error:', error);
+    cacheLive = false;
+    watching = false;
+    // Clients reconnect, restart the listener and re-evaluate what they missed
+    streamClients.forEach(res => res.end());
+    streamClients.clear();
+  });
+}
+
 // Helper: Load flags (1 function, 1 thing: flag loading)
 async function loadFlags(): Promise<FeatureFlag[]> {
   const now = Date.now();
+  watchFlags();
 
-  // Return cached if fresh
-  if (flagsCache.size > 0 && (now - cacheTimestamp) < CACHE_TTL) {
+  // Return cached if the listener keeps it current, or it is fresh
+  if (flagsCache.size > 0 && (cacheLive || (now - cacheTimestamp) < CACHE_TTL)) {
     return Array.from(flagsCache.values());
   }
 
@@ -389,118 +587,41 @@ async function loadFlags(): Promise<FeatureFlag[]> {
   return flags;
 }
 
-// Helper: Evaluate single flag (1 function, 1 thing: flag logic)
-function evaluateFlag(
-  flag: FeatureFlag,
-  userId?: string,
-  groups: string[] = [],
-  metadata: Record<string, any> = {}
-): FlagEvaluation {
-  // Check if flag is globally disabled
-  if (!flag.enabled) {
-    return {
-      flagId: flag.id,
-      enabled: false,
-      reason: 'Flag is globally disabled'
-    };
-  }
-
-  // Check target groups
-  if (flag.targetGroups && flag.targetGroups.length > 0) {
-    const inTargetGroup = flag.targetGroups.some(group => groups.includes(group));
-    if (!inTargetGroup) {
-      return {
-        flagId: flag.id,
-        enabled: false,
-        reason: 'User not in target group'
-      };
-    }
-  }
-
-  // Check rollout percentage
-  if (flag.rolloutPercentage !== undefined && flag.rolloutPercentage < 100) {
-    const hash = userId ? hashUserId(userId) : Math.random();
-    const inRollout = (hash * 100) < flag.rolloutPercentage;
-    if (!inRollout) {
-      return {
-        flagId: flag.id,
-        enabled: false,
-        reason: 'User not in rollout percentage'
-      };
-    }
-  }
+// Helper: Firestore rejects undefined fields (1 function, 1 thing: cleanup)
+function stripUndefined<T extends Record<string, any>>(value: T): T {
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined)) as T;
+}
 
-  // Check conditions
-  if (flag.conditions && flag.conditions.length > 0) {
-    for (const condition of flag.conditions) {
-      if (!evaluateCondition(condition, userId, groups, metadata)) {
-        return {
-          flagId: flag.id,
-          enabled: false,
-          reason: `Condition failed: ${condition.type}`
-        };
-      }
-    }
-  }
+// Helper: Audit entry for a flag edit, written with the edit (1 function, 1 thing: audit logging)
+function auditEntry(
+  action: FlagAuditEntry['action'],
+  before: FeatureFlag | null,
+  after: FeatureFlag | null,
+  actor: string,
+  reason?: string
+): FlagAuditEntry {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.delete('updatedAt');
+  const changes = Array.from(keys).filter(key =>
+    JSON.stringify((before as any)?.[key]) !== JSON.stringify((after as any)?.[key]));
 
   return {
-    flagId: flag.id,
-    enabled: true,
-    reason: 'All conditions met'
+    flagId: (after || before)!.id,
+    action,
+    actor,
+    at: new Date().toISOString(),
+    changes,
+    before,
+    after,
+    ...(reason && { reason })
   };
 }
 
-// Helper: Evaluate condition (1 function, 1 thing: condition evaluation)
-function evaluateCondition(
-  condition: FlagCondition,
-  userId?: string,
-  groups: string[] = [],
-  metadata: Record<string, any> = {}
-): boolean {
-  switch (condition.type) {
-    case 'user':
-      return condition.operator === 'equals' && userId === condition.value;
-
-    case 'group':
-      return condition.operator === 'contains' && groups.includes(condition.value);
-
-    case 'percentage':
-      const hash = userId ? hashUserId(userId) : Math.random();
-      return (hash * 100) < condition.value;
-
-    case 'date':
-      const now = new Date();
-      const targetDate = new Date(condition.value);
-      if (condition.operator === 'greater') return now > targetDate;
-      if (condition.operator === 'less') return now < targetDate;
-      return false;
-
-    case 'custom':
-      const metaValue = metadata[condition.value.key];
-      if (condition.operator === 'equals') return metaValue === condition.value.value;
-      if (condition.operator === 'contains') return metaValue?.includes(condition.value.value);
-      return false;
-
-    default:
-      return false;
-  }
-}
-
-// Helper: Hash user ID for consistent rollout (1 function, 1 thing: hashing)
-function hashUserId(userId: string): number {
-  let hash = 0;
-  for (let i = 0; i < userId.length; i++) {
-    const char = userId.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash) / 2147483647; // Normalize to 0-1
-}
-
 // Export the function
 export const featureFlagsService = onRequest({
   region: 'us-central1',
   cors: true,
   invoker: "public",
   maxInstances: 5,
+  timeoutSeconds: 3600, // Long enough for /stream connections
 }, app);
\ No newline at end of file
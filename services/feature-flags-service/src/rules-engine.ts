@@ -0,0 +1,387 @@
+/**
+ * Flag rules engine (1 function, 1 thing: decide what a flag serves to a context)
+ *
+ * Order of evaluation:
+ *   1. enabled === false  → off (kill switch)
+ *   2. schedule           → off outside enableAt/disableAt and the windows
+ *   3. rules, in order    → the first rule whose conditions all match serves its
+ *                           variant, or a bucket of its rollout
+ *   4. fallthrough        → the legacy targetGroups / rolloutPercentage /
+ *                           conditions checks, then defaultVariant
+ *
+ * Rule bucketing hashes "<salt>:<bucketBy value>", so a user keeps the same
+ * bucket for a flag across sessions and devices, and different flags bucket
+ * independently. The legacy rolloutPercentage and percentage conditions keep
+ * their original unsalted hash of the user id, so nobody already in a running
+ * rollout drops out of it.
+ */
+
+import crypto from "crypto";
+import {
+  EvaluationContext,
+  FeatureFlag,
+  FlagCondition,
+  FlagEvaluation,
+  FlagRule,
+  FlagSchedule,
+  FlagVariant,
+  RuleCondition,
+  RuleOperator
+} from "./types";
+
+export const BOOLEAN_VARIANTS: FlagVariant[] = [
+  { key: 'on', value: true },
+  { key: 'off', value: false }
+];
+
+const OPERATORS: RuleOperator[] = [
+  'eq', 'neq', 'in', 'not_in', 'contains', 'starts_with', 'ends_with', 'regex',
+  'gt', 'gte', 'lt', 'lte', 'semver_eq', 'semver_gt', 'semver_gte', 'semver_lt', 'semver_lte',
+  'before', 'after', 'between', 'exists'
+];
+
+const MAX_REGEX_LENGTH = 200;
+
+// Helper: Sticky bucket in [0, 100) (1 function, 1 thing: bucketing)
+export function bucketFor(salt: string, key: string): number {
+  const hash = crypto.createHash('sha256').update(`${salt}:${key}`).digest('hex');
+  return (parseInt(hash.substring(0, 8), 16) / 0x100000000) * 100;
+}
+
+// Helper: The original bucket in [0, 100) of the legacy percentage checks (1 function, 1 thing: legacy bucketing)
+// Unsalted, so every flag puts a user in the same bucket; kept as-is for existing rollouts
+export function legacyBucketFor(userId: string): number {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = ((hash << 5) - hash) + userId.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return (Math.abs(hash) / 2147483647) * 100;
+}
+
+// Helper: Compare two semantic versions (1 function, 1 thing: semver ordering)
+export function compareSemver(a: string, b: string): number | null {
+  const parse = (version: string) => {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/.exec(String(version).trim());
+    if (!match) return null;
+    return { parts: [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)], pre: match[4] };
+  };
+
+  const left = parse(a);
+  const right = parse(b);
+  if (!left || !right) return null;
+
+  for (let i = 0; i < 3; i++) {
+    if (left.parts[i] !== right.parts[i]) return left.parts[i] < right.parts[i] ? -1 : 1;
+  }
+
+  // A pre-release sorts before its release: 2.0.0-beta < 2.0.0
+  if (left.pre === right.pre) return 0;
+  if (!left.pre) return 1;
+  if (!right.pre) return -1;
+  return left.pre < right.pre ? -1 : 1;
+}
+
+function readAttribute(context: EvaluationContext, attribute: string, now: Date): any {
+  if (attribute === 'now') return now.toISOString();
+  if (attribute === 'userId') return context.userId;
+  if (attribute === 'groups') return context.groups || [];
+
+  const path = attribute.split('.');
+  const lookup = (source?: Record<string, any>) =>
+    path.reduce((value: any, key) => (value == null ? undefined : value[key]), source);
+
+  const fromAttributes = lookup(context.attributes);
+  return fromAttributes !== undefined ? fromAttributes : lookup(context.metadata);
+}
+
+function toTime(value: any): number {
+  return typeof value === 'number' ? value : Date.parse(String(value));
+}
+
+function matchOperator(actual: any, operator: RuleOperator, expected: any): boolean {
+  const list = Array.isArray(expected) ? expected : [expected];
+
+  switch (operator) {
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'eq': return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    case 'neq': return Array.isArray(actual) ? !actual.includes(expected) : actual !== expected;
+    case 'in':
+      return Array.isArray(actual) ? actual.some(item => list.includes(item)) : list.includes(actual);
+    case 'not_in':
+      return Array.isArray(actual) ? !actual.some(item => list.includes(item)) : !list.includes(actual);
+    case 'contains':
+      return Array.isArray(actual) ? actual.includes(expected) : String(actual ?? '').includes(String(expected));
+    case 'starts_with': return typeof actual === 'string' && list.some(prefix => actual.startsWith(String(prefix)));
+    case 'ends_with': return typeof actual === 'string' && list.some(suffix => actual.endsWith(String(suffix)));
+    case 'regex':
+      try {
+        return typeof actual === 'string' && new RegExp(String(expected)).test(actual);
+      } catch {
+        return false;
+      }
+    case 'gt': return Number(actual) > Number(expected);
+    case 'gte': return Number(actual) >= Number(expected);
+    case 'lt': return Number(actual) < Number(expected);
+    case 'lte': return Number(actual) <= Number(expected);
+    case 'semver_eq':
+    case 'semver_gt':
+    case 'semver_gte':
+    case 'semver_lt':
+    case 'semver_lte': {
+      if (actual === undefined || actual === null) return false;
+      const order = compareSemver(String(actual), String(expected));
+      if (order === null) return false;
+      return operator === 'semver_eq' ? order === 0
+        : operator === 'semver_gt' ? order > 0
+          : operator === 'semver_gte' ? order >= 0
+            : operator === 'semver_lt' ? order < 0
+              : order <= 0;
+    }
+    case 'before': return toTime(actual) < toTime(expected);
+    case 'after': return toTime(actual) >= toTime(expected);
+    case 'between': {
+      // [start, end): inclusive start, exclusive end
+      const time = toTime(actual);
+      return Array.isArray(expected) && time >= toTime(expected[0]) && time < toTime(expected[1]);
+    }
+    default: return false;
+  }
+}
+
+// Helper: One rule condition against the context (1 function, 1 thing: condition matching)
+export function matchCondition(condition: RuleCondition, context: EvaluationContext, now: Date = new Date()): boolean {
+  const actual = readAttribute(context, condition.attribute, now);
+  const matched = matchOperator(actual, condition.operator, condition.value);
+  return condition.negate ? !matched : matched;
+}
+
+// Helper: Is the flag inside its schedule? (1 function, 1 thing: scheduling)
+export function isWithinSchedule(schedule: FlagSchedule | undefined, now: Date = new Date()): boolean {
+  if (!schedule) return true;
+  const time = now.getTime();
+
+  if (schedule.enableAt && time < Date.parse(schedule.enableAt)) return false;
+  if (schedule.disableAt && time >= Date.parse(schedule.disableAt)) return false;
+  if (schedule.windows && schedule.windows.length > 0) {
+    return schedule.windows.some(window => time >= Date.parse(window.start) && time < Date.parse(window.end));
+  }
+  return true;
+}
+
+function variantsOf(flag: FeatureFlag): FlagVariant[] {
+  return flag.variants && flag.variants.length > 0 ? flag.variants : BOOLEAN_VARIANTS;
+}
+
+function offKey(flag: FeatureFlag): string | undefined {
+  if (flag.offVariant) return flag.offVariant;
+  return flag.variants && flag.variants.length > 0 ? undefined : 'off';
+}
+
+function serve(
+  flag: FeatureFlag,
+  variantKey: string | undefined,
+  reason: string,
+  extra: Partial<FlagEvaluation> = {}
+): FlagEvaluation {
+  const variant = variantKey ? variantsOf(flag).find(v => v.key === variantKey) : undefined;
+  const enabled = variantKey !== undefined && variantKey !== offKey(flag);
+
+  return {
+    flagId: flag.id,
+    enabled,
+    reason,
+    ...(variant && { variant: variant.key, value: variant.value }),
+    ...extra
+  };
+}
+
+function pickRollout(rollout: NonNullable<FlagRule['rollout']>, bucket: number): string | undefined {
+  let cumulative = 0;
+  for (const slice of rollout) {
+    cumulative += slice.weight;
+    if (bucket < cumulative) return slice.variant;
+  }
+  return undefined;
+}
+
+// The pre-rules checks, kept as the fallthrough so existing flags behave as before
+function legacyTargeting(
+  flag: FeatureFlag,
+  context: EvaluationContext,
+  now: Date
+): { passed: true; bucket?: number } | { passed: false; reason: string; bucket?: number } {
+  const groups = context.groups || [];
+
+  if (flag.targetGroups && flag.targetGroups.length > 0) {
+    if (!flag.targetGroups.some(group => groups.includes(group))) {
+      return { passed: false, reason: 'User not in target group' };
+    }
+  }
+
+  if (flag.rolloutPercentage !== undefined && flag.rolloutPercentage < 100) {
+    const bucket = context.userId ? legacyBucketFor(context.userId) : Math.random() * 100;
+    if (bucket >= flag.rolloutPercentage) {
+      return { passed: false, reason: 'User not in rollout percentage', bucket };
+    }
+  }
+
+  for (const condition of flag.conditions || []) {
+    if (!evaluateLegacyCondition(condition, context, now)) {
+      return { passed: false, reason: `Condition failed: ${condition.type}` };
+    }
+  }
+
+  return { passed: true };
+}
+
+// Helper: Evaluate legacy condition (1 function, 1 thing: condition evaluation)
+function evaluateLegacyCondition(
+  condition: FlagCondition,
+  context: EvaluationContext,
+  now: Date
+): boolean {
+  const metadata = { ...(context.metadata || {}), ...(context.attributes || {}) };
+
+  switch (condition.type) {
+    case 'user':
+      return condition.operator === 'equals' && context.userId === condition.value;
+
+    case 'group':
+      return condition.operator === 'contains' && (context.groups || []).includes(condition.value);
+
+    case 'percentage': {
+      const bucket = context.userId ? legacyBucketFor(context.userId) : Math.random() * 100;
+      return bucket < condition.value;
+    }
+
+    case 'date': {
+      const targetDate = new Date(condition.value);
+      if (condition.operator === 'greater') return now > targetDate;
+      if (condition.operator === 'less') return now < targetDate;
+      return false;
+    }
+
+    case 'custom': {
+      const metaValue = metadata[condition.value.key];
+      if (condition.operator === 'equals') return metaValue === condition.value.value;
+      if (condition.operator === 'contains') return metaValue?.includes(condition.value.value);
+      return false;
+    }
+
+    default:
+      return false;
+  }
+}
+
+// Evaluate a flag for a context (1 function, 1 thing: flag evaluation)
+export function evaluateFlag(flag: FeatureFlag, context: EvaluationContext, now: Date = new Date()): FlagEvaluation {
+  if (!flag.enabled) {
+    return serve(flag, offKey(flag), 'Flag is globally disabled');
+  }
+
+  if (!isWithinSchedule(flag.schedule, now)) {
+    return serve(flag, offKey(flag), 'Outside scheduled window');
+  }
+
+  const rules = flag.rules || [];
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    if (!rule.conditions.every(condition => matchCondition(condition, context, now))) continue;
+
+    const matched = { ruleId: rule.id, ruleIndex: index };
+    if (rule.rollout && rule.rollout.length > 0) {
+      const key = readAttribute(context, rule.bucketBy || 'userId', now);
+      const bucket = key !== undefined && key !== null
+        ? bucketFor(flag.salt || flag.id, String(key))
+        : Math.random() * 100; // Nothing to stick to
+      return serve(flag, pickRollout(rule.rollout, bucket), `Matched rule ${rule.id} (rollout)`, { ...matched, bucket });
+    }
+    return serve(flag, rule.variant, `Matched rule ${rule.id}`, matched);
+  }
+
+  const legacy = legacyTargeting(flag, context, now);
+  const bucket = legacy.bucket !== undefined ? { bucket: legacy.bucket } : {};
+  if (!legacy.passed) {
+    return serve(flag, offKey(flag), legacy.reason, bucket);
+  }
+
+  const fallthrough = flag.defaultVariant || (flag.variants && flag.variants.length > 0 ? flag.variants[0].key : 'on');
+  return serve(flag, fallthrough, rules.length > 0 ? 'No rule matched; default variant' : 'All conditions met', bucket);
+}
+
+// Validate a flag's rules before saving (1 function, 1 thing: flag validation)
+export function validateFlag(flag: Partial<FeatureFlag>): string[] {
+  const errors: string[] = [];
+  const variantKeys = new Set((flag.variants && flag.variants.length > 0 ? flag.variants : BOOLEAN_VARIANTS)
+    .map(v => v.key));
+
+  if (flag.variants) {
+    if (new Set(flag.variants.map(v => v.key)).size !== flag.variants.length) {
+      errors.push('Variant keys must be unique');
+    }
+    if (flag.variants.some(v => !v.key)) errors.push('Every variant needs a key');
+  }
+
+  (['defaultVariant', 'offVariant'] as const).forEach(field => {
+    const key = flag[field];
+    if (key !== undefined && !variantKeys.has(key)) errors.push(`${field} "${key}" is not a variant`);
+  });
+
+  const ruleIds = new Set<string>();
+  (flag.rules || []).forEach((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!rule.id) errors.push(`${label} needs an id`);
+    if (ruleIds.has(rule.id)) errors.push(`${label} id "${rule.id}" is duplicated`);
+    ruleIds.add(rule.id);
+
+    if (!Array.isArray(rule.conditions)) {
+      errors.push(`${label}.conditions must be an array`);
+    } else {
+      rule.conditions.forEach((condition, i) => {
+        const where = `${label}.conditions[${i}]`;
+        if (!condition.attribute) errors.push(`${where} needs an attribute`);
+        if (!OPERATORS.includes(condition.operator)) errors.push(`${where} has unknown operator "${condition.operator}"`);
+        if (condition.operator === 'regex') {
+          if (String(condition.value).length > MAX_REGEX_LENGTH) {
+            errors.push(`${where} regex is longer than ${MAX_REGEX_LENGTH}`);
+          }
+          try {
+            new RegExp(String(condition.value));
+          } catch {
+            errors.push(`${where} regex does not compile`);
+          }
+        }
+        if (condition.operator === 'between' && (!Array.isArray(condition.value) || condition.value.length !== 2)) {
+          errors.push(`${where} between needs [start, end]`);
+        }
+        if (condition.operator.startsWith('semver_') && compareSemver(String(condition.value), '0.0.0') === null) {
+          errors.push(`${where} value is not a semantic version`);
+        }
+      });
+    }
+
+    if (rule.rollout && rule.rollout.length > 0) {
+      const total = rule.rollout.reduce((sum, slice) => sum + slice.weight, 0);
+      if (Math.abs(total - 100) > 1e-9) errors.push(`${label}.rollout weights must sum to 100 (got ${total})`);
+      rule.rollout.forEach(slice => {
+        if (!variantKeys.has(slice.variant)) errors.push(`${label}.rollout variant "${slice.variant}" is not a variant`);
+      });
+    } else if (!rule.variant || !variantKeys.has(rule.variant)) {
+      errors.push(`${label} must serve an existing variant or a rollout`);
+    }
+  });
+
+  const schedule = flag.schedule;
+  if (schedule) {
+    const times = [schedule.enableAt, schedule.disableAt, ...(schedule.windows || []).flatMap(w => [w.start, w.end])];
+    if (times.some(time => time !== undefined && isNaN(Date.parse(time)))) {
+      errors.push('schedule times must be ISO timestamps');
+    }
+    (schedule.windows || []).forEach((window, i) => {
+      if (Date.parse(window.end) <= Date.parse(window.start)) errors.push(`schedule.windows[${i}] ends before it starts`);
+    });
+  }
+
+  return errors;
+}
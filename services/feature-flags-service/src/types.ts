@@ -0,0 +1,90 @@
+// Interfaces (1 function, 1 thing: type definitions)
+export interface FeatureFlag {
+  id: string;
+  name: string;
+  description?: string;
+  enabled: boolean; // false is the kill switch: nothing below is evaluated
+  rolloutPercentage?: number;
+  targetGroups?: string[];
+  conditions?: FlagCondition[];
+  rules?: FlagRule[]; // Evaluated in order, first match wins
+  variants?: FlagVariant[]; // Omitted for boolean flags: "on" (true) / "off" (false)
+  defaultVariant?: string; // Served when enabled and no rule matches
+  offVariant?: string; // Served when disabled, out of schedule or not targeted
+  salt?: string; // Bucketing seed; defaults to the flag id
+  schedule?: FlagSchedule;
+  metadata?: Record<string, any>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface FlagCondition {
+  type: 'user' | 'group' | 'percentage' | 'date' | 'custom';
+  operator: 'equals' | 'contains' | 'greater' | 'less' | 'between';
+  value: any;
+}
+
+export interface FlagVariant {
+  key: string;
+  value: any; // String or any JSON value
+  description?: string;
+}
+
+export type RuleOperator =
+  | 'eq' | 'neq' | 'in' | 'not_in'
+  | 'contains' | 'starts_with' | 'ends_with' | 'regex'
+  | 'gt' | 'gte' | 'lt' | 'lte'
+  | 'semver_eq' | 'semver_gt' | 'semver_gte' | 'semver_lt' | 'semver_lte'
+  | 'before' | 'after' | 'between'
+  | 'exists';
+
+export interface RuleCondition {
+  attribute: string; // Context attribute, dotted paths allowed; "now" is the evaluation time
+  operator: RuleOperator;
+  value?: any;
+  negate?: boolean;
+}
+
+export interface FlagRule {
+  id: string;
+  description?: string;
+  conditions: RuleCondition[]; // All must match
+  variant?: string; // Serve this variant...
+  rollout?: Array<{ variant: string; weight: number }>; // ...or split by bucket (weights sum to 100)
+  bucketBy?: string; // Attribute to bucket on; defaults to userId
+}
+
+export interface FlagSchedule {
+  enableAt?: string; // ISO timestamps; off before enableAt and after disableAt
+  disableAt?: string;
+  windows?: Array<{ start: string; end: string; label?: string }>; // If set, on only inside a window
+}
+
+export interface EvaluationContext {
+  userId?: string;
+  groups?: string[];
+  attributes?: Record<string, any>;
+  metadata?: Record<string, any>;
+}
+
+export interface FlagEvaluation {
+  flagId: string;
+  enabled: boolean;
+  reason: string;
+  variant?: string;
+  value?: any;
+  ruleId?: string; // Rule that matched, if any
+  ruleIndex?: number;
+  bucket?: number; // 0-100, when a percentage decided the outcome
+}
+
+export interface FlagAuditEntry {
+  flagId: string;
+  action: 'create' | 'update' | 'delete' | 'kill';
+  actor: string;
+  at: string;
+  changes: string[]; // Top-level fields that changed
+  before: Partial<FeatureFlag> | null;
+  after: Partial<FeatureFlag> | null;
+  reason?: string;
+}
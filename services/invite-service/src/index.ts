@@ -4,7 +4,28 @@ import express, { Request, Response } from "express";
 import cors from "cors";
 import compression from "compression";
 import morgan from "morgan";
-import crypto from "crypto";
+// Invites are shared with the main API (functions/), so they are read and
+// written through the canonical model in packages/invites, always with this
+// service's own Firestore
+import {
+  awardInviteeActive,
+  awardInviteRedeemed,
+  CanonicalInvite,
+  createInviteWithinQuota,
+  DEFAULT_INVITE_QUOTA,
+  findInviteByCode,
+  getQuotaBalance,
+  GuestOutcome,
+  guestCounts,
+  inviteState,
+  isGroupInvite,
+  listInvitesByOwner,
+  resolveInvite,
+  respondAsGuest,
+  summarizeInvites,
+  updateInvite,
+  waitlistPosition
+} from "../../../packages/invites/src";
 
 // Initialize Firebase Admin
 try {
@@ -37,22 +58,21 @@ app.use(morgan('tiny', { skip: (req) => req.path === '/health' }));
 app.use(express.json());
 
 // Constants
-const INVITE_LIMIT = 10; // Each user gets 10 invites
-const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_LENGTH = 10; // Canonical Crockford codes
 const INVITE_EXPIRY_DAYS = 30;
 
 // Interfaces
 interface Invite {
   id: string;
-  code: string;
+  code: string | null;
   fromUserId: string;
-  fromUserName?: string;
-  toEmail?: string;
-  status: 'pending' | 'accepted' | 'expired';
+  fromUserName?: string | null;
+  toEmail?: string | null;
+  status: 'pending' | 'accepted' | 'expired' | 'revoked';
   createdAt: string;
-  expiresAt: string;
+  expiresAt: string | null;
   acceptedAt?: string;
-  acceptedByUserId?: string;
+  acceptedByUserId?: string | null;
   metadata?: {
     campaign?: string;
     source?: string;
@@ -78,7 +98,7 @@ app.get("/health", (_req: Request, res: Response) => {
     timestamp: new Date().toISOString(),
     version: "1.0.0",
     features: {
-      inviteLimit: INVITE_LIMIT,
+      inviteLimit: DEFAULT_INVITE_QUOTA, // Before earned invites and grants
       codeLength: INVITE_CODE_LENGTH,
       expiryDays: INVITE_EXPIRY_DAYS
     },
@@ -98,10 +118,6 @@ async function authenticateUser(req: any, res: Response, next: any) {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader?.startsWith('Bearer ')) {
-      // Allow public access for validate and accept endpoints
-      if (req.path === '/validate' || req.path.startsWith('/accept')) {
-        return next();
-      }
       return res.status(401).json({ error: "Authentication required" });
     }
 
@@ -114,12 +130,29 @@ async function authenticateUser(req: any, res: Response, next: any) {
   }
 }
 
-// Generate unique invite code (1 function, 1 thing: code generation)
-function generateInviteCode(): string {
-  return crypto.randomBytes(INVITE_CODE_LENGTH / 2)
-    .toString('hex')
-    .toUpperCase()
-    .substring(0, INVITE_CODE_LENGTH);
+// Quota rewards never fail the request that earned them (1 function, 1 thing: error logging)
+function logAwardError(error: unknown): void {
+  console.error('[Invite] Quota award error:', error);
+}
+
+// Canonical invite in this service's shape (1 function, 1 thing: response mapping)
+function toServiceInvite(invite: CanonicalInvite): Invite {
+  const state = inviteState(invite);
+  return {
+    id: invite.id,
+    code: invite.code,
+    fromUserId: invite.ownerUid,
+    fromUserName: invite.ownerName,
+    toEmail: invite.toEmail,
+    status: state === 'redeemed' ? 'accepted' : state,
+    createdAt: new Date(invite.createdAt).toISOString(),
+    expiresAt: invite.expiresAt !== null ? new Date(invite.expiresAt).toISOString() : null,
+    ...(invite.redeemedAt !== null && {
+      acceptedAt: new Date(invite.redeemedAt).toISOString(),
+      acceptedByUserId: invite.redeemedBy
+    }),
+    metadata: invite.metadata
+  };
 }
 
 // Create a new invite (1 function, 1 thing: invite creation)
@@ -130,67 +163,44 @@ app.post("/create", authenticateUser, async (req: any, res: Response): Promise<a
 
     const db = admin.firestore();
 
-    // Check user's invite limit
-    const userInvitesSnapshot = await db.collection('invites')
-      .where('fromUserId', '==', uid)
-      .get();
-
-    if (userInvitesSnapshot.size >= INVITE_LIMIT) {
-      return res.status(400).json({
-        error: "Invite limit reached",
-        limit: INVITE_LIMIT,
-        used: userInvitesSnapshot.size
-      });
-    }
-
-    // Generate unique code
-    let code = generateInviteCode();
-    let codeExists = true;
-
-    // Ensure code is unique
-    while (codeExists) {
-      const existingCode = await db.collection('invites')
-        .where('code', '==', code)
-        .get();
-
-      if (existingCode.empty) {
-        codeExists = false;
-      } else {
-        code = generateInviteCode();
-      }
-    }
-
     // Get user details for the invite
     const userDoc = await db.collection('users').doc(uid).get();
     const userName = userDoc.data()?.displayName || 'A friend';
 
-    // Create invite object
-    const invite: Invite = {
-      id: `inv_${uid}_${Date.now()}`,
-      code,
-      fromUserId: uid,
-      fromUserName: userName,
+    // Create and save the invite within the user's quota (shared with every
+    // invite API); code and token are generated
+    const { invite: created, balance } = await createInviteWithinQuota({
+      source: 'service',
+      ownerUid: uid,
+      ownerName: userName,
       toEmail: toEmail || null,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      expiresAt: Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
       metadata: metadata || {}
-    };
+    }, db);
 
-    // Save to Firestore
-    await db.collection('invites').doc(invite.id).set(invite);
+    if (!created) {
+      return res.status(400).json({
+        error: "Invite limit reached",
+        limit: balance.limit,
+        used: balance.used
+      });
+    }
+    const invite = toServiceInvite(created);
+
+    // Inviting others counts as being active for whoever invited this user
+    await awardInviteeActive(uid, db).catch(logAwardError);
 
     // Generate shareable link
-    const inviteLink = `https://conference-party-app.web.app/i/${code}`;
+    const inviteLink = `https://conference-party-app.web.app/i/${invite.code}`;
 
     res.status(201).json({
       success: true,
       invite: {
-        code,
+        code: invite.code,
         link: inviteLink,
         expiresAt: invite.expiresAt
       },
-      remainingInvites: INVITE_LIMIT - userInvitesSnapshot.size - 1
+      remainingInvites: balance.remaining
     });
 
   } catch (error) {
@@ -204,7 +214,8 @@ app.get("/validate/:code", async (req: Request, res: Response): Promise<any> =>
   try {
     const { code } = req.params;
 
-    if (!code || code.length !== INVITE_CODE_LENGTH) {
+    // Older invites have 6 (legacy) or 8 (hex) character codes
+    if (!code || code.length < 6 || code.length > 16) {
       return res.status(400).json({
         valid: false,
         error: "Invalid invite code format"
@@ -212,26 +223,28 @@ app.get("/validate/:code", async (req: Request, res: Response): Promise<any> =>
     }
 
     const db = admin.firestore();
-    const inviteSnapshot = await db.collection('invites')
-      .where('code', '==', code.toUpperCase())
-      .where('status', '==', 'pending')
-      .get();
+    const invite = await findInviteByCode(code, db);
+    const state = invite ? inviteState(invite) : null;
+
+    // A full group invite still takes answers, onto its waitlist
+    if (invite && isGroupInvite(invite) && state === 'redeemed') {
+      return res.status(200).json({
+        valid: true,
+        fromUser: invite.ownerName,
+        capacity: guestCounts(invite),
+        waitlist: true
+      });
+    }
 
-    if (inviteSnapshot.empty) {
+    if (!invite || (state !== 'pending' && state !== 'expired')) {
       return res.status(404).json({
         valid: false,
         error: "Invite code not found or already used"
       });
     }
 
-    const inviteDoc = inviteSnapshot.docs[0];
-    const invite = inviteDoc.data() as Invite;
-
     // Check expiry
-    if (new Date(invite.expiresAt) < new Date()) {
-      // Update status to expired
-      await inviteDoc.ref.update({ status: 'expired' });
-
+    if (state === 'expired') {
       return res.status(410).json({
         valid: false,
         error: "Invite code has expired"
@@ -240,8 +253,11 @@ app.get("/validate/:code", async (req: Request, res: Response): Promise<any> =>
 
     res.status(200).json({
       valid: true,
-      fromUser: invite.fromUserName,
-      expiresIn: Math.floor((new Date(invite.expiresAt).getTime() - Date.now()) / (1000 * 60 * 60 * 24)) + ' days'
+      fromUser: invite.ownerName,
+      ...(isGroupInvite(invite) && { capacity: guestCounts(invite) }),
+      expiresIn: invite.expiresAt !== null
+        ? Math.floor((invite.expiresAt - Date.now()) / (1000 * 60 * 60 * 24)) + ' days'
+        : null
     });
 
   } catch (error) {
@@ -251,80 +267,106 @@ app.get("/validate/:code", async (req: Request, res: Response): Promise<any> =>
 });
 
 // Accept invite (1 function, 1 thing: invite acceptance)
-app.post("/accept/:code", async (req: Request, res: Response): Promise<any> => {
+app.post("/accept/:code", authenticateUser, async (req: any, res: Response): Promise<any> => {
   try {
     const { code } = req.params;
-    const { userId, userEmail } = req.body;
+    // Only the signed-in user can accept, so quota awards follow real redemptions
+    const { uid: userId, email: userEmail } = req.user;
 
-    if (!code || !userId) {
+    if (!code) {
       return res.status(400).json({
-        error: "Code and userId are required"
+        error: "Code is required"
       });
     }
 
     const db = admin.firestore();
-    const inviteSnapshot = await db.collection('invites')
-      .where('code', '==', code.toUpperCase())
-      .where('status', '==', 'pending')
-      .get();
+    const found = await findInviteByCode(code, db);
 
-    if (inviteSnapshot.empty) {
+    if (!found) {
       return res.status(404).json({
         error: "Invite code not found or already used"
       });
     }
 
-    const inviteDoc = inviteSnapshot.docs[0];
-    const invite = inviteDoc.data() as Invite;
+    // Check if user is trying to use their own invite
+    if (found.ownerUid === userId) {
+      return res.status(400).json({
+        error: "Cannot use your own invite code"
+      });
+    }
+
+    // Group invites take one guest per user, then a waitlist
+    let outcome: GuestOutcome | null = null;
+
+    // Accept the invite, unless it expired or was used in the meantime
+    let state = inviteState(found);
+    const invite = await updateInvite(found.id, current => {
+      state = inviteState(current);
+      if (isGroupInvite(current) && (state === 'pending' || state === 'redeemed')) {
+        outcome = respondAsGuest(current, { rsvp: 'accepted', verifiedUid: userId, email: userEmail || null });
+        return outcome.ok ? outcome.changes : null;
+      }
+      return state !== 'pending' ? null : {
+        status: 'redeemed',
+        redeemedAt: Date.now(),
+        redeemedBy: userId,
+        toEmail: userEmail || current.toEmail
+      };
+    }, db);
 
     // Check expiry
-    if (new Date(invite.expiresAt) < new Date()) {
-      await inviteDoc.ref.update({ status: 'expired' });
+    if (state === 'expired') {
       return res.status(410).json({
         error: "Invite code has expired"
       });
     }
 
-    // Check if user is trying to use their own invite
-    if (invite.fromUserId === userId) {
-      return res.status(400).json({
-        error: "Cannot use your own invite code"
+    const answer = outcome as GuestOutcome | null;
+    if (answer && !answer.ok) {
+      return res.status(409).json({
+        error: answer.reason === 'waitlist_full' ? "Invite is full" : "Invite already accepted"
       });
     }
 
-    // Accept the invite
-    await inviteDoc.ref.update({
-      status: 'accepted',
-      acceptedAt: new Date().toISOString(),
-      acceptedByUserId: userId,
-      toEmail: userEmail || invite.toEmail
-    });
+    if (answer?.ok && invite) {
+      const waitlisted = answer.guest.status === 'waitlisted';
+      console.log(`[Invite] ${userId} ${waitlisted ? 'joined the waitlist for' : 'accepted'} group invite ${code}`);
+      return res.status(200).json({
+        success: true,
+        message: waitlisted ? "Invite is full: you are on the waitlist" : "Invite accepted successfully",
+        waitlisted,
+        inviteId: invite.id,
+        guestToken: answer.guest.token, // Changes this answer later through /api/invites/:id/rsvp
+        position: waitlistPosition(invite, answer.guest.id),
+        capacity: guestCounts(invite)
+      });
+    }
+
+    if (state !== 'pending' || !invite) {
+      return res.status(404).json({
+        error: "Invite code not found or already used"
+      });
+    }
 
     // Create connection between users
-    const connectionId = `conn_${invite.fromUserId}_${userId}_${Date.now()}`;
+    const connectionId = `conn_${invite.ownerUid}_${userId}_${Date.now()}`;
     await db.collection('connections').doc(connectionId).set({
       id: connectionId,
-      user1: invite.fromUserId,
+      user1: invite.ownerUid,
       user2: userId,
       source: 'invite',
       inviteCode: code,
       createdAt: new Date().toISOString()
     });
 
-    // Award bonus invites (quality control: good invites earn more)
-    const bonusInvites = 2; // User who sent invite gets 2 bonus invites
-    await db.collection('invite_bonuses').add({
-      userId: invite.fromUserId,
-      bonusCount: bonusInvites,
-      reason: 'invite_accepted',
-      awardedAt: new Date().toISOString()
-    });
+    // Award bonus invites through the quota ledger (good invites earn more)
+    await awardInviteRedeemed(invite, db).catch(logAwardError);
 
     res.status(200).json({
       success: true,
       message: "Invite accepted successfully",
       connection: {
-        withUser: invite.fromUserName,
+        withUser: invite.ownerName,
         established: true
       }
     });
@@ -341,40 +383,28 @@ app.get("/stats", authenticateUser, async (req: any, res: Response): Promise<any
     const { uid } = req.user;
 
     const db = admin.firestore();
-    const invitesSnapshot = await db.collection('invites')
-      .where('fromUserId', '==', uid)
-      .get();
-
-    const invites = invitesSnapshot.docs.map(doc => doc.data() as Invite);
-
-    // Calculate bonus invites
-    const bonusSnapshot = await db.collection('invite_bonuses')
-      .where('userId', '==', uid)
-      .get();
+    const invites = await listInvitesByOwner(uid, db);
+    const summary = summarizeInvites(invites);
 
-    const totalBonus = bonusSnapshot.docs.reduce((sum, doc) =>
-      sum + (doc.data().bonusCount || 0), 0
-    );
-
-    const effectiveLimit = INVITE_LIMIT + totalBonus;
+    // Earned and granted invites come from the quota ledger
+    const balance = await getQuotaBalance(uid, invites, db);
 
     const stats: UserInviteStats = {
       userId: uid,
-      totalInvites: effectiveLimit,
-      usedInvites: invites.length,
-      remainingInvites: Math.max(0, effectiveLimit - invites.length),
-      acceptedInvites: invites.filter(i => i.status === 'accepted').length,
-      pendingInvites: invites.filter(i => i.status === 'pending').length,
-      inviteHistory: invites.sort((a, b) =>
-        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-      )
+      totalInvites: balance.limit,
+      usedInvites: balance.used,
+      remainingInvites: balance.remaining,
+      acceptedInvites: summary.redeemed,
+      pendingInvites: summary.pending,
+      inviteHistory: invites.map(toServiceInvite) // Newest first
     };
 
     res.status(200).json({
       success: true,
       stats,
       bonuses: {
-        earned: totalBonus,
+        earned: balance.earned,
+        granted: balance.granted,
         reason: "Quality invites earn bonus invites"
       }
     });
@@ -392,21 +422,16 @@ app.get("/list", authenticateUser, async (req: any, res: Response): Promise<any>
     const { status, limit = '20', offset = '0' } = req.query;
 
     const db = admin.firestore();
-    let query = db.collection('invites')
-      .where('fromUserId', '==', uid)
-      .orderBy('createdAt', 'desc');
-
-    if (status) {
-      query = query.where('status', '==', status);
-    }
+    const start = parseInt(offset as string);
+    const count = parseInt(limit as string);
 
-    const snapshot = await query
-      .limit(parseInt(limit as string))
-      .offset(parseInt(offset as string))
-      .get();
+    // Newest first, across every invite API; status as this service names it
+    const matching = (await listInvitesByOwner(uid, db))
+      .map(toServiceInvite)
+      .filter(invite => !status || invite.status === status);
+    const page = matching.slice(start, start + count);
 
-    const invites = snapshot.docs.map(doc => {
-      const data = doc.data() as Invite;
+    const invites = page.map(data => {
       return {
         id: data.id,
         code: data.code,
@@ -425,7 +450,7 @@ app.get("/list", authenticateUser, async (req: any, res: Response): Promise<any>
       pagination: {
         limit: parseInt(limit as string),
         offset: parseInt(offset as string),
-        hasMore: snapshot.size === parseInt(limit as string)
+        hasMore: start + count < matching.length
       }
     });
 
@@ -440,33 +465,25 @@ app.get("/resolve/:code", async (req: Request, res: Response): Promise<any> => {
   try {
     const { code } = req.params;
 
+    // Same token /api/invites/public/resolve and /i/:code hand out
     const db = admin.firestore();
-    const inviteSnapshot = await db.collection('invites')
-      .where('code', '==', code.toUpperCase())
-      .get();
+    const { invite, state } = await resolveInvite(code, db);
 
-    if (inviteSnapshot.empty) {
+    if (!invite || !invite.token || state === 'not_found' || state === 'revoked') {
       return res.status(404).json({
         error: "Invite code not found"
       });
     }
 
-    const invite = inviteSnapshot.docs[0].data() as Invite;
-
-    // Generate a temporary token for the invite page
-    const token = crypto.randomBytes(32).toString('hex');
-
-    // Store token temporarily (expires in 1 hour)
-    await db.collection('invite_tokens').doc(token).set({
-      code: invite.code,
-      inviteId: invite.id,
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
-    });
+    if (state === 'expired') {
+      return res.status(410).json({
+        error: "Invite code has expired"
+      });
+    }
 
     res.status(200).json({
       success: true,
-      token
+      token: invite.token
     });
 
   } catch (error) {
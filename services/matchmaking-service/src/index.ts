@@ -1,5 +1,6 @@
 import { onRequest } from "firebase-functions/v2/https";
 import * as admin from "firebase-admin";
+import { createHash } from "crypto";
 import express, { Request, Response } from "express";
 import cors from "cors";
 import compression from "compression";
@@ -269,6 +270,8 @@ app.post("/matches/generate", authenticateUser, async (req: any, res: Response)
     });
     await batch.commit();
 
+    await recordAttendeeExposures(uid, topMatches);
+
     res.status(200).json({
       success: true,
       matches: topMatches,
@@ -334,6 +337,70 @@ app.get("/matches", authenticateUser, async (req: any, res: Response) => {
   }
 });
 
+// Log the matches served to a user under the running attendee experiment, if
+// any. Same assignment hash and document shape as ExperimentManager.assign and
+// recordExposures in functions/src/matchmaking/experiments.ts; users are keyed
+// on their uid there too, so swipes on these matches join to the exposures.
+async function recordAttendeeExposures(uid: string, served: Match[]) {
+  try {
+    const db = admin.firestore();
+    const running = await db.collection('experiments')
+      .where('unit', '==', 'attendee')
+      .where('status', '==', 'running')
+      .limit(1)
+      .get();
+    const doc = running.docs[0];
+    if (!doc || served.length === 0) return;
+
+    const variants = (doc.data().variants || []) as Array<{ id: string; profileId: string; allocation: number }>;
+    const total = variants.reduce((sum, variant) => sum + Math.max(variant.allocation, 0), 0);
+    const bucket = parseInt(createHash('sha256').update(`${doc.id}:${uid}`).digest('hex').substring(0, 8), 16) % 10000;
+    const point = (bucket / 10000) * total;
+    let cumulative = 0;
+    const variant = variants.find(candidate => (cumulative += Math.max(candidate.allocation, 0)) > point) ||
+      variants[variants.length - 1];
+    if (!variant) return;
+
+    const servedAt = admin.firestore.Timestamp.now();
+    await Promise.all(served.map((match, rank) => {
+      const counterpartId = match.user1 === uid ? match.user2 : match.user1;
+      const edgeId = [uid, counterpartId].sort().join('__');
+      return db.collection('experimentExposures').doc(`${doc.id}__${uid}__${edgeId}`).create({
+        experimentId: doc.id,
+        variantId: variant.id,
+        profileId: variant.profileId,
+        subjectId: uid,
+        edgeId,
+        counterpartId,
+        score: match.score,
+        rank,
+        servedAt
+      }).catch((error: any) => {
+        if (error?.code !== 6) throw error; // ALREADY_EXISTS: only the first serving counts
+      });
+    }));
+  } catch (error) {
+    console.warn('[Matchmaking] Failed to record experiment exposures:', error);
+  }
+}
+
+// Record a swipe for weight-profile experiment reporting. Same document shape
+// as ExperimentManager.recordOutcome in functions/src/matchmaking/experiments.ts
+async function recordSwipeOutcome(action: 'like' | 'pass', actorId: string, counterpartId: string) {
+  try {
+    await admin.firestore().collection('experimentOutcomes').add({
+      type: action === 'like' ? 'swipe_like' : 'swipe_pass',
+      actorId,
+      counterpartId,
+      edgeId: [actorId, counterpartId].sort().join('__'),
+      source: 'matchmaking-service',
+      at: admin.firestore.Timestamp.now()
+    });
+  } catch (error) {
+    console.warn('[Matchmaking] Failed to record swipe outcome:', error);
+  }
+}
+
 // Swipe on a match (like/pass)
 app.post("/swipe", authenticateUser, async (req: any, res: Response) => {
   try {
@@ -359,9 +426,11 @@ app.post("/swipe", authenticateUser, async (req: any, res: Response) => {
       return res.status(403).json({ error: "Access denied" });
     }
 
+    const otherUserId = match.user1 === uid ? match.user2 : match.user1;
+    await recordSwipeOutcome(action, uid, otherUserId);
+
     if (action === 'like') {
       // Check if it's a mutual like
-      const otherUserId = match.user1 === uid ? match.user2 : match.user1;
       const reverseMatchQuery = await db.collection('matches')
         .where('user1', '==', otherUserId)
         .where('user2', '==', uid)
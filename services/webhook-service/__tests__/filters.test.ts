@@ -0,0 +1,34 @@
+import { webhookMatchesEvent } from '../src/filters';
+
+describe('Webhook matching', () => {
+  const event = (tenantId?: string | null) => ({
+    type: 'invite.redeemed',
+    source: 'invites',
+    timestamp: '2025-05-20T19:00:00.000Z',
+    ...(tenantId !== undefined && { tenantId }),
+    data: { venue: 'Hall 8' }
+  });
+
+  it('should only deliver a tenant webhook its own tenant\'s events', () => {
+    const webhook = { events: ['invite.*'], tenantId: 'acme' };
+
+    expect(webhookMatchesEvent(webhook, event('acme'))).toBe(true);
+    expect(webhookMatchesEvent(webhook, event('globex'))).toBe(false);
+    expect(webhookMatchesEvent(webhook, event())).toBe(false);
+    expect(webhookMatchesEvent(webhook, event(null))).toBe(false);
+  });
+
+  it('should deliver every tenant\'s events to platform-wide webhooks', () => {
+    expect(webhookMatchesEvent({ events: ['invite.*'], tenantId: null }, event('acme'))).toBe(true);
+    expect(webhookMatchesEvent({ events: ['invite.*'] }, event('acme'))).toBe(true);
+    expect(webhookMatchesEvent({ events: ['invite.*'] }, event())).toBe(true);
+  });
+
+  it('should apply patterns and filters after the tenant scope', () => {
+    const webhook = { events: ['invite.**'], filter: 'data.venue == "Hall 9"', tenantId: 'acme' };
+
+    expect(webhookMatchesEvent(webhook, event('acme'))).toBe(false);
+    expect(webhookMatchesEvent({ ...webhook, filter: 'data.venue == "Hall 8"' }, event('acme'))).toBe(true);
+    expect(webhookMatchesEvent({ ...webhook, events: ['match.*'] }, event('acme'))).toBe(false);
+  });
+});
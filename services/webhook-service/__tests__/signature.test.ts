@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import {
+  signatureHeaders,
+  signPayload,
+  verifyLegacyWebhookSignature,
+  verifyWebhookSignature,
+  WebhookSignatureError
+} from '../src/signature';
+
+describe('Webhook signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ type: 'match.accepted', data: { id: 'm1' } });
+  const now = 1750000000;
+
+  it('should keep the original header as the bare hex HMAC of the body', () => {
+    const headers = signatureHeaders(body, secret);
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    expect(headers['X-Webhook-Signature']).toBe(expected);
+    expect(verifyLegacyWebhookSignature(body, headers['X-Webhook-Signature'], secret)).toBe(true);
+  });
+
+  it('should sign "<t>.<body>" in the V2 header', () => {
+    const header = signPayload(body, secret, now);
+    const expected = crypto.createHmac('sha256', secret).update(`${now}.${body}`).digest('hex');
+
+    expect(header).toBe(`t=${now},v1=${expected}`);
+    expect(verifyWebhookSignature(body, header, secret, 300, now)).toBe(true);
+  });
+
+  it('should reject V2 signatures outside the tolerance window', () => {
+    const header = signPayload(body, secret, now - 301);
+
+    expect(() => verifyWebhookSignature(body, header, secret, 300, now)).toThrow(WebhookSignatureError);
+  });
+
+  it('should reject a modified body or a different secret', () => {
+    const header = signPayload(body, secret, now);
+
+    expect(() => verifyWebhookSignature(`${body} `, header, secret, 300, now)).toThrow('Signature does not match');
+    expect(() => verifyWebhookSignature(body, header, 'other', 300, now)).toThrow('Signature does not match');
+  });
+
+  it('should accept any of several v1 values during secret rotation', () => {
+    const current = signPayload(body, secret, now);
+    const header = `t=${now},v1=${'0'.repeat(64)},${current.split(',')[1]}`;
+
+    expect(verifyWebhookSignature(body, header, secret, 300, now)).toBe(true);
+  });
+});
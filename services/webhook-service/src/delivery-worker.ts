@@ -0,0 +1,342 @@
+/**
+ * Webhook delivery worker (1 function, 1 thing: get every delivery to its endpoint)
+ *
+ * Every (event, webhook) pair is a document in `webhook_deliveries`. Triggering
+ * an event only queues its deliveries; the scheduled worker makes the first
+ * attempt on its next pass and retries failures on RETRY_SCHEDULE_SECONDS. When the schedule runs out
+ * the delivery is dead-lettered (status "dead") and can be redelivered by hand.
+ * A webhook whose deliveries keep dying is disabled automatically.
+ */
+
+import * as admin from "firebase-admin";
+import { signatureHeaders } from "./signature";
+import { WebhookDelivery, WebhookEvent, WebhookPayload, WebhookRegistration } from "./types";
+
+// Wait before retry N (after attempt N failed): 1m, 5m, 30m, 2h, 6h, 12h, 24h
+export const RETRY_SCHEDULE_SECONDS = [60, 300, 1800, 7200, 21600, 43200, 86400];
+export const MAX_ATTEMPTS = RETRY_SCHEDULE_SECONDS.length + 1;
+
+// Consecutive dead-lettered deliveries before a webhook is disabled
+export const AUTO_DISABLE_AFTER_DEAD = 5;
+
+const REQUEST_TIMEOUT_MS = 10000;
+const LEASE_MS = 2 * 60 * 1000;
+const WORKER_BATCH = 50;
+
+function deliveries() {
+  return admin.firestore().collection("webhook_deliveries");
+}
+
+function webhooks() {
+  return admin.firestore().collection("webhooks");
+}
+
+// Delay before the next attempt, with ±10% jitter so retries don't stampede
+export function nextAttemptDelayMs(attempts: number): number {
+  const base = RETRY_SCHEDULE_SECONDS[Math.min(attempts, RETRY_SCHEDULE_SECONDS.length) - 1] * 1000;
+  return Math.round(base * (0.9 + Math.random() * 0.2));
+}
+
+// Create a delivery record for one webhook (1 function, 1 thing: enqueue)
+// With `attemptNow` it is leased to the caller, which must attempt it straight
+// away; otherwise the worker picks it up
+export async function enqueueDelivery(
+  webhook: WebhookRegistration,
+  event: WebhookEvent,
+  options: { redeliveryOf?: string; attemptNow?: boolean } = {}
+): Promise<WebhookDelivery> {
+  const ref = deliveries().doc();
+  const now = new Date();
+
+  const payload: WebhookPayload = {
+    id: event.id,
+    type: event.type,
+    data: event.data,
+    timestamp: event.timestamp,
+    webhookId: webhook.id,
+    ...(event.tenantId && { tenantId: event.tenantId })
+  };
+
+  const delivery: WebhookDelivery = {
+    id: ref.id,
+    webhookId: webhook.id,
+    eventId: event.id,
+    eventType: event.type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now.toISOString(),
+    nextAttemptAt: now.toISOString(),
+    ...(options.attemptNow && { leaseUntil: new Date(now.getTime() + LEASE_MS).toISOString() }),
+    ...(options.redeliveryOf && { redeliveryOf: options.redeliveryOf })
+  };
+
+  await ref.set(delivery);
+  return delivery;
+}
+
+// Send one attempt and record the outcome (1 function, 1 thing: attempt)
+export async function attemptDelivery(delivery: WebhookDelivery): Promise<WebhookDelivery> {
+  const db = admin.firestore();
+  const webhookDoc = await webhooks().doc(delivery.webhookId).get();
+  const webhook = webhookDoc.exists ? webhookDoc.data() as WebhookRegistration : null;
+  const now = new Date();
+
+  if (!webhook || !webhook.active) {
+    // Parked, not attempted: redeliver once the webhook is re-enabled
+    const parked: Partial<WebhookDelivery> = {
+      status: 'dead',
+      error: webhook ? 'Webhook is disabled' : 'Webhook no longer exists',
+      completedAt: now.toISOString(),
+      leaseUntil: admin.firestore.FieldValue.delete() as any,
+      nextAttemptAt: admin.firestore.FieldValue.delete() as any
+    };
+    await deliveries().doc(delivery.id).update(parked);
+    return { ...delivery, ...parked, leaseUntil: undefined, nextAttemptAt: undefined };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Event': delivery.eventType,
+    'X-Webhook-Id': webhook.id,
+    'X-Webhook-Delivery': delivery.id,
+    'X-Webhook-Attempt': String(delivery.attempts + 1),
+    ...(webhook.secret && signatureHeaders(body, webhook.secret))
+  };
+
+  const started = Date.now();
+  let response: WebhookDelivery['response'];
+  let error: string | undefined;
+
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    response = { status: res.status, statusText: res.statusText, durationMs: Date.now() - started };
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err: any) {
+    error = err?.name === 'TimeoutError'
+      ? `Timed out after ${REQUEST_TIMEOUT_MS}ms`
+      : err?.message || 'Request failed';
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update: Record<string, any> = {
+    attempts,
+    lastAttempt: now.toISOString(),
+    leaseUntil: admin.firestore.FieldValue.delete()
+  };
+  if (response) update.response = response;
+
+  if (!error) {
+    update.status = 'success';
+    update.completedAt = new Date().toISOString();
+    update.error = admin.firestore.FieldValue.delete();
+    update.nextAttemptAt = admin.firestore.FieldValue.delete();
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update.status = 'dead';
+    update.error = error;
+    update.completedAt = new Date().toISOString();
+    update.nextAttemptAt = admin.firestore.FieldValue.delete();
+  } else {
+    update.status = 'failed';
+    update.error = error;
+    update.nextAttemptAt = new Date(Date.now() + nextAttemptDelayMs(attempts)).toISOString();
+  }
+
+  await deliveries().doc(delivery.id).update(update);
+  await recordOutcome(db, webhook, update.status, error, response?.durationMs);
+
+  return {
+    ...delivery,
+    ...update,
+    leaseUntil: undefined,
+    nextAttemptAt: update.status === 'failed' ? update.nextAttemptAt : undefined,
+    error: update.status === 'success' ? undefined : error
+  } as WebhookDelivery;
+}
+
+// Roll the attempt into the webhook's health stats; disable it if deliveries keep dying
+async function recordOutcome(
+  db: admin.firestore.Firestore,
+  webhook: WebhookRegistration,
+  status: WebhookDelivery['status'],
+  error: string | undefined,
+  durationMs: number | undefined
+): Promise<void> {
+  const increment = admin.firestore.FieldValue.increment;
+  const now = new Date().toISOString();
+  const ref = webhooks().doc(webhook.id);
+
+  if (status === 'success') {
+    await ref.update({
+      'stats.attempts': increment(1),
+      'stats.successes': increment(1),
+      'stats.totalLatencyMs': increment(durationMs || 0),
+      'stats.consecutiveFailures': 0,
+      'stats.consecutiveDead': 0,
+      'stats.lastSuccessAt': now,
+      lastTriggered: now
+    });
+    return;
+  }
+
+  await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    if (!snapshot.exists) return;
+
+    const stats = (snapshot.data() as WebhookRegistration).stats || {};
+    const consecutiveDead = (stats.consecutiveDead || 0) + (status === 'dead' ? 1 : 0);
+    const update: Record<string, any> = {
+      'stats.attempts': increment(1),
+      'stats.failures': increment(1),
+      'stats.consecutiveFailures': increment(1),
+      'stats.lastFailureAt': now,
+      'stats.lastError': error || null,
+      lastTriggered: now
+    };
+
+    if (status === 'dead') {
+      update['stats.deadLettered'] = increment(1);
+      update['stats.consecutiveDead'] = consecutiveDead;
+
+      if (consecutiveDead >= AUTO_DISABLE_AFTER_DEAD && snapshot.get('active')) {
+        update.active = false;
+        update.disabledAt = now;
+        update.disabledReason = `${consecutiveDead} consecutive deliveries failed all ${MAX_ATTEMPTS} attempts`;
+        console.warn(`[Webhook] Auto-disabled ${webhook.id}: ${update.disabledReason}`);
+      }
+    }
+
+    tx.update(ref, update);
+  });
+}
+
+// Take ownership of a due delivery so only one worker attempts it
+async function claim(id: string): Promise<WebhookDelivery | null> {
+  const db = admin.firestore();
+  const ref = deliveries().doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    if (!snapshot.exists) return null;
+
+    const delivery = snapshot.data() as WebhookDelivery;
+    const now = new Date();
+    const due = (delivery.status === 'pending' || delivery.status === 'failed') &&
+      (!delivery.nextAttemptAt || delivery.nextAttemptAt <= now.toISOString()) &&
+      (!delivery.leaseUntil || delivery.leaseUntil <= now.toISOString());
+    if (!due) return null;
+
+    const leaseUntil = new Date(now.getTime() + LEASE_MS).toISOString();
+    tx.update(ref, { leaseUntil });
+    return { ...delivery, leaseUntil };
+  });
+}
+
+// Process every delivery that is due (1 function, 1 thing: one worker pass)
+export async function runDeliveryWorker(): Promise<{ attempted: number; succeeded: number; deadLettered: number }> {
+  const now = new Date().toISOString();
+  const snapshot = await deliveries()
+    .where('status', 'in', ['pending', 'failed'])
+    .where('nextAttemptAt', '<=', now)
+    .orderBy('nextAttemptAt')
+    .limit(WORKER_BATCH)
+    .get();
+
+  const result = { attempted: 0, succeeded: 0, deadLettered: 0 };
+
+  for (const doc of snapshot.docs) {
+    const delivery = await claim(doc.id);
+    if (!delivery) continue;
+
+    const outcome = await attemptDelivery(delivery);
+    result.attempted++;
+    if (outcome.status === 'success') result.succeeded++;
+    if (outcome.status === 'dead') result.deadLettered++;
+  }
+
+  if (result.attempted > 0) {
+    console.log(`[Webhook] Worker pass: ${JSON.stringify(result)}`);
+  }
+  return result;
+}
+
+// Send an event again as a new delivery (1 function, 1 thing: manual redelivery)
+export async function redeliver(deliveryId: string): Promise<WebhookDelivery | null> {
+  const doc = await deliveries().doc(deliveryId).get();
+  if (!doc.exists) return null;
+
+  const original = doc.data() as WebhookDelivery;
+  const webhookDoc = await webhooks().doc(original.webhookId).get();
+  if (!webhookDoc.exists) return null;
+
+  const event: WebhookEvent = {
+    id: original.payload.id,
+    type: original.payload.type,
+    data: original.payload.data,
+    timestamp: original.payload.timestamp,
+    source: 'redelivery',
+    ...(original.payload.tenantId && { tenantId: original.payload.tenantId })
+  };
+
+  const delivery = await enqueueDelivery(webhookDoc.data() as WebhookRegistration, event, {
+    redeliveryOf: deliveryId,
+    attemptNow: true
+  });
+  return attemptDelivery(delivery);
+}
+
+// Delivery-derived health for one webhook (1 function, 1 thing: health stats)
+export async function getWebhookHealth(webhook: WebhookRegistration) {
+  const countByStatus = async (status: WebhookDelivery['status']) => {
+    const snapshot = await deliveries()
+      .where('webhookId', '==', webhook.id)
+      .where('status', '==', status)
+      .count()
+      .get();
+    return snapshot.data().count;
+  };
+
+  const [pending, retrying, dead, recentSnapshot] = await Promise.all([
+    countByStatus('pending'),
+    countByStatus('failed'),
+    countByStatus('dead'),
+    deliveries()
+      .where('webhookId', '==', webhook.id)
+      .orderBy('createdAt', 'desc')
+      .limit(20)
+      .get()
+  ]);
+
+  const stats = webhook.stats || {};
+  const attempts = stats.attempts || 0;
+  const successes = stats.successes || 0;
+
+  return {
+    webhookId: webhook.id,
+    url: webhook.url,
+    active: webhook.active,
+    disabledAt: webhook.disabledAt,
+    disabledReason: webhook.disabledReason,
+    attempts,
+    successes,
+    failures: stats.failures || 0,
+    successRate: attempts > 0 ? successes / attempts : null,
+    avgLatencyMs: successes > 0 ? Math.round((stats.totalLatencyMs || 0) / successes) : null,
+    consecutiveFailures: stats.consecutiveFailures || 0,
+    lastSuccessAt: stats.lastSuccessAt,
+    lastFailureAt: stats.lastFailureAt,
+    lastError: stats.lastError,
+    queue: { pending, retrying, dead },
+    recentDeliveries: recentSnapshot.docs.map(d => {
+      const { payload, ...summary } = d.data() as WebhookDelivery;
+      return summary;
+    })
+  };
+}
+
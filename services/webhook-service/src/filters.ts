@@ -0,0 +1,293 @@
+/**
+ * Webhook subscription matching (1 function, 1 thing: decide if an event goes to a webhook)
+ *
+ * Event patterns are globs over dot-separated event types:
+ *   "match.accepted"  exact type
+ *   "invite.*"        one segment: invite.sent, invite.redeemed (not invite.code.expired)
+ *   "invite.**"       any depth under invite
+ *   "*"               every event
+ *
+ * Filters are small boolean expressions over the event envelope and payload:
+ *   data.venue in ["Hall 8", "Hall 9"] and data.price == "Free"
+ *   not (data.status == "cancelled") or exists(data.override)
+ *   data.tags contains "vip" and data.capacity >= 100
+ *
+ * Operators: == != > >= < <= in contains startsWith, exists(path), and/or/not, parentheses.
+ * Values: "strings" or 'strings', numbers, true, false, null and [lists].
+ * Paths read from { type, source, timestamp, tenantId, data }.
+ */
+
+export class FilterSyntaxError extends Error {
+  constructor(message: string, public position: number) {
+    super(`${message} at position ${position}`);
+    this.name = "FilterSyntaxError";
+  }
+}
+
+type Literal = string | number | boolean | null | Literal[];
+
+export type FilterNode =
+  | { kind: 'and' | 'or'; left: FilterNode; right: FilterNode }
+  | { kind: 'not'; operand: FilterNode }
+  | { kind: 'exists'; path: string[] }
+  | { kind: 'compare'; path: string[]; op: CompareOp; value: Literal };
+
+type CompareOp = '==' | '!=' | '>' | '>=' | '<' | '<=' | 'in' | 'contains' | 'startsWith';
+
+const MAX_FILTER_LENGTH = 1000;
+const PATTERN_CHARS = /^[A-Za-z0-9_\-.*]+$/;
+
+// Event type glob (1 function, 1 thing: pattern matching)
+export function matchesEventPattern(pattern: string, eventType: string): boolean {
+  if (pattern === '*' || pattern === '**' || pattern === eventType) return true;
+
+  const source = pattern
+    .split('.')
+    .map(segment => segment === '**' ? '.*' : segment.replace(/\*/g, '[^.]*'))
+    .join('\\.')
+    .replace(/\\\.\.\*$/, '(\\..*)?'); // "invite.**" also matches "invite"
+
+  return new RegExp(`^${source}$`).test(eventType);
+}
+
+export function isValidEventPattern(pattern: string): boolean {
+  return typeof pattern === 'string' && PATTERN_CHARS.test(pattern) && !pattern.includes('..');
+}
+
+// Tokenizer
+type Token =
+  | { type: 'word'; value: string; pos: number }
+  | { type: 'string'; value: string; pos: number }
+  | { type: 'number'; value: number; pos: number }
+  | { type: 'op'; value: string; pos: number }
+  | { type: 'punct'; value: string; pos: number };
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      const start = i++;
+      let value = '';
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new FilterSyntaxError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, pos: start });
+    } else if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(source[i + 1] ?? ''))) {
+      const match = /^-?\d+(\.\d+)?/.exec(source.slice(i))!;
+      tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*/.exec(source.slice(i))!;
+      tokens.push({ type: 'word', value: match[0], pos: i });
+      i += match[0].length;
+    } else if (/[=!<>]/.test(ch)) {
+      const two = source.slice(i, i + 2);
+      const op = ['==', '!=', '>=', '<='].includes(two) ? two : ch;
+      if (op === '=' || op === '!') throw new FilterSyntaxError(`Unknown operator "${op}"`, i);
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+    } else if ('()[],'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, pos: i });
+      i++;
+    } else {
+      throw new FilterSyntaxError(`Unexpected character "${ch}"`, i);
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive-descent parser: or > and > not > comparison
+class Parser {
+  private index = 0;
+
+  constructor(private tokens: Token[], private length: number) {}
+
+  parse(): FilterNode {
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) throw new FilterSyntaxError(`Unexpected "${extra.value}"`, extra.pos);
+    return node;
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.index];
+  }
+
+  private next(): Token {
+    const token = this.tokens[this.index++];
+    if (!token) throw new FilterSyntaxError('Unexpected end of filter', this.length);
+    return token;
+  }
+
+  private isWord(value: string): boolean {
+    const token = this.peek();
+    return token?.type === 'word' && token.value === value;
+  }
+
+  private expectPunct(value: string): void {
+    const token = this.next();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw new FilterSyntaxError(`Expected "${value}"`, token.pos);
+    }
+  }
+
+  private parseOr(): FilterNode {
+    let left = this.parseAnd();
+    while (this.isWord('or')) {
+      this.index++;
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  private parseAnd(): FilterNode {
+    let left = this.parseNot();
+    while (this.isWord('and')) {
+      this.index++;
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  private parseNot(): FilterNode {
+    if (this.isWord('not')) {
+      this.index++;
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): FilterNode {
+    const token = this.next();
+
+    if (token.type === 'punct' && token.value === '(') {
+      const node = this.parseOr();
+      this.expectPunct(')');
+      return node;
+    }
+
+    if (token.type === 'word' && token.value === 'exists') {
+      this.expectPunct('(');
+      const path = this.next();
+      if (path.type !== 'word') throw new FilterSyntaxError('Expected a field path', path.pos);
+      this.expectPunct(')');
+      return { kind: 'exists', path: path.value.split('.') };
+    }
+
+    if (token.type !== 'word') {
+      throw new FilterSyntaxError('Expected a field path', token.pos);
+    }
+
+    const opToken = this.next();
+    const op = opToken.value as CompareOp;
+    const isWordOp = opToken.type === 'word' && ['in', 'contains', 'startsWith'].includes(op);
+    if (opToken.type !== 'op' && !isWordOp) {
+      throw new FilterSyntaxError(`Expected an operator after "${token.value}"`, opToken.pos);
+    }
+
+    const value = this.parseLiteral();
+    if (op === 'in' && !Array.isArray(value)) {
+      throw new FilterSyntaxError('"in" needs a [list]', opToken.pos);
+    }
+
+    return { kind: 'compare', path: token.value.split('.'), op, value };
+  }
+
+  private parseLiteral(): Literal {
+    const token = this.next();
+
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'word' && token.value === 'true') return true;
+    if (token.type === 'word' && token.value === 'false') return false;
+    if (token.type === 'word' && token.value === 'null') return null;
+
+    if (token.type === 'punct' && token.value === '[') {
+      const items: Literal[] = [];
+      if (this.peek()?.value !== ']') {
+        items.push(this.parseLiteral());
+        while (this.peek()?.value === ',') {
+          this.index++;
+          items.push(this.parseLiteral());
+        }
+      }
+      this.expectPunct(']');
+      return items;
+    }
+
+    throw new FilterSyntaxError(`Expected a value, got "${token.value}"`, token.pos);
+  }
+}
+
+// Parse a filter expression (1 function, 1 thing: filter parsing)
+export function parseFilter(source: string): FilterNode {
+  if (source.length > MAX_FILTER_LENGTH) {
+    throw new FilterSyntaxError(`Filter is longer than ${MAX_FILTER_LENGTH} characters`, MAX_FILTER_LENGTH);
+  }
+  return new Parser(tokenize(source), source.length).parse();
+}
+
+function read(target: any, path: string[]): any {
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+function compare(actual: any, op: CompareOp, expected: Literal): boolean {
+  switch (op) {
+    case '==': return actual === expected || (actual === undefined && expected === null);
+    case '!=': return !(actual === expected || (actual === undefined && expected === null));
+    case 'in': return (expected as Literal[]).some(item => item === actual);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && typeof expected === 'string' && actual.includes(expected);
+    case 'startsWith':
+      return typeof actual === 'string' && typeof expected === 'string' && actual.startsWith(expected);
+    default: {
+      // Ordering only between two numbers or two strings
+      if (typeof actual !== typeof expected || !['number', 'string'].includes(typeof actual)) return false;
+      const a = actual as number | string;
+      const b = expected as number | string;
+      return op === '>' ? a > b : op === '>=' ? a >= b : op === '<' ? a < b : a <= b;
+    }
+  }
+}
+
+// Evaluate a parsed filter against an event (1 function, 1 thing: filter evaluation)
+export function evaluateFilter(node: FilterNode, event: Record<string, any>): boolean {
+  switch (node.kind) {
+    case 'and': return evaluateFilter(node.left, event) && evaluateFilter(node.right, event);
+    case 'or': return evaluateFilter(node.left, event) || evaluateFilter(node.right, event);
+    case 'not': return !evaluateFilter(node.operand, event);
+    case 'exists': return read(event, node.path) !== undefined;
+    case 'compare': return compare(read(event, node.path), node.op, node.value);
+  }
+}
+
+/**
+ * Does a registration want this event? (1 function, 1 thing: subscription matching)
+ * Tenant scoping comes first: a tenant's webhook only sees events tagged with
+ * its own tenant (never untagged ones, which may carry anyone's data);
+ * patterns and filters narrow from there.
+ */
+export function webhookMatchesEvent(
+  webhook: { events: string[]; filter?: string; tenantId?: string | null },
+  event: { type: string; source: string; timestamp: string; tenantId?: string | null; data: any }
+): boolean {
+  if (webhook.tenantId && event.tenantId !== webhook.tenantId) return false;
+  if (!webhook.events.some(pattern => matchesEventPattern(pattern, event.type))) return false;
+  if (!webhook.filter) return true;
+
+  try {
+    return evaluateFilter(parseFilter(webhook.filter), event);
+  } catch {
+    return false; // Filters are validated on registration; never deliver on a bad one
+  }
+}
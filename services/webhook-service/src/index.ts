@@ -1,10 +1,15 @@
 import { onRequest } from "firebase-functions/v2/https";
+import { onSchedule } from "firebase-functions/v2/scheduler";
 import * as admin from "firebase-admin";
 import express, { Request, Response } from "express";
 import cors from "cors";
 import compression from "compression";
 import morgan from "morgan";
 import crypto from "crypto";
+import { WebhookRegistration, WebhookEvent, WebhookDelivery } from "./types";
+import { verifyLegacyWebhookSignature, verifyWebhookSignature, WebhookSignatureError } from "./signature";
+import { isValidEventPattern, parseFilter, webhookMatchesEvent, FilterSyntaxError } from "./filters";
+import { enqueueDelivery, getWebhookHealth, redeliver, runDeliveryWorker } from "./delivery-worker";
 
 // Initialize Firebase Admin
 try {
@@ -35,36 +40,6 @@ app.use(compression({ threshold: 1024, level: 6 }));
 app.use(morgan('tiny', { skip: (req) => req.path === '/health' }));
 app.use(express.json({ limit: '10mb' })); // Larger limit for webhook payloads
 
-// Interfaces (1 function, 1 thing: type definitions)
-interface WebhookRegistration {
-  id: string;
-  url: string;
-  events: string[];
-  secret?: string;
-  active: boolean;
-  createdAt: string;
-  lastTriggered?: string;
-  metadata?: Record<string, any>;
-}
-
-interface WebhookEvent {
-  id: string;
-  type: string;
-  data: any;
-  timestamp: string;
-  source: string;
-}
-
-interface WebhookDelivery {
-  webhookId: string;
-  eventId: string;
-  status: 'pending' | 'success' | 'failed';
-  attempts: number;
-  lastAttempt?: string;
-  response?: any;
-  error?: string;
-}
-
 // Webhook registry (1 function, 1 thing: webhook storage)
 const webhookRegistry = new Map<string, WebhookRegistration>();
 
@@ -86,7 +61,10 @@ app.get("/health", (_req: Request, res: Response) => {
       trigger: "operational",
       list: "operational",
       verify: "operational",
-      receive: "operational"
+      receive: "operational",
+      deliveries: "operational",
+      redeliver: "operational",
+      webhookHealth: "operational"
     }
   });
 });
@@ -94,7 +72,7 @@ app.get("/health", (_req: Request, res: Response) => {
 // Register a new webhook (1 function, 1 thing: webhook registration)
 app.post("/register", async (req: Request, res: Response): Promise<any> => {
   try {
-    const { url, events, secret, metadata } = req.body;
+    const { url, events, secret, metadata, filter, tenantId } = req.body;
 
     if (!url || !events || !Array.isArray(events)) {
       return res.status(400).json({
@@ -102,6 +80,26 @@ app.post("/register", async (req: Request, res: Response): Promise<any> => {
       });
     }
 
+    // Event patterns may be globs ("invite.*", "match.**")
+    const invalidPattern = events.find((pattern: any) => !isValidEventPattern(pattern));
+    if (invalidPattern !== undefined) {
+      return res.status(400).json({
+        error: `Invalid event pattern: ${invalidPattern}`
+      });
+    }
+
+    // Filters are parsed now so a bad one is rejected instead of silently matching nothing
+    if (filter !== undefined) {
+      try {
+        if (typeof filter !== 'string') throw new FilterSyntaxError('Filter must be a string', 0);
+        parseFilter(filter);
+      } catch (error: any) {
+        return res.status(400).json({
+          error: `Invalid filter: ${error.message}`
+        });
+      }
+    }
+
     // Validate URL
     try {
       new URL(url);
@@ -119,7 +117,10 @@ app.post("/register", async (req: Request, res: Response): Promise<any> => {
       secret,
       active: true,
       createdAt: new Date().toISOString(),
-      metadata
+      metadata,
+      // Tenant webhooks only receive their tenant's events; null means platform-wide
+      tenantId: tenantId ? String(tenantId) : null,
+      ...(filter && { filter })
     };
 
     // Store in Firestore for persistence
@@ -135,6 +136,8 @@ app.post("/register", async (req: Request, res: Response): Promise<any> => {
         id: webhookId,
         url,
         events,
+        filter: webhook.filter,
+        tenantId: webhook.tenantId,
         active: true
       }
     });
@@ -184,7 +187,7 @@ app.delete("/unregister/:id", async (req: Request, res: Response): Promise<any>
 // Trigger webhooks for an event (1 function, 1 thing: webhook triggering)
 app.post("/trigger", async (req: Request, res: Response): Promise<any> => {
   try {
-    const { type, data, source = 'manual' } = req.body;
+    const { type, data, source = 'manual', tenantId } = req.body;
 
     if (!type || !data) {
       return res.status(400).json({
@@ -197,95 +200,32 @@ app.post("/trigger", async (req: Request, res: Response): Promise<any> => {
       type,
       data,
       timestamp: new Date().toISOString(),
-      source
+      source,
+      ...(tenantId && { tenantId: String(tenantId) })
     };
 
-    // Get all webhooks subscribed to this event type
-    const db = admin.firestore();
-    const webhooksSnapshot = await db.collection('webhooks')
-      .where('events', 'array-contains', type)
+    // Candidate webhooks: tenant scoping is decided by webhookMatchesEvent, not
+    // the query. Webhooks registered before tenant scoping have no tenantId
+    // field at all, which a `tenantId == null` query would silently skip
+    const snapshot = await admin.firestore().collection('webhooks')
       .where('active', '==', true)
       .get();
 
-    const deliveries: WebhookDelivery[] = [];
-
-    // Trigger each webhook
-    for (const doc of webhooksSnapshot.docs) {
-      const webhook = doc.data() as WebhookRegistration;
-
-      const delivery: WebhookDelivery = {
-        webhookId: webhook.id,
-        eventId: event.id,
-        status: 'pending',
-        attempts: 0
-      };
-
-      try {
-        // Prepare payload
-        const payload = {
-          id: event.id,
-          type: event.type,
-          data: event.data,
-          timestamp: event.timestamp,
-          webhookId: webhook.id
-        };
-
-        // Add signature if secret is configured
-        const headers: Record<string, string> = {
-          'Content-Type': 'application/json',
-          'X-Webhook-Event': event.type,
-          'X-Webhook-Id': webhook.id
-        };
-
-        if (webhook.secret) {
-          const signature = crypto
-            .createHmac('sha256', webhook.secret)
-            .update(JSON.stringify(payload))
-            .digest('hex');
-          headers['X-Webhook-Signature'] = signature;
-        }
-
-        // Send webhook
-        const response = await fetch(webhook.url, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(payload)
-        });
-
-        delivery.status = response.ok ? 'success' : 'failed';
-        delivery.attempts = 1;
-        delivery.lastAttempt = new Date().toISOString();
-        delivery.response = {
-          status: response.status,
-          statusText: response.statusText
-        };
-
-        // Update last triggered time
-        await db.collection('webhooks').doc(webhook.id).update({
-          lastTriggered: new Date().toISOString()
-        });
-
-      } catch (error: any) {
-        delivery.status = 'failed';
-        delivery.attempts = 1;
-        delivery.lastAttempt = new Date().toISOString();
-        delivery.error = error.message;
-      }
-
-      deliveries.push(delivery);
+    const subscribed = snapshot.docs
+      .map(doc => doc.data() as WebhookRegistration)
+      .filter(webhook => webhookMatchesEvent(webhook, event));
 
-      // Store delivery record
-      await db.collection('webhook_deliveries').add(delivery);
-    }
+    // Queue a delivery per webhook; the delivery worker attempts them within
+    // a minute, so a slow endpoint never holds up the trigger request. Follow
+    // them through GET /deliveries
+    const deliveries = await Promise.all(subscribed.map(webhook => enqueueDelivery(webhook, event)));
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
       event,
       deliveries: {
-        total: deliveries.length,
-        successful: deliveries.filter(d => d.status === 'success').length,
-        failed: deliveries.filter(d => d.status === 'failed').length,
-        details: deliveries
+        queued: deliveries.length,
+        details: deliveries.map(({ payload, ...summary }) => summary)
       }
     });
 
@@ -298,7 +238,7 @@ app.post("/trigger", async (req: Request, res: Response): Promise<any> => {
 // List all webhooks (1 function, 1 thing: webhook listing)
 app.get("/list", async (req: Request, res: Response): Promise<any> => {
   try {
-    const { active } = req.query;
+    const { active, tenantId } = req.query;
 
     const db = admin.firestore();
     let query = db.collection('webhooks').limit(100);
@@ -307,6 +247,10 @@ app.get("/list", async (req: Request, res: Response): Promise<any> => {
       query = query.where('active', '==', active === 'true');
     }
 
+    if (tenantId !== undefined) {
+      query = query.where('tenantId', '==', String(tenantId));
+    }
+
     const snapshot = await query.get();
     const webhooks = snapshot.docs.map(doc => ({
       id: doc.id,
@@ -328,6 +272,9 @@ app.get("/list", async (req: Request, res: Response): Promise<any> => {
 // Verify webhook signature (1 function, 1 thing: signature verification)
 app.post("/verify", async (req: Request, res: Response): Promise<any> => {
   try {
+    // `payload` is the raw body string as received (or the parsed JSON, which
+    // is re-serialized); `signature` is the X-Webhook-Signature-V2 header value,
+    // or the original X-Webhook-Signature one
     const { webhookId, payload, signature } = req.body;
 
     if (!webhookId || !payload || !signature) {
@@ -353,21 +300,155 @@ app.post("/verify", async (req: Request, res: Response): Promise<any> => {
       });
     }
 
-    const expectedSignature = crypto
-      .createHmac('sha256', webhook.secret)
-      .update(JSON.stringify(payload))
-      .digest('hex');
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    try {
+      if (String(signature).includes('t=')) {
+        verifyWebhookSignature(body, signature, webhook.secret);
+      } else {
+        verifyLegacyWebhookSignature(body, signature, webhook.secret);
+      }
+      res.status(200).json({ success: true, valid: true });
+    } catch (error) {
+      if (!(error instanceof WebhookSignatureError)) throw error;
+      res.status(200).json({ success: true, valid: false, reason: error.message });
+    }
+
+  } catch (error) {
+    console.error('[Webhook] Verify error:', error);
+    res.status(500).json({ error: "Failed to verify signature" });
+  }
+});
+
+// Try a pattern and filter against a sample event (1 function, 1 thing: filter testing)
+app.post("/filters/test", async (req: Request, res: Response): Promise<any> => {
+  const { events = ['*'], filter, event } = req.body;
+
+  if (!event || !event.type) {
+    return res.status(400).json({
+      error: "A sample event with a type is required"
+    });
+  }
+
+  if (!Array.isArray(events)) {
+    return res.status(400).json({
+      error: "events must be an array of event patterns"
+    });
+  }
+
+  const invalidPattern = events.find((pattern: any) => !isValidEventPattern(pattern));
+  if (invalidPattern !== undefined) {
+    return res.status(400).json({
+      error: `Invalid event pattern: ${invalidPattern}`
+    });
+  }
+
+  try {
+    if (filter) parseFilter(filter);
+  } catch (error: any) {
+    return res.status(400).json({ error: `Invalid filter: ${error.message}` });
+  }
+
+  const matched = webhookMatchesEvent(
+    { events, filter, tenantId: event.tenantId },
+    { source: 'test', timestamp: new Date().toISOString(), data: {}, ...event }
+  );
+
+  res.status(200).json({ success: true, matched });
+});
+
+// List deliveries, e.g. the dead-letter queue (1 function, 1 thing: delivery listing)
+app.get("/deliveries", async (req: Request, res: Response): Promise<any> => {
+  try {
+    const { webhookId, status, limit = '50' } = req.query;
+
+    let query: admin.firestore.Query = admin.firestore().collection('webhook_deliveries');
+    if (webhookId) query = query.where('webhookId', '==', String(webhookId));
+    if (status) query = query.where('status', '==', String(status));
 
-    const isValid = signature === expectedSignature;
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.min(Number(limit) || 50, 200))
+      .get();
+
+    const deliveries = snapshot.docs.map(doc => doc.data() as WebhookDelivery);
+    res.status(200).json({ success: true, deliveries, count: deliveries.length });
+
+  } catch (error) {
+    console.error('[Webhook] Delivery list error:', error);
+    res.status(500).json({ error: "Failed to list deliveries" });
+  }
+});
+
+// Redeliver an event as a new delivery (1 function, 1 thing: manual redelivery)
+app.post("/deliveries/:id/redeliver", async (req: Request, res: Response): Promise<any> => {
+  try {
+    const delivery = await redeliver(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: "Delivery or webhook not found"
+      });
+    }
 
     res.status(200).json({
-      success: true,
-      valid: isValid
+      success: delivery.status === 'success',
+      redeliveryOf: req.params.id,
+      delivery
     });
 
   } catch (error) {
-    console.error('[Webhook] Verify error:', error);
-    res.status(500).json({ error: "Failed to verify signature" });
+    console.error('[Webhook] Redeliver error:', error);
+    res.status(500).json({ error: "Failed to redeliver" });
+  }
+});
+
+// Per-webhook delivery health (1 function, 1 thing: webhook health stats)
+app.get("/webhooks/:id/health", async (req: Request, res: Response): Promise<any> => {
+  try {
+    const doc = await admin.firestore().collection('webhooks').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        error: "Webhook not found"
+      });
+    }
+
+    const health = await getWebhookHealth(doc.data() as WebhookRegistration);
+    res.status(200).json({ success: true, health });
+
+  } catch (error) {
+    console.error('[Webhook] Health error:', error);
+    res.status(500).json({ error: "Failed to load webhook health" });
+  }
+});
+
+// Re-enable a webhook after it was auto-disabled (1 function, 1 thing: webhook enabling)
+app.post("/webhooks/:id/enable", async (req: Request, res: Response): Promise<any> => {
+  try {
+    const ref = admin.firestore().collection('webhooks').doc(req.params.id);
+    const doc = await ref.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        error: "Webhook not found"
+      });
+    }
+
+    await ref.update({
+      active: true,
+      disabledAt: admin.firestore.FieldValue.delete(),
+      disabledReason: admin.firestore.FieldValue.delete(),
+      'stats.consecutiveFailures': 0,
+      'stats.consecutiveDead': 0
+    });
+    webhookRegistry.set(req.params.id, { ...(doc.data() as WebhookRegistration), active: true });
+
+    res.status(200).json({ success: true, id: req.params.id, active: true });
+
+  } catch (error) {
+    console.error('[Webhook] Enable error:', error);
+    res.status(500).json({ error: "Failed to enable webhook" });
   }
 });
 
@@ -544,4 +625,13 @@ export const webhookService = onRequest({
   cors: true,
   invoker: "public",
   maxInstances: 5,
-}, app);
\ No newline at end of file
+}, app);
+
+// Retry failed deliveries on their schedule (1 function, 1 thing: delivery worker)
+export const webhookDeliveryWorker = onSchedule({
+  schedule: 'every 1 minutes',
+  region: 'us-central1',
+  timeoutSeconds: 300
+}, async () => {
+  await runDeliveryWorker();
+});
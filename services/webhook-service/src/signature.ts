@@ -0,0 +1,135 @@
+/**
+ * Webhook signatures (1 function, 1 thing: sign and verify webhook bodies)
+ *
+ * Every signed delivery carries two headers:
+ *   X-Webhook-Signature:    <hex hmac of the raw body>
+ *   X-Webhook-Signature-V2: t=<unix seconds>,v1=<hex hmac>
+ * The first is the original format, kept unchanged for existing receivers.
+ * The V2 HMAC-SHA256 is computed over "<t>.<raw request body>" with the webhook
+ * secret. Binding the timestamp into the signature lets receivers reject old
+ * requests, so a captured delivery cannot be replayed later; new receivers
+ * should verify V2.
+ *
+ * This file only depends on Node's crypto module so partners can copy it as-is:
+ *
+ *   import { verifyWebhookSignature } from "./signature";
+ *   app.post("/hooks", express.raw({ type: "application/json" }), (req, res) => {
+ *     verifyWebhookSignature(req.body.toString("utf8"), req.get("X-Webhook-Signature-V2"), SECRET);
+ *     ...
+ *   });
+ */
+
+import crypto from "crypto";
+
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+export const SIGNATURE_V2_HEADER = "X-Webhook-Signature-V2";
+export const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+export class WebhookSignatureError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "WebhookSignatureError";
+  }
+}
+
+function hmac(secret: string, timestamp: number, body: string): string {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function sameHex(candidate: string, expected: Buffer): boolean {
+  const buffer = Buffer.from(candidate, "hex");
+  return buffer.length === expected.length && crypto.timingSafeEqual(buffer, expected);
+}
+
+// Build the V2 header value for a body (1 function, 1 thing: signing)
+export function signPayload(body: string, secret: string, timestamp: number = Math.floor(Date.now() / 1000)): string {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+// Build the original header value: the bare hex HMAC of the body (1 function, 1 thing: legacy signing)
+export function signPayloadLegacy(body: string, secret: string): string {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+// Both signature headers for a body (1 function, 1 thing: delivery headers)
+export function signatureHeaders(body: string, secret: string): Record<string, string> {
+  return {
+    [SIGNATURE_HEADER]: signPayloadLegacy(body, secret),
+    [SIGNATURE_V2_HEADER]: signPayload(body, secret)
+  };
+}
+
+// Split "t=...,v1=...,v1=..." into its parts; several v1 values are allowed during secret rotation
+function parseHeader(header: string): { timestamp: number; signatures: string[] } {
+  let timestamp = NaN;
+  const signatures: string[] = [];
+
+  header.split(",").forEach((part) => {
+    const [key, value] = part.trim().split("=", 2);
+    if (key === "t") timestamp = Number(value);
+    if (key === "v1" && value) signatures.push(value);
+  });
+
+  return { timestamp, signatures };
+}
+
+/**
+ * Verify a V2-signed webhook (1 function, 1 thing: verification)
+ * `body` must be the raw request body exactly as received, not re-serialized JSON.
+ * Throws WebhookSignatureError when the header is malformed, too old or does not match.
+ */
+export function verifyWebhookSignature(
+  body: string,
+  header: string | undefined,
+  secret: string,
+  toleranceSeconds: number = DEFAULT_TOLERANCE_SECONDS,
+  now: number = Math.floor(Date.now() / 1000)
+): true {
+  if (!header) {
+    throw new WebhookSignatureError(`Missing ${SIGNATURE_V2_HEADER} header`);
+  }
+
+  const { timestamp, signatures } = parseHeader(header);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    throw new WebhookSignatureError("Malformed signature header");
+  }
+
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    throw new WebhookSignatureError("Signature timestamp is outside the tolerance window");
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), "hex");
+  if (!signatures.some((signature) => sameHex(signature, expected))) {
+    throw new WebhookSignatureError("Signature does not match");
+  }
+
+  return true;
+}
+
+/**
+ * Verify the original X-Webhook-Signature header (1 function, 1 thing: legacy verification)
+ * It carries no timestamp, so it cannot detect replays; prefer verifyWebhookSignature.
+ */
+export function verifyLegacyWebhookSignature(body: string, header: string | undefined, secret: string): true {
+  if (!header) {
+    throw new WebhookSignatureError(`Missing ${SIGNATURE_HEADER} header`);
+  }
+  if (!sameHex(header.trim(), Buffer.from(signPayloadLegacy(body, secret), "hex"))) {
+    throw new WebhookSignatureError("Signature does not match");
+  }
+  return true;
+}
+
+// Boolean form for callers that don't want exceptions
+export function isValidWebhookSignature(
+  body: string,
+  header: string | undefined,
+  secret: string,
+  toleranceSeconds: number = DEFAULT_TOLERANCE_SECONDS
+): boolean {
+  try {
+    return verifyWebhookSignature(body, header, secret, toleranceSeconds);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,69 @@
+// Interfaces (1 function, 1 thing: type definitions)
+export interface WebhookStats {
+  attempts: number;
+  successes: number;
+  failures: number;
+  deadLettered: number;
+  totalLatencyMs: number;
+  consecutiveFailures: number;
+  consecutiveDead: number;
+  lastSuccessAt?: string;
+  lastFailureAt?: string;
+  lastError?: string;
+}
+
+export interface WebhookRegistration {
+  id: string;
+  url: string;
+  events: string[];
+  secret?: string;
+  active: boolean;
+  createdAt: string;
+  lastTriggered?: string;
+  metadata?: Record<string, any>;
+  filter?: string; // Filter expression over the event, see filters.ts
+  tenantId?: string | null;
+  stats?: Partial<WebhookStats>;
+  disabledAt?: string;
+  disabledReason?: string;
+}
+
+export interface WebhookEvent {
+  id: string;
+  type: string;
+  data: any;
+  timestamp: string;
+  source: string;
+  tenantId?: string;
+}
+
+export interface WebhookPayload {
+  id: string;
+  type: string;
+  data: any;
+  timestamp: string;
+  webhookId: string;
+  tenantId?: string;
+}
+
+// pending: first attempt not made yet; failed: last attempt failed and a retry
+// is scheduled; dead: retries exhausted (dead-letter state); success: delivered
+export type DeliveryStatus = 'pending' | 'success' | 'failed' | 'dead';
+
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  eventId: string;
+  eventType: string;
+  payload: WebhookPayload;
+  status: DeliveryStatus;
+  attempts: number;
+  createdAt: string;
+  nextAttemptAt?: string;
+  leaseUntil?: string; // Set while a worker owns the delivery
+  lastAttempt?: string;
+  completedAt?: string;
+  response?: { status: number; statusText: string; durationMs: number };
+  error?: string;
+  redeliveryOf?: string;
+}